@@ -3,7 +3,8 @@
  * Provides common constructor, navigation, and utility methods
  */
 
-import { isToday, formatDate } from '../utils/dateUtils.js';
+import { isToday, formatDate, parseDate, toPlainDate, eachDate } from '../utils/dateUtils.js';
+import { isTimedEvent, getDaySegments } from '../utils/eventLayout.js';
 
 export class BaseView {
   constructor(container, options = {}) {
@@ -27,7 +28,7 @@ export class BaseView {
    * Set a specific date
    */
   setDate(date) {
-    this.currentDate = new Date(date);
+    this.currentDate = parseDate(toPlainDate(date));
     this.render();
   }
 
@@ -68,6 +69,62 @@ export class BaseView {
     return div.innerHTML;
   }
 
+  /**
+   * Group events by each date they cover
+   * Timed events spanning several days are added to each day as a copy with that day's times
+   * and a `_segment` saying whether it continues from or into another day.
+   * @param {Object[]} events
+   * @returns {Map<string, Object[]>} Events per YYYY-MM-DD date
+   */
+  buildEventsByDate(events) {
+    const eventsByDate = new Map();
+    const add = (dateStr, event) => {
+      if (!eventsByDate.has(dateStr)) {
+        eventsByDate.set(dateStr, []);
+      }
+      eventsByDate.get(dateStr).push(event);
+    };
+
+    for (const event of events) {
+      if (isTimedEvent(event) && event.endDate && event.endDate !== event.startDate) {
+        for (const segment of getDaySegments(event)) {
+          add(segment.date, { ...event, startTime: segment.startTime, endTime: segment.endTime, _segment: segment });
+        }
+      } else {
+        for (const dateStr of eachDate(event.startDate, event.endDate || event.startDate)) {
+          add(dateStr, event);
+        }
+      }
+    }
+    return eventsByDate;
+  }
+
+  /**
+   * Format the times of an event on one day, marking days it continues from or into
+   * @param {Object} event - As grouped by buildEventsByDate
+   * @returns {string} E.g. "09:00", "22:00 →", "→ 02:00", or "→" on days it runs through
+   */
+  formatDayTimes(event) {
+    const segment = event._segment;
+    if (!segment) return event.startTime || '';
+    if (segment.continuesBefore && segment.continuesAfter) return '→';
+    if (segment.continuesBefore) return event.endTime ? `→ ${event.endTime}` : '→';
+    return segment.continuesAfter ? `${event.startTime} →` : event.startTime;
+  }
+
+  /**
+   * Describe the times of an event in its own time zones, for events shown converted
+   * @param {Object} event - As returned by calendarService.getEventsForRange
+   * @returns {string} E.g. "09:00–10:30 America/New_York", or "" if the event was not converted
+   */
+  getZoneHint(event) {
+    const times = event._zoneTimes;
+    if (!times) return '';
+    if (!times.endTime) return `${times.startTime} ${times.startZone}`;
+    if (times.endZone === times.startZone) return `${times.startTime}–${times.endTime} ${times.startZone}`;
+    return `${times.startTime} ${times.startZone} – ${times.endTime} ${times.endZone}`;
+  }
+
   /**
    * Check if date is today (convenience wrapper)
    */
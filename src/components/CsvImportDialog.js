@@ -0,0 +1,244 @@
+/**
+ * CsvImportDialog - Map the columns of a CSV file to event fields and import its rows
+ * Every row is checked as the mapping changes; nothing is written until Import is clicked,
+ * and rows with errors are left out.
+ */
+
+import { guessMapping, previewCsvImport } from '../services/CsvImport.js';
+import { CSV_COLUMNS } from '../services/CsvExport.js';
+import { importEvents } from '../services/IcsImport.js';
+import { calendarService } from '../services/CalendarService.js';
+import { fileSystemService } from '../services/FileSystemService.js';
+import { parseCSV } from '../utils/csv.js';
+
+export class CsvImportDialog {
+  constructor() {
+    this.overlay = null;
+    this.rows = [];
+    this.preview = null;
+    this.resolve = null;
+    this.createOverlay();
+  }
+
+  /**
+   * Create the dialog overlay element
+   */
+  createOverlay() {
+    const fieldRows = Object.entries(CSV_COLUMNS)
+      .map(([field, label]) => `
+        <label class="form-label" for="csv-field-${field}">${label}</label>
+        <select id="csv-field-${field}" class="form-input csv-field" data-field="${field}"></select>
+      `)
+      .join('');
+
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'modal-overlay';
+    this.overlay.innerHTML = `
+      <div class="modal import-modal">
+        <div class="modal-header">
+          <h3 class="modal-title">Import Spreadsheet</h3>
+        </div>
+        <div class="modal-body">
+          <p class="import-summary"></p>
+          <div class="form-group">
+            <div class="checkbox-group">
+              <input type="checkbox" id="csv-has-header" class="checkbox" checked>
+              <label class="checkbox-label" for="csv-has-header">First row has column names</label>
+            </div>
+          </div>
+          <div class="form-group">
+            <label class="form-label">Columns</label>
+            <div class="csv-mapping">${fieldRows}</div>
+          </div>
+          <div class="form-group import-calendar-field hidden">
+            <label class="form-label" for="csv-calendar">Add to calendar</label>
+            <select id="csv-calendar" class="form-input"></select>
+          </div>
+          <div class="import-sections"></div>
+        </div>
+        <div class="modal-footer">
+          <div style="flex: 1"></div>
+          <button class="btn btn-secondary import-cancel-btn">Cancel</button>
+          <button class="btn btn-primary import-run-btn">Import</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(this.overlay);
+
+    this.overlay.querySelector('#csv-has-header').onchange = () => {
+      this.renderColumns();
+      this.update();
+    };
+    this.overlay.querySelectorAll('.csv-field').forEach(select => {
+      select.onchange = () => this.update();
+    });
+    this.overlay.querySelector('.import-run-btn').onclick = () => this.run();
+  }
+
+  /**
+   * Read a file and let the user map and import its rows
+   * @param {File} file - A .csv file
+   * @returns {Promise<number|null>} Number of events created, or null if cancelled
+   */
+  async open(file) {
+    this.rows = parseCSV(await file.text());
+    if (this.rows.length === 0) {
+      alert(`${file.name} has no rows`);
+      return null;
+    }
+
+    const mapping = guessMapping(this.rows[0]);
+    const hasHeader = Object.values(mapping).some(index => index !== null);
+    this.overlay.querySelector('#csv-has-header').checked = hasHeader;
+    this.renderColumns();
+    for (const [field, index] of Object.entries(mapping)) {
+      this.overlay.querySelector(`#csv-field-${field}`).value = index === null ? '' : String(index);
+    }
+
+    const calendars = fileSystemService.getCalendars().filter(calendar => calendar.available);
+    const select = this.overlay.querySelector('#csv-calendar');
+    select.replaceChildren(...calendars.map(({ id, name }) => new Option(name, id)));
+    select.value = calendarService.getDefaultCalendarId();
+    this.overlay.querySelector('.import-calendar-field').classList.toggle('hidden', calendars.length < 2);
+
+    const cancelBtn = this.overlay.querySelector('.import-cancel-btn');
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.onclick = () => this.finish(null);
+    this.overlay.querySelector('.import-run-btn').classList.remove('hidden');
+    this.overlay.querySelectorAll('.csv-field, #csv-has-header').forEach(input => {
+      input.disabled = false;
+    });
+
+    this.update();
+    this.overlay.classList.add('open');
+    return new Promise(resolve => {
+      this.resolve = resolve;
+    });
+  }
+
+  /**
+   * Fill the column choices, named by the header row or by column letter and first value
+   */
+  renderColumns() {
+    const hasHeader = this.overlay.querySelector('#csv-has-header').checked;
+    const width = Math.max(...this.rows.map(row => row.length));
+    const columns = Array.from({ length: width }, (_, i) => {
+      const letter = i < 26 ? String.fromCharCode(65 + i) : String(i + 1);
+      const value = (this.rows[0][i] || '').trim();
+      return hasHeader && value ? value : `Column ${letter}${value ? `: ${value.slice(0, 30)}` : ''}`;
+    });
+
+    this.overlay.querySelectorAll('.csv-field').forEach(select => {
+      const current = select.value;
+      select.replaceChildren(
+        new Option('— Not used —', ''),
+        ...columns.map((name, i) => new Option(name, String(i)))
+      );
+      select.value = current;
+    });
+  }
+
+  /**
+   * Check every row against the current mapping and show the result
+   */
+  update() {
+    const mapping = {};
+    this.overlay.querySelectorAll('.csv-field').forEach(select => {
+      mapping[select.dataset.field] = select.value === '' ? null : Number(select.value);
+    });
+    const hasHeader = this.overlay.querySelector('#csv-has-header').checked;
+    this.preview = previewCsvImport(this.rows, mapping, { hasHeader });
+
+    const { valid, invalid } = this.preview;
+    this.overlay.querySelector('.import-summary').textContent =
+      `${valid.length} row(s) ready to import` + (invalid.length ? `, ${invalid.length} with errors will be skipped.` : '.');
+
+    this.overlay.querySelector('.import-sections').innerHTML = [
+      this.renderSection('Rows with errors', invalid, true),
+      this.renderSection('Ready to import', valid.map(item => ({ ...item, errors: [] })), invalid.length === 0)
+    ].join('');
+
+    const runBtn = this.overlay.querySelector('.import-run-btn');
+    runBtn.textContent = `Import ${valid.length} event(s)`;
+    runBtn.disabled = valid.length === 0;
+  }
+
+  /**
+   * Render a list of rows with their errors
+   * @param {string} title
+   * @param {Array<{row: number, event: Object, errors: string[]}>} items
+   * @param {boolean} open - Expanded initially
+   */
+  renderSection(title, items, open) {
+    if (items.length === 0) return '';
+
+    return `
+      <details class="import-section" ${open ? 'open' : ''}>
+        <summary>${this.escapeHtml(title)} (${items.length})</summary>
+        ${items.map(({ row, event, errors }) => `
+          <div class="import-item">
+            <span class="import-date mono">${row ? `Row ${row}` : ''} ${this.escapeHtml(event.startDate || '')}</span>
+            <span class="import-title">${this.escapeHtml(event.title || 'Untitled')}</span>
+            ${errors.map(error => `<div class="import-problem">${this.escapeHtml(error)}</div>`).join('')}
+          </div>
+        `).join('')}
+      </details>
+    `;
+  }
+
+  /**
+   * Create the valid rows and show the outcome
+   */
+  async run() {
+    const runBtn = this.overlay.querySelector('.import-run-btn');
+    const cancelBtn = this.overlay.querySelector('.import-cancel-btn');
+    const summary = this.overlay.querySelector('.import-summary');
+    runBtn.disabled = true;
+    cancelBtn.disabled = true;
+    this.overlay.querySelectorAll('.csv-field, #csv-has-header').forEach(input => {
+      input.disabled = true;
+    });
+
+    const { created, errors } = await importEvents(this.preview.valid, {
+      calendar: this.overlay.querySelector('#csv-calendar').value || undefined,
+      onProgress: ({ done, total }) => {
+        summary.textContent = `Importing ${done} / ${total}…`;
+      }
+    });
+
+    summary.textContent = `Imported ${created.length} event(s)` +
+      (errors.length ? `; ${errors.length} failed.` : '.');
+    this.overlay.querySelector('.import-sections').innerHTML = this.renderSection(
+      'Failed',
+      errors.map(({ event, message }) => ({ row: null, event, errors: [message] })),
+      true
+    );
+
+    runBtn.classList.add('hidden');
+    cancelBtn.disabled = false;
+    cancelBtn.textContent = 'Close';
+    cancelBtn.onclick = () => this.finish(created.length);
+  }
+
+  /**
+   * Close the dialog and report the outcome
+   */
+  finish(result) {
+    this.overlay.classList.remove('open');
+    this.rows = [];
+    this.preview = null;
+    if (this.resolve) {
+      this.resolve(result);
+      this.resolve = null;
+    }
+  }
+
+  /**
+   * Escape HTML entities
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
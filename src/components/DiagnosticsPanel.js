@@ -0,0 +1,217 @@
+/**
+ * DiagnosticsPanel - Problems found in event files while loading
+ * Lists each file with its problems and offers one-click fixes
+ */
+
+import { calendarService } from '../services/CalendarService.js';
+import { fileSystemService } from '../services/FileSystemService.js';
+import { DIAGNOSTIC_TYPES } from '../constants.js';
+
+export class DiagnosticsPanel {
+  constructor(options = {}) {
+    this.onClose = options.onClose || (() => {});
+    this.overlay = null;
+    this.rawFilename = null;
+    this.createOverlay();
+
+    // Keep the list current while open (fixes reload all events)
+    calendarService.addListener(() => {
+      if (this.isOpen() && !this.rawFilename) {
+        this.renderList();
+      }
+    });
+  }
+
+  /**
+   * Create the panel overlay element
+   */
+  createOverlay() {
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'modal-overlay';
+    this.overlay.innerHTML = `
+      <div class="modal diagnostics-modal">
+        <div class="modal-header">
+          <h3 class="modal-title">File Problems</h3>
+          <button class="modal-close" aria-label="Close">
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M18 6L6 18M6 6l12 12"/>
+            </svg>
+          </button>
+        </div>
+        <div class="modal-body diagnostics-body"></div>
+        <div class="modal-footer raw-file-footer hidden">
+          <button class="btn btn-secondary raw-back-btn">Back</button>
+          <button class="btn btn-primary raw-save-btn">Save</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(this.overlay);
+
+    this.overlay.addEventListener('click', (e) => {
+      if (e.target === this.overlay) {
+        this.close();
+      }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen()) {
+        this.close();
+      }
+    });
+
+    this.overlay.querySelector('.modal-close').onclick = () => this.close();
+    this.overlay.querySelector('.raw-back-btn').onclick = () => this.renderList();
+    this.overlay.querySelector('.raw-save-btn').onclick = () => this.saveRawFile();
+  }
+
+  /**
+   * Check if the panel is showing
+   */
+  isOpen() {
+    return this.overlay.classList.contains('open');
+  }
+
+  /**
+   * Show the panel
+   */
+  open() {
+    this.renderList();
+    this.overlay.classList.add('open');
+  }
+
+  /**
+   * Close the panel
+   */
+  close() {
+    this.overlay.classList.remove('open');
+    this.rawFilename = null;
+    this.onClose();
+  }
+
+  /**
+   * Group diagnostics by file, keeping load order
+   * @returns {Map<string, Object[]>}
+   */
+  groupByFile() {
+    const groups = new Map();
+    for (const diagnostic of calendarService.getDiagnostics()) {
+      if (!groups.has(diagnostic.filename)) {
+        groups.set(diagnostic.filename, []);
+      }
+      groups.get(diagnostic.filename).push(diagnostic);
+    }
+    return groups;
+  }
+
+  /**
+   * Render the list of files with problems
+   */
+  renderList() {
+    this.rawFilename = null;
+    this.overlay.querySelector('.modal-title').textContent = 'File Problems';
+    this.overlay.querySelector('.raw-file-footer').classList.add('hidden');
+
+    const body = this.overlay.querySelector('.diagnostics-body');
+    const groups = this.groupByFile();
+
+    if (groups.size === 0) {
+      body.innerHTML = '<p class="diagnostics-empty">All event files loaded without problems.</p>';
+      return;
+    }
+
+    body.innerHTML = [...groups.entries()].map(([filename, diagnostics]) => {
+      const canAssignId = diagnostics.some(d => d.type === 'duplicateId' || d.field === 'id');
+      // Unavailable calendars are reported on their folder, which has no raw file to open
+      const isFile = !diagnostics.some(d => d.type === 'calendarUnavailable');
+
+      return `
+        <div class="diagnostic-file" data-filename="${this.escapeHtml(filename)}">
+          <div class="diagnostic-filename mono">${this.escapeHtml(fileSystemService.describePath(filename))}</div>
+          <ul class="diagnostic-list">
+            ${diagnostics.map(d => `
+              <li class="diagnostic-item ${d.severity}">
+                <span class="diagnostic-type">${DIAGNOSTIC_TYPES[d.type] || d.type}</span>
+                <span class="diagnostic-message">${this.escapeHtml(d.message)}</span>
+              </li>
+            `).join('')}
+          </ul>
+          <div class="diagnostic-actions">
+            ${canAssignId ? '<button class="btn btn-secondary btn-sm assign-id-btn">Assign new id</button>' : ''}
+            ${isFile ? '<button class="btn btn-secondary btn-sm open-raw-btn">Open raw file</button>' : ''}
+          </div>
+        </div>
+      `;
+    }).join('');
+
+    body.querySelectorAll('.diagnostic-file').forEach(el => {
+      const filename = el.dataset.filename;
+      const assignBtn = el.querySelector('.assign-id-btn');
+      if (assignBtn) {
+        assignBtn.onclick = () => this.assignNewId(filename);
+      }
+      const openBtn = el.querySelector('.open-raw-btn');
+      if (openBtn) {
+        openBtn.onclick = () => this.openRawFile(filename);
+      }
+    });
+  }
+
+  /**
+   * Give the event in a file a new id
+   */
+  async assignNewId(filename) {
+    try {
+      await calendarService.assignNewId(filename);
+    } catch (err) {
+      console.error('Error assigning id:', err);
+      alert('Failed to assign a new id: ' + err.message);
+    }
+  }
+
+  /**
+   * Show the raw contents of a file for editing
+   */
+  async openRawFile(filename) {
+    let content;
+    try {
+      content = await calendarService.readRawFile(filename);
+    } catch (err) {
+      console.error('Error reading file:', err);
+      alert('Failed to read file: ' + err.message);
+      return;
+    }
+
+    this.rawFilename = filename;
+    this.overlay.querySelector('.modal-title').textContent = fileSystemService.describePath(filename);
+    this.overlay.querySelector('.raw-file-footer').classList.remove('hidden');
+
+    const body = this.overlay.querySelector('.diagnostics-body');
+    body.innerHTML = '<textarea class="form-input mono raw-file-editor" spellcheck="false"></textarea>';
+    body.querySelector('.raw-file-editor').value = content ?? '';
+  }
+
+  /**
+   * Save the raw file being edited and return to the list
+   */
+  async saveRawFile() {
+    if (!this.rawFilename) return;
+
+    const content = this.overlay.querySelector('.raw-file-editor').value;
+    try {
+      await calendarService.saveRawFile(this.rawFilename, content);
+      this.renderList();
+    } catch (err) {
+      console.error('Error saving file:', err);
+      alert('Failed to save file: ' + err.message);
+    }
+  }
+
+  /**
+   * Escape HTML entities
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
@@ -3,8 +3,23 @@
  * Supports event types and recurrence
  */
 
-import { calendarService } from '../services/CalendarService.js';
-import { EVENT_TYPES, RECURRENCE_PATTERNS, EVENT_COLORS } from '../constants.js';
+import { calendarService, FileConflictError } from '../services/CalendarService.js';
+import { fileSystemService } from '../services/FileSystemService.js';
+import { MergeDialog } from './MergeDialog.js';
+import {
+  WEEKDAY_CODES, createRule, parseRRule, formatRRule, getEventRule, getNextOccurrences, getWeekdayIndex
+} from '../services/Recurrence.js';
+import { parseDate } from '../utils/dateUtils.js';
+import { listTimeZones } from '../utils/timezone.js';
+import {
+  EVENT_TYPES, RECURRENCE_PATTERNS, RECURRENCE_SCOPES, MONTH_END_POLICIES, DEFAULT_MONTH_END_POLICY,
+  EVENT_COLORS, DAYS, DAYS_FULL, MONTHS_SHORT, PRIMARY_CALENDAR_ID
+} from '../constants.js';
+
+const ORDINALS = ['first', 'second', 'third', 'fourth'];
+
+// Units shown next to the interval input
+const INTERVAL_UNITS = { daily: 'day(s)', weekly: 'week(s)', monthly: 'month(s)', yearly: 'year(s)' };
 
 export class EventModal {
   constructor(options = {}) {
@@ -14,6 +29,7 @@ export class EventModal {
     this.event = null;
     this.isNew = true;
     this.overlay = null;
+    this.mergeDialog = new MergeDialog();
     this.createOverlay();
   }
 
@@ -54,6 +70,14 @@ export class EventModal {
       .map(([key, val]) => `<option value="${key}">${val}</option>`)
       .join('');
 
+    const timezoneOptions = listTimeZones()
+      .map(zone => `<option value="${zone}"></option>`)
+      .join('');
+
+    const scopeButtons = Object.entries(RECURRENCE_SCOPES)
+      .map(([key, val]) => `<button class="btn btn-secondary scope-btn" data-scope="${key}">${val}</button>`)
+      .join('');
+
     return `
       <div class="modal">
         <div class="modal-header">
@@ -70,6 +94,11 @@ export class EventModal {
             <input type="text" id="event-title" class="form-input" placeholder="Event title" autofocus>
           </div>
 
+          <div class="form-group calendar-field hidden">
+            <label class="form-label" for="event-calendar">Calendar</label>
+            <select id="event-calendar" class="form-input"></select>
+          </div>
+
           <div class="form-row">
             <div class="form-group">
               <label class="form-label" for="event-type">Type</label>
@@ -107,6 +136,18 @@ export class EventModal {
             </div>
           </div>
 
+          <div class="form-row">
+            <div class="form-group time-field">
+              <label class="form-label" for="event-timezone">Time Zone</label>
+              <input type="text" id="event-timezone" class="form-input" list="event-timezone-options" placeholder="None (same time everywhere)">
+            </div>
+            <div class="form-group time-field">
+              <label class="form-label" for="event-end-timezone">End Time Zone</label>
+              <input type="text" id="event-end-timezone" class="form-input" list="event-timezone-options" placeholder="Same as start">
+            </div>
+            <datalist id="event-timezone-options">${timezoneOptions}</datalist>
+          </div>
+
           <div class="form-row">
             <div class="form-group">
               <label class="form-label" for="event-recurrence">Repeat</label>
@@ -114,10 +155,59 @@ export class EventModal {
                 ${recurrenceOptions}
               </select>
             </div>
+            <div class="form-group recurrence-field">
+              <label class="form-label" for="event-recurrence-interval">Every</label>
+              <div class="interval-input">
+                <input type="number" id="event-recurrence-interval" class="form-input mono" min="1" value="1">
+                <span class="interval-unit"></span>
+              </div>
+            </div>
+          </div>
+
+          <div class="form-group recurrence-field recurrence-weekly-field">
+            <label class="form-label">On</label>
+            <div class="weekday-picker">
+              ${WEEKDAY_CODES.map((code, i) => `
+                <button type="button" class="weekday-option" data-weekday="${code}" title="${DAYS_FULL[i]}">${DAYS[i].charAt(0)}</button>
+              `).join('')}
+            </div>
+          </div>
+
+          <div class="form-group recurrence-field recurrence-monthly-field">
+            <label class="form-label" for="event-recurrence-monthly">On</label>
+            <select id="event-recurrence-monthly" class="form-input"></select>
+          </div>
+
+          <div class="form-group recurrence-field month-end-field">
+            <label class="form-label" for="event-month-end">In months without this day</label>
+            <select id="event-month-end" class="form-input">
+              ${Object.entries(MONTH_END_POLICIES).map(([key, val]) => `<option value="${key}">${val}</option>`).join('')}
+            </select>
+          </div>
+
+          <div class="form-row recurrence-field">
+            <div class="form-group">
+              <label class="form-label" for="event-recurrence-ends">Ends</label>
+              <select id="event-recurrence-ends" class="form-input">
+                <option value="never">Never</option>
+                <option value="until">On date</option>
+                <option value="count">After occurrences</option>
+              </select>
+            </div>
             <div class="form-group recurrence-end-field">
               <label class="form-label" for="event-recurrence-end">Until</label>
               <input type="text" id="event-recurrence-end" class="form-input mono" placeholder="YYYY-MM-DD">
             </div>
+            <div class="form-group recurrence-count-field">
+              <label class="form-label" for="event-recurrence-count">Occurrences</label>
+              <input type="number" id="event-recurrence-count" class="form-input mono" min="1" value="10">
+            </div>
+          </div>
+
+          <div class="form-group recurrence-field">
+            <label class="form-label" for="event-rrule">Rule</label>
+            <input type="text" id="event-rrule" class="form-input mono" placeholder="FREQ=WEEKLY;BYDAY=TU,TH">
+            <div class="recurrence-preview"></div>
           </div>
 
           <div class="form-group">
@@ -134,6 +224,13 @@ export class EventModal {
             <textarea id="event-description" class="form-input" placeholder="Add notes or description (markdown supported)"></textarea>
           </div>
         </div>
+        <div class="scope-prompt hidden">
+          <p class="scope-prompt-text"></p>
+          <div class="scope-prompt-actions">
+            ${scopeButtons}
+            <button class="btn btn-secondary scope-cancel-btn">Cancel</button>
+          </div>
+        </div>
         <div class="modal-footer">
           <button class="btn btn-secondary delete-btn hidden">Delete</button>
           <div style="flex: 1"></div>
@@ -148,6 +245,7 @@ export class EventModal {
    * Open modal for new event
    */
   openNew(date = null, time = null, allDay = true) {
+    const calendar = calendarService.getDefaultCalendarId();
     this.isNew = true;
     this.event = {
       title: '',
@@ -156,10 +254,12 @@ export class EventModal {
       startTime: time || '09:00',
       endTime: time ? this.addHour(time) : '10:00',
       allDay: allDay,
-      color: EVENT_COLORS[0],
+      color: fileSystemService.getCalendar(calendar)?.color || EVENT_COLORS[0],
       type: 'personal',
+      calendar,
       recurrence: 'none',
       recurrenceEnd: null,
+      rrule: null,
       description: ''
     };
 
@@ -171,10 +271,8 @@ export class EventModal {
    * Open modal for editing existing event
    */
   openEdit(eventId) {
-    const events = calendarService.getAllEvents();
-    // Handle recurrence instance IDs
-    const originalId = eventId.includes('_') ? eventId.split('_')[0] : eventId;
-    const event = events.find(e => e.id === originalId || e.id === eventId);
+    // Recurrence instance IDs resolve to that single occurrence
+    const event = calendarService.getOccurrence(eventId);
     
     if (!event) return;
 
@@ -215,15 +313,17 @@ export class EventModal {
     modal.querySelector('#event-end-date').value = this.event.endDate || this.event.startDate;
     modal.querySelector('#event-start-time').value = this.event.startTime || '09:00';
     modal.querySelector('#event-end-time').value = this.event.endTime || '10:00';
+    modal.querySelector('#event-timezone').value = this.event.timezone || '';
+    modal.querySelector('#event-end-timezone').value = this.event.endTimezone || '';
     modal.querySelector('#event-recurrence').value = this.event.recurrence || 'none';
-    modal.querySelector('#event-recurrence-end').value = this.event.recurrenceEnd || '';
     modal.querySelector('#event-description').value = this.event.description || '';
+    this.renderCalendarOptions();
 
     // Show/hide time fields
     this.toggleTimeFields(this.event.allDay);
 
-    // Show/hide recurrence end field
-    this.toggleRecurrenceEndField(this.event.recurrence);
+    // Recurrence controls reflect the series rule, not the clicked occurrence
+    this.populateRecurrence(getEventRule(this.event));
 
     // Select color
     modal.querySelectorAll('.color-option').forEach(opt => {
@@ -232,6 +332,25 @@ export class EventModal {
 
     // Show/hide delete button
     modal.querySelector('.delete-btn').classList.toggle('hidden', this.isNew);
+
+    this.hideScopePrompt();
+  }
+
+  /**
+   * Fill the calendar select; it is only shown when there is more than one calendar
+   * Calendars that can't be accessed are listed but disabled.
+   */
+  renderCalendarOptions() {
+    const select = this.overlay.querySelector('#event-calendar');
+    const calendars = fileSystemService.getCalendars();
+
+    select.replaceChildren(...calendars.map(({ id, name, available }) => {
+      const option = new Option(name, id);
+      option.disabled = !available;
+      return option;
+    }));
+    select.value = this.event.calendar || PRIMARY_CALENDAR_ID;
+    this.overlay.querySelector('.calendar-field').classList.toggle('hidden', calendars.length < 2);
   }
 
   /**
@@ -245,13 +364,275 @@ export class EventModal {
   }
 
   /**
-   * Toggle recurrence end field visibility
+   * Populate recurrence controls from a rule
+   * @param {Object|null} rule
+   */
+  populateRecurrence(rule) {
+    const modal = this.overlay.querySelector('.modal');
+    const seriesStart = this.event._isRecurrenceInstance
+      ? calendarService.events.get(this.event._originalId)?.startDate
+      : null;
+    this.seriesStartDate = seriesStart || null;
+
+    modal.querySelector('#event-recurrence-interval').value = rule?.interval || 1;
+    modal.querySelector('#event-recurrence-ends').value = rule?.count ? 'count' : (rule?.until ? 'until' : 'never');
+    modal.querySelector('#event-recurrence-end').value = rule?.until || '';
+    modal.querySelector('#event-recurrence-count').value = rule?.count || 10;
+    modal.querySelector('#event-month-end').value = this.event.monthEndPolicy || DEFAULT_MONTH_END_POLICY;
+
+    const startWeekday = WEEKDAY_CODES[getWeekdayIndex(parseDate(this.getRuleStartDate()))];
+    const weekdays = rule?.freq === 'WEEKLY' && rule.byDay.length
+      ? rule.byDay.map(d => WEEKDAY_CODES[d.weekday])
+      : [startWeekday];
+    modal.querySelectorAll('.weekday-option').forEach(opt => {
+      opt.classList.toggle('selected', weekdays.includes(opt.dataset.weekday));
+    });
+
+    this.renderMonthlyOptions(rule);
+    modal.querySelector('#event-rrule').value = rule ? formatRRule(rule) : '';
+    this.toggleRecurrenceFields(rule ? rule.freq.toLowerCase() : 'none');
+    this.updateRecurrencePreview();
+  }
+
+  /**
+   * Date the recurrence rule is anchored to (the series start when editing an occurrence)
+   */
+  getRuleStartDate() {
+    const startDate = this.overlay.querySelector('#event-start-date').value;
+    if (this.seriesStartDate) return this.seriesStartDate;
+    return /^\d{4}-\d{2}-\d{2}$/.test(startDate) ? startDate : calendarService.formatDate(new Date());
+  }
+
+  /**
+   * Monthly pattern choices derived from the start date
+   * @returns {Array<{value: string, label: string, rule: Object}>}
+   */
+  getMonthlyOptions() {
+    const start = parseDate(this.getRuleStartDate());
+    const day = start.getDate();
+    const weekday = getWeekdayIndex(start);
+    const nth = Math.ceil(day / 7);
+    const isLastWeek = day + 7 > new Date(start.getFullYear(), start.getMonth() + 1, 0).getDate();
+    const weekdayName = DAYS_FULL[weekday];
+    const options = [{ value: 'monthday', label: `On day ${day}`, rule: {} }];
+
+    if (nth <= 4) {
+      options.push({
+        value: 'nth-weekday',
+        label: `On the ${ORDINALS[nth - 1]} ${weekdayName}`,
+        rule: { byDay: [{ weekday, n: nth }] }
+      });
+    }
+    if (isLastWeek) {
+      options.push({
+        value: 'last-weekday',
+        label: `On the last ${weekdayName}`,
+        rule: { byDay: [{ weekday, n: -1 }] }
+      });
+    }
+    options.push(
+      { value: 'last-day', label: 'On the last day', rule: { byMonthDay: [-1] } },
+      {
+        value: 'last-workday',
+        label: 'On the last weekday (Mon–Fri)',
+        rule: { byDay: [0, 1, 2, 3, 4].map(wd => ({ weekday: wd, n: 0 })), bySetPos: [-1] }
+      }
+    );
+    return options;
+  }
+
+  /**
+   * Render the monthly pattern select, keeping a custom entry for rules it cannot express
+   * @param {Object|null} rule
    */
-  toggleRecurrenceEndField(recurrence) {
-    const endField = this.overlay.querySelector('.recurrence-end-field');
-    if (endField) {
-      endField.style.display = recurrence && recurrence !== 'none' ? 'block' : 'none';
+  renderMonthlyOptions(rule) {
+    const select = this.overlay.querySelector('#event-recurrence-monthly');
+    const options = this.getMonthlyOptions();
+    const pattern = (r) => formatRRule({ ...createRule('MONTHLY'), ...r });
+    const current = rule?.freq === 'MONTHLY'
+      ? pattern({ byDay: rule.byDay, byMonthDay: rule.byMonthDay, bySetPos: rule.bySetPos, byMonth: rule.byMonth })
+      : null;
+    const match = options.find(opt => pattern(opt.rule) === current);
+
+    if (current && !match) {
+      options.push({ value: 'custom', label: 'Custom rule', rule: null });
+    }
+    select.innerHTML = options
+      .map(opt => `<option value="${opt.value}">${opt.label}</option>`)
+      .join('');
+    select.value = match ? match.value : (current ? 'custom' : 'monthday');
+  }
+
+  /**
+   * Build a rule from the recurrence controls
+   * @returns {Object|null} Rule, or null when not repeating
+   */
+  buildRuleFromControls() {
+    const modal = this.overlay.querySelector('.modal');
+    const recurrence = modal.querySelector('#event-recurrence').value;
+    if (recurrence === 'none') return null;
+
+    const rule = createRule(recurrence.toUpperCase());
+    rule.interval = Math.max(1, parseInt(modal.querySelector('#event-recurrence-interval').value, 10) || 1);
+
+    const ends = modal.querySelector('#event-recurrence-ends').value;
+    if (ends === 'until') {
+      rule.until = modal.querySelector('#event-recurrence-end').value || null;
+    } else if (ends === 'count') {
+      rule.count = Math.max(1, parseInt(modal.querySelector('#event-recurrence-count').value, 10) || 1);
     }
+
+    if (recurrence === 'weekly') {
+      const startWeekday = getWeekdayIndex(parseDate(this.getRuleStartDate()));
+      const weekdays = [...modal.querySelectorAll('.weekday-option.selected')]
+        .map(opt => WEEKDAY_CODES.indexOf(opt.dataset.weekday));
+      // A single day matching the start date is the plain weekly pattern
+      if (!(weekdays.length === 1 && weekdays[0] === startWeekday) && weekdays.length > 0) {
+        rule.byDay = weekdays.map(weekday => ({ weekday, n: 0 }));
+      }
+    } else if (recurrence === 'monthly') {
+      const value = modal.querySelector('#event-recurrence-monthly').value;
+      const option = this.getMonthlyOptions().find(opt => opt.value === value);
+      if (option) {
+        Object.assign(rule, option.rule);
+      } else {
+        const custom = parseRRule(modal.querySelector('#event-rrule').value);
+        if (custom) {
+          Object.assign(rule, {
+            byDay: custom.byDay, byMonthDay: custom.byMonthDay, bySetPos: custom.bySetPos, byMonth: custom.byMonth
+          });
+        }
+      }
+    }
+
+    return rule;
+  }
+
+  /**
+   * Regenerate the rule text from the controls
+   */
+  syncRuleFromControls() {
+    const rule = this.buildRuleFromControls();
+    this.overlay.querySelector('#event-rrule').value = rule ? formatRRule(rule) : '';
+    this.updateRecurrencePreview();
+  }
+
+  /**
+   * Show the next few occurrences of the rule being edited
+   */
+  updateRecurrencePreview() {
+    const preview = this.overlay.querySelector('.recurrence-preview');
+    const text = this.overlay.querySelector('#event-rrule').value;
+    if (!text) {
+      preview.textContent = '';
+      return;
+    }
+
+    const parsed = parseRRule(text);
+    const rule = parsed && { ...parsed, monthEnd: this.overlay.querySelector('#event-month-end').value };
+    if (!rule) {
+      preview.textContent = 'Invalid rule';
+      preview.classList.add('invalid');
+      return;
+    }
+
+    preview.classList.remove('invalid');
+    const startDate = this.getRuleStartDate();
+    // Fetch one extra occurrence to know whether the series continues
+    const dates = getNextOccurrences(rule, startDate, startDate, 6);
+    preview.textContent = dates.length
+      ? `Next: ${dates.slice(0, 5).map(d => this.formatPreviewDate(d)).join(', ')}${dates.length > 5 ? '…' : ''}`
+      : 'No occurrences';
+  }
+
+  /**
+   * Format a YYYY-MM-DD date for the recurrence preview, e.g. "Tue 6 Jan 2026"
+   */
+  formatPreviewDate(dateStr) {
+    const date = parseDate(dateStr);
+    return `${DAYS[getWeekdayIndex(date)]} ${date.getDate()} ${MONTHS_SHORT[date.getMonth()]} ${date.getFullYear()}`;
+  }
+
+  /**
+   * Check if the series day is missing from some months (29th-31st monthly, Feb 29 yearly)
+   * @param {string} recurrence
+   */
+  hasMissingMonthDays(recurrence) {
+    const start = parseDate(this.getRuleStartDate());
+    if (recurrence === 'yearly') {
+      return start.getMonth() === 1 && start.getDate() === 29;
+    }
+    if (recurrence === 'monthly') {
+      const monthly = this.overlay.querySelector('#event-recurrence-monthly').value;
+      return start.getDate() > 28 && (monthly === 'monthday' || monthly === 'custom');
+    }
+    return false;
+  }
+
+  /**
+   * Toggle recurrence field visibility
+   */
+  toggleRecurrenceFields(recurrence) {
+    const repeats = recurrence && recurrence !== 'none';
+    const modal = this.overlay.querySelector('.modal');
+
+    modal.querySelectorAll('.recurrence-field').forEach(field => {
+      field.style.display = repeats ? '' : 'none';
+    });
+    modal.querySelector('.recurrence-weekly-field').style.display = recurrence === 'weekly' ? '' : 'none';
+    modal.querySelector('.recurrence-monthly-field').style.display = recurrence === 'monthly' ? '' : 'none';
+    modal.querySelector('.interval-unit').textContent = INTERVAL_UNITS[recurrence] || '';
+
+    modal.querySelector('.month-end-field').style.display = repeats && this.hasMissingMonthDays(recurrence) ? '' : 'none';
+
+    const ends = modal.querySelector('#event-recurrence-ends').value;
+    modal.querySelector('.recurrence-end-field').style.display = repeats && ends === 'until' ? '' : 'none';
+    modal.querySelector('.recurrence-count-field').style.display = repeats && ends === 'count' ? '' : 'none';
+  }
+
+  /**
+   * Ask which occurrences of a recurring event an action applies to
+   * @param {'save'|'delete'} action
+   * @returns {Promise<'this'|'following'|'all'|null>} Chosen scope, or null if cancelled
+   */
+  chooseScope(action) {
+    const modal = this.overlay.querySelector('.modal');
+    const prompt = modal.querySelector('.scope-prompt');
+
+    prompt.querySelector('.scope-prompt-text').textContent = action === 'delete'
+      ? 'Delete a recurring event:'
+      : 'Apply changes to a recurring event:';
+    prompt.classList.remove('hidden');
+    modal.querySelector('.modal-footer').classList.add('hidden');
+
+    return new Promise((resolve) => {
+      prompt.querySelectorAll('.scope-btn').forEach(btn => {
+        btn.onclick = () => {
+          this.hideScopePrompt();
+          resolve(btn.dataset.scope);
+        };
+      });
+      prompt.querySelector('.scope-cancel-btn').onclick = () => {
+        this.hideScopePrompt();
+        resolve(null);
+      };
+    });
+  }
+
+  /**
+   * Hide the recurrence scope prompt and restore the footer
+   */
+  hideScopePrompt() {
+    const modal = this.overlay.querySelector('.modal');
+    modal.querySelector('.scope-prompt').classList.add('hidden');
+    modal.querySelector('.modal-footer').classList.remove('hidden');
+  }
+
+  /**
+   * Check if the modal is editing one occurrence of a recurring event
+   */
+  isRecurrenceInstance() {
+    return !this.isNew && Boolean(this.event._isRecurrenceInstance);
   }
 
   /**
@@ -290,9 +671,36 @@ export class EventModal {
       this.toggleTimeFields(e.target.checked);
     };
 
-    // Recurrence change
+    // Recurrence controls regenerate the rule; the rule text can also be edited directly
     modal.querySelector('#event-recurrence').onchange = (e) => {
-      this.toggleRecurrenceEndField(e.target.value);
+      this.toggleRecurrenceFields(e.target.value);
+      this.syncRuleFromControls();
+    };
+    modal.querySelector('#event-recurrence-ends').onchange = () => {
+      this.toggleRecurrenceFields(modal.querySelector('#event-recurrence').value);
+      this.syncRuleFromControls();
+    };
+    modal.querySelectorAll(
+      '#event-recurrence-interval, #event-recurrence-end, #event-recurrence-count, #event-recurrence-monthly'
+    ).forEach(input => {
+      input.oninput = () => {
+        this.toggleRecurrenceFields(modal.querySelector('#event-recurrence').value);
+        this.syncRuleFromControls();
+      };
+    });
+    modal.querySelector('#event-month-end').onchange = () => this.updateRecurrencePreview();
+    modal.querySelectorAll('.weekday-option').forEach(opt => {
+      opt.onclick = () => {
+        opt.classList.toggle('selected');
+        this.syncRuleFromControls();
+      };
+    });
+    modal.querySelector('#event-rrule').oninput = () => this.updateRecurrencePreview();
+    modal.querySelector('#event-start-date').oninput = () => {
+      if (modal.querySelector('#event-recurrence').value === 'none') return;
+      this.renderMonthlyOptions(parseRRule(modal.querySelector('#event-rrule').value));
+      this.toggleRecurrenceFields(modal.querySelector('#event-recurrence').value);
+      this.updateRecurrencePreview();
     };
 
     // Type change - update color to match type default
@@ -306,6 +714,16 @@ export class EventModal {
       }
     };
 
+    // Calendar change - update color to the calendar's default, if it has one
+    modal.querySelector('#event-calendar').onchange = (e) => {
+      const calendarColor = fileSystemService.getCalendar(e.target.value)?.color;
+      const colorOpt = calendarColor && modal.querySelector(`.color-option[data-color="${calendarColor}"]`);
+      if (colorOpt) {
+        modal.querySelectorAll('.color-option').forEach(o => o.classList.remove('selected'));
+        colorOpt.classList.add('selected');
+      }
+    };
+
     // Color picker
     modal.querySelectorAll('.color-option').forEach(opt => {
       opt.onclick = () => {
@@ -336,18 +754,27 @@ export class EventModal {
     const allDay = modal.querySelector('#event-allday').checked;
     const selectedColor = modal.querySelector('.color-option.selected');
     const recurrence = modal.querySelector('#event-recurrence').value;
+    const rrule = recurrence !== 'none' ? modal.querySelector('#event-rrule').value.trim() || null : null;
+    const timezone = allDay ? null : modal.querySelector('#event-timezone').value.trim() || null;
+    const endTimezone = allDay ? null : modal.querySelector('#event-end-timezone').value.trim() || null;
 
     return {
       title: modal.querySelector('#event-title').value.trim() || 'Untitled',
       type: modal.querySelector('#event-type').value,
+      calendar: modal.querySelector('#event-calendar').value || PRIMARY_CALENDAR_ID,
       startDate: modal.querySelector('#event-start-date').value,
       endDate: modal.querySelector('#event-end-date').value,
       startTime: allDay ? null : modal.querySelector('#event-start-time').value,
       endTime: allDay ? null : modal.querySelector('#event-end-time').value,
+      timezone,
+      endTimezone: endTimezone !== timezone ? endTimezone : null,
       allDay: allDay,
       color: selectedColor ? selectedColor.dataset.color : EVENT_COLORS[0],
       recurrence: recurrence,
-      recurrenceEnd: recurrence !== 'none' ? modal.querySelector('#event-recurrence-end').value || null : null,
+      recurrenceEnd: null,
+      recurrenceInterval: 1,
+      rrule: rrule,
+      monthEndPolicy: modal.querySelector('#event-month-end').value,
       description: modal.querySelector('#event-description').value
     };
   }
@@ -358,16 +785,27 @@ export class EventModal {
   async save() {
     const data = this.getFormData();
 
+    // Edits are checked against the file as it was when the modal opened
+    const baseHash = this.event._contentHash;
+
     try {
       if (this.isNew) {
         await calendarService.createEvent(data);
+      } else if (this.isRecurrenceInstance()) {
+        const scope = await this.chooseScope('save');
+        if (!scope) return;
+        await calendarService.updateEvent(this.event.id, data, { scope, baseHash });
       } else {
-        await calendarService.updateEvent(this.event.id, data);
+        await calendarService.updateEvent(this.event.id, data, { baseHash });
       }
 
       this.close();
       this.onSave();
     } catch (err) {
+      if (err instanceof FileConflictError) {
+        await this.resolveConflict(err);
+        return;
+      }
       console.error('Error saving event:', err);
       alert('Failed to save event: ' + err.message);
     }
@@ -377,15 +815,37 @@ export class EventModal {
    * Delete the event
    */
   async delete() {
-    if (!confirm('Delete this event?')) return;
+    let scope = 'all';
+    if (this.isRecurrenceInstance()) {
+      scope = await this.chooseScope('delete');
+      if (!scope) return;
+    } else if (!confirm('Delete this event?')) {
+      return;
+    }
 
     try {
-      await calendarService.deleteEvent(this.event.id);
+      await calendarService.deleteEvent(this.event.id, { scope });
       this.close();
       this.onDelete();
     } catch (err) {
+      if (err instanceof FileConflictError) {
+        await this.resolveConflict(err);
+        return;
+      }
       console.error('Error deleting event:', err);
       alert('Failed to delete event: ' + err.message);
     }
   }
+
+  /**
+   * Let the user merge a file that changed on disk, closing the modal once resolved
+   * @param {FileConflictError} conflict
+   */
+  async resolveConflict(conflict) {
+    const result = await this.mergeDialog.open(conflict);
+    if (result) {
+      this.close();
+      this.onSave();
+    }
+  }
 }
@@ -0,0 +1,147 @@
+/**
+ * ExportDialog - Choose which events to export to an iCalendar or CSV file and download it
+ */
+
+import { exportCalendar } from '../services/IcsExport.js';
+import { exportCsv } from '../services/CsvExport.js';
+import { EVENT_TYPES } from '../services/CalendarService.js';
+import { formatDate, isValidDate } from '../utils/dateUtils.js';
+
+export class ExportDialog {
+  constructor() {
+    this.overlay = null;
+    this.format = 'ics';
+    this.createOverlay();
+  }
+
+  /**
+   * Create the dialog overlay element
+   */
+  createOverlay() {
+    const typeOptions = Object.entries(EVENT_TYPES)
+      .filter(([key]) => key !== 'holiday')
+      .map(([key, val]) => `
+        <div class="checkbox-group">
+          <input type="checkbox" id="export-type-${key}" class="checkbox export-type" value="${key}" checked>
+          <label class="checkbox-label" for="export-type-${key}">${val.label}</label>
+        </div>
+      `)
+      .join('');
+
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'modal-overlay';
+    this.overlay.innerHTML = `
+      <div class="modal export-modal">
+        <div class="modal-header">
+          <h3 class="modal-title"></h3>
+        </div>
+        <div class="modal-body">
+          <div class="form-group">
+            <label class="form-label">Event types</label>
+            <div class="export-types">${typeOptions}</div>
+          </div>
+
+          <div class="form-row">
+            <div class="form-group">
+              <label class="form-label" for="export-start-date">From</label>
+              <input type="text" id="export-start-date" class="form-input mono" placeholder="YYYY-MM-DD">
+            </div>
+            <div class="form-group">
+              <label class="form-label" for="export-end-date">To</label>
+              <input type="text" id="export-end-date" class="form-input mono" placeholder="YYYY-MM-DD">
+            </div>
+          </div>
+          <p class="form-hint">Leave the dates empty to export every event. Repeating events are exported whole.</p>
+
+          <div class="form-group export-holidays-field">
+            <div class="checkbox-group">
+              <input type="checkbox" id="export-holidays" class="checkbox">
+              <label class="checkbox-label" for="export-holidays">Include Swedish holidays</label>
+            </div>
+          </div>
+
+          <div class="form-group export-separator-field">
+            <label class="form-label" for="export-separator">Separator</label>
+            <select id="export-separator" class="form-input">
+              <option value=",">Comma</option>
+              <option value=";">Semicolon (spreadsheets using a decimal comma)</option>
+            </select>
+          </div>
+        </div>
+        <div class="modal-footer">
+          <div style="flex: 1"></div>
+          <button class="btn btn-secondary export-cancel-btn">Cancel</button>
+          <button class="btn btn-primary export-download-btn">Download</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(this.overlay);
+
+    this.overlay.addEventListener('click', (e) => {
+      if (e.target === this.overlay) {
+        this.close();
+      }
+    });
+    this.overlay.querySelector('.export-cancel-btn').onclick = () => this.close();
+    this.overlay.querySelector('.export-download-btn').onclick = () => this.download();
+  }
+
+  /**
+   * Show the dialog
+   * @param {'ics'|'csv'} [format]
+   */
+  open(format = 'ics') {
+    this.format = format;
+    this.overlay.querySelector('.modal-title').textContent =
+      format === 'csv' ? 'Export Spreadsheet' : 'Export Calendar File';
+    this.overlay.querySelector('.export-download-btn').textContent = `Download .${format}`;
+    this.overlay.querySelector('.export-holidays-field').classList.toggle('hidden', format !== 'ics');
+    this.overlay.querySelector('.export-separator-field').classList.toggle('hidden', format !== 'csv');
+    this.overlay.classList.add('open');
+  }
+
+  /**
+   * Close the dialog
+   */
+  close() {
+    this.overlay.classList.remove('open');
+  }
+
+  /**
+   * Export the chosen events in the dialog's format and download the file
+   */
+  download() {
+    const startDate = this.overlay.querySelector('#export-start-date').value.trim() || null;
+    const endDate = this.overlay.querySelector('#export-end-date').value.trim() || null;
+    if ((startDate && !isValidDate(startDate)) || (endDate && !isValidDate(endDate))) {
+      alert('Dates must be in YYYY-MM-DD format');
+      return;
+    }
+
+    const types = [...this.overlay.querySelectorAll('.export-type:checked')].map(input => input.value);
+    const { content, count } = this.format === 'csv'
+      ? exportCsv({ types, startDate, endDate, separator: this.overlay.querySelector('#export-separator').value })
+      : exportCalendar({
+        types,
+        startDate,
+        endDate,
+        includeHolidays: this.overlay.querySelector('#export-holidays').checked
+      });
+    if (count === 0) {
+      alert('No events match the chosen types and dates');
+      return;
+    }
+
+    // The byte order mark lets spreadsheet apps read the file as UTF-8
+    const file = this.format === 'csv'
+      ? new Blob(['\uFEFF', content], { type: 'text/csv' })
+      : new Blob([content], { type: 'text/calendar' });
+    const url = URL.createObjectURL(file);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `nez-calendar-${formatDate(new Date())}.${this.format}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    this.close();
+  }
+}
@@ -0,0 +1,191 @@
+/**
+ * IcsImportDialog - Preview and run an import of an iCalendar file
+ * Lists the events that will be created, those already imported and anything
+ * that could not be represented, before any file is written
+ */
+
+import { previewImport, importEvents } from '../services/IcsImport.js';
+import { calendarService } from '../services/CalendarService.js';
+import { fileSystemService } from '../services/FileSystemService.js';
+
+export class IcsImportDialog {
+  constructor() {
+    this.overlay = null;
+    this.preview = null;
+    this.resolve = null;
+    this.createOverlay();
+  }
+
+  /**
+   * Create the dialog overlay element
+   */
+  createOverlay() {
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'modal-overlay';
+    this.overlay.innerHTML = `
+      <div class="modal import-modal">
+        <div class="modal-header">
+          <h3 class="modal-title">Import Calendar File</h3>
+        </div>
+        <div class="modal-body">
+          <p class="import-summary"></p>
+          <div class="form-group import-calendar-field hidden">
+            <label class="form-label" for="import-calendar">Add to calendar</label>
+            <select id="import-calendar" class="form-input"></select>
+          </div>
+          <div class="import-sections"></div>
+        </div>
+        <div class="modal-footer">
+          <div style="flex: 1"></div>
+          <button class="btn btn-secondary import-cancel-btn">Cancel</button>
+          <button class="btn btn-primary import-run-btn">Import</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(this.overlay);
+
+    this.overlay.querySelector('.import-cancel-btn').onclick = () => this.finish(null);
+    this.overlay.querySelector('.import-run-btn').onclick = () => this.run();
+  }
+
+  /**
+   * Preview a file and let the user import it
+   * @param {File} file - An .ics file
+   * @returns {Promise<number|null>} Number of events created, or null if cancelled
+   */
+  async open(file) {
+    try {
+      this.preview = previewImport(await file.text());
+    } catch (err) {
+      alert(`Failed to read ${file.name}: ${err.message}`);
+      return null;
+    }
+
+    this.render();
+    this.overlay.classList.add('open');
+    return new Promise(resolve => {
+      this.resolve = resolve;
+    });
+  }
+
+  /**
+   * Render the preview
+   */
+  render() {
+    const { name, create, duplicates, failed } = this.preview;
+    const simplified = create.filter(item => item.problems.length > 0).length;
+
+    const summary = [`${create.length} event(s) will be created`];
+    if (simplified) summary.push(`${simplified} of them simplified`);
+    if (duplicates.length) summary.push(`${duplicates.length} already imported`);
+    if (failed.length) summary.push(`${failed.length} can't be imported`);
+    this.overlay.querySelector('.import-summary').textContent =
+      `${name ? `${name}: ` : ''}${summary.join(', ')}.`;
+
+    const calendars = fileSystemService.getCalendars().filter(calendar => calendar.available);
+    const select = this.overlay.querySelector('#import-calendar');
+    select.replaceChildren(...calendars.map(({ id, name: calendarName }) => new Option(calendarName, id)));
+    select.value = calendarService.getDefaultCalendarId();
+    this.overlay.querySelector('.import-calendar-field').classList.toggle('hidden', calendars.length < 2);
+
+    this.overlay.querySelector('.import-sections').innerHTML = [
+      this.renderSection('To create', create, true),
+      this.renderSection("Can't be imported", failed, true),
+      this.renderSection('Already imported, skipped', duplicates.map(event => ({ event, problems: [] })), false)
+    ].join('');
+
+    const runBtn = this.overlay.querySelector('.import-run-btn');
+    runBtn.textContent = `Import ${create.length} event(s)`;
+    runBtn.disabled = create.length === 0;
+    runBtn.classList.remove('hidden');
+    this.overlay.querySelector('.import-cancel-btn').textContent = 'Cancel';
+  }
+
+  /**
+   * Render a list of events with their problems
+   * @param {string} title
+   * @param {Array<{event: Object, problems: string[]}>} items
+   * @param {boolean} open - Expanded initially
+   */
+  renderSection(title, items, open) {
+    if (items.length === 0) return '';
+
+    return `
+      <details class="import-section" ${open ? 'open' : ''}>
+        <summary>${this.escapeHtml(title)} (${items.length})</summary>
+        ${items.map(({ event, problems }) => `
+          <div class="import-item">
+            <span class="import-date mono">${this.escapeHtml(this.formatWhen(event))}</span>
+            <span class="import-title">${this.escapeHtml(event.title)}${event.rrule ? ' <span class="import-repeat">↻</span>' : ''}</span>
+            ${problems.map(problem => `<div class="import-problem">${this.escapeHtml(problem)}</div>`).join('')}
+          </div>
+        `).join('')}
+      </details>
+    `;
+  }
+
+  /**
+   * Format an event's date and time range for the list
+   */
+  formatWhen(event) {
+    const dates = event.endDate && event.endDate !== event.startDate
+      ? `${event.startDate} – ${event.endDate}`
+      : event.startDate;
+    return event.allDay ? dates : `${dates} ${event.startTime}`;
+  }
+
+  /**
+   * Create the previewed events and show the outcome
+   */
+  async run() {
+    const runBtn = this.overlay.querySelector('.import-run-btn');
+    const cancelBtn = this.overlay.querySelector('.import-cancel-btn');
+    const summary = this.overlay.querySelector('.import-summary');
+    runBtn.disabled = true;
+    cancelBtn.disabled = true;
+
+    const { created, errors } = await importEvents(this.preview.create, {
+      calendar: this.overlay.querySelector('#import-calendar').value || undefined,
+      onProgress: ({ done, total }) => {
+        summary.textContent = `Importing ${done} / ${total}…`;
+      }
+    });
+
+    summary.textContent = `Imported ${created.length} event(s)` +
+      (errors.length ? `; ${errors.length} failed.` : '.');
+    this.overlay.querySelector('.import-sections').innerHTML = this.renderSection(
+      'Failed',
+      errors.map(({ event, message }) => ({ event, problems: [message] })),
+      true
+    );
+
+    runBtn.classList.add('hidden');
+    cancelBtn.disabled = false;
+    cancelBtn.textContent = 'Close';
+    cancelBtn.onclick = () => {
+      cancelBtn.onclick = () => this.finish(null);
+      this.finish(created.length);
+    };
+  }
+
+  /**
+   * Close the dialog and report the outcome
+   */
+  finish(result) {
+    this.overlay.classList.remove('open');
+    this.preview = null;
+    if (this.resolve) {
+      this.resolve(result);
+      this.resolve = null;
+    }
+  }
+
+  /**
+   * Escape HTML entities
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
@@ -0,0 +1,188 @@
+/**
+ * MergeDialog - Resolve an event file that changed on disk while it was being edited
+ * Shows the on-disk and in-app versions field by field
+ */
+
+import { calendarService, FileConflictError } from '../services/CalendarService.js';
+import { fileSystemService } from '../services/FileSystemService.js';
+
+export class MergeDialog {
+  constructor() {
+    this.overlay = null;
+    this.conflict = null;
+    this.resolve = null;
+    this.createOverlay();
+  }
+
+  /**
+   * Create the dialog overlay element
+   */
+  createOverlay() {
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'modal-overlay merge-overlay';
+    this.overlay.innerHTML = `
+      <div class="modal merge-modal">
+        <div class="modal-header">
+          <h3 class="modal-title">File Changed on Disk</h3>
+        </div>
+        <div class="modal-body">
+          <p class="merge-text"></p>
+          <div class="merge-fields"></div>
+        </div>
+        <div class="modal-footer">
+          <button class="btn btn-secondary merge-discard-btn">Use disk version</button>
+          <div style="flex: 1"></div>
+          <button class="btn btn-secondary merge-cancel-btn">Cancel</button>
+          <button class="btn btn-primary merge-save-btn">Save</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(this.overlay);
+
+    this.overlay.querySelector('.merge-cancel-btn').onclick = () => this.finish(null);
+    this.overlay.querySelector('.merge-discard-btn').onclick = () => this.discard();
+    this.overlay.querySelector('.merge-save-btn').onclick = () => this.save();
+  }
+
+  /**
+   * Show a conflict and let the user resolve it
+   * @param {FileConflictError} conflict
+   * @returns {Promise<'saved'|'discarded'|null>} What was done, or null if cancelled
+   */
+  open(conflict) {
+    this.render(conflict);
+    this.overlay.classList.add('open');
+    return new Promise(resolve => {
+      this.resolve = resolve;
+    });
+  }
+
+  /**
+   * Render the fields of a conflict
+   */
+  render(conflict) {
+    this.conflict = conflict;
+    const fields = calendarService.getConflictFields(conflict);
+    const filename = this.escapeHtml(fileSystemService.describePath(conflict.filename));
+
+    let text;
+    if (!conflict.diskEvent) {
+      text = `<code>${filename}</code> was deleted or can no longer be read since you started editing. Save to write your version back.`;
+    } else if (fields.length === 0) {
+      text = `<code>${filename}</code> was changed outside the app, but not in any field you can edit here. Save to apply your changes on top.`;
+    } else {
+      text = `<code>${filename}</code> was changed outside the app since you started editing. Choose which version to keep for each field.`;
+    }
+    this.overlay.querySelector('.merge-text').innerHTML = text;
+
+    this.overlay.querySelector('.merge-fields').innerHTML = fields.length === 0 ? '' : `
+      <div class="merge-row merge-row-header">
+        <span></span>
+        <span>On disk</span>
+        <span>In app</span>
+      </div>
+      ${fields.map(({ field, label, disk, local }) => `
+        <div class="merge-row" data-field="${field}">
+          <span class="merge-label">${label}</span>
+          <label class="merge-option">
+            <input type="radio" name="merge-${field}" value="disk">
+            <span class="merge-value">${this.formatValue(field, disk)}</span>
+          </label>
+          <label class="merge-option">
+            <input type="radio" name="merge-${field}" value="local" checked>
+            <span class="merge-value">${this.formatValue(field, local)}</span>
+          </label>
+        </div>
+      `).join('')}
+    `;
+  }
+
+  /**
+   * Format a field value for display
+   */
+  formatValue(field, value) {
+    if (value === null || value === undefined || value === '' ||
+        (Array.isArray(value) && value.length === 0) ||
+        (typeof value === 'object' && Object.keys(value).length === 0)) {
+      return '<span class="merge-empty">—</span>';
+    }
+    if (typeof value === 'boolean') {
+      return value ? 'Yes' : 'No';
+    }
+    if (field === 'color') {
+      return `<span class="merge-swatch" style="background:${this.escapeHtml(value)}"></span>${this.escapeHtml(value)}`;
+    }
+    if (Array.isArray(value)) {
+      return this.escapeHtml(value.join(', '));
+    }
+    if (typeof value === 'object') {
+      return this.escapeHtml(JSON.stringify(value));
+    }
+    return this.escapeHtml(String(value));
+  }
+
+  /**
+   * Collect the chosen version per field
+   * @returns {Object<string, 'disk'|'local'>}
+   */
+  getChoices() {
+    const choices = {};
+    this.overlay.querySelectorAll('.merge-row[data-field]').forEach(row => {
+      const checked = row.querySelector('input:checked');
+      choices[row.dataset.field] = checked ? checked.value : 'local';
+    });
+    return choices;
+  }
+
+  /**
+   * Save the merged event
+   */
+  async save() {
+    try {
+      await calendarService.resolveConflict(this.conflict, this.getChoices());
+      this.finish('saved');
+    } catch (err) {
+      if (err instanceof FileConflictError) {
+        // Changed yet again while the dialog was open
+        this.render(err);
+        return;
+      }
+      console.error('Error saving merged event:', err);
+      alert('Failed to save event: ' + err.message);
+    }
+  }
+
+  /**
+   * Throw away the app's changes and load the disk version
+   */
+  async discard() {
+    try {
+      await calendarService.discardConflict(this.conflict);
+      this.finish('discarded');
+    } catch (err) {
+      console.error('Error reloading event:', err);
+      alert('Failed to reload event: ' + err.message);
+    }
+  }
+
+  /**
+   * Close the dialog and report the outcome
+   */
+  finish(result) {
+    this.overlay.classList.remove('open');
+    this.conflict = null;
+    if (this.resolve) {
+      this.resolve(result);
+      this.resolve = null;
+    }
+  }
+
+  /**
+   * Escape HTML entities
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
@@ -4,7 +4,7 @@
 
 import { calendarService } from '../services/CalendarService.js';
 import { BaseView } from './BaseView.js';
-import { isToday } from '../utils/dateUtils.js';
+import { toPlainDate, shiftDate, eachDate, getDayOfWeek } from '../utils/dateUtils.js';
 import { DAYS, MONTHS } from '../constants.js';
 
 export class MonthView extends BaseView {
@@ -14,32 +14,27 @@ export class MonthView extends BaseView {
 
   /**
    * Get the first day of the month grid (may be in prev month)
+   * @returns {string} YYYY-MM-DD, a Monday
    */
   getGridStart() {
-    const firstOfMonth = new Date(this.currentDate.getFullYear(), this.currentDate.getMonth(), 1);
-    const dayOfWeek = firstOfMonth.getDay();
-    // Monday = 0 offset, Sunday = 6 offset
-    const offset = dayOfWeek === 0 ? 6 : dayOfWeek - 1;
-    const start = new Date(firstOfMonth);
-    start.setDate(start.getDate() - offset);
-    return start;
+    const firstOfMonth = `${toPlainDate(this.currentDate).slice(0, 7)}-01`;
+    return shiftDate(firstOfMonth, -getDayOfWeek(firstOfMonth));
   }
 
   /**
    * Get the last day of the month grid (may be in next month)
+   * @returns {string} YYYY-MM-DD
    */
   getGridEnd() {
-    const start = this.getGridStart();
-    const end = new Date(start);
-    end.setDate(end.getDate() + 41); // 6 weeks
-    return end;
+    return shiftDate(this.getGridStart(), 41); // 6 weeks
   }
 
   /**
    * Check if a date is in the current month
+   * @param {string} dateStr - YYYY-MM-DD
    */
-  isCurrentMonth(date) {
-    return date.getMonth() === this.currentDate.getMonth();
+  isCurrentMonth(dateStr) {
+    return dateStr.slice(0, 7) === toPlainDate(this.currentDate).slice(0, 7);
   }
 
   /**
@@ -79,25 +74,9 @@ export class MonthView extends BaseView {
    * Render the month view
    */
   render() {
-    const events = calendarService.getEventsForRange(
-      calendarService.formatDate(this.getGridStart()),
-      calendarService.formatDate(this.getGridEnd())
-    );
-
-    // Build events by date lookup
-    const eventsByDate = new Map();
-    for (const event of events) {
-      const start = new Date(event.startDate);
-      const end = new Date(event.endDate || event.startDate);
-      
-      for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
-        const dateStr = calendarService.formatDate(d);
-        if (!eventsByDate.has(dateStr)) {
-          eventsByDate.set(dateStr, []);
-        }
-        eventsByDate.get(dateStr).push(event);
-      }
-    }
+    const events = calendarService.getEventsForRange(this.getGridStart(), this.getGridEnd());
+
+    const eventsByDate = this.buildEventsByDate(events);
 
     this.container.innerHTML = `
       <div class="calendar-container">
@@ -118,14 +97,11 @@ export class MonthView extends BaseView {
    */
   renderDays(eventsByDate) {
     const cells = [];
-    const gridStart = this.getGridStart();
-    const current = new Date(gridStart);
 
-    for (let i = 0; i < 42; i++) {
-      const dateStr = calendarService.formatDate(current);
+    for (const dateStr of eachDate(this.getGridStart(), this.getGridEnd())) {
       const dayEvents = eventsByDate.get(dateStr) || [];
-      const isToday = this.isToday(current);
-      const isCurrentMonth = this.isCurrentMonth(current);
+      const isToday = this.isToday(dateStr);
+      const isCurrentMonth = this.isCurrentMonth(dateStr);
 
       const classes = ['day-cell'];
       if (!isCurrentMonth) classes.push('other-month');
@@ -133,14 +109,12 @@ export class MonthView extends BaseView {
 
       cells.push(`
         <div class="${classes.join(' ')}" data-date="${dateStr}">
-          <div class="day-number">${current.getDate()}</div>
+          <div class="day-number">${Number(dateStr.slice(8))}</div>
           <div class="day-events">
             ${this.renderDayEvents(dayEvents, dateStr)}
           </div>
         </div>
       `);
-
-      current.setDate(current.getDate() + 1);
     }
 
     return cells.join('');
@@ -166,7 +140,8 @@ export class MonthView extends BaseView {
       const isStart = event.startDate === dateStr;
       const isEnd = event.endDate === dateStr;
       
-      if (event.allDay || isMultiDay) {
+      // Timed events spanning several days come as day segments and keep their times
+      if (event.allDay || (isMultiDay && !event._segment)) {
         // All-day or multi-day: show as solid pill
         let title = event.title;
         if (isMultiDay && !isStart) {
@@ -181,9 +156,9 @@ export class MonthView extends BaseView {
       } else {
         // Timed event: show with time
         return `
-          <div class="event-pill timed" data-id="${event.id}"
+          <div class="event-pill timed" data-id="${event.id}" title="${this.escapeHtml(this.getZoneHint(event))}"
                style="border-color: ${event.color}">
-            <span class="event-time">${this.formatTime(event.startTime)}</span>
+            <span class="event-time">${this.formatDayTimes(event)}</span>
             ${this.escapeHtml(event.title)}
           </div>
         `;
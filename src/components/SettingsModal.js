@@ -0,0 +1,619 @@
+/**
+ * SettingsModal - Storage, calendar, folder and file settings
+ * Controls where events are kept, which folders and .ics files are shown as calendars,
+ * which files are read as events and how new files are organised
+ */
+
+import { calendarService } from '../services/CalendarService.js';
+import { parseFieldMapping, formatFieldMapping } from '../services/NoteFormats.js';
+import { fileSystemService } from '../services/FileSystemService.js';
+import { overlayService } from '../services/OverlayService.js';
+import { feedPublisher } from '../services/FeedPublisher.js';
+import { FOLDER_LAYOUTS, NOTE_FORMATS, FEED_MODES, STORAGE_BACKENDS, EVENT_COLORS, PRIMARY_CALENDAR_ID } from '../constants.js';
+import { formatDate } from '../utils/dateUtils.js';
+import { getLocalTimeZone, isValidTimeZone, listTimeZones } from '../utils/timezone.js';
+import { readZip } from '../utils/zip.js';
+import { IcsImportDialog } from './IcsImportDialog.js';
+import { CsvImportDialog } from './CsvImportDialog.js';
+import { ExportDialog } from './ExportDialog.js';
+
+export class SettingsModal {
+  constructor(options = {}) {
+    this.onFilesChanged = options.onFilesChanged || (() => {});
+    this.onStorageChanged = options.onStorageChanged || (() => {});
+    this.onOverlaysChanged = options.onOverlaysChanged || (() => {});
+    this.overlay = null;
+    this.calendarsChanged = false;
+    this.icsImportDialog = new IcsImportDialog();
+    this.csvImportDialog = new CsvImportDialog();
+    this.exportDialog = new ExportDialog();
+    this.createOverlay();
+  }
+
+  /**
+   * Create the modal overlay element
+   */
+  createOverlay() {
+    const layoutOptions = Object.entries(FOLDER_LAYOUTS)
+      .map(([key, val]) => `<option value="${key}">${val}</option>`)
+      .join('');
+    const formatOptions = Object.entries(NOTE_FORMATS)
+      .map(([key, val]) => `<option value="${key}">${val}</option>`)
+      .join('');
+    const timezoneOptions = listTimeZones()
+      .map(zone => `<option value="${zone}"></option>`)
+      .join('');
+    const hourOptions = (hours) => hours
+      .map(hour => `<option value="${hour}">${String(hour).padStart(2, '0')}:00</option>`)
+      .join('');
+    const feedOptions = Object.entries(FEED_MODES)
+      .map(([key, val]) => `<option value="${key}">${val}</option>`)
+      .join('');
+
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'modal-overlay';
+    this.overlay.innerHTML = `
+      <div class="modal">
+        <div class="modal-header">
+          <h3 class="modal-title">Settings</h3>
+          <button class="modal-close" aria-label="Close">
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M18 6L6 18M6 6l12 12"/>
+            </svg>
+          </button>
+        </div>
+        <div class="modal-body">
+          <div class="form-group">
+            <label class="form-label">Storage</label>
+            <p class="storage-location"></p>
+            <div class="storage-actions">
+              <button class="btn btn-secondary btn-sm export-btn">Export .zip</button>
+              <button class="btn btn-secondary btn-sm import-btn">Import .zip</button>
+              <button class="btn btn-secondary btn-sm import-ics-btn">Import .ics…</button>
+              <button class="btn btn-secondary btn-sm export-ics-btn">Export .ics…</button>
+              <button class="btn btn-secondary btn-sm import-csv-btn">Import .csv…</button>
+              <button class="btn btn-secondary btn-sm export-csv-btn">Export .csv…</button>
+              <button class="btn btn-secondary btn-sm move-btn">Move to folder…</button>
+              <input type="file" class="import-input hidden" accept=".zip,application/zip">
+              <input type="file" class="import-ics-input hidden" accept=".ics,text/calendar">
+              <input type="file" class="import-csv-input hidden" accept=".csv,.tsv,.txt,text/csv">
+            </div>
+            <p class="form-hint browser-storage-hint">Browser storage is private to this browser and is lost if site data is cleared. Export a backup now and then.</p>
+          </div>
+
+          <div class="form-group calendars-section">
+            <label class="form-label">Calendars</label>
+            <div class="calendar-list"></div>
+            <div class="storage-actions">
+              <button class="btn btn-secondary btn-sm add-calendar-btn">Add folder…</button>
+            </div>
+            <p class="form-hint">Each folder is a calendar with its own color. Removing one only hides it; its files are kept.</p>
+          </div>
+
+          <div class="form-group">
+            <label class="form-label">Read-only calendars (.ics)</label>
+            <div class="overlay-list"></div>
+            <div class="storage-actions">
+              <button class="btn btn-secondary btn-sm add-overlay-btn">Add .ics file…</button>
+              <input type="file" class="overlay-input hidden" accept=".ics,text/calendar">
+            </div>
+            <p class="form-hint overlay-hint"></p>
+          </div>
+
+          <div class="form-group">
+            <label class="form-label" for="settings-folder-layout">Event files</label>
+            <select id="settings-folder-layout" class="form-input">
+              ${layoutOptions}
+            </select>
+            <p class="form-hint">With year and month folders, files move when an event's date changes.</p>
+          </div>
+
+          <div class="form-group">
+            <label class="form-label" for="settings-note-format">Note format for new events</label>
+            <select id="settings-note-format" class="form-input">
+              ${formatOptions}
+            </select>
+            <p class="form-hint">Existing files are always written back in the format they use, so notes shared with Obsidian Full Calendar stay readable there.</p>
+          </div>
+
+          <div class="form-group">
+            <label class="form-label" for="settings-field-mapping">Frontmatter field names</label>
+            <textarea id="settings-field-mapping" class="form-input mono pattern-input" spellcheck="false" placeholder="startDate: start"></textarea>
+            <p class="form-hint">One <code>field: name</code> per line to read and write a field under another key, e.g. <code>title: name</code>. Applies to both note formats; events are reloaded when it changes.</p>
+          </div>
+
+          <div class="form-row">
+            <div class="form-group">
+              <label class="form-label" for="settings-display-timezone">Show times in</label>
+              <input type="text" id="settings-display-timezone" class="form-input" list="settings-timezone-options">
+            </div>
+            <div class="form-group">
+              <label class="form-label" for="settings-secondary-timezone">Second time column</label>
+              <input type="text" id="settings-secondary-timezone" class="form-input" list="settings-timezone-options" placeholder="None">
+            </div>
+            <datalist id="settings-timezone-options">${timezoneOptions}</datalist>
+          </div>
+          <p class="form-hint">Events with a time zone are converted to the zone times are shown in; events without one keep their time everywhere. The week view can show a second zone next to its hours.</p>
+
+          <div class="form-row">
+            <div class="form-group">
+              <label class="form-label" for="settings-day-start">Week view from</label>
+              <select id="settings-day-start" class="form-input">
+                ${hourOptions(Array.from({ length: 24 }, (_, i) => i))}
+              </select>
+            </div>
+            <div class="form-group">
+              <label class="form-label" for="settings-day-end">to</label>
+              <select id="settings-day-end" class="form-input">
+                ${hourOptions(Array.from({ length: 24 }, (_, i) => i + 1))}
+              </select>
+            </div>
+          </div>
+          <p class="form-hint">The week view opens at the first hour. Events earlier or later still widen it, on a darker background.</p>
+
+          <div class="form-group">
+            <label class="form-label" for="settings-feed-mode">Subscription feed</label>
+            <select id="settings-feed-mode" class="form-input">
+              ${feedOptions}
+            </select>
+            <p class="form-hint">Rewritten in the events folder after every change, for a sync tool or web server to share with other devices.</p>
+          </div>
+
+          <div class="form-group">
+            <label class="form-label" for="settings-include">Include files matching</label>
+            <textarea id="settings-include" class="form-input mono pattern-input" spellcheck="false"></textarea>
+          </div>
+
+          <div class="form-group">
+            <label class="form-label" for="settings-exclude">Ignore files matching</label>
+            <textarea id="settings-exclude" class="form-input mono pattern-input" spellcheck="false"></textarea>
+            <p class="form-hint">One glob pattern per line, e.g. <code>README.md</code> or <code>templates/**</code>. Subfolders are searched; hidden folders are skipped.</p>
+          </div>
+        </div>
+        <div class="modal-footer">
+          <button class="btn btn-secondary cancel-btn">Cancel</button>
+          <button class="btn btn-primary save-btn">Save</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(this.overlay);
+
+    this.overlay.addEventListener('click', (e) => {
+      if (e.target === this.overlay) {
+        this.close();
+      }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.overlay.classList.contains('open')) {
+        this.close();
+      }
+    });
+
+    this.overlay.querySelector('.modal-close').onclick = () => this.close();
+    this.overlay.querySelector('.cancel-btn').onclick = () => this.close();
+    this.overlay.querySelector('.save-btn').onclick = () => this.save();
+    this.overlay.querySelector('.export-btn').onclick = () => this.exportArchive();
+    this.overlay.querySelector('.move-btn').onclick = () => this.moveToFolder();
+    this.overlay.querySelector('.add-calendar-btn').onclick = () => this.addCalendar();
+
+    // Without showOpenFilePicker the chosen file is kept as a snapshot
+    const overlayInput = this.overlay.querySelector('.overlay-input');
+    this.overlay.querySelector('.add-overlay-btn').onclick = async () => {
+      if (overlayService.isPickerSupported()) {
+        const handle = await overlayService.pickFile().catch(err => {
+          alert('Failed to open file: ' + err.message);
+          return null;
+        });
+        if (handle) this.addOverlay(handle);
+      } else {
+        overlayInput.click();
+      }
+    };
+    overlayInput.onchange = () => {
+      if (overlayInput.files[0]) {
+        this.addOverlay(overlayInput.files[0]);
+      }
+      overlayInput.value = '';
+    };
+
+    const importInput = this.overlay.querySelector('.import-input');
+    this.overlay.querySelector('.import-btn').onclick = () => importInput.click();
+    importInput.onchange = () => {
+      if (importInput.files[0]) {
+        this.importArchive(importInput.files[0]);
+      }
+      importInput.value = '';
+    };
+
+    const icsInput = this.overlay.querySelector('.import-ics-input');
+    this.overlay.querySelector('.import-ics-btn').onclick = () => icsInput.click();
+    this.overlay.querySelector('.export-ics-btn').onclick = () => {
+      this.close();
+      this.exportDialog.open('ics');
+    };
+    this.overlay.querySelector('.export-csv-btn').onclick = () => {
+      this.close();
+      this.exportDialog.open('csv');
+    };
+    icsInput.onchange = () => {
+      if (icsInput.files[0]) {
+        this.importCalendarFile(icsInput.files[0]);
+      }
+      icsInput.value = '';
+    };
+
+    const csvInput = this.overlay.querySelector('.import-csv-input');
+    this.overlay.querySelector('.import-csv-btn').onclick = () => csvInput.click();
+    csvInput.onchange = () => {
+      if (csvInput.files[0]) {
+        this.importSpreadsheet(csvInput.files[0]);
+      }
+      csvInput.value = '';
+    };
+  }
+
+  /**
+   * Show the modal with current settings
+   */
+  open() {
+    this.renderStorage();
+    this.renderCalendars();
+    this.renderOverlays();
+    this.overlay.querySelector('#settings-folder-layout').value = calendarService.folderLayout;
+    this.overlay.querySelector('#settings-note-format').value = calendarService.noteFormat;
+    this.overlay.querySelector('#settings-field-mapping').value = formatFieldMapping(calendarService.fieldMapping);
+    const displayZone = this.overlay.querySelector('#settings-display-timezone');
+    displayZone.value = calendarService.displayTimezone || '';
+    displayZone.placeholder = `This device (${getLocalTimeZone()})`;
+    this.overlay.querySelector('#settings-secondary-timezone').value = calendarService.secondaryTimezone || '';
+    this.overlay.querySelector('#settings-day-start').value = calendarService.visibleHours.start;
+    this.overlay.querySelector('#settings-day-end').value = calendarService.visibleHours.end;
+    this.overlay.querySelector('#settings-feed-mode').value = feedPublisher.mode;
+    this.overlay.querySelector('#settings-include').value = fileSystemService.includePatterns.join('\n');
+    this.overlay.querySelector('#settings-exclude').value = fileSystemService.excludePatterns.join('\n');
+    this.overlay.classList.add('open');
+  }
+
+  /**
+   * Close the modal, reloading events if calendars were changed
+   */
+  close() {
+    this.overlay.classList.remove('open');
+    if (this.calendarsChanged) {
+      this.calendarsChanged = false;
+      this.onStorageChanged();
+    }
+  }
+
+  /**
+   * Show where events are stored and which storage actions apply
+   */
+  renderStorage() {
+    const hasAccess = fileSystemService.hasAccess();
+    const isBrowserStorage = fileSystemService.isBrowserStorage();
+    const location = this.overlay.querySelector('.storage-location');
+
+    if (!hasAccess) {
+      location.textContent = 'No folder selected';
+    } else if (fileSystemService.storage.kind === 'folder') {
+      location.textContent = `${STORAGE_BACKENDS.folder}: ${fileSystemService.getDirectoryName()}`;
+    } else {
+      location.textContent = STORAGE_BACKENDS[fileSystemService.storage.kind];
+    }
+
+    this.overlay.querySelector('.export-btn').disabled = !hasAccess;
+    this.overlay.querySelector('.import-btn').disabled = !hasAccess;
+    this.overlay.querySelector('.import-ics-btn').disabled = !hasAccess;
+    this.overlay.querySelector('.export-ics-btn').disabled = !hasAccess;
+    this.overlay.querySelector('.import-csv-btn').disabled = !hasAccess;
+    this.overlay.querySelector('.export-csv-btn').disabled = !hasAccess;
+    this.overlay.querySelector('.move-btn').classList.toggle('hidden', !isBrowserStorage || !fileSystemService.isSupported());
+    this.overlay.querySelector('.browser-storage-hint').classList.toggle('hidden', !isBrowserStorage);
+  }
+
+  /**
+   * List calendars with their name, color and a remove button
+   * Only folders can be added as calendars, so the section is hidden in demo mode
+   * and in browsers without folder access.
+   */
+  renderCalendars() {
+    const section = this.overlay.querySelector('.calendars-section');
+    section.classList.toggle('hidden',
+      !fileSystemService.hasAccess() || fileSystemService.isDemo() || !fileSystemService.isSupported());
+
+    const list = this.overlay.querySelector('.calendar-list');
+    list.replaceChildren(...fileSystemService.getCalendars().map(calendar => this.renderCalendarRow(calendar)));
+  }
+
+  /**
+   * Build the settings row of one calendar
+   */
+  renderCalendarRow({ id, name, color, available }) {
+    const row = document.createElement('div');
+    row.className = 'calendar-row';
+    row.innerHTML = `
+      <input type="text" class="form-input calendar-name">
+      <div class="color-picker">
+        ${EVENT_COLORS.map(c => `
+          <div class="color-option ${c === color ? 'selected' : ''}" data-color="${c}" style="background-color: ${c}"></div>
+        `).join('')}
+      </div>
+      <button class="btn btn-secondary btn-sm remove-calendar-btn">Remove</button>
+    `;
+
+    const nameInput = row.querySelector('.calendar-name');
+    nameInput.value = name;
+    nameInput.title = available ? '' : 'No access to this folder; click its pill in the header to reconnect';
+    nameInput.onchange = () => this.updateCalendar(id, { name: nameInput.value });
+
+    row.querySelectorAll('.color-option').forEach(opt => {
+      opt.onclick = () => {
+        // Clicking the selected color clears it, so events fall back to their type's color
+        const selected = opt.classList.contains('selected');
+        row.querySelectorAll('.color-option').forEach(o => o.classList.remove('selected'));
+        opt.classList.toggle('selected', !selected);
+        this.updateCalendar(id, { color: selected ? null : opt.dataset.color });
+      };
+    });
+
+    const removeBtn = row.querySelector('.remove-calendar-btn');
+    removeBtn.classList.toggle('hidden', id === PRIMARY_CALENDAR_ID);
+    removeBtn.onclick = () => this.removeCalendar(id, name);
+    return row;
+  }
+
+  /**
+   * Add a folder as a new calendar
+   */
+  async addCalendar() {
+    try {
+      if (await fileSystemService.addCalendar()) {
+        this.calendarsChanged = true;
+        this.renderCalendars();
+      }
+    } catch (err) {
+      console.error('Error adding calendar:', err);
+      alert('Failed to add calendar: ' + err.message);
+    }
+  }
+
+  /**
+   * Rename a calendar or change its color
+   */
+  async updateCalendar(id, changes) {
+    try {
+      await fileSystemService.updateCalendar(id, changes);
+      this.calendarsChanged = true;
+    } catch (err) {
+      console.error('Error updating calendar:', err);
+      alert('Failed to update calendar: ' + err.message);
+    }
+  }
+
+  /**
+   * Stop showing a calendar after confirming
+   */
+  async removeCalendar(id, name) {
+    if (!confirm(`Remove the calendar "${name}"? Its files stay in the folder.`)) return;
+
+    try {
+      await fileSystemService.removeCalendar(id);
+      this.calendarsChanged = true;
+      this.renderCalendars();
+    } catch (err) {
+      console.error('Error removing calendar:', err);
+      alert('Failed to remove calendar: ' + err.message);
+    }
+  }
+
+  /**
+   * List attached .ics files with their color and a remove button
+   */
+  renderOverlays() {
+    const list = this.overlay.querySelector('.overlay-list');
+    this.overlay.querySelector('.overlay-hint').textContent = overlayService.isPickerSupported()
+      ? 'Shown next to your events but never changed. Updated when the file changes, e.g. after a new export.'
+      : 'Shown next to your events but never changed. This browser keeps a copy; add the file again to update it.';
+
+    list.replaceChildren(...overlayService.getLayers().map(({ id, name, color, error }) => {
+      const row = document.createElement('div');
+      row.className = 'calendar-row';
+      row.innerHTML = `
+        <span class="overlay-name"></span>
+        <div class="color-picker">
+          ${EVENT_COLORS.map(c => `
+            <div class="color-option ${c === color ? 'selected' : ''}" data-color="${c}" style="background-color: ${c}"></div>
+          `).join('')}
+        </div>
+        <button class="btn btn-secondary btn-sm remove-overlay-btn">Remove</button>
+      `;
+      row.querySelector('.overlay-name').textContent = error ? `${name} (${error})` : name;
+
+      row.querySelectorAll('.color-option').forEach(opt => {
+        opt.onclick = async () => {
+          row.querySelectorAll('.color-option').forEach(o => o.classList.remove('selected'));
+          opt.classList.add('selected');
+          await overlayService.setColor(id, opt.dataset.color);
+          this.onOverlaysChanged();
+        };
+      });
+      row.querySelector('.remove-overlay-btn').onclick = async () => {
+        await overlayService.remove(id);
+        this.renderOverlays();
+        this.onOverlaysChanged();
+      };
+      return row;
+    }));
+  }
+
+  /**
+   * Attach an .ics file as a read-only calendar
+   * @param {FileSystemFileHandle|File} source
+   */
+  async addOverlay(source) {
+    try {
+      await overlayService.add(source);
+      this.renderOverlays();
+      this.onOverlaysChanged();
+    } catch (err) {
+      console.error('Error adding calendar file:', err);
+      alert('Failed to add calendar file: ' + err.message);
+    }
+  }
+
+  /**
+   * Download every event file as a zip archive
+   */
+  async exportArchive() {
+    try {
+      const archive = await fileSystemService.exportArchive();
+      const url = URL.createObjectURL(new Blob([archive], { type: 'application/zip' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `nez-calendar-${formatDate(new Date())}.zip`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    } catch (err) {
+      console.error('Error exporting events:', err);
+      alert('Failed to export events: ' + err.message);
+    }
+  }
+
+  /**
+   * Import event files from a zip archive
+   * @param {File} file
+   */
+  async importArchive(file) {
+    try {
+      const files = await readZip(await file.arrayBuffer());
+      const exists = await Promise.all(files.map(f => fileSystemService.fileExists(f.path)));
+      const existing = exists.filter(Boolean).length;
+      const overwrite = existing > 0 &&
+        confirm(`${existing} file(s) in the backup already exist. Replace them with the backup's version?`);
+
+      const { written, skipped } = await fileSystemService.importFiles(files, { overwrite });
+      alert(`Imported ${written.length} file(s)` + (skipped.length ? `, skipped ${skipped.length}.` : '.'));
+
+      this.close();
+      if (written.length > 0) {
+        this.onFilesChanged();
+      }
+    } catch (err) {
+      console.error('Error importing events:', err);
+      alert('Failed to import backup: ' + err.message);
+    }
+  }
+
+  /**
+   * Convert the events of an .ics file into event files, after a preview
+   * @param {File} file
+   */
+  async importCalendarFile(file) {
+    this.close();
+    const created = await this.icsImportDialog.open(file);
+    if (created) {
+      this.onFilesChanged();
+    }
+  }
+
+  /**
+   * Create events from the rows of a CSV file, after mapping its columns
+   * @param {File} file
+   */
+  async importSpreadsheet(file) {
+    this.close();
+    const created = await this.csvImportDialog.open(file);
+    if (created) {
+      this.onFilesChanged();
+    }
+  }
+
+  /**
+   * Copy events from browser storage into a folder and use that folder from now on
+   */
+  async moveToFolder() {
+    try {
+      const result = await fileSystemService.moveToFolder();
+      if (!result) return;
+
+      if (result.skipped.length > 0) {
+        alert(`${result.skipped.length} file(s) already existed in the folder and were left unchanged.`);
+      }
+      this.close();
+      this.onStorageChanged();
+    } catch (err) {
+      console.error('Error moving events:', err);
+      alert('Failed to move events: ' + err.message);
+    }
+  }
+
+  /**
+   * Split a textarea into patterns
+   */
+  readPatterns(selector) {
+    return this.overlay.querySelector(selector).value
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Apply settings, reloading events if the set of files changed
+   */
+  async save() {
+    const include = this.readPatterns('#settings-include');
+    const exclude = this.readPatterns('#settings-exclude');
+
+    if (include.length === 0) {
+      alert('Add at least one pattern for files to include, e.g. *.md');
+      return;
+    }
+
+    const displayZone = this.overlay.querySelector('#settings-display-timezone').value.trim() || null;
+    const secondaryZone = this.overlay.querySelector('#settings-secondary-timezone').value.trim() || null;
+    const unknownZone = [displayZone, secondaryZone].find(zone => zone && !isValidTimeZone(zone));
+    if (unknownZone) {
+      alert(`Unknown time zone "${unknownZone}"; use a name such as Europe/Stockholm`);
+      return;
+    }
+
+    let fieldMapping;
+    try {
+      fieldMapping = parseFieldMapping(this.overlay.querySelector('#settings-field-mapping').value);
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+
+    const dayStart = Number(this.overlay.querySelector('#settings-day-start').value);
+    const dayEnd = Number(this.overlay.querySelector('#settings-day-end').value);
+    if (dayStart >= dayEnd) {
+      alert('The week view must end after it starts');
+      return;
+    }
+
+    const patternsChanged =
+      include.join('\n') !== fileSystemService.includePatterns.join('\n') ||
+      exclude.join('\n') !== fileSystemService.excludePatterns.join('\n');
+
+    // Files are read again with the new field names
+    const mappingChanged = await calendarService.setFieldMapping(fieldMapping);
+
+    // Calendar changes reload everything when closing, which covers the new patterns too
+    const reloadFiles = (patternsChanged || mappingChanged) && !this.calendarsChanged;
+
+    calendarService.setFolderLayout(this.overlay.querySelector('#settings-folder-layout').value);
+    calendarService.setNoteFormat(this.overlay.querySelector('#settings-note-format').value);
+    calendarService.setDisplayTimezone(displayZone);
+    calendarService.setSecondaryTimezone(secondaryZone);
+    calendarService.setVisibleHours(dayStart, dayEnd);
+    fileSystemService.setFilePatterns({ include, exclude });
+    feedPublisher.setMode(this.overlay.querySelector('#settings-feed-mode').value);
+    this.close();
+
+    if (reloadFiles) {
+      this.onFilesChanged();
+    }
+  }
+}
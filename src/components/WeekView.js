@@ -4,14 +4,20 @@
 
 import { calendarService } from "../services/CalendarService.js";
 import { BaseView } from "./BaseView.js";
-import { isToday, getWeekStart, getWeekEnd, getWeekNumber, formatDate } from "../utils/dateUtils.js";
+import { isToday, getWeekStart, getWeekEnd, getWeekNumber, formatDate, addDays, parseDate, toPlainDate, eachDate, timeToMinutes } from "../utils/dateUtils.js";
+import { convertTime, getTimeZoneLabel } from "../utils/timezone.js";
+import { layoutTimedEvents, getHourRange, isTimedEvent } from "../utils/eventLayout.js";
 import { DAYS, MONTHS } from "../constants.js";
 
+// Height of an hour in the grid, in px; matches .week-hour-slot
+const HOUR_HEIGHT = 48;
+
 export class WeekView extends BaseView {
   constructor(container, options = {}) {
     super(container, options);
-    this.startHour = 6;  // 6am
-    this.endHour = 23;   // 11pm
+    // Hours the grid shows, set on render from the visible hours and the week's events
+    this.startHour = calendarService.visibleHours.start;
+    this.endHour = calendarService.visibleHours.end;
     this.handleKeyboard = null; // Will be set once
   }
 
@@ -64,9 +70,7 @@ export class WeekView extends BaseView {
    * Navigate to previous week
    */
   prev() {
-    this.currentDate = new Date(
-      this.currentDate.getTime() - 7 * 24 * 60 * 60 * 1000
-    );
+    this.currentDate = addDays(this.currentDate, -7);
     this.render();
     this.onNavigate(this.currentDate);
   }
@@ -75,9 +79,7 @@ export class WeekView extends BaseView {
    * Navigate to next week
    */
   next() {
-    this.currentDate = new Date(
-      this.currentDate.getTime() + 7 * 24 * 60 * 60 * 1000
-    );
+    this.currentDate = addDays(this.currentDate, 7);
     this.render();
     this.onNavigate(this.currentDate);
   }
@@ -95,7 +97,7 @@ export class WeekView extends BaseView {
    * Set current date
    */
   setDate(date) {
-    this.currentDate = new Date(date);
+    this.currentDate = parseDate(toPlainDate(date));
     this.render();
   }
 
@@ -103,20 +105,27 @@ export class WeekView extends BaseView {
    * Convert time string to minutes from midnight
    */
   timeToMinutes(timeStr) {
-    if (!timeStr) return 0;
-    const [hours, minutes] = timeStr.split(":").map(Number);
-    return hours * 60 + minutes;
+    return timeStr ? timeToMinutes(timeStr) : 0;
+  }
+
+  /**
+   * Check if an hour is only shown because an event falls outside the visible hours
+   */
+  isOutsideVisibleHours(hour) {
+    const { start, end } = calendarService.visibleHours;
+    return hour < start || hour >= end;
   }
 
   /**
    * Calculate event position and height
    */
   getEventPosition(event) {
-    const startMinutes = this.timeToMinutes(event.startTime || "00:00");
-    const endMinutes = this.timeToMinutes(event.endTime || "23:59");
+    // Day segments of longer events may reach past the hours shown
+    const startMinutes = Math.max(this.timeToMinutes(event.startTime || "00:00"), this.startHour * 60);
+    const endMinutes = Math.min(this.timeToMinutes(event.endTime || "23:59"), this.endHour * 60);
 
-    const top = (startMinutes / 60) * 48; // 48px per hour
-    const height = Math.max(((endMinutes - startMinutes) / 60) * 48, 24); // min 24px
+    const top = ((startMinutes - this.startHour * 60) / 60) * HOUR_HEIGHT;
+    const height = Math.max(((endMinutes - startMinutes) / 60) * HOUR_HEIGHT, HOUR_HEIGHT / 2); // min half an hour
 
     return { top, height };
   }
@@ -125,86 +134,81 @@ export class WeekView extends BaseView {
    * Render the week view
    */
   render() {
-    const weekStart = this.getWeekStart();
-    const weekEnd = this.getWeekEnd();
-
-    const events = calendarService.getEventsForRange(
-      calendarService.formatDate(weekStart),
-      calendarService.formatDate(weekEnd)
-    );
+    const weekDates = eachDate(toPlainDate(this.getWeekStart()), toPlainDate(this.getWeekEnd()));
+    const events = calendarService.getEventsForRange(weekDates[0], weekDates[6]);
 
     // Separate all-day and timed events by day
     const allDayByDate = new Map();
     const timedByDate = new Map();
 
-    for (let i = 0; i < 7; i++) {
-      const d = new Date(weekStart);
-      d.setDate(d.getDate() + i);
-      const dateStr = calendarService.formatDate(d);
+    for (const dateStr of weekDates) {
       allDayByDate.set(dateStr, []);
       timedByDate.set(dateStr, []);
     }
 
-    for (const event of events) {
-      const start = new Date(event.startDate);
-      const end = new Date(event.endDate || event.startDate);
-
-      for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
-        const dateStr = calendarService.formatDate(d);
-        if (allDayByDate.has(dateStr)) {
-          if (
-            event.allDay ||
-            (event.endDate && event.endDate !== event.startDate)
-          ) {
-            allDayByDate.get(dateStr).push(event);
-          } else {
-            timedByDate.get(dateStr).push(event);
-          }
+    // Timed events spanning several days are drawn in each day column they touch
+    for (const [dateStr, dayEvents] of this.buildEventsByDate(events)) {
+      if (!allDayByDate.has(dateStr)) continue;
+      for (const event of dayEvents) {
+        if (isTimedEvent(event)) {
+          timedByDate.get(dateStr).push(event);
+        } else {
+          allDayByDate.get(dateStr).push(event);
         }
       }
     }
 
+    // Widen the grid beyond the visible hours for events outside them
+    const visibleHours = calendarService.visibleHours;
+    ({ startHour: this.startHour, endHour: this.endHour } = getHourRange(
+      [...timedByDate.values()].flat(), visibleHours.start, visibleHours.end
+    ));
+
+    const secondaryZone = calendarService.secondaryTimezone;
     this.container.innerHTML = `
-      <div class="week-container">
-        ${this.renderHeader(weekStart)}
+      <div class="week-container ${secondaryZone ? "has-secondary-zone" : ""}">
+        ${this.renderHeader(weekDates)}
         ${this.renderAllDayRow(allDayByDate)}
         <div class="week-grid">
-          ${this.renderTimeColumn()}
-          ${this.renderDayColumns(weekStart, timedByDate)}
+          ${secondaryZone ? this.renderTimeColumn(weekDates[0], secondaryZone) : ""}
+          ${this.renderTimeColumn(weekDates[0])}
+          ${this.renderDayColumns(weekDates, timedByDate)}
         </div>
       </div>
     `;
 
     this.attachEventListeners();
 
-    // Scroll to ~8am
+    // Scroll to the start of the visible hours
     const grid = this.container.querySelector(".week-grid");
     if (grid) {
-      grid.scrollTop = 8 * 48;
+      grid.scrollTop = (visibleHours.start - this.startHour) * HOUR_HEIGHT;
     }
   }
 
   /**
    * Render week header with day names and numbers
+   * @param {string[]} weekDates - YYYY-MM-DD, Monday first
    */
-  renderHeader(weekStart) {
-    const days = [];
-    for (let i = 0; i < 7; i++) {
-      const d = new Date(weekStart);
-      d.setDate(d.getDate() + i);
-      const isToday = this.isToday(d);
-
-      days.push(`
-        <div class="week-header-cell ${isToday ? "today" : ""}">
+  renderHeader(weekDates) {
+    const days = weekDates.map((dateStr, i) => `
+        <div class="week-header-cell ${this.isToday(dateStr) ? "today" : ""}">
           <div class="week-day-name">${DAYS[i]}</div>
-          <div class="week-day-number">${d.getDate()}</div>
+          <div class="week-day-number">${Number(dateStr.slice(8))}</div>
         </div>
       `);
-    }
+
+    // With a second time column, both columns are labelled with their zone
+    const secondaryZone = calendarService.secondaryTimezone;
+    const zoneCells = secondaryZone
+      ? [secondaryZone, calendarService.getDisplayTimezone()].map(zone => `
+        <div class="week-header-cell week-zone-label" title="${zone}">${this.escapeHtml(getTimeZoneLabel(zone, weekDates[0]))}</div>
+      `).join("")
+      : `<div class="week-header-cell" style="border: none;"></div>`;
 
     return `
       <div class="week-header">
-        <div class="week-header-cell" style="border: none;"></div>
+        ${zoneCells}
         ${days.join("")}
       </div>
     `;
@@ -235,6 +239,7 @@ export class WeekView extends BaseView {
 
     return `
       <div class="week-all-day">
+        ${calendarService.secondaryTimezone ? '<div class="week-all-day-label"></div>' : ""}
         <div class="week-all-day-label">all-day</div>
         ${cells.join("")}
       </div>
@@ -243,51 +248,59 @@ export class WeekView extends BaseView {
 
   /**
    * Render time column
+   * @param {string} dateStr - First day of the week (YYYY-MM-DD)
+   * @param {string|null} [zone] - Show the hours of the grid as they are in this zone
    */
-  renderTimeColumn() {
+  renderTimeColumn(dateStr, zone = null) {
+    // Offsets are taken at the start of the week; a DST change within it shifts the labels by an hour
     const slots = [];
     for (let h = this.startHour; h < this.endHour; h++) {
+      const label = zone
+        ? convertTime(dateStr, this.formatHour(h), calendarService.getDisplayTimezone(), zone).time
+        : this.formatHour(h);
       slots.push(`
-        <div class="week-time-slot">
-          <span class="week-time-label">${this.formatHour(h)}</span>
+        <div class="week-time-slot ${this.isOutsideVisibleHours(h) ? "outside-hours" : ""}">
+          <span class="week-time-label">${label}</span>
         </div>
       `);
     }
-    return `<div class="week-time-column">${slots.join("")}</div>`;
+    return `<div class="week-time-column ${zone ? "secondary" : ""}">${slots.join("")}</div>`;
   }
 
   /**
    * Render day columns with timed events
+   * @param {string[]} weekDates - YYYY-MM-DD, Monday first
+   * @param {Map<string, Object[]>} timedByDate
    */
-  renderDayColumns(weekStart, timedByDate) {
+  renderDayColumns(weekDates, timedByDate) {
     const columns = [];
 
-    for (let i = 0; i < 7; i++) {
-      const d = new Date(weekStart);
-      d.setDate(d.getDate() + i);
-      const dateStr = calendarService.formatDate(d);
+    for (const dateStr of weekDates) {
       const events = timedByDate.get(dateStr) || [];
 
       // Render hour slots
       const slots = [];
       for (let h = this.startHour; h < this.endHour; h++) {
         slots.push(
-          `<div class="week-hour-slot" data-date="${dateStr}" data-hour="${h}"></div>`
+          `<div class="week-hour-slot ${this.isOutsideVisibleHours(h) ? "outside-hours" : ""}" data-date="${dateStr}" data-hour="${h}"></div>`
         );
       }
 
-      // Render positioned events
-      const eventElements = events
-        .map((event) => {
+      // Render positioned events, overlapping ones side by side
+      const eventElements = layoutTimedEvents(events)
+        .map(({ event, column, span, columns }) => {
           const { top, height } = this.getEventPosition(event);
+          const left = (column / columns) * 100;
+          const right = ((columns - column - span) / columns) * 100;
+          const classes = ["week-event"];
+          if (event._segment?.continuesBefore) classes.push("continues-before");
+          if (event._segment?.continuesAfter) classes.push("continues-after");
           return `
-          <div class="week-event" data-id="${event.id}"
-               style="top: ${top}px; height: ${height}px; background-color: ${
+          <div class="${classes.join(" ")}" data-id="${event.id}" title="${this.escapeHtml(this.getZoneHint(event))}"
+               style="top: ${top}px; height: ${height}px; left: calc(${left}% + 2px); right: calc(${right}% + 2px); background-color: ${
             event.color
           }">
-            <div class="week-event-time">${this.formatTime(
-              event.startTime
-            )}</div>
+            <div class="week-event-time">${this.formatDayTimes(event)}</div>
             <div class="week-event-title">${this.escapeHtml(event.title)}</div>
           </div>
         `;
@@ -5,11 +5,12 @@
 
 import { calendarService } from '../services/CalendarService.js';
 import { BaseView } from './BaseView.js';
-import { isToday, isWeekend, formatDate } from '../utils/dateUtils.js';
+import { isToday, isWeekend, eachDate, eachDateOfMonth, getDayOfWeek } from '../utils/dateUtils.js';
+import { isTimedEvent, getDaySegments } from '../utils/eventLayout.js';
 import { MONTHS } from '../constants.js';
 
 const DAYS = ['M', 'T', 'W', 'T', 'F', 'S', 'S'];
-const DAYS_SHORT = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+const DAYS_SHORT = ['MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT', 'SUN'];
 
 // 20 columns × 19 rows = wider cells for readable text
 const COLS_PER_ROW = 20;
@@ -81,28 +82,9 @@ export class YearView extends BaseView {
     `;
   }
 
-  buildEventsByDate(events) {
-    const eventsByDate = new Map();
-    for (const event of events) {
-      const start = new Date(event.startDate);
-      const end = new Date(event.endDate || event.startDate);
-      for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
-        const dateStr = calendarService.formatDate(d);
-        if (!eventsByDate.has(dateStr)) {
-          eventsByDate.set(dateStr, []);
-        }
-        eventsByDate.get(dateStr).push(event);
-      }
-    }
-    return eventsByDate;
-  }
-
   renderMiniMonth(year, month, eventsByDate) {
-    const firstDay = new Date(year, month, 1);
-    const lastDay = new Date(year, month + 1, 0);
-    const dayOfWeek = firstDay.getDay();
-    const startDayOfWeek = dayOfWeek === 0 ? 6 : dayOfWeek - 1;
-    const daysInMonth = lastDay.getDate();
+    const dates = eachDateOfMonth(year, month);
+    const startDayOfWeek = getDayOfWeek(dates[0]);
 
     const headers = DAYS.map(d => `<div class="mini-day-header">${d}</div>`).join('');
     const days = [];
@@ -111,10 +93,9 @@ export class YearView extends BaseView {
       days.push('<div class="mini-day other-month"></div>');
     }
 
-    for (let day = 1; day <= daysInMonth; day++) {
-      const date = new Date(year, month, day);
-      const dateStr = calendarService.formatDate(date);
-      const dayIsToday = isToday(date);
+    dates.forEach((dateStr, i) => {
+      const day = i + 1;
+      const dayIsToday = isToday(dateStr);
       const dayEvents = eventsByDate.get(dateStr) || [];
 
       const classes = ['mini-day'];
@@ -128,7 +109,7 @@ export class YearView extends BaseView {
       const more = dayEvents.length > 2 ? `<div class="mini-more">+${dayEvents.length - 2}</div>` : '';
 
       days.push(`<div class="${classes.join(' ')}" data-date="${dateStr}"><span class="mini-day-num">${day}</span>${eventDots}${more}</div>`);
-    }
+    });
 
     return `
       <div class="mini-month" data-month="${month}">
@@ -156,13 +137,17 @@ export class YearView extends BaseView {
   }
 
   buildAllDaysForYear(year) {
-    const days = [];
-    let current = new Date(year, 0, 1);
-    while (current.getFullYear() === year) {
-      days.push(new Date(current));
-      current.setDate(current.getDate() + 1);
+    return eachDate(`${year}-01-01`, `${year}-12-31`);
+  }
+
+  /**
+   * Get the last day an event is on; timed events ending at midnight stop the day before
+   */
+  getLastDate(event) {
+    if (isTimedEvent(event) && event.endDate && event.endDate !== event.startDate) {
+      return getDaySegments(event).at(-1).date;
     }
-    return days;
+    return event.endDate || event.startDate;
   }
 
   buildLinearRows(allDays, events) {
@@ -177,12 +162,11 @@ export class YearView extends BaseView {
   }
 
   renderLinearRow(rowDays, events, isFirstRow) {
-    const dayCells = rowDays.map((date, idx) => {
-      const dateStr = calendarService.formatDate(date);
-      const dayIsToday = isToday(date);
-      const dayIsWeekend = isWeekend(date);
-      const dayName = DAYS_SHORT[date.getDay()];
-      const isFirstOfMonth = date.getDate() === 1;
+    const dayCells = rowDays.map((dateStr, idx) => {
+      const dayIsToday = isToday(dateStr);
+      const dayIsWeekend = isWeekend(dateStr);
+      const dayName = DAYS_SHORT[getDayOfWeek(dateStr)];
+      const isFirstOfMonth = dateStr.endsWith('-01');
       const showMonthBanner = isFirstOfMonth || (idx === 0 && isFirstRow);
 
       const classes = ['yl-day'];
@@ -190,44 +174,40 @@ export class YearView extends BaseView {
       if (dayIsWeekend) classes.push('weekend');
 
       const monthBanner = showMonthBanner 
-        ? `<div class="yl-month-banner">${MONTHS[date.getMonth()]}</div>` 
+        ? `<div class="yl-month-banner">${MONTHS[Number(dateStr.slice(5, 7)) - 1]}</div>` 
         : '';
 
-      return `<div class="${classes.join(' ')}" data-date="${dateStr}">${monthBanner}<span class="yl-abbr">${dayName}</span><span class="yl-num">${date.getDate()}</span></div>`;
+      return `<div class="${classes.join(' ')}" data-date="${dateStr}">${monthBanner}<span class="yl-abbr">${dayName}</span><span class="yl-num">${Number(dateStr.slice(8))}</span></div>`;
     }).join('');
 
     const emptyCells = COLS_PER_ROW - rowDays.length;
     const emptyHtml = '<div class="yl-day empty"></div>'.repeat(emptyCells);
 
-    const rowStart = rowDays[0];
-    const rowEnd = rowDays[rowDays.length - 1];
-    const rowStartStr = calendarService.formatDate(rowStart);
-    const rowEndStr = calendarService.formatDate(rowEnd);
+    const rowStartStr = rowDays[0];
+    const rowEndStr = rowDays[rowDays.length - 1];
 
     const rowEvents = events.filter(event => {
       const eStart = event.startDate;
-      const eEnd = event.endDate || event.startDate;
+      const eEnd = this.getLastDate(event);
       return eStart <= rowEndStr && eEnd >= rowStartStr;
     });
 
     // Render up to 3 events per row
     const eventBars = rowEvents.slice(0, 3).map((event) => {
       const eStartStr = event.startDate;
-      const eEndStr = event.endDate || event.startDate;
+      const eEndStr = this.getLastDate(event);
       
       // Find first day >= event start
       let startIdx = -1;
       for (let j = 0; j < rowDays.length; j++) {
-        const dayStr = calendarService.formatDate(rowDays[j]);
-        if (dayStr >= eStartStr) { startIdx = j; break; }
+        if (rowDays[j] >= eStartStr) { startIdx = j; break; }
       }
       if (startIdx === -1) startIdx = 0;
       
       // Find last day <= event end  
       let endIdx = -1;
       for (let j = rowDays.length - 1; j >= 0; j--) {
-        const dayStr = calendarService.formatDate(rowDays[j]);
-        if (dayStr <= eEndStr) { endIdx = j; break; }
+        if (rowDays[j] <= eEndStr) { endIdx = j; break; }
       }
       if (endIdx === -1) endIdx = rowDays.length - 1;
       
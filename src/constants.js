@@ -65,3 +65,108 @@ export const MONTHS_SHORT = [
   'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
   'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'
 ];
+
+/**
+ * What a monthly or yearly series does in months without its day (e.g. the 31st, or Feb 29)
+ */
+export const MONTH_END_POLICIES = {
+  clamp: 'Use the last day of the month',
+  skip: 'Skip that month'
+};
+
+export const DEFAULT_MONTH_END_POLICY = 'clamp';
+
+/**
+ * Scopes for changing or deleting an occurrence of a recurring event
+ */
+export const RECURRENCE_SCOPES = {
+  this: 'This event',
+  following: 'This and following events',
+  all: 'All events'
+};
+
+/**
+ * Problems found in event files while loading, with display labels
+ */
+export const DIAGNOSTIC_TYPES = {
+  parseError: 'Unparseable frontmatter',
+  missingField: 'Missing field',
+  invalidDate: 'Invalid date',
+  duplicateId: 'Duplicate id',
+  calendarUnavailable: 'Calendar unavailable'
+};
+
+/**
+ * Event fields compared side by side when a file changed on disk during an edit
+ */
+export const MERGE_FIELDS = {
+  title: 'Title',
+  type: 'Type',
+  startDate: 'Start date',
+  endDate: 'End date',
+  allDay: 'All day',
+  startTime: 'Start time',
+  endTime: 'End time',
+  timezone: 'Time zone',
+  endTimezone: 'End time zone',
+  color: 'Color',
+  recurrence: 'Repeat',
+  recurrenceInterval: 'Interval',
+  recurrenceEnd: 'Repeat until',
+  rrule: 'Rule',
+  monthEndPolicy: 'Month end',
+  exceptionDates: 'Skipped dates',
+  overrides: 'Changed occurrences',
+  description: 'Description'
+};
+
+/**
+ * Where new and moved event files are placed within the events folder
+ */
+export const FOLDER_LAYOUTS = {
+  flat: 'Keep files where they are',
+  yearMonth: 'Year and month folders (YYYY/MM/)'
+};
+
+export const DEFAULT_FOLDER_LAYOUT = 'flat';
+
+/**
+ * Frontmatter formats event files can be written in
+ */
+export const NOTE_FORMATS = {
+  native: 'Nez Calendar',
+  fullCalendar: 'Obsidian Full Calendar'
+};
+
+export const DEFAULT_NOTE_FORMAT = 'native';
+
+/**
+ * Hours of the day the week view shows, from start up to end; events outside them widen the grid
+ */
+export const DEFAULT_VISIBLE_HOURS = { start: 6, end: 23 };
+
+/**
+ * .ics subscription feeds kept up to date in the events folder
+ */
+export const FEED_MODES = {
+  off: 'Off',
+  single: 'calendar.ics with all events',
+  perType: 'One file per event type (calendar-work.ics, …)'
+};
+
+/**
+ * Where event files are stored
+ * Browser-private stores are used where folders on disk can't be opened.
+ */
+export const STORAGE_BACKENDS = {
+  folder: 'Folder on this computer',
+  opfs: 'Browser storage (Origin Private File System)',
+  indexeddb: 'Browser storage (IndexedDB)',
+  demo: 'Demo (kept in memory, discarded on reload)'
+};
+
+/**
+ * Calendar backed by the folder (or browser storage) chosen at startup
+ * Further calendars are extra folders registered alongside it.
+ */
+export const PRIMARY_CALENDAR_ID = 'default';
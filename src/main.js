@@ -4,11 +4,17 @@
 
 import './style.css';
 import { fileSystemService } from './services/FileSystemService.js';
+import { overlayService } from './services/OverlayService.js';
+import { feedPublisher } from './services/FeedPublisher.js';
 import { calendarService, EVENT_TYPES } from './services/CalendarService.js';
 import { MonthView } from './components/MonthView.js';
 import { WeekView } from './components/WeekView.js';
 import { YearView } from './components/YearView.js';
 import { EventModal } from './components/EventModal.js';
+import { DiagnosticsPanel } from './components/DiagnosticsPanel.js';
+import { SettingsModal } from './components/SettingsModal.js';
+import { createDemoEvents } from './services/DemoData.js';
+import { readZip } from './utils/zip.js';
 
 class NezCalendar {
   constructor() {
@@ -17,7 +23,7 @@ class NezCalendar {
     this.view = null;
     this.modal = null;
     this.container = document.getElementById('app');
-    this.settingsOpen = false;
+    this.settingsModal = null;
   }
 
   /**
@@ -38,8 +44,29 @@ class NezCalendar {
       onDelete: () => this.refreshView()
     });
 
-    // Try to restore previous folder access
+    // Problems found in event files
+    this.diagnosticsPanel = new DiagnosticsPanel();
+
+    // Folder and file settings
+    this.settingsModal = new SettingsModal({
+      onFilesChanged: () => {
+        if (fileSystemService.hasAccess()) {
+          this.loadAndRender();
+        }
+      },
+      onStorageChanged: () => this.reloadStorage(),
+      onOverlaysChanged: () => {
+        this.renderOverlayPills();
+        this.refreshView();
+      }
+    });
+
+    // Try to restore previous folder access and attached .ics files
     const restored = await fileSystemService.tryRestoreAccess();
+    await overlayService.restore();
+
+    // Rewrite the .ics feeds whenever events change
+    feedPublisher.start();
     
     if (restored || fileSystemService.hasAccess()) {
       await this.loadAndRender();
@@ -76,10 +103,13 @@ class NezCalendar {
               <line x1="3" y1="10" x2="21" y2="10"></line>
             </svg>
             <span>Calendar</span>
+            <span class="demo-badge hidden" title="Changes are discarded when you reload">Demo</span>
           </div>
           <div class="header-filters">
             ${typePills}
           </div>
+          <div class="header-filters header-calendars hidden"></div>
+          <div class="header-filters header-overlays hidden"></div>
         </div>
         <div class="header-center">
           <div class="nav-period">
@@ -104,6 +134,17 @@ class NezCalendar {
             <button class="view-tab active" data-view="month">Month</button>
             <button class="view-tab" data-view="year">Year</button>
           </div>
+          <button class="btn btn-icon diagnostics-btn hidden" title="File problems">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="18" height="18">
+              <path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/><path d="M12 9v4M12 17h.01"/>
+            </svg>
+            <span class="diagnostics-count"></span>
+          </button>
+          <button class="btn btn-icon settings-btn" title="Settings">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="18" height="18">
+              <circle cx="12" cy="12" r="3"/><path d="M19.4 15a1.65 1.65 0 0 0 .33 1.82l.06.06a2 2 0 1 1-2.83 2.83l-.06-.06a1.65 1.65 0 0 0-1.82-.33 1.65 1.65 0 0 0-1 1.51V21a2 2 0 1 1-4 0v-.09A1.65 1.65 0 0 0 9 19.4a1.65 1.65 0 0 0-1.82.33l-.06.06a2 2 0 1 1-2.83-2.83l.06-.06a1.65 1.65 0 0 0 .33-1.82 1.65 1.65 0 0 0-1.51-1H3a2 2 0 1 1 0-4h.09A1.65 1.65 0 0 0 4.6 9a1.65 1.65 0 0 0-.33-1.82l-.06-.06a2 2 0 1 1 2.83-2.83l.06.06a1.65 1.65 0 0 0 1.82.33H9a1.65 1.65 0 0 0 1-1.51V3a2 2 0 1 1 4 0v.09a1.65 1.65 0 0 0 1 1.51 1.65 1.65 0 0 0 1.82-.33l.06-.06a2 2 0 1 1 2.83 2.83l-.06.06a1.65 1.65 0 0 0-.33 1.82V9a1.65 1.65 0 0 0 1.51 1H21a2 2 0 1 1 0 4h-.09a1.65 1.65 0 0 0-1.51 1z"/>
+            </svg>
+          </button>
           <button class="btn btn-icon theme-toggle" title="Toggle Theme">
             <svg class="sun-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="18" height="18">
               <circle cx="12" cy="12" r="5"/><path d="M12 1v2M12 21v2M4.22 4.22l1.42 1.42M18.36 18.36l1.42 1.42M1 12h2M21 12h2M4.22 19.78l1.42-1.42M18.36 5.64l1.42-1.42"/>
@@ -124,6 +165,72 @@ class NezCalendar {
     this.periodDisplay = this.container.querySelector('.period-display');
   }
 
+  /**
+   * Render a toggle pill per calendar; hidden while there is only one
+   * Pills of calendars whose folder can't be accessed ask for access again when clicked.
+   */
+  renderCalendarPills() {
+    const bar = this.container.querySelector('.header-calendars');
+    const calendars = fileSystemService.getCalendars();
+    bar.classList.toggle('hidden', calendars.length < 2);
+
+    bar.replaceChildren(...calendars.map(({ id, name, color, available }) => {
+      const pill = document.createElement('button');
+      pill.className = 'filter-pill';
+      pill.classList.toggle('active', available && calendarService.isCalendarEnabled(id));
+      pill.classList.toggle('unavailable', !available);
+      if (color) {
+        pill.style.setProperty('--pill-color', color);
+      }
+      pill.title = available ? name : `${name}: click to allow access to the folder again`;
+      pill.innerHTML = '<span class="filter-pill-dot"></span>';
+      pill.append(name);
+
+      pill.addEventListener('click', async () => {
+        if (available) {
+          calendarService.toggleCalendar(id);
+          pill.classList.toggle('active');
+        } else if (await fileSystemService.reconnectCalendar(id)) {
+          await this.reloadStorage();
+        }
+      });
+      return pill;
+    }));
+  }
+
+  /**
+   * Render a toggle pill per read-only .ics layer
+   */
+  renderOverlayPills() {
+    const bar = this.container.querySelector('.header-overlays');
+    const layers = overlayService.getLayers();
+    bar.classList.toggle('hidden', layers.length === 0);
+
+    bar.replaceChildren(...layers.map(({ id, name, color, enabled, available, error }) => {
+      const pill = document.createElement('button');
+      pill.className = 'filter-pill overlay-pill';
+      pill.classList.toggle('active', available && enabled);
+      pill.classList.toggle('unavailable', !available || Boolean(error));
+      pill.style.setProperty('--pill-color', color);
+      pill.title = !available ? `${name}: click to allow reading the file again`
+        : error ? `${name}: ${error}`
+        : `${name} (read-only)`;
+      pill.innerHTML = '<span class="filter-pill-dot"></span>';
+      pill.append(name);
+
+      pill.addEventListener('click', async () => {
+        if (available) {
+          await calendarService.toggleOverlay(id);
+          pill.classList.toggle('active');
+        } else if (await overlayService.reconnect(id)) {
+          this.renderOverlayPills();
+          this.refreshView();
+        }
+      });
+      return pill;
+    }));
+  }
+
   /**
    * Render filter bar with event type toggle pills
    */
@@ -203,9 +310,20 @@ class NezCalendar {
       }
     });
 
+    // File problems
+    this.container.querySelector('.diagnostics-btn').addEventListener('click', () => {
+      this.diagnosticsPanel.open();
+    });
+
+    // Settings
+    this.container.querySelector('.settings-btn').addEventListener('click', () => {
+      this.settingsModal.open();
+    });
+
     // Listen for calendar events changes
     calendarService.addListener(() => {
       this.refreshView();
+      this.updateDiagnosticsButton();
     });
   }
 
@@ -214,53 +332,78 @@ class NezCalendar {
    */
   showWelcome() {
     const isSupported = fileSystemService.isSupported();
+    const browserBackend = fileSystemService.getBrowserBackend();
+    const icon = `
+      <svg class="welcome-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+        <rect x="3" y="4" width="18" height="18" rx="2" ry="2"></rect>
+        <line x1="16" y1="2" x2="16" y2="6"></line>
+        <line x1="8" y1="2" x2="8" y2="6"></line>
+        <line x1="3" y1="10" x2="21" y2="10"></line>
+      </svg>
+    `;
     
-    if (!isSupported) {
-      // Unsupported browser (Firefox, Safari, etc.)
+    if (!isSupported && !browserBackend) {
+      // No way to store events at all
       this.mainContent.innerHTML = `
         <div class="welcome-screen">
-          <svg class="welcome-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
-            <rect x="3" y="4" width="18" height="18" rx="2" ry="2"></rect>
-            <line x1="16" y1="2" x2="16" y2="6"></line>
-            <line x1="8" y1="2" x2="8" y2="6"></line>
-            <line x1="3" y1="10" x2="21" y2="10"></line>
-          </svg>
+          ${icon}
           <h1 class="welcome-title">Browser Not Supported</h1>
           <p class="welcome-text">
-            Nez Calendar requires the File System Access API to store events as markdown files on your computer.
+            Nez Calendar needs either access to a folder on your computer or the browser's own storage to keep your events.
+          </p>
+          <p class="welcome-text">
+            Please use an up-to-date version of <strong>Chrome</strong>, <strong>Edge</strong>, <strong>Firefox</strong> or <strong>Safari</strong>.
           </p>
+          <button class="btn btn-secondary demo-btn">Try Demo</button>
+          <p class="welcome-hint">
+            The demo keeps sample events in memory until you reload the page.
+          </p>
+        </div>
+      `;
+    } else if (!isSupported) {
+      // Firefox, Safari etc: keep events in browser-private storage
+      this.mainContent.innerHTML = `
+        <div class="welcome-screen">
+          ${icon}
+          <h1 class="welcome-title">Welcome to Nez Calendar</h1>
           <p class="welcome-text">
-            Please use <strong>Chrome</strong>, <strong>Edge</strong>, or <strong>Opera</strong> to access this app.
+            This browser can't open folders on your computer, so your events will be kept as markdown files in the browser's own storage.
+            You can export them as a <code>.zip</code> at any time from Settings.
           </p>
+          <div class="welcome-actions">
+            <button class="btn btn-primary browser-storage-btn">Get Started</button>
+            <button class="btn btn-secondary import-backup-btn">Import Backup</button>
+            <button class="btn btn-secondary demo-btn">Try Demo</button>
+          </div>
           <p class="welcome-hint">
-            Firefox and Safari do not support direct file system access.
+            To keep events in a folder instead, open the app in <strong>Chrome</strong>, <strong>Edge</strong> or <strong>Opera</strong> and import your backup there.
           </p>
+          <input type="file" class="import-backup-input hidden" accept=".zip,application/zip">
         </div>
       `;
     } else {
       // Supported browser
       this.mainContent.innerHTML = `
         <div class="welcome-screen">
-          <svg class="welcome-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
-            <rect x="3" y="4" width="18" height="18" rx="2" ry="2"></rect>
-            <line x1="16" y1="2" x2="16" y2="6"></line>
-            <line x1="8" y1="2" x2="8" y2="6"></line>
-            <line x1="3" y1="10" x2="21" y2="10"></line>
-          </svg>
+          ${icon}
           <h1 class="welcome-title">Welcome to Nez Calendar</h1>
           <p class="welcome-text">
             Your events are stored as markdown files on your computer. 
             Choose a folder to get started - all your events will be saved there as <code>.md</code> files.
           </p>
-          <button class="btn btn-primary select-folder-btn">
-            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/>
-            </svg>
-            Select Folder
-          </button>
+          <div class="welcome-actions">
+            <button class="btn btn-primary select-folder-btn">
+              <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/>
+              </svg>
+              Select Folder
+            </button>
+            <button class="btn btn-secondary demo-btn">Try Demo</button>
+          </div>
           <p class="welcome-hint">
             Your browser will ask for permission to read and write files in the selected folder.
           </p>
+          ${browserBackend ? '<button class="btn btn-secondary btn-sm browser-storage-btn">Keep events in this browser instead</button>' : ''}
         </div>
       `;
 
@@ -269,6 +412,23 @@ class NezCalendar {
       });
     }
 
+    this.mainContent.querySelector('.demo-btn').addEventListener('click', () => this.startDemo());
+
+    const browserStorageBtn = this.mainContent.querySelector('.browser-storage-btn');
+    if (browserStorageBtn) {
+      browserStorageBtn.addEventListener('click', () => this.useBrowserStorage());
+    }
+
+    const importInput = this.mainContent.querySelector('.import-backup-input');
+    if (importInput) {
+      this.mainContent.querySelector('.import-backup-btn').addEventListener('click', () => importInput.click());
+      importInput.addEventListener('change', () => {
+        if (importInput.files[0]) {
+          this.useBrowserStorage(importInput.files[0]);
+        }
+      });
+    }
+
     // Update period display even when showing welcome
     this.updatePeriodDisplay();
   }
@@ -280,7 +440,7 @@ class NezCalendar {
     try {
       const success = await fileSystemService.requestDirectoryAccess();
       if (success) {
-        await this.loadAndRender();
+        await this.reloadStorage();
       }
     } catch (err) {
       console.error('Error selecting folder:', err);
@@ -288,12 +448,92 @@ class NezCalendar {
     }
   }
 
+  /**
+   * Keep events in browser storage, optionally starting from a backup
+   * @param {File} [backup] - Zip archive of event files
+   */
+  async useBrowserStorage(backup) {
+    try {
+      await fileSystemService.useBrowserStorage();
+      if (backup) {
+        await fileSystemService.importFiles(await readZip(await backup.arrayBuffer()));
+      }
+      await this.reloadStorage();
+    } catch (err) {
+      console.error('Error opening browser storage:', err);
+      alert('Failed to set up storage: ' + err.message);
+    }
+  }
+
+  /**
+   * Try the app with generated sample events kept in memory
+   */
+  async startDemo() {
+    try {
+      fileSystemService.useDemoStorage();
+      // Loading the written files notifies listeners once for all sample events
+      await calendarService.writeEventFiles(createDemoEvents());
+      await this.loadAndRender();
+    } catch (err) {
+      console.error('Error starting demo:', err);
+      alert('Failed to start demo: ' + err.message);
+    }
+  }
+
+  /**
+   * Reload everything after switching folder or storage
+   */
+  async reloadStorage() {
+    // Cached events belong to the previous folder
+    await calendarService.clearCache();
+    await this.loadAndRender();
+  }
+
   /**
    * Load events and render current view
    */
   async loadAndRender() {
-    await calendarService.loadAllEvents();
+    this.container.querySelector('.demo-badge').classList.toggle('hidden', !fileSystemService.isDemo());
+    this.renderCalendarPills();
+    this.renderOverlayPills();
+    this.showLoading();
+    await calendarService.loadAllEvents({
+      onProgress: ({ loaded, total }) => this.updateLoading(loaded, total)
+    });
     this.renderCurrentView();
+
+    // Pick up edits made in other editors or by sync tools
+    try {
+      await calendarService.startWatching();
+    } catch (err) {
+      console.error('Error watching folder:', err);
+    }
+  }
+
+  /**
+   * Show a progress indicator while events load
+   */
+  showLoading() {
+    this.view = null;
+    this.mainContent.innerHTML = `
+      <div class="loading-screen">
+        <p class="loading-text">Loading events…</p>
+        <div class="progress-bar"><div class="progress-fill"></div></div>
+        <p class="loading-count mono"></p>
+      </div>
+    `;
+  }
+
+  /**
+   * Update the loading progress indicator
+   */
+  updateLoading(loaded, total) {
+    const fill = this.mainContent.querySelector('.progress-fill');
+    const count = this.mainContent.querySelector('.loading-count');
+    if (!fill || !count) return;
+
+    fill.style.width = total ? `${Math.round((loaded / total) * 100)}%` : '100%';
+    count.textContent = `${loaded} / ${total}`;
   }
 
   /**
@@ -373,6 +613,16 @@ class NezCalendar {
     this.view?.render();
   }
 
+  /**
+   * Show the file problems button with a count when the last load found any
+   */
+  updateDiagnosticsButton() {
+    const btn = this.container.querySelector('.diagnostics-btn');
+    const count = calendarService.getDiagnostics().length;
+    btn.classList.toggle('hidden', count === 0);
+    btn.querySelector('.diagnostics-count').textContent = count;
+  }
+
   /**
    * Update the period display in the header
    */
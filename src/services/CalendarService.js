@@ -5,20 +5,117 @@
  */
 
 import { fileSystemService } from './FileSystemService.js';
+import { eventCache } from './EventCache.js';
+import { overlayService } from './OverlayService.js';
 import { getSwedishHolidays } from './SwedishHolidays.js';
-import { formatDate } from '../utils/dateUtils.js';
+import { getEventRule, parseRRule, isSimpleRule, formatRRule, expandRule } from './Recurrence.js';
+import { readNote, writeNote, getNoteFields, getFullCalendarFilename, normalizeFieldMapping } from './NoteFormats.js';
+import { isValidDate, toPlainDate, shiftDate, daysBetween } from '../utils/dateUtils.js';
+import { parseFrontmatter, stringifyFrontmatter } from '../utils/frontmatter.js';
+import { hashString } from '../utils/hash.js';
+import { getLocalTimeZone, isValidTimeZone, convertTime } from '../utils/timezone.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
 import { logger } from '../utils/logger.js';
+import { qualifyPath, splitPath, getCalendarId } from '../utils/calendarPath.js';
 
 // Re-export constants for backward compatibility
-export { EVENT_TYPES, RECURRENCE_PATTERNS } from '../constants.js';
-import { EVENT_TYPES, RECURRENCE_PATTERNS } from '../constants.js';
+export { EVENT_TYPES, RECURRENCE_PATTERNS, RECURRENCE_SCOPES, MONTH_END_POLICIES, DIAGNOSTIC_TYPES, MERGE_FIELDS, FOLDER_LAYOUTS, NOTE_FORMATS } from '../constants.js';
+import {
+  EVENT_TYPES, RECURRENCE_PATTERNS, RECURRENCE_SCOPES, MONTH_END_POLICIES, DEFAULT_MONTH_END_POLICY, MERGE_FIELDS,
+  FOLDER_LAYOUTS, DEFAULT_FOLDER_LAYOUT, NOTE_FORMATS, DEFAULT_NOTE_FORMAT, DEFAULT_VISIBLE_HOURS, PRIMARY_CALENDAR_ID
+} from '../constants.js';
+
+// Fields that may be overridden on a single occurrence of a recurring event
+const OVERRIDE_FIELDS = [
+  'title', 'startDate', 'endDate', 'startTime', 'endTime', 'timezone', 'endTimezone', 'allDay', 'color', 'description'
+];
+
+// Number of event files read in parallel when loading
+const READ_CONCURRENCY = 8;
+
+/**
+ * Check if start and end are whole hours of a day with start before end
+ */
+function isValidHourRange(start, end) {
+  return Number.isInteger(start) && Number.isInteger(end) && start >= 0 && end <= 24 && start < end;
+}
+
+/**
+ * Thrown instead of overwriting an event file that changed on disk since it was loaded
+ */
+export class FileConflictError extends Error {
+  /**
+   * @param {Object} localEvent - The event the app tried to save
+   * @param {Object|null} diskEvent - The event now on disk, or null if the file is gone or unreadable
+   * @param {string|null} diskContent - Current file contents, or null if the file is gone
+   */
+  constructor(localEvent, diskEvent, diskContent) {
+    super(`${localEvent._filename} was changed outside the app`);
+    this.name = 'FileConflictError';
+    this.filename = localEvent._filename;
+    this.localEvent = localEvent;
+    this.diskEvent = diskEvent;
+    this.diskHash = diskContent === null ? null : hashString(diskContent);
+    // Series a "this and following" edit still has to create once the conflict is resolved
+    this.followingSeries = null;
+  }
+}
 
 class CalendarService {
   constructor() {
     this.events = new Map();
+    this.diagnostics = [];
     this.listeners = new Set();
     this.showHolidays = localStorage.getItem('showSwedishHolidays') !== 'false';
     this.enabledTypes = this.loadEnabledTypes();
+    this.hiddenCalendars = this.loadHiddenCalendars();
+    this.folderLayout = FOLDER_LAYOUTS[localStorage.getItem('folderLayout')]
+      ? localStorage.getItem('folderLayout')
+      : DEFAULT_FOLDER_LAYOUT;
+    this.noteFormat = NOTE_FORMATS[localStorage.getItem('noteFormat')]
+      ? localStorage.getItem('noteFormat')
+      : DEFAULT_NOTE_FORMAT;
+    this.displayTimezone = this.loadTimezone('displayTimezone');
+    this.secondaryTimezone = this.loadTimezone('secondaryTimezone');
+    this.visibleHours = this.loadVisibleHours();
+    this.fieldMapping = this.loadFieldMapping();
+  }
+
+  /**
+   * Load the frontmatter field mapping from localStorage
+   * @returns {Object<string, string>}
+   */
+  loadFieldMapping() {
+    try {
+      return normalizeFieldMapping(JSON.parse(localStorage.getItem('fieldMapping')) || {});
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Load the hours the week view shows from localStorage
+   * @returns {{start: number, end: number}}
+   */
+  loadVisibleHours() {
+    try {
+      const stored = JSON.parse(localStorage.getItem('visibleHours'));
+      if (stored && isValidHourRange(stored.start, stored.end)) {
+        return { start: stored.start, end: stored.end };
+      }
+    } catch {
+      // Fall back to the default
+    }
+    return { ...DEFAULT_VISIBLE_HOURS };
+  }
+
+  /**
+   * Load a time zone setting from localStorage
+   * @returns {string|null} Null if unset or no longer known
+   */
+  loadTimezone(key) {
+    const zone = localStorage.getItem(key);
+    return isValidTimeZone(zone) ? zone : null;
   }
 
   /**
@@ -63,6 +160,55 @@ class CalendarService {
     return this.enabledTypes.has(type);
   }
 
+  /**
+   * Load ids of calendars switched off in the header from localStorage
+   */
+  loadHiddenCalendars() {
+    try {
+      return new Set(JSON.parse(localStorage.getItem('hiddenCalendars')) || []);
+    } catch (e) {
+      return new Set();
+    }
+  }
+
+  /**
+   * Show or hide a calendar's events
+   */
+  toggleCalendar(calendarId) {
+    if (this.hiddenCalendars.has(calendarId)) {
+      this.hiddenCalendars.delete(calendarId);
+    } else {
+      this.hiddenCalendars.add(calendarId);
+    }
+    localStorage.setItem('hiddenCalendars', JSON.stringify([...this.hiddenCalendars]));
+    this.notifyListeners();
+  }
+
+  /**
+   * Check if a calendar's events are shown
+   */
+  isCalendarEnabled(calendarId) {
+    return !this.hiddenCalendars.has(calendarId);
+  }
+
+  /**
+   * Get the calendar new events go to: the first one that is shown and available
+   * @returns {string}
+   */
+  getDefaultCalendarId() {
+    const calendar = fileSystemService.getCalendars()
+      .find(c => c.available && this.isCalendarEnabled(c.id));
+    return calendar ? calendar.id : PRIMARY_CALENDAR_ID;
+  }
+
+  /**
+   * Show or hide a read-only .ics layer
+   */
+  async toggleOverlay(layerId) {
+    await overlayService.toggle(layerId);
+    this.notifyListeners();
+  }
+
   /**
    * Toggle Swedish holidays
    */
@@ -72,6 +218,134 @@ class CalendarService {
     this.notifyListeners();
   }
 
+  /**
+   * Set where event files are placed
+   * Takes effect for files written from now on; existing files move when next saved.
+   * @param {'flat'|'yearMonth'} layout
+   */
+  setFolderLayout(layout) {
+    if (!FOLDER_LAYOUTS[layout]) {
+      throw new Error(`Unknown folder layout: ${layout}`);
+    }
+    this.folderLayout = layout;
+    localStorage.setItem('folderLayout', layout);
+  }
+
+  /**
+   * Set the frontmatter format new event files are written in
+   * Existing files keep the format they are in.
+   * @param {'native'|'fullCalendar'} format
+   */
+  setNoteFormat(format) {
+    if (!NOTE_FORMATS[format]) {
+      throw new Error(`Unknown note format: ${format}`);
+    }
+    this.noteFormat = format;
+    localStorage.setItem('noteFormat', format);
+  }
+
+  /**
+   * Set the names frontmatter keys have in event files
+   * Cached events were read with the old names, so the cache is dropped; reload events afterwards.
+   * @param {Object<string, string>} mapping - Standard key name -> key used in files
+   * @returns {Promise<boolean>} Whether the mapping changed
+   * @throws {Error} If the mapping is invalid
+   */
+  async setFieldMapping(mapping) {
+    const normalized = normalizeFieldMapping(mapping);
+    if (JSON.stringify(normalized) === JSON.stringify(this.fieldMapping)) {
+      return false;
+    }
+    this.fieldMapping = normalized;
+    localStorage.setItem('fieldMapping', JSON.stringify(normalized));
+    await eventCache.clear();
+    return true;
+  }
+
+  /**
+   * Set the time zone events are shown in
+   * @param {string|null} zone - IANA name, or null for this device's zone
+   */
+  setDisplayTimezone(zone) {
+    const stored = this.saveTimezone('displayTimezone', zone);
+    if (stored !== this.displayTimezone) {
+      this.displayTimezone = stored;
+      this.notifyListeners();
+    }
+  }
+
+  /**
+   * Set the time zone of the week view's second time column
+   * @param {string|null} zone - IANA name, or null for no second column
+   */
+  setSecondaryTimezone(zone) {
+    const stored = this.saveTimezone('secondaryTimezone', zone);
+    if (stored !== this.secondaryTimezone) {
+      this.secondaryTimezone = stored;
+      this.notifyListeners();
+    }
+  }
+
+  /**
+   * Set the hours the week view shows; events outside them still widen the grid
+   * @param {number} start - First hour shown, 0-23
+   * @param {number} end - Hour the grid ends at, 1-24
+   * @throws {Error} If the range is not whole hours within a day
+   */
+  setVisibleHours(start, end) {
+    if (!isValidHourRange(start, end)) {
+      throw new Error(`Invalid visible hours: ${start}-${end}`);
+    }
+    if (start === this.visibleHours.start && end === this.visibleHours.end) return;
+    this.visibleHours = { start, end };
+    localStorage.setItem('visibleHours', JSON.stringify(this.visibleHours));
+    this.notifyListeners();
+  }
+
+  /**
+   * Store a time zone setting
+   * @returns {string|null} The stored zone
+   * @throws {Error} If the zone is not known
+   */
+  saveTimezone(key, zone) {
+    if (!zone) {
+      localStorage.removeItem(key);
+      return null;
+    }
+    if (!isValidTimeZone(zone)) {
+      throw new Error(`Unknown time zone: ${zone}`);
+    }
+    localStorage.setItem(key, zone);
+    return zone;
+  }
+
+  /**
+   * Get the time zone events are shown in
+   * @returns {string}
+   */
+  getDisplayTimezone() {
+    return this.displayTimezone || getLocalTimeZone();
+  }
+
+  /**
+   * Get the folder (relative path ending in "/", or "") an event's file belongs in
+   */
+  getEventFolder(event) {
+    if (this.folderLayout === 'yearMonth') {
+      const [year, month] = event.startDate.split('-');
+      return `${year}/${month}/`;
+    }
+
+    // Flat layout leaves existing files in whatever folder they are in,
+    // unless the event moves to another calendar
+    if (!event._filename || getCalendarId(event._filename) !== (event.calendar || PRIMARY_CALENDAR_ID)) {
+      return '';
+    }
+    const { path } = splitPath(event._filename);
+    const slash = path.lastIndexOf('/');
+    return slash === -1 ? '' : path.slice(0, slash + 1);
+  }
+
   /**
    * Generate a UUID
    */
@@ -84,151 +358,555 @@ class CalendarService {
   }
 
   /**
-   * Generate filename from event data
+   * Generate filename (relative path, qualified with the event's calendar) from event data
+   * Accented letters are transliterated (å/ä → a, ö → o) rather than dropped.
+   * Full Calendar notes are named the way that plugin names them.
    */
   generateFilename(event) {
+    if (event._format === 'fullCalendar') {
+      return qualifyPath(event.calendar, `${this.getEventFolder(event)}${getFullCalendarFilename(event)}`);
+    }
     const slug = event.title
       .toLowerCase()
+      .replace(/æ/g, 'ae')
+      .replace(/ø/g, 'o')
+      .replace(/ß/g, 'ss')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
       .replace(/[^a-z0-9]+/g, '-')
       .replace(/^-|-$/g, '')
       .substring(0, 50) || 'event';
-    return `${event.startDate}-${slug}.md`;
+    return qualifyPath(event.calendar, `${this.getEventFolder(event)}${event.startDate}-${slug}.md`);
   }
 
   /**
-   * Parse markdown content with YAML frontmatter
+   * Get a filename for an event that no other event or existing file uses
+   * Appends -2, -3, ... to the generated name when it is taken
+   * @param {Object} event - Event to name; its current `_filename` is not treated as taken
+   * @returns {Promise<string>}
    */
-  parseMarkdown(content) {
-    const frontmatterRegex = /^---\n([\s\S]*?)\n---\n?([\s\S]*)$/;
-    const match = content.match(frontmatterRegex);
-
-    if (!match) {
-      return { frontmatter: {}, body: content };
-    }
-
-    const frontmatter = {};
-    const lines = match[1].split('\n');
-
-    for (const line of lines) {
-      const colonIndex = line.indexOf(':');
-      if (colonIndex > 0) {
-        const key = line.substring(0, colonIndex).trim();
-        let value = line.substring(colonIndex + 1).trim();
-
-        // Remove quotes if present
-        if ((value.startsWith('"') && value.endsWith('"')) ||
-            (value.startsWith("'") && value.endsWith("'"))) {
-          value = value.slice(1, -1);
-        }
-
-        // Parse booleans and numbers
-        if (value === 'true') value = true;
-        else if (value === 'false') value = false;
-        else if (/^\d+$/.test(value)) value = parseInt(value);
-
-        frontmatter[key] = value;
+  async allocateFilename(event) {
+    const base = this.generateFilename(event);
+    const stem = base.slice(0, -'.md'.length);
+
+    for (let n = 1; ; n++) {
+      const candidate = n === 1 ? base : `${stem}-${n}.md`;
+      if (candidate === event._filename) {
+        return candidate;
+      }
+      const usedByEvent = [...this.events.values()]
+        .some(other => other.id !== event.id && other._filename === candidate);
+      if (!usedByEvent && !(await fileSystemService.fileExists(candidate))) {
+        return candidate;
       }
     }
+  }
 
-    return {
-      frontmatter,
-      body: match[2].trim()
-    };
+  /**
+   * Parse markdown content with YAML frontmatter
+   * @returns {{frontmatter: Object, body: string, document: Object|null, newline: string}}
+   * @throws {Error} If the frontmatter is not valid YAML
+   */
+  parseMarkdown(content) {
+    const { data, body, document, newline } = parseFrontmatter(content);
+    return { frontmatter: data, body, document, newline };
   }
 
   /**
    * Serialize event to markdown with YAML frontmatter
+   * Written in the event's note format; frontmatter keys that format does not use are kept
+   * from the original file
    */
   serializeEvent(event) {
-    const lines = ['---'];
-
-    lines.push(`id: "${event.id}"`);
-    lines.push(`title: "${event.title.replace(/"/g, '\\"')}"`);
-    lines.push(`startDate: "${event.startDate}"`);
+    const data = {
+      id: event.id,
+      title: event.title,
+      startDate: event.startDate
+    };
 
     if (event.endDate && event.endDate !== event.startDate) {
-      lines.push(`endDate: "${event.endDate}"`);
+      data.endDate = event.endDate;
     }
 
-    lines.push(`allDay: ${event.allDay}`);
+    data.allDay = event.allDay;
 
     if (!event.allDay && event.startTime) {
-      lines.push(`startTime: "${event.startTime}"`);
+      data.startTime = event.startTime;
       if (event.endTime) {
-        lines.push(`endTime: "${event.endTime}"`);
+        data.endTime = event.endTime;
+      }
+      if (event.timezone) {
+        data.timezone = event.timezone;
+      }
+      // Flights and other trips can end in another zone than they start in
+      if (event.endTimezone && event.endTimezone !== event.timezone) {
+        data.endTimezone = event.endTimezone;
       }
     }
 
-    lines.push(`color: "${event.color}"`);
-    lines.push(`type: "${event.type || 'personal'}"`);
+    data.color = event.color;
+    data.type = event.type || 'personal';
+
+    // iCalendar UID of imported events, used to recognise them when importing again
+    if (event.uid) {
+      data.uid = event.uid;
+    }
 
     // Recurrence fields
-    if (event.recurrence && event.recurrence !== 'none') {
-      lines.push(`recurrence: "${event.recurrence}"`);
+    if (event.rrule) {
+      data.rrule = event.rrule;
+    } else if (event.recurrence && event.recurrence !== 'none') {
+      data.recurrence = event.recurrence;
       if (event.recurrenceEnd) {
-        lines.push(`recurrenceEnd: "${event.recurrenceEnd}"`);
+        data.recurrenceEnd = event.recurrenceEnd;
       }
       if (event.recurrenceInterval && event.recurrenceInterval > 1) {
-        lines.push(`recurrenceInterval: ${event.recurrenceInterval}`);
+        data.recurrenceInterval = event.recurrenceInterval;
       }
     }
 
-    lines.push('---');
-    lines.push('');
+    if (event.recurrence && event.recurrence !== 'none') {
+      if (event.monthEndPolicy && event.monthEndPolicy !== DEFAULT_MONTH_END_POLICY) {
+        data.monthEndPolicy = event.monthEndPolicy;
+      }
+      if (event.exceptionDates && event.exceptionDates.length > 0) {
+        data.exceptionDates = [...event.exceptionDates].sort();
+      }
+      if (event.overrides && Object.keys(event.overrides).length > 0) {
+        data.overrides = event.overrides;
+      }
+    }
 
-    if (event.description) {
-      lines.push(event.description);
+    const format = event._format || 'native';
+    const frontmatter = writeNote(format, data, event, this.fieldMapping);
+    const document = event._frontmatter || null;
+    if (document) {
+      const fields = getNoteFields(format, this.fieldMapping);
+      for (const [key, value] of Object.entries(document.data)) {
+        if (!fields.includes(key)) {
+          frontmatter[key] = value;
+        }
+      }
     }
 
-    return lines.join('\n');
+    return stringifyFrontmatter(frontmatter, event.description, { document, newline: event._newline });
   }
 
   /**
    * Load all events from the file system
+   * Unchanged files are served from the IndexedDB cache; the rest are read in parallel.
+   * Problems with individual files are collected in `diagnostics` instead of aborting the load
+   * @param {Object} [options]
+   * @param {function({loaded: number, total: number}): void} [options.onProgress] - Called as files are loaded
+   * @returns {Promise<Object[]>} Loaded events
    */
-  async loadAllEvents() {
+  async loadAllEvents({ onProgress = () => {} } = {}) {
+    this.diagnostics = [];
+
     if (!fileSystemService.hasAccess()) {
       this.events.clear();
       return [];
     }
 
-    const files = await fileSystemService.listFiles();
+    // Demo events live in memory only and must not end up in a real folder's cache
+    const useCache = !fileSystemService.isDemo();
+    const [stats, cached] = await Promise.all([
+      fileSystemService.listFileStats(),
+      useCache ? eventCache.getAll() : new Map()
+    ]);
+    const filenames = [...stats.keys()];
+    const total = filenames.length;
+
+    for (const calendar of fileSystemService.getCalendars()) {
+      if (calendar.error) {
+        this.diagnostics.push({
+          filename: qualifyPath(calendar.id, ''),
+          type: 'calendarUnavailable',
+          severity: 'error',
+          message: `The folder of "${calendar.name}" could not be read (${calendar.error}); reconnect it from its pill in the header`
+        });
+      }
+    }
+
+    const isFresh = (filename) => {
+      const entry = cached.get(filename);
+      const { lastModified, size } = stats.get(filename);
+      return entry && entry.lastModified === lastModified && entry.size === size;
+    };
+
+    let loaded = filenames.filter(isFresh).length;
+    onProgress({ loaded, total });
+
+    const fresh = [];
+    const results = await mapWithConcurrency(filenames, READ_CONCURRENCY, async (filename) => {
+      if (isFresh(filename)) {
+        return cached.get(filename);
+      }
+
+      try {
+        const content = await fileSystemService.readFile(filename);
+        const entry = {
+          filename,
+          ...stats.get(filename),
+          ...(content ? this.parseEventFile(filename, content) : { event: null, problems: [] })
+        };
+        fresh.push(entry);
+        return entry;
+      } catch (err) {
+        logger.error(`Error loading event file ${filename}`, { error: err.message });
+        return null;
+      } finally {
+        onProgress({ loaded: ++loaded, total });
+      }
+    });
+
+    // Index in listing order so duplicate ids resolve the same way every time
     this.events.clear();
+    for (const result of results) {
+      if (result) {
+        this.addParsedFile(result.filename, result);
+      }
+    }
+
+    if (useCache) {
+      const removed = [...cached.keys()].filter(filename => !stats.has(filename));
+      await eventCache.update(fresh, removed);
+    }
+
+    this.notifyListeners();
+    return Array.from(this.events.values());
+  }
 
-    for (const filename of files) {
+  /**
+   * Add the event in a file to `events`, recording any problems in `diagnostics`
+   * @param {string} filename
+   * @param {string} content
+   * @returns {Object|null} The added event, or null if the file could not be used
+   */
+  indexEventFile(filename, content) {
+    return this.addParsedFile(filename, this.parseEventFile(filename, content));
+  }
+
+  /**
+   * Add an already parsed file to `events`, recording any problems in `diagnostics`
+   * @param {string} filename
+   * @param {{event: Object|null, problems: Object[]}} parsed - Result of parseEventFile
+   * @returns {Object|null} The added event, or null if the file could not be used
+   */
+  addParsedFile(filename, { event: parsed, problems }) {
+    problems.forEach(problem => this.diagnostics.push({ filename, ...problem }));
+    if (!parsed) return null;
+
+    const event = this.withDefaultColor(parsed);
+
+    const existing = this.events.get(event.id);
+    if (existing && existing._filename !== filename) {
+      this.diagnostics.push({
+        filename,
+        type: 'duplicateId',
+        severity: 'error',
+        message: `id "${event.id}" is already used by ${existing._filename}`,
+        eventId: event.id
+      });
+      return null;
+    }
+
+    this.events.set(event.id, event);
+    return event;
+  }
+
+  /**
+   * Give an event without a color of its own its calendar's current default color
+   * @param {Object} event - Event as returned by parseEventFile, which is left unchanged
+   * @returns {Object}
+   */
+  withDefaultColor(event) {
+    if (event.color) return event;
+    return { ...event, color: fileSystemService.getCalendar(event.calendar)?.color || '#8b5cf6' };
+  }
+
+  /**
+   * Forget cached events, e.g. after switching to another folder
+   */
+  async clearCache() {
+    await eventCache.clear();
+  }
+
+  /**
+   * Drop the event and diagnostics that came from a file
+   * @param {string} filename
+   */
+  forgetEventFile(filename) {
+    for (const [id, event] of this.events) {
+      if (event._filename === filename) {
+        this.events.delete(id);
+      }
+    }
+    this.diagnostics = this.diagnostics.filter(d => d.filename !== filename);
+  }
+
+  /**
+   * Apply files added, changed or removed outside the app without reloading everything
+   * @param {{added?: string[], changed?: string[], removed?: string[]}} changes
+   */
+  async applyFileChanges({ added = [], changed = [], removed = [] }) {
+    removed.forEach(filename => this.forgetEventFile(filename));
+
+    const reload = async (filename) => {
       try {
         const content = await fileSystemService.readFile(filename);
+        this.forgetEventFile(filename);
         if (content) {
-          const { frontmatter, body } = this.parseMarkdown(content);
-
-          const event = {
-            id: frontmatter.id || this.generateId(),
-            title: frontmatter.title || 'Untitled',
-            startDate: frontmatter.startDate,
-            endDate: frontmatter.endDate || frontmatter.startDate,
-            startTime: frontmatter.startTime || null,
-            endTime: frontmatter.endTime || null,
-            allDay: frontmatter.allDay !== false && !frontmatter.startTime,
-            color: frontmatter.color || '#8b5cf6',
-            type: frontmatter.type || 'personal',
-            recurrence: frontmatter.recurrence || 'none',
-            recurrenceEnd: frontmatter.recurrenceEnd || null,
-            recurrenceInterval: frontmatter.recurrenceInterval || 1,
-            description: body,
-            _filename: filename
-          };
-
-          if (event.startDate) {
-            this.events.set(event.id, event);
-          }
+          this.indexEventFile(filename, content);
         }
       } catch (err) {
         logger.error(`Error loading event file ${filename}`, { error: err.message });
       }
+    };
+
+    for (const filename of [...added, ...changed]) {
+      await reload(filename);
+    }
+
+    // Files rejected as duplicates can load once the id they clashed with is gone
+    const unblocked = this.diagnostics
+      .filter(d => d.type === 'duplicateId' && !this.events.has(d.eventId))
+      .map(d => d.filename);
+    for (const filename of unblocked) {
+      await reload(filename);
     }
 
     this.notifyListeners();
-    return Array.from(this.events.values());
+  }
+
+  /**
+   * Keep events in sync with changes made to the folder and .ics layers by other programs
+   */
+  async startWatching() {
+    overlayService.watch(() => this.notifyListeners());
+    await fileSystemService.watch(changes => this.applyFileChanges(changes));
+  }
+
+  /**
+   * Stop following folder changes
+   */
+  stopWatching() {
+    overlayService.unwatch();
+    fileSystemService.unwatch();
+  }
+
+  /**
+   * Build an event from the contents of a markdown file
+   * @param {string} filename
+   * @param {string} content
+   * @returns {{event: Object|null, problems: Array<{type: string, severity: 'error'|'warning', message: string, field?: string}>}}
+   *   event is null when the file cannot be shown in the calendar
+   */
+  parseEventFile(filename, content) {
+    const problems = [];
+    const report = (type, severity, message, details = {}) => problems.push({ type, severity, message, ...details });
+
+    let parsed;
+    try {
+      parsed = this.parseMarkdown(content);
+    } catch (err) {
+      report('parseError', 'error', err.message);
+      return { event: null, problems };
+    }
+
+    const { body, document, newline } = parsed;
+
+    if (!document) {
+      report('parseError', 'error', 'No frontmatter block found');
+      return { event: null, problems };
+    }
+
+    const { format, data: frontmatter } = readNote(parsed.frontmatter, filename, this.fieldMapping);
+
+    const startDate = frontmatter.startDate == null ? '' : String(frontmatter.startDate);
+    if (!startDate) {
+      report('missingField', 'error', 'Missing startDate', { field: 'startDate' });
+      return { event: null, problems };
+    }
+    if (!isValidDate(startDate)) {
+      report('invalidDate', 'error', `Invalid startDate "${startDate}" (expected YYYY-MM-DD)`);
+      return { event: null, problems };
+    }
+
+    let endDate = frontmatter.endDate == null ? startDate : String(frontmatter.endDate);
+    if (!isValidDate(endDate) || endDate < startDate) {
+      report('invalidDate', 'warning', `Invalid endDate "${endDate}"; using startDate instead`);
+      endDate = startDate;
+    }
+
+    let startTime = frontmatter.startTime || null;
+    let endTime = frontmatter.endTime || null;
+    if (startTime && !/^\d{2}:\d{2}$/.test(startTime)) {
+      report('invalidDate', 'warning', `Invalid startTime "${startTime}" (expected HH:MM); shown as all day`);
+      startTime = null;
+      endTime = null;
+    }
+    if (endTime && !/^\d{2}:\d{2}$/.test(endTime)) {
+      report('invalidDate', 'warning', `Invalid endTime "${endTime}" (expected HH:MM); ignored`);
+      endTime = null;
+    }
+
+    const readZone = (field) => {
+      const zone = frontmatter[field] ? String(frontmatter[field]) : null;
+      if (zone && !isValidTimeZone(zone)) {
+        report('invalidDate', 'warning', `Unknown ${field} "${zone}" (expected an IANA name such as Europe/Stockholm); ignored`);
+        return null;
+      }
+      return zone;
+    };
+    const timezone = startTime ? readZone('timezone') : null;
+    const endTimezone = startTime ? readZone('endTimezone') : null;
+
+    if (!frontmatter.id) {
+      report('missingField', 'warning', 'Missing id; a temporary id is used until one is assigned', { field: 'id' });
+    }
+
+    const calendar = getCalendarId(filename);
+    const event = this.applyRecurrenceRule({
+      id: frontmatter.id ? String(frontmatter.id) : this.generateId(),
+      title: frontmatter.title || 'Untitled',
+      startDate,
+      endDate,
+      startTime,
+      endTime,
+      timezone,
+      endTimezone: endTimezone !== timezone ? endTimezone : null,
+      allDay: frontmatter.allDay !== false && !startTime,
+      // The calendar's default color is applied when indexing, so cached files follow changes to it
+      color: frontmatter.color || null,
+      type: frontmatter.type || 'personal',
+      calendar,
+      uid: frontmatter.uid ? String(frontmatter.uid) : null,
+      recurrence: frontmatter.recurrence || 'none',
+      recurrenceEnd: frontmatter.recurrenceEnd || null,
+      recurrenceInterval: frontmatter.recurrenceInterval || 1,
+      rrule: frontmatter.rrule || null,
+      monthEndPolicy: MONTH_END_POLICIES[frontmatter.monthEndPolicy] ? frontmatter.monthEndPolicy : DEFAULT_MONTH_END_POLICY,
+      exceptionDates: this.parseExceptionDates(frontmatter.exceptionDates),
+      overrides: this.parseOverrides(frontmatter.overrides, filename),
+      description: body,
+      _filename: filename,
+      _format: format,
+      _frontmatter: document,
+      _newline: newline,
+      _contentHash: hashString(content)
+    });
+
+    return { event, problems };
+  }
+
+  /**
+   * Get problems found in event files during the last load
+   * @returns {Array<{filename: string, type: string, severity: 'error'|'warning', message: string, field?: string, eventId?: string}>}
+   */
+  getDiagnostics() {
+    return this.diagnostics;
+  }
+
+  /**
+   * Give the event in a file a freshly generated id and reload
+   * Fixes duplicate and missing ids; everything else in the file is left untouched
+   * @param {string} filename
+   * @returns {Promise<string>} The new id
+   */
+  async assignNewId(filename) {
+    const content = await fileSystemService.readFile(filename);
+    if (content === null) {
+      throw new Error(`File ${filename} not found`);
+    }
+
+    const { frontmatter, body, document, newline } = this.parseMarkdown(content);
+    const id = this.generateId();
+    const data = { ...frontmatter, id };
+
+    await fileSystemService.writeFile(filename, stringifyFrontmatter(data, body, { document, newline }));
+    await this.loadAllEvents();
+    return id;
+  }
+
+  /**
+   * Read the raw contents of an event file
+   * @param {string} filename
+   * @returns {Promise<string|null>}
+   */
+  async readRawFile(filename) {
+    return fileSystemService.readFile(filename);
+  }
+
+  /**
+   * Overwrite an event file with hand-edited contents and reload
+   * @param {string} filename
+   * @param {string} content
+   */
+  async saveRawFile(filename, content) {
+    await fileSystemService.writeFile(filename, content);
+    await this.loadAllEvents();
+  }
+
+  /**
+   * Parse the exceptionDates frontmatter value
+   * Accepts a YAML list or the older comma-separated string
+   * @param {string[]|string} [value]
+   * @returns {string[]} Excluded occurrence dates (YYYY-MM-DD)
+   */
+  parseExceptionDates(value) {
+    if (!value) return [];
+    const dates = Array.isArray(value) ? value : String(value).split(',');
+    return dates
+      .map(d => String(d).trim())
+      .filter(d => /^\d{4}-\d{2}-\d{2}$/.test(d));
+  }
+
+  /**
+   * Parse the overrides frontmatter value
+   * Accepts a YAML map or the older JSON-encoded string
+   * @param {Object|string} [value]
+   * @param {string} [filename] - Used for error reporting
+   * @returns {Object<string, Object>} Overridden fields keyed by original occurrence date
+   */
+  parseOverrides(value, filename) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) return value;
+    if (!value || typeof value !== 'string') return {};
+    try {
+      const parsed = JSON.parse(value);
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch (err) {
+      logger.warn(`Invalid overrides in ${filename}`, { error: err.message });
+      return {};
+    }
+  }
+
+  /**
+   * Split a recurrence instance id into its series id and occurrence date
+   * @param {string} id - Event id, e.g. "abc_2026-01-15"
+   * @returns {{seriesId: string, occurrenceDate: string|null}}
+   */
+  parseInstanceId(id) {
+    const match = /^(.+)_(\d{4}-\d{2}-\d{2})$/.exec(id);
+    if (!match) {
+      return { seriesId: id, occurrenceDate: null };
+    }
+    return { seriesId: match[1], occurrenceDate: match[2] };
+  }
+
+  /**
+   * Get an event or a single occurrence of a recurring event by id
+   * @param {string} id - Event id or recurrence instance id
+   * @returns {Object|null}
+   */
+  getOccurrence(id) {
+    const { seriesId, occurrenceDate } = this.parseInstanceId(id);
+    const event = this.events.get(seriesId);
+    if (!event) return null;
+    if (occurrenceDate && this.isRecurring(event)) {
+      return this.buildOccurrence(event, occurrenceDate);
+    }
+    return event;
   }
 
   /**
@@ -239,72 +917,101 @@ class CalendarService {
     
     // Filter by enabled types
     events = events.filter(e => this.enabledTypes.has(e.type || 'personal'));
+
+    // Filter by calendar; the toggles are only shown while there are several calendars
+    if (fileSystemService.getCalendars().length > 1) {
+      events = events.filter(e => this.isCalendarEnabled(e.calendar || PRIMARY_CALENDAR_ID));
+    }
     
     return events;
   }
 
   /**
    * Expand recurring events into instances for a date range
+   * Exception dates are skipped and per-occurrence overrides applied
    */
   expandRecurringEvents(events, startDate, endDate) {
     const expanded = [];
-    const start = new Date(startDate);
-    const end = new Date(endDate);
 
     for (const event of events) {
-      if (!event.recurrence || event.recurrence === 'none') {
+      const rule = getEventRule(event);
+      if (!rule) {
         expanded.push(event);
         continue;
       }
 
-      // Generate recurring instances
-      const eventStart = new Date(event.startDate);
-      const eventEnd = event.endDate ? new Date(event.endDate) : new Date(event.startDate);
-      const duration = eventEnd - eventStart;
-      const recurrenceEnd = event.recurrenceEnd ? new Date(event.recurrenceEnd) : end;
-      const interval = event.recurrenceInterval || 1;
-
-      let current = new Date(eventStart);
-      let instanceCount = 0;
-      const maxInstances = 365; // Safety limit
-
-      while (current <= end && current <= recurrenceEnd && instanceCount < maxInstances) {
-        if (current >= start || new Date(current.getTime() + duration) >= start) {
-          const instanceEnd = new Date(current.getTime() + duration);
-          expanded.push({
-            ...event,
-            id: `${event.id}_${this.formatDate(current)}`,
-            startDate: this.formatDate(current),
-            endDate: this.formatDate(instanceEnd),
-            _isRecurrenceInstance: true,
-            _originalId: event.id
-          });
+      const exceptions = new Set(event.exceptionDates || []);
+      const overrides = event.overrides || {};
+      const overlapsRange = (instance) => instance.startDate <= endDate && instance.endDate >= startDate;
+
+      // Occurrences starting up to one event duration before the range still overlap it
+      const duration = this.daysBetween(event.startDate, event.endDate || event.startDate);
+      const expansionStart = this.shiftDate(startDate, -duration);
+      const occurrenceDates = expandRule(rule, event.startDate, expansionStart, endDate);
+
+      for (const occurrenceDate of occurrenceDates) {
+        if (!exceptions.has(occurrenceDate)) {
+          const instance = this.buildOccurrence(event, occurrenceDate);
+          if (overlapsRange(instance)) {
+            expanded.push(instance);
+          }
         }
+      }
 
-        // Advance to next occurrence
-        switch (event.recurrence) {
-          case 'daily':
-            current.setDate(current.getDate() + interval);
-            break;
-          case 'weekly':
-            current.setDate(current.getDate() + (7 * interval));
-            break;
-          case 'monthly':
-            current.setMonth(current.getMonth() + interval);
-            break;
-          case 'yearly':
-            current.setFullYear(current.getFullYear() + interval);
-            break;
-          default:
-            instanceCount = maxInstances; // Exit loop
+      // Occurrences moved into the range from a date before or after it
+      for (const occurrenceDate of Object.keys(overrides)) {
+        const outsideExpansion = occurrenceDate < expansionStart || occurrenceDate > endDate;
+        if (outsideExpansion && occurrenceDate >= event.startDate && !exceptions.has(occurrenceDate) &&
+            (!rule.until || occurrenceDate <= rule.until)) {
+          const instance = this.buildOccurrence(event, occurrenceDate);
+          if (overlapsRange(instance)) {
+            expanded.push(instance);
+          }
         }
-        instanceCount++;
       }
     }
 
     return expanded;
   }
 
+  /**
+   * Build a single occurrence of a recurring event, applying its override if any
+   * @param {Object} event - Recurring series
+   * @param {string} occurrenceDate - Original (unmoved) occurrence date
+   * @returns {Object} Occurrence instance
+   */
+  buildOccurrence(event, occurrenceDate) {
+    const duration = this.daysBetween(event.startDate, event.endDate || event.startDate);
+    const override = event.overrides?.[occurrenceDate] || {};
+
+    const instance = {
+      ...event,
+      id: `${event.id}_${occurrenceDate}`,
+      startDate: occurrenceDate,
+      endDate: this.shiftDate(occurrenceDate, duration),
+      ...override,
+      _isRecurrenceInstance: true,
+      _originalId: event.id,
+      _occurrenceDate: occurrenceDate
+    };
+    if (override.startDate && !override.endDate) {
+      instance.endDate = this.shiftDate(override.startDate, duration);
+    }
+    if (Object.keys(override).length > 0) {
+      instance._isOverridden = true;
+    }
+    return instance;
+  }
+
+  /**
+   * Get events of the shown .ics layers in a date range, with their recurrences expanded
+   */
+  getOverlayEvents(startDate, endDate) {
+    const events = overlayService.getEvents().filter(event =>
+      event.startDate <= endDate && (event.endDate >= startDate || this.isRecurring(event)));
+    return this.expandRecurringEvents(events, startDate, endDate);
+  }
+
   /**
    * Get Swedish holidays as events
    */
@@ -343,31 +1050,75 @@ class CalendarService {
    * Get events for a specific date range (with recurrence expansion and holidays)
    */
   getEventsForRange(startDate, endDate) {
-    const start = new Date(startDate);
-    const end = new Date(endDate);
+    // Shown in another time zone, an event can move a day either way
+    const queryStart = this.shiftDate(startDate, -1);
+    const queryEnd = this.shiftDate(endDate, 1);
+    const overlapsRange = (event) => event.startDate <= endDate && (event.endDate || event.startDate) >= startDate;
 
-    // Get base events that overlap with range
+    // Get base events that overlap with range; recurring series may start long before it
     let events = this.getAllEvents().filter(event => {
-      const eventStart = new Date(event.startDate);
-      const eventEnd = new Date(event.endDate || event.startDate);
-      return eventStart <= end && eventEnd >= start;
+      const eventEnd = event.endDate || event.startDate;
+      return event.startDate <= queryEnd && (eventEnd >= queryStart || this.isRecurring(event));
     });
 
     // Expand recurring events
-    events = this.expandRecurringEvents(events, startDate, endDate);
+    events = this.expandRecurringEvents(events, queryStart, queryEnd)
+      .map(event => this.toDisplayZone(event))
+      .filter(overlapsRange);
 
-    // Add holidays
+    // Add holidays and read-only .ics layers, whose times are in this device's zone
     const holidays = this.getHolidayEvents(startDate, endDate);
-    events = [...events, ...holidays];
+    const overlays = this.getOverlayEvents(queryStart, queryEnd)
+      .map(event => this.toDisplayZone(event, getLocalTimeZone()))
+      .filter(overlapsRange);
+    events = [...events, ...holidays, ...overlays];
 
     return events;
   }
 
+  /**
+   * Move the times of an event (or occurrence) into the display time zone
+   * Events without a zone are floating and shown as written. The times in the event's own
+   * zones are kept in `_zoneTimes` so views can show them too.
+   * @param {Object} event
+   * @param {string|null} [defaultZone] - Zone of events without one
+   * @returns {Object} The event, or a converted copy
+   */
+  toDisplayZone(event, defaultZone = null) {
+    const startZone = event.timezone || defaultZone;
+    const endZone = event.endTimezone || startZone;
+    const displayZone = this.getDisplayTimezone();
+    if (event.allDay || !event.startTime || !startZone || (startZone === displayZone && endZone === displayZone)) {
+      return event;
+    }
+
+    const start = convertTime(event.startDate, event.startTime, startZone, displayZone);
+    const end = event.endTime
+      ? convertTime(event.endDate || event.startDate, event.endTime, endZone, displayZone)
+      : { date: this.shiftDate(start.date, this.daysBetween(event.startDate, event.endDate || event.startDate)), time: null };
+
+    return {
+      ...event,
+      startDate: start.date,
+      startTime: start.time,
+      endDate: end.date < start.date ? start.date : end.date,
+      endTime: end.time,
+      _zoneTimes: {
+        startDate: event.startDate,
+        startTime: event.startTime,
+        startZone,
+        endDate: event.endDate,
+        endTime: event.endTime,
+        endZone
+      }
+    };
+  }
+
   /**
    * Get events for a specific date
    */
   getEventsForDate(date) {
-    const dateStr = typeof date === 'string' ? date : this.formatDate(date);
+    const dateStr = this.formatDate(date);
     return this.getEventsForRange(dateStr, dateStr);
   }
 
@@ -394,6 +1145,10 @@ class CalendarService {
     if (eventData.endDate && eventData.startDate && eventData.endDate < eventData.startDate) {
       errors.push('End date must be on or after start date');
     }
+
+    if (eventData.rrule && !parseRRule(eventData.rrule)) {
+      errors.push('Invalid recurrence rule (expected RRULE such as FREQ=WEEKLY;BYDAY=TU,TH)');
+    }
     
     if (!eventData.allDay) {
       if (eventData.startTime && !/^\d{2}:\d{2}$/.test(eventData.startTime)) {
@@ -402,6 +1157,11 @@ class CalendarService {
       if (eventData.endTime && !/^\d{2}:\d{2}$/.test(eventData.endTime)) {
         errors.push('Invalid end time format (expected HH:MM)');
       }
+      for (const field of ['timezone', 'endTimezone']) {
+        if (eventData[field] && !isValidTimeZone(eventData[field])) {
+          errors.push(`Unknown time zone "${eventData[field]}" (expected an IANA name such as Europe/Stockholm)`);
+        }
+      }
     }
     
     return errors;
@@ -414,67 +1174,219 @@ class CalendarService {
    * @throws {Error} If validation fails or file system unavailable
    */
   async createEvent(eventData) {
-    // Validate input
+    const event = await this.writeNewEvent(this.buildNewEvent(eventData));
+    this.events.set(event.id, event);
+    this.notifyListeners();
+
+    return event;
+  }
+
+  /**
+   * Write files for several new events without indexing them or notifying listeners
+   * For filling storage that is loaded right after, e.g. the demo, so listeners hear of it once.
+   * @param {Object[]} eventDataList - Event properties
+   * @returns {Promise<void>}
+   * @throws {Error} If any event is invalid (nothing is written then) or file system unavailable
+   */
+  async writeEventFiles(eventDataList) {
+    const events = eventDataList.map(eventData => this.buildNewEvent(eventData));
+    for (const event of events) {
+      await this.writeNewEvent(event);
+    }
+  }
+
+  /**
+   * Build a new event from event properties
+   * @param {Object} eventData
+   * @returns {Object} Event with a fresh id, not yet written
+   * @throws {Error} If validation fails
+   */
+  buildNewEvent(eventData) {
     const errors = this.validateEvent(eventData);
     if (errors.length > 0) {
       throw new Error(`Invalid event: ${errors.join(', ')}`);
     }
 
-    const event = {
+    return this.applyRecurrenceRule({
       id: this.generateId(),
       title: eventData.title || 'Untitled',
       startDate: eventData.startDate,
       endDate: eventData.endDate || eventData.startDate,
       startTime: eventData.allDay ? null : (eventData.startTime || null),
       endTime: eventData.allDay ? null : (eventData.endTime || null),
+      timezone: eventData.allDay ? null : (eventData.timezone || null),
+      endTimezone: eventData.allDay ? null : (eventData.endTimezone || null),
       allDay: eventData.allDay !== false,
       color: eventData.color || EVENT_TYPES[eventData.type || 'personal'].color,
       type: eventData.type || 'personal',
+      calendar: eventData.calendar || PRIMARY_CALENDAR_ID,
+      uid: eventData.uid || null,
       recurrence: eventData.recurrence || 'none',
       recurrenceEnd: eventData.recurrenceEnd || null,
       recurrenceInterval: eventData.recurrenceInterval || 1,
-      description: eventData.description || ''
-    };
+      rrule: eventData.rrule || null,
+      monthEndPolicy: eventData.monthEndPolicy || DEFAULT_MONTH_END_POLICY,
+      exceptionDates: eventData.exceptionDates || [],
+      overrides: eventData.overrides || {},
+      description: eventData.description || '',
+      // Series split off an existing file stay in its format
+      _format: eventData._format || this.noteFormat
+    });
+  }
 
-    const filename = this.generateFilename(event);
+  /**
+   * Write the file of a new event under a free filename
+   * @param {Object} event - Result of buildNewEvent
+   * @returns {Promise<Object>} The event, with its filename and content hash set
+   */
+  async writeNewEvent(event) {
+    const filename = await this.allocateFilename(event);
     const content = this.serializeEvent(event);
 
     await fileSystemService.writeFile(filename, content);
 
     event._filename = filename;
-    this.events.set(event.id, event);
-    this.notifyListeners();
-
+    event._contentHash = hashString(content);
     return event;
   }
 
   /**
    * Update an existing event
+   * @param {string} id - Event id or recurrence instance id
+   * @param {Object} eventData - Changed event properties
+   * @param {Object} [options]
+   * @param {'this'|'following'|'all'} [options.scope='all'] - Which occurrences of a recurring event to change
+   * @param {string|null} [options.baseHash] - Content hash of the file when the edit started;
+   *   defaults to the hash of the last loaded version
+   * @returns {Promise<Object>} Updated event (the new series when splitting)
+   * @throws {FileConflictError} If the file changed on disk since the edit started
    */
-  async updateEvent(id, eventData) {
-    // Handle recurring instance updates
-    const originalId = id.includes('_') ? id.split('_')[0] : id;
-    const existing = this.events.get(originalId);
+  async updateEvent(id, eventData, { scope = 'all', baseHash } = {}) {
+    const { seriesId, occurrenceDate } = this.parseInstanceId(id);
+    let existing = this.events.get(seriesId);
     
     if (!existing) {
       throw new Error(`Event ${id} not found`);
     }
 
-    const oldFilename = existing._filename;
+    if (baseHash !== undefined) {
+      existing = { ...existing, _contentHash: baseHash };
+    }
+
+    if (occurrenceDate && this.isRecurring(existing)) {
+      if (scope === 'this') {
+        return this.updateOccurrence(existing, occurrenceDate, eventData);
+      }
+      if (scope === 'following' && occurrenceDate > existing.startDate) {
+        return this.splitSeries(existing, occurrenceDate, eventData);
+      }
+      eventData = this.shiftSeriesChanges(existing, occurrenceDate, eventData);
+    }
 
     const event = {
       ...existing,
       ...eventData,
-      id: originalId // Preserve original ID
+      id: seriesId // Preserve original ID
     };
 
+    const errors = this.validateEvent(event);
+    if (errors.length > 0) {
+      throw new Error(`Invalid event: ${errors.join(', ')}`);
+    }
+
+    return this.saveEvent(event);
+  }
+
+  /**
+   * Delete an event
+   * @param {string} id - Event id or recurrence instance id
+   * @param {Object} [options]
+   * @param {'this'|'following'|'all'} [options.scope='all'] - Which occurrences of a recurring event to delete
+   */
+  async deleteEvent(id, { scope = 'all' } = {}) {
+    const { seriesId, occurrenceDate } = this.parseInstanceId(id);
+    const event = this.events.get(seriesId);
+    
+    if (!event) {
+      return false;
+    }
+
+    if (occurrenceDate && this.isRecurring(event)) {
+      if (scope === 'this') {
+        const overrides = { ...event.overrides };
+        delete overrides[occurrenceDate];
+        await this.saveEvent({
+          ...event,
+          exceptionDates: [...new Set([...(event.exceptionDates || []), occurrenceDate])],
+          overrides
+        });
+        return true;
+      }
+      if (scope === 'following' && occurrenceDate > event.startDate) {
+        await this.saveEvent(this.truncateSeries(event, occurrenceDate));
+        return true;
+      }
+    }
+
+    if (event._filename) {
+      await fileSystemService.deleteFile(event._filename);
+    }
+
+    this.events.delete(seriesId);
+    this.notifyListeners();
+    return true;
+  }
+
+  /**
+   * Check if an event repeats
+   */
+  isRecurring(event) {
+    return Boolean(event.rrule || (event.recurrence && event.recurrence !== 'none'));
+  }
+
+  /**
+   * Reconcile an event's rrule with its plain recurrence fields.
+   * Rules expressible as recurrence/recurrenceInterval/recurrenceEnd are stored that way;
+   * anything richer keeps an rrule, with the plain fields mirrored for display.
+   * @param {Object} event
+   * @returns {Object} Event with consistent recurrence fields
+   */
+  applyRecurrenceRule(event) {
+    const rule = getEventRule(event);
+    if (!rule) {
+      return { ...event, recurrence: 'none', rrule: null };
+    }
+
+    return {
+      ...event,
+      recurrence: rule.freq.toLowerCase(),
+      recurrenceInterval: rule.interval,
+      recurrenceEnd: rule.until,
+      rrule: isSimpleRule(rule) ? null : formatRRule(rule)
+    };
+  }
+
+  /**
+   * Persist an event to its (possibly renamed) file and update the cache
+   * @param {Object} event - Complete event
+   * @returns {Promise<Object>} Saved event
+   * @throws {FileConflictError} If the file changed on disk since the event was loaded
+   */
+  async saveEvent(event) {
+    event = this.applyRecurrenceRule(event);
+    const oldFilename = event._filename;
+
+    await this.checkForConflict(event);
+
     // Ensure consistency
     if (event.allDay) {
       event.startTime = null;
       event.endTime = null;
+      event.timezone = null;
+      event.endTimezone = null;
     }
 
-    const newFilename = this.generateFilename(event);
+    const newFilename = await this.allocateFilename(event);
     const content = this.serializeEvent(event);
 
     await fileSystemService.writeFile(newFilename, content);
@@ -484,6 +1396,7 @@ class CalendarService {
     }
 
     event._filename = newFilename;
+    event._contentHash = hashString(content);
     this.events.set(event.id, event);
     this.notifyListeners();
 
@@ -491,31 +1404,207 @@ class CalendarService {
   }
 
   /**
-   * Delete an event
+   * Make sure an event's file still has the contents it was loaded with
+   * Events without a recorded hash (never loaded from a file) are not checked.
+   * @param {Object} event
+   * @throws {FileConflictError}
    */
-  async deleteEvent(id) {
-    // Handle recurring instance deletions
-    const originalId = id.includes('_') ? id.split('_')[0] : id;
-    const event = this.events.get(originalId);
-    
-    if (!event) {
-      return false;
+  async checkForConflict(event) {
+    if (!event._filename || event._contentHash === undefined) {
+      return;
     }
 
-    if (event._filename) {
-      await fileSystemService.deleteFile(event._filename);
+    const content = await fileSystemService.readFile(event._filename);
+    const currentHash = content === null ? null : hashString(content);
+    if (currentHash === event._contentHash) {
+      return;
     }
 
-    this.events.delete(originalId);
-    this.notifyListeners();
-    return true;
+    const parsed = content === null ? null : this.parseEventFile(event._filename, content).event;
+    const diskEvent = parsed && this.withDefaultColor(parsed);
+    throw new FileConflictError(event, diskEvent, content);
+  }
+
+  /**
+   * List the fields that differ between the on-disk and in-app versions of a conflict
+   * @param {FileConflictError} conflict
+   * @returns {Array<{field: string, label: string, disk: *, local: *}>}
+   */
+  getConflictFields(conflict) {
+    const { localEvent, diskEvent } = conflict;
+    if (!diskEvent) return [];
+
+    const normalize = (value) => JSON.stringify(value ?? null);
+    return Object.entries(MERGE_FIELDS)
+      .filter(([field]) => normalize(diskEvent[field]) !== normalize(localEvent[field]))
+      .map(([field, label]) => ({ field, label, disk: diskEvent[field], local: localEvent[field] }));
+  }
+
+  /**
+   * Save a merge of the on-disk and in-app versions of a conflicting event
+   * For a conflicting "this and following" edit, the split-off series is created too.
+   * @param {FileConflictError} conflict
+   * @param {Object<string, 'disk'|'local'>} [choices] - Which version to keep per field; unlisted fields keep the app's value
+   * @returns {Promise<Object>} Saved event
+   * @throws {FileConflictError} If the file changed yet again
+   */
+  async resolveConflict(conflict, choices = {}) {
+    const { localEvent, diskEvent } = conflict;
+    const merged = { ...localEvent };
+
+    if (diskEvent) {
+      for (const field of Object.keys(MERGE_FIELDS)) {
+        if (choices[field] === 'disk') {
+          merged[field] = diskEvent[field];
+        }
+      }
+      // Keep unknown keys and formatting from the newer file
+      merged._frontmatter = diskEvent._frontmatter;
+      merged._newline = diskEvent._newline;
+    }
+
+    const saved = await this.saveEvent({ ...merged, _contentHash: conflict.diskHash });
+    if (conflict.followingSeries) {
+      await this.createEvent(conflict.followingSeries);
+    }
+    return saved;
+  }
+
+  /**
+   * Drop the app's version of a conflicting event and load what is on disk
+   * @param {FileConflictError} conflict
+   */
+  async discardConflict(conflict) {
+    await this.applyFileChanges({ changed: [conflict.filename] });
+  }
+
+  /**
+   * Store changes to a single occurrence as an override on its series
+   */
+  async updateOccurrence(series, occurrenceDate, eventData) {
+    const natural = this.buildOccurrence({ ...series, overrides: {} }, occurrenceDate);
+    const override = {};
+
+    for (const field of OVERRIDE_FIELDS) {
+      if (field in eventData && (eventData[field] ?? null) !== (natural[field] ?? null)) {
+        override[field] = eventData[field];
+      }
+    }
+    if (override.allDay) {
+      override.startTime = null;
+      override.endTime = null;
+      override.timezone = null;
+      override.endTimezone = null;
+    }
+
+    const overrides = { ...series.overrides };
+    if (Object.keys(override).length > 0) {
+      overrides[occurrenceDate] = override;
+    } else {
+      delete overrides[occurrenceDate];
+    }
+
+    return this.saveEvent({ ...series, overrides });
+  }
+
+  /**
+   * End a series on the day before the given occurrence,
+   * dropping exceptions and overrides that no longer apply
+   */
+  truncateSeries(series, occurrenceDate) {
+    const overrides = Object.fromEntries(
+      Object.entries(series.overrides || {}).filter(([date]) => date < occurrenceDate)
+    );
+    const rule = getEventRule(series);
+    const recurrenceEnd = this.shiftDate(occurrenceDate, -1);
+
+    return {
+      ...series,
+      recurrenceEnd,
+      // Every counted occurrence left is before the split, so UNTIL replaces COUNT
+      rrule: series.rrule ? formatRRule({ ...rule, until: recurrenceEnd, count: null }) : null,
+      exceptionDates: (series.exceptionDates || []).filter(date => date < occurrenceDate),
+      overrides
+    };
+  }
+
+  /**
+   * Split a series in two at the given occurrence.
+   * The original series ends the day before; the changes start a new series file.
+   */
+  async splitSeries(series, occurrenceDate, eventData) {
+    const followingData = {
+      ...series,
+      ...eventData,
+      // The new series is a separate iCalendar event, so it must not share the original's UID
+      uid: null,
+      recurrence: eventData.recurrence ?? series.recurrence,
+      recurrenceEnd: 'recurrenceEnd' in eventData ? eventData.recurrenceEnd : series.recurrenceEnd,
+      exceptionDates: (series.exceptionDates || []).filter(date => date >= occurrenceDate),
+      overrides: Object.fromEntries(
+        Object.entries(series.overrides || {}).filter(([date]) => date >= occurrenceDate)
+      )
+    };
+
+    // An unchanged COUNT continues the original series rather than restarting it
+    const rule = getEventRule(series);
+    const followingRule = getEventRule(followingData);
+    if (rule?.count && followingRule?.count === rule.count) {
+      const before = expandRule(rule, series.startDate, series.startDate, this.shiftDate(occurrenceDate, -1));
+      followingData.rrule = formatRRule({ ...followingRule, count: Math.max(1, rule.count - before.length) });
+    }
+
+    try {
+      await this.saveEvent(this.truncateSeries(series, occurrenceDate));
+    } catch (err) {
+      if (err instanceof FileConflictError) {
+        err.followingSeries = followingData;
+      }
+      throw err;
+    }
+    return this.createEvent(followingData);
+  }
+
+  /**
+   * Translate edits made on an occurrence into edits on the whole series.
+   * Moving the occurrence moves the series start by the same number of days.
+   */
+  shiftSeriesChanges(series, occurrenceDate, eventData) {
+    if (!eventData.startDate) {
+      return eventData;
+    }
+
+    const shift = this.daysBetween(occurrenceDate, eventData.startDate);
+    const duration = this.daysBetween(eventData.startDate, eventData.endDate || eventData.startDate);
+    const startDate = this.shiftDate(series.startDate, shift);
+
+    return {
+      ...eventData,
+      startDate,
+      endDate: this.shiftDate(startDate, duration)
+    };
+  }
+
+  /**
+   * Add days to a YYYY-MM-DD date string
+   */
+  shiftDate(dateStr, days) {
+    return shiftDate(dateStr, days);
+  }
+
+  /**
+   * Number of days from one YYYY-MM-DD date to another
+   */
+  daysBetween(fromDateStr, toDateStr) {
+    return daysBetween(fromDateStr, toDateStr);
   }
 
   /**
    * Format date to YYYY-MM-DD
+   * YYYY-MM-DD strings are returned unchanged rather than parsed as UTC midnight
    */
   formatDate(date) {
-    return formatDate(new Date(date));
+    return toPlainDate(date);
   }
 
   /**
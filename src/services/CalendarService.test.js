@@ -3,7 +3,7 @@
  * Covers event parsing, serialization, CRUD operations, recurrence, and filtering
  */
 
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 
 // Mock localStorage
 const localStorageMock = {
@@ -20,14 +20,32 @@ vi.mock('./FileSystemService.js', () => ({
   fileSystemService: {
     hasAccess: vi.fn(() => true),
     listFiles: vi.fn(() => Promise.resolve([])),
+    listFileStats: vi.fn(() => Promise.resolve(new Map())),
     readFile: vi.fn(() => Promise.resolve(null)),
     writeFile: vi.fn(() => Promise.resolve()),
     deleteFile: vi.fn(() => Promise.resolve()),
+    fileExists: vi.fn(() => Promise.resolve(false)),
+    isDemo: vi.fn(() => false),
+    getCalendar: vi.fn(() => null),
+    getCalendars: vi.fn(() => [{ id: 'default', name: 'Events', color: null, available: true }]),
   }
 }));
 
+// Mock EventCache (no IndexedDB in tests)
+vi.mock('./EventCache.js', () => ({
+  eventCache: {
+    getAll: vi.fn(() => Promise.resolve(new Map())),
+    update: vi.fn(() => Promise.resolve()),
+    clear: vi.fn(() => Promise.resolve()),
+  }
+}));
+
+// File listing with metadata, as returned by listFileStats
+const fileStats = (names, lastModified = 1) =>
+  new Map(names.map(name => [name, { lastModified, size: 100 }]));
+
 // Import after mocking
-const { calendarService, EVENT_TYPES, RECURRENCE_PATTERNS } = await import('./CalendarService.js');
+const { calendarService, EVENT_TYPES, RECURRENCE_PATTERNS, FileConflictError } = await import('./CalendarService.js');
 
 describe('CalendarService', () => {
   beforeEach(() => {
@@ -177,6 +195,538 @@ recurrenceInterval: 2
     });
   });
 
+  describe('Load diagnostics', () => {
+    const loadFiles = async (files) => {
+      const { fileSystemService } = await import('./FileSystemService.js');
+      fileSystemService.listFileStats.mockResolvedValueOnce(fileStats(Object.keys(files)));
+      fileSystemService.readFile.mockImplementation((name) => Promise.resolve(files[name] ?? null));
+      await calendarService.loadAllEvents();
+      fileSystemService.readFile.mockImplementation(() => Promise.resolve(null));
+      return fileSystemService;
+    };
+
+    it('should report duplicate ids and keep the first file', async () => {
+      await loadFiles({
+        'a.md': '---\nid: "same"\ntitle: "First"\nstartDate: "2026-01-15"\n---',
+        'b.md': '---\nid: "same"\ntitle: "Copy"\nstartDate: "2026-01-16"\n---'
+      });
+      expect(calendarService.events.get('same').title).toBe('First');
+      expect(calendarService.getDiagnostics()).toEqual([{
+        filename: 'b.md',
+        type: 'duplicateId',
+        severity: 'error',
+        message: 'id "same" is already used by a.md',
+        eventId: 'same'
+      }]);
+    });
+
+    it('should report missing and invalid fields', async () => {
+      await loadFiles({
+        'no-start.md': '---\nid: "1"\ntitle: "No start"\n---',
+        'bad-start.md': '---\nid: "2"\nstartDate: "2026-02-30"\n---',
+        'bad-end.md': '---\nid: "3"\nstartDate: "2026-01-15"\nendDate: "soon"\n---',
+        'no-id.md': '---\nstartDate: "2026-01-15"\n---'
+      });
+      const byFile = Object.fromEntries(calendarService.getDiagnostics().map(d => [d.filename, d]));
+      expect(byFile['no-start.md']).toMatchObject({ type: 'missingField', severity: 'error' });
+      expect(byFile['bad-start.md']).toMatchObject({ type: 'invalidDate', severity: 'error' });
+      expect(byFile['bad-end.md']).toMatchObject({ type: 'invalidDate', severity: 'warning' });
+      expect(byFile['no-id.md']).toMatchObject({ type: 'missingField', severity: 'warning' });
+      expect(calendarService.events.get('3').endDate).toBe('2026-01-15');
+      expect(calendarService.events.size).toBe(2);
+    });
+
+    it('should report unparseable frontmatter', async () => {
+      await loadFiles({
+        'broken.md': '---\ntitle: "unterminated\nstartDate: "2026-01-15"\n---',
+        'plain.md': 'Just notes'
+      });
+      const types = calendarService.getDiagnostics().map(d => [d.filename, d.type]);
+      expect(types).toEqual([['broken.md', 'parseError'], ['plain.md', 'parseError']]);
+    });
+
+    it('should clear diagnostics on reload', async () => {
+      await loadFiles({ 'plain.md': 'Just notes' });
+      await loadFiles({});
+      expect(calendarService.getDiagnostics()).toEqual([]);
+    });
+
+    it('should assign a new id without touching the rest of the file', async () => {
+      const files = {
+        'a.md': '---\nid: "same"\nstartDate: "2026-01-15"\n---',
+        'b.md': '---\nid: "same"\n# keep me\nstartDate: "2026-01-16"\ncustom: 1\n---\n\nNotes'
+      };
+      const fileSystemService = await loadFiles(files);
+      fileSystemService.readFile.mockResolvedValueOnce(files['b.md']);
+      fileSystemService.writeFile.mockClear();
+
+      const id = await calendarService.assignNewId('b.md');
+
+      const written = fileSystemService.writeFile.mock.calls[0];
+      expect(written[0]).toBe('b.md');
+      expect(written[1]).toBe(files['b.md'].replace('id: "same"', `id: "${id}"`));
+    });
+  });
+
+  describe('Startup cache', () => {
+    const file = (id, title) => `---\nid: "${id}"\ntitle: "${title}"\nstartDate: "2026-01-15"\n---`;
+    let fileSystemService;
+    let eventCache;
+
+    beforeEach(async () => {
+      ({ fileSystemService } = await import('./FileSystemService.js'));
+      ({ eventCache } = await import('./EventCache.js'));
+      eventCache.update.mockClear();
+    });
+
+    afterEach(() => {
+      fileSystemService.readFile.mockImplementation(() => Promise.resolve(null));
+    });
+
+    it('should serve unchanged files from the cache without reading them', async () => {
+      const cachedEvent = calendarService.parseEventFile('a.md', file('a', 'Cached'));
+      eventCache.getAll.mockResolvedValueOnce(new Map([
+        ['a.md', { filename: 'a.md', lastModified: 1, size: 100, ...cachedEvent }]
+      ]));
+      fileSystemService.listFileStats.mockResolvedValueOnce(fileStats(['a.md', 'b.md']));
+      fileSystemService.readFile.mockImplementation((name) => Promise.resolve(name === 'b.md' ? file('b', 'Fresh') : null));
+      fileSystemService.readFile.mockClear();
+
+      await calendarService.loadAllEvents();
+
+      expect(fileSystemService.readFile).toHaveBeenCalledTimes(1);
+      expect(fileSystemService.readFile).toHaveBeenCalledWith('b.md');
+      expect(calendarService.events.get('a').title).toBe('Cached');
+      expect(calendarService.events.get('b').title).toBe('Fresh');
+    });
+
+    it('should re-read files whose modification time changed', async () => {
+      const cachedEvent = calendarService.parseEventFile('a.md', file('a', 'Old'));
+      eventCache.getAll.mockResolvedValueOnce(new Map([
+        ['a.md', { filename: 'a.md', lastModified: 1, size: 100, ...cachedEvent }]
+      ]));
+      fileSystemService.listFileStats.mockResolvedValueOnce(fileStats(['a.md'], 2));
+      fileSystemService.readFile.mockImplementation(() => Promise.resolve(file('a', 'New')));
+
+      await calendarService.loadAllEvents();
+
+      expect(calendarService.events.get('a').title).toBe('New');
+      const [entries] = eventCache.update.mock.calls[0];
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toMatchObject({ filename: 'a.md', lastModified: 2, size: 100 });
+      expect(entries[0].event.title).toBe('New');
+    });
+
+    it('should drop cache entries for deleted files', async () => {
+      eventCache.getAll.mockResolvedValueOnce(new Map([
+        ['gone.md', { filename: 'gone.md', lastModified: 1, size: 100, event: null, problems: [] }]
+      ]));
+      fileSystemService.listFileStats.mockResolvedValueOnce(new Map());
+
+      await calendarService.loadAllEvents();
+
+      expect(eventCache.update).toHaveBeenCalledWith([], ['gone.md']);
+    });
+
+    it('should not use the cache for demo events', async () => {
+      fileSystemService.isDemo.mockReturnValueOnce(true);
+      eventCache.getAll.mockClear();
+      fileSystemService.listFileStats.mockResolvedValueOnce(fileStats(['a.md']));
+      fileSystemService.readFile.mockImplementation(() => Promise.resolve(file('a', 'Demo')));
+
+      await calendarService.loadAllEvents();
+
+      expect(calendarService.events.get('a').title).toBe('Demo');
+      expect(eventCache.getAll).not.toHaveBeenCalled();
+      expect(eventCache.update).not.toHaveBeenCalled();
+    });
+
+    it('should give cached events the current color of their calendar', async () => {
+      const work = { id: 'cal-0000beef', name: 'Work', color: '#0ea5e9', available: true };
+      fileSystemService.getCalendar.mockImplementation(id => (id === work.id ? work : null));
+      const filename = 'cal-0000beef:a.md';
+      const cachedEntry = calendarService.parseEventFile(filename, file('a', 'Cached'));
+      expect(cachedEntry.event.color).toBeNull();
+
+      work.color = '#22c55e';
+      eventCache.getAll.mockResolvedValueOnce(new Map([
+        [filename, { filename, lastModified: 1, size: 100, ...cachedEntry }]
+      ]));
+      fileSystemService.listFileStats.mockResolvedValueOnce(fileStats([filename]));
+
+      await calendarService.loadAllEvents();
+
+      expect(calendarService.events.get('a').color).toBe('#22c55e');
+      expect(cachedEntry.event.color).toBeNull();
+      fileSystemService.getCalendar.mockImplementation(() => null);
+    });
+
+    it('should report calendars whose folder could not be listed', async () => {
+      fileSystemService.getCalendars.mockReturnValueOnce([
+        { id: 'default', name: 'Events', color: null, available: true, error: null },
+        { id: 'cal-0000beef', name: 'Work', color: null, available: false, error: 'Folder was moved' }
+      ]);
+      fileSystemService.listFileStats.mockResolvedValueOnce(fileStats(['a.md']));
+      fileSystemService.readFile.mockImplementation(() => Promise.resolve(file('a', 'Still here')));
+
+      await calendarService.loadAllEvents();
+
+      expect(calendarService.events.get('a').title).toBe('Still here');
+      expect(calendarService.getDiagnostics()).toMatchObject([
+        { filename: 'cal-0000beef:', type: 'calendarUnavailable', severity: 'error' }
+      ]);
+    });
+
+    it('should keep diagnostics for cached files', async () => {
+      const cachedEntry = calendarService.parseEventFile('bad.md', '---\ntitle: "No date"\n---');
+      eventCache.getAll.mockResolvedValueOnce(new Map([
+        ['bad.md', { filename: 'bad.md', lastModified: 1, size: 100, ...cachedEntry }]
+      ]));
+      fileSystemService.listFileStats.mockResolvedValueOnce(fileStats(['bad.md']));
+
+      await calendarService.loadAllEvents();
+
+      expect(calendarService.getDiagnostics()).toMatchObject([{ filename: 'bad.md', type: 'missingField' }]);
+    });
+
+    it('should report progress', async () => {
+      fileSystemService.listFileStats.mockResolvedValueOnce(fileStats(['a.md', 'b.md', 'c.md']));
+      fileSystemService.readFile.mockImplementation((name) => Promise.resolve(file(name, name)));
+      const onProgress = vi.fn();
+
+      await calendarService.loadAllEvents({ onProgress });
+
+      expect(onProgress).toHaveBeenCalledWith({ loaded: 0, total: 3 });
+      expect(onProgress).toHaveBeenLastCalledWith({ loaded: 3, total: 3 });
+    });
+  });
+
+  describe('File changes', () => {
+    const file = (id, title, startDate = '2026-01-15') =>
+      `---\nid: "${id}"\ntitle: "${title}"\nstartDate: "${startDate}"\n---`;
+
+    const withFiles = async (files) => {
+      const { fileSystemService } = await import('./FileSystemService.js');
+      fileSystemService.readFile.mockImplementation((name) => Promise.resolve(files[name] ?? null));
+      return fileSystemService;
+    };
+
+    afterEach(async () => {
+      const { fileSystemService } = await import('./FileSystemService.js');
+      fileSystemService.readFile.mockImplementation(() => Promise.resolve(null));
+    });
+
+    it('should add, update and remove events for changed files', async () => {
+      calendarService.indexEventFile('a.md', file('a', 'Old'));
+      calendarService.indexEventFile('b.md', file('b', 'Gone'));
+      const listener = vi.fn();
+      const unsubscribe = calendarService.addListener(listener);
+
+      await withFiles({ 'a.md': file('a', 'New'), 'c.md': file('c', 'Added') });
+      await calendarService.applyFileChanges({ added: ['c.md'], changed: ['a.md'], removed: ['b.md'] });
+
+      expect(calendarService.events.get('a').title).toBe('New');
+      expect(calendarService.events.get('c').title).toBe('Added');
+      expect(calendarService.events.has('b')).toBe(false);
+      expect(listener).toHaveBeenCalledTimes(1);
+      unsubscribe();
+    });
+
+    it('should only read the files that changed', async () => {
+      calendarService.indexEventFile('a.md', file('a', 'A'));
+      const fileSystemService = await withFiles({ 'b.md': file('b', 'B') });
+      fileSystemService.readFile.mockClear();
+
+      await calendarService.applyFileChanges({ added: ['b.md'] });
+
+      expect(fileSystemService.readFile).toHaveBeenCalledTimes(1);
+      expect(fileSystemService.readFile).toHaveBeenCalledWith('b.md');
+    });
+
+    it('should follow an id change within a file', async () => {
+      calendarService.indexEventFile('a.md', file('a', 'A'));
+      await withFiles({ 'a.md': file('renamed', 'A') });
+      await calendarService.applyFileChanges({ changed: ['a.md'] });
+      expect([...calendarService.events.keys()]).toEqual(['renamed']);
+    });
+
+    it('should update diagnostics for changed files', async () => {
+      calendarService.diagnostics = [];
+      calendarService.indexEventFile('a.md', '---\nid: "a"\n---');
+      expect(calendarService.getDiagnostics()).toHaveLength(1);
+
+      await withFiles({ 'a.md': file('a', 'Fixed') });
+      await calendarService.applyFileChanges({ changed: ['a.md'] });
+      expect(calendarService.getDiagnostics()).toEqual([]);
+    });
+
+    it('should load a duplicate once the original file is removed', async () => {
+      calendarService.diagnostics = [];
+      calendarService.indexEventFile('a.md', file('same', 'Original'));
+      calendarService.indexEventFile('b.md', file('same', 'Copy'));
+      expect(calendarService.getDiagnostics()[0].type).toBe('duplicateId');
+
+      await withFiles({ 'b.md': file('same', 'Copy') });
+      await calendarService.applyFileChanges({ removed: ['a.md'] });
+
+      expect(calendarService.events.get('same').title).toBe('Copy');
+      expect(calendarService.getDiagnostics()).toEqual([]);
+    });
+  });
+
+  describe('Concurrent edits', () => {
+    const original = '---\nid: "c1"\ntitle: "Lunch"\nstartDate: "2026-01-15"\nallDay: true\ncolor: "#8b5cf6"\ntype: "personal"\n---';
+    const edited = original.replace('title: "Lunch"', 'title: "Lunch with Ada"\nlocation: "Café"');
+    let fileSystemService;
+    let disk;
+
+    beforeEach(async () => {
+      ({ fileSystemService } = await import('./FileSystemService.js'));
+      disk = { '2026-01-15-lunch.md': original };
+      fileSystemService.readFile.mockImplementation((name) => Promise.resolve(disk[name] ?? null));
+      fileSystemService.writeFile.mockImplementation((name, content) => {
+        disk[name] = content;
+        return Promise.resolve();
+      });
+      calendarService.indexEventFile('2026-01-15-lunch.md', original);
+    });
+
+    afterEach(() => {
+      fileSystemService.readFile.mockImplementation(() => Promise.resolve(null));
+      fileSystemService.writeFile.mockImplementation(() => Promise.resolve());
+    });
+
+    it('should save when the file is unchanged on disk', async () => {
+      await calendarService.updateEvent('c1', { color: '#3b82f6' });
+      expect(disk['2026-01-15-lunch.md']).toContain('color: "#3b82f6"');
+
+      // The saved version becomes the new base
+      await calendarService.updateEvent('c1', { color: '#22c55e' });
+      expect(disk['2026-01-15-lunch.md']).toContain('color: "#22c55e"');
+    });
+
+    it('should refuse to overwrite a file changed on disk', async () => {
+      disk['2026-01-15-lunch.md'] = edited;
+      fileSystemService.writeFile.mockClear();
+
+      const error = await calendarService.updateEvent('c1', { color: '#3b82f6' }).catch(e => e);
+
+      expect(error).toBeInstanceOf(FileConflictError);
+      expect(error.filename).toBe('2026-01-15-lunch.md');
+      expect(error.diskEvent.title).toBe('Lunch with Ada');
+      expect(error.localEvent.color).toBe('#3b82f6');
+      expect(fileSystemService.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should detect edits against a stale base after the cache was refreshed', async () => {
+      const baseHash = calendarService.events.get('c1')._contentHash;
+      disk['2026-01-15-lunch.md'] = edited;
+      await calendarService.applyFileChanges({ changed: ['2026-01-15-lunch.md'] });
+
+      await expect(calendarService.updateEvent('c1', { title: 'Lunch' }, { baseHash }))
+        .rejects.toBeInstanceOf(FileConflictError);
+    });
+
+    it('should protect single-occurrence edits too', async () => {
+      const weeklyFile = original.replace('type: "personal"', 'type: "personal"\nrecurrence: "weekly"');
+      disk['2026-01-15-lunch.md'] = weeklyFile;
+      calendarService.indexEventFile('2026-01-15-lunch.md', weeklyFile);
+      disk['2026-01-15-lunch.md'] = weeklyFile.replace('Lunch', 'Brunch');
+
+      await expect(calendarService.updateEvent('c1_2026-01-22', { title: 'Moved' }, { scope: 'this' }))
+        .rejects.toBeInstanceOf(FileConflictError);
+    });
+
+    it('should list differing fields', async () => {
+      disk['2026-01-15-lunch.md'] = edited;
+      const error = await calendarService.updateEvent('c1', { color: '#3b82f6' }).catch(e => e);
+
+      expect(calendarService.getConflictFields(error)).toEqual([
+        { field: 'title', label: 'Title', disk: 'Lunch with Ada', local: 'Lunch' },
+        { field: 'color', label: 'Color', disk: '#8b5cf6', local: '#3b82f6' }
+      ]);
+    });
+
+    it('should save a field-by-field merge keeping unknown keys from disk', async () => {
+      disk['2026-01-15-lunch.md'] = edited;
+      const error = await calendarService.updateEvent('c1', { color: '#3b82f6' }).catch(e => e);
+
+      const saved = await calendarService.resolveConflict(error, { title: 'disk', color: 'local' });
+
+      expect(saved.title).toBe('Lunch with Ada');
+      expect(saved.color).toBe('#3b82f6');
+      expect(disk[saved._filename]).toContain('location: "Café"');
+      expect(disk[saved._filename]).toContain('title: "Lunch with Ada"');
+    });
+
+    it('should report a file deleted on disk and recreate it on request', async () => {
+      delete disk['2026-01-15-lunch.md'];
+      const error = await calendarService.updateEvent('c1', { color: '#3b82f6' }).catch(e => e);
+
+      expect(error).toBeInstanceOf(FileConflictError);
+      expect(error.diskEvent).toBeNull();
+
+      const saved = await calendarService.resolveConflict(error);
+      expect(disk[saved._filename]).toContain('color: "#3b82f6"');
+    });
+
+    it('should create the split-off series when resolving a conflicting "this and following" edit', async () => {
+      const weeklyFile = original.replace('type: "personal"', 'type: "personal"\nrecurrence: "weekly"');
+      disk['2026-01-15-lunch.md'] = weeklyFile;
+      calendarService.indexEventFile('2026-01-15-lunch.md', weeklyFile);
+      disk['2026-01-15-lunch.md'] = weeklyFile.replace('title: "Lunch"', 'title: "Lunch"\nlocation: "Café"');
+
+      const error = await calendarService.updateEvent('c1_2026-01-29', {
+        title: 'Team lunch', startDate: '2026-01-29', endDate: '2026-01-29'
+      }, { scope: 'following' }).catch(e => e);
+      expect(error).toBeInstanceOf(FileConflictError);
+      expect(error.followingSeries).toMatchObject({ title: 'Team lunch', startDate: '2026-01-29' });
+
+      await calendarService.resolveConflict(error);
+
+      const occurrences = calendarService.getEventsForRange('2026-01-15', '2026-02-12');
+      expect(occurrences.map(e => [e.startDate, e.title])).toEqual([
+        ['2026-01-15', 'Lunch'],
+        ['2026-01-22', 'Lunch'],
+        ['2026-01-29', 'Team lunch'],
+        ['2026-02-05', 'Team lunch'],
+        ['2026-02-12', 'Team lunch']
+      ]);
+      expect(disk['2026-01-15-lunch.md']).toContain('location: "Café"');
+    });
+
+    it('should load the disk version when discarding', async () => {
+      disk['2026-01-15-lunch.md'] = edited;
+      const error = await calendarService.updateEvent('c1', { color: '#3b82f6' }).catch(e => e);
+
+      await calendarService.discardConflict(error);
+      expect(calendarService.events.get('c1').title).toBe('Lunch with Ada');
+      expect(calendarService.events.get('c1').color).toBe('#8b5cf6');
+    });
+  });
+
+  describe('frontmatter round-trip', () => {
+    it('should parse lists and nested maps', () => {
+      const { frontmatter } = calendarService.parseMarkdown(`---
+title: "Standup"
+tags:
+  - work
+  - daily
+---`);
+      expect(frontmatter.tags).toEqual(['work', 'daily']);
+    });
+
+    it('should keep unknown keys, comments and order when saving', async () => {
+      const { fileSystemService } = await import('./FileSystemService.js');
+      const original = `---
+id: "keep-1"
+title: "Planning"
+# Added by another tool
+tags: [work, q1]
+startDate: "2026-01-15"
+allDay: true
+color: "#3b82f6"
+type: "work"
+aliases:
+  - plan
+---
+
+Notes`;
+      fileSystemService.listFileStats.mockResolvedValueOnce(fileStats(['2026-01-15-planning.md']));
+      fileSystemService.readFile.mockResolvedValueOnce(original);
+      await calendarService.loadAllEvents();
+
+      const event = calendarService.events.get('keep-1');
+      // The id derived from the path is written down so the note keeps it when moved
+      const saved = calendarService.serializeEvent(event);
+      expect(saved).toBe(original.replace('completed: null\n', `completed: null\nid: "${event.id}"\n`));
+      expect(calendarService.parseEventFile('2026/03/Standup.md', saved).event.id).toBe(event.id);
+
+      const result = calendarService.serializeEvent({ ...event, title: 'Planning day' });
+      expect(result).toBe(original.replace('title: "Planning"', 'title: "Planning day"'));
+    });
+
+    it('should write Obsidian Full Calendar notes back in their own format', async () => {
+      const { fileSystemService } = await import('./FileSystemService.js');
+      const original = `---
+title: "Standup"
+allDay: false
+startTime: "09:00"
+endTime: "09:15"
+type: recurring
+daysOfWeek: [M, W]
+startRecur: "2026-03-02"
+completed: null
+---
+`;
+      fileSystemService.listFileStats.mockResolvedValueOnce(fileStats(['(Every M,W) Standup.md']));
+      fileSystemService.readFile.mockResolvedValueOnce(original);
+      await calendarService.loadAllEvents();
+
+      const [event] = calendarService.events.values();
+      expect(event).toMatchObject({ startDate: '2026-03-02', startTime: '09:00', rrule: 'FREQ=WEEKLY;BYDAY=MO,WE' });
+      // The id derived from the path is written down so the note keeps it when moved
+      const saved = calendarService.serializeEvent(event);
+      expect(saved).toBe(original.replace('completed: null\n', `completed: null\nid: "${event.id}"\n`));
+      expect(calendarService.parseEventFile('2026/03/Standup.md', saved).event.id).toBe(event.id);
+
+      const result = calendarService.serializeEvent({ ...event, recurrenceEnd: '2026-06-30', rrule: 'FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20260630' });
+      expect(result).toContain('endRecur: "2026-06-30"');
+      expect(result).not.toContain('rrule');
+      expect(result).not.toContain('startDate');
+    });
+
+    it('should read and write files through the field mapping', async () => {
+      await calendarService.setFieldMapping({ title: 'name', startDate: 'start' });
+      try {
+        const original = '---\nid: "m1"\nname: "Dentist"\nstart: "2026-03-02"\nallDay: true\ncolor: "#8b5cf6"\ntype: "personal"\n---\n';
+        const { event } = calendarService.parseEventFile('dentist.md', original);
+        expect(event).toMatchObject({ title: 'Dentist', startDate: '2026-03-02' });
+        expect(calendarService.serializeEvent(event)).toBe(original);
+        expect(calendarService.serializeEvent({ ...event, title: 'Dentist again' })).toContain('name: "Dentist again"');
+        expect(localStorage.setItem).toHaveBeenCalledWith('fieldMapping', JSON.stringify({ title: 'name', startDate: 'start' }));
+        await expect(calendarService.setFieldMapping({ title: 'type' })).rejects.toThrow();
+      } finally {
+        await calendarService.setFieldMapping({});
+      }
+    });
+
+    it('should create events in the chosen note format', async () => {
+      const { fileSystemService } = await import('./FileSystemService.js');
+      calendarService.setNoteFormat('fullCalendar');
+      try {
+        const event = await calendarService.createEvent({ title: 'Dentist', startDate: '2026-03-02', allDay: true });
+        const [[filename, content]] = fileSystemService.writeFile.mock.calls.slice(-1);
+
+        expect(filename).toBe('2026-03-02 Dentist.md');
+        expect(content).toContain(`id: "${event.id}"`);
+        expect(content).toContain('type: "single"');
+        expect(content).toContain('date: "2026-03-02"');
+      } finally {
+        calendarService.setNoteFormat('native');
+      }
+    });
+
+    it('should read exceptions and overrides written in the older format', async () => {
+      const { fileSystemService } = await import('./FileSystemService.js');
+      fileSystemService.listFileStats.mockResolvedValueOnce(fileStats(['2026-01-05-legacy.md']));
+      fileSystemService.readFile.mockResolvedValueOnce(`---
+id: "legacy-1"
+title: "Legacy"
+startDate: "2026-01-05"
+allDay: true
+recurrence: "weekly"
+exceptionDates: "2026-01-12, 2026-01-19"
+overrides: '{"2026-01-26":{"title":"Moved"}}'
+---`);
+      await calendarService.loadAllEvents();
+
+      const event = calendarService.events.get('legacy-1');
+      expect(event.exceptionDates).toEqual(['2026-01-12', '2026-01-19']);
+      expect(event.overrides).toEqual({ '2026-01-26': { title: 'Moved' } });
+    });
+  });
+
   describe('formatDate', () => {
     it('should format date as YYYY-MM-DD', () => {
       const date = new Date(2026, 0, 15); // Jan 15, 2026
@@ -216,6 +766,135 @@ recurrenceInterval: 2
       const filename = calendarService.generateFilename(event);
       expect(filename.length).toBeLessThanOrEqual(70); // date + 50 chars + .md
     });
+
+    it('should transliterate Swedish characters', () => {
+      const filename = calendarService.generateFilename({ startDate: '2026-06-19', title: 'Midsommarafton på Åland, smörgåsbord' });
+      expect(filename).toBe('2026-06-19-midsommarafton-pa-aland-smorgasbord.md');
+    });
+  });
+
+  describe('Folder layout', () => {
+    afterEach(() => {
+      calendarService.setFolderLayout('flat');
+    });
+
+    it('should keep files in their current folder with the flat layout', () => {
+      const event = { startDate: '2026-01-15', title: 'Dentist', _filename: 'health/2025-12-01-dentist.md' };
+      expect(calendarService.generateFilename(event)).toBe('health/2026-01-15-dentist.md');
+      expect(calendarService.generateFilename({ startDate: '2026-01-15', title: 'Dentist' }))
+        .toBe('2026-01-15-dentist.md');
+    });
+
+    it('should file events into year/month folders', () => {
+      calendarService.setFolderLayout('yearMonth');
+      expect(calendarService.generateFilename({ startDate: '2026-03-05', title: 'Dentist', _filename: 'x.md' }))
+        .toBe('2026/03/2026-03-05-dentist.md');
+    });
+
+    it('should persist the layout', () => {
+      calendarService.setFolderLayout('yearMonth');
+      expect(localStorage.setItem).toHaveBeenCalledWith('folderLayout', 'yearMonth');
+      expect(() => calendarService.setFolderLayout('weekly')).toThrow();
+    });
+
+    it('should move the file when the date changes', async () => {
+      const { fileSystemService } = await import('./FileSystemService.js');
+      const disk = {};
+      fileSystemService.writeFile.mockImplementation((name, content) => {
+        disk[name] = content;
+        return Promise.resolve();
+      });
+      fileSystemService.readFile.mockImplementation((name) => Promise.resolve(disk[name] ?? null));
+      calendarService.setFolderLayout('yearMonth');
+      const event = await calendarService.createEvent({ title: 'Dentist', startDate: '2026-03-05' });
+      expect(event._filename).toBe('2026/03/2026-03-05-dentist.md');
+
+      fileSystemService.writeFile.mockClear();
+      fileSystemService.deleteFile.mockClear();
+      const moved = await calendarService.updateEvent(event.id, { startDate: '2026-04-02', endDate: '2026-04-02' });
+
+      expect(moved._filename).toBe('2026/04/2026-04-02-dentist.md');
+      expect(fileSystemService.writeFile).toHaveBeenCalledWith('2026/04/2026-04-02-dentist.md', expect.any(String));
+      expect(fileSystemService.deleteFile).toHaveBeenCalledWith('2026/03/2026-03-05-dentist.md');
+
+      fileSystemService.writeFile.mockImplementation(() => Promise.resolve());
+      fileSystemService.readFile.mockImplementation(() => Promise.resolve(null));
+    });
+  });
+
+  describe('allocateFilename', () => {
+    it('should use the generated name when it is free', async () => {
+      const event = { id: 'a', startDate: '2026-01-15', title: 'Standup' };
+      expect(await calendarService.allocateFilename(event)).toBe('2026-01-15-standup.md');
+    });
+
+    it('should add a suffix when another event uses the name', async () => {
+      calendarService.events.set('a', { id: 'a', _filename: '2026-01-15-standup.md' });
+      calendarService.events.set('b', { id: 'b', _filename: '2026-01-15-standup-2.md' });
+      const event = { id: 'c', startDate: '2026-01-15', title: 'Standup' };
+      expect(await calendarService.allocateFilename(event)).toBe('2026-01-15-standup-3.md');
+    });
+
+    it('should add a suffix when the file exists on disk', async () => {
+      const { fileSystemService } = await import('./FileSystemService.js');
+      fileSystemService.fileExists.mockResolvedValueOnce(true);
+      const event = { id: 'a', startDate: '2026-01-15', title: 'Möte' };
+      expect(await calendarService.allocateFilename(event)).toBe('2026-01-15-mote-2.md');
+    });
+
+    it('should keep the current filename of the event being saved', async () => {
+      const event = { id: 'a', startDate: '2026-01-15', title: 'Standup', _filename: '2026-01-15-standup-2.md' };
+      calendarService.events.set('a', event);
+      calendarService.events.set('b', { id: 'b', _filename: '2026-01-15-standup.md' });
+      expect(await calendarService.allocateFilename(event)).toBe('2026-01-15-standup-2.md');
+    });
+
+    it('should not overwrite an event with the same title and date', async () => {
+      const first = await calendarService.createEvent({ title: 'Standup', startDate: '2026-01-15' });
+      const second = await calendarService.createEvent({ title: 'Standup', startDate: '2026-01-15' });
+      expect(first._filename).toBe('2026-01-15-standup.md');
+      expect(second._filename).toBe('2026-01-15-standup-2.md');
+    });
+
+    it('should give non-Latin titles distinct names', async () => {
+      const first = await calendarService.createEvent({ title: '会議', startDate: '2026-01-15' });
+      const second = await calendarService.createEvent({ title: 'Встреча', startDate: '2026-01-15' });
+      expect(first._filename).not.toBe(second._filename);
+    });
+  });
+
+  describe('writeEventFiles', () => {
+    it('should write every file without indexing or notifying', async () => {
+      const { fileSystemService } = await import('./FileSystemService.js');
+      const written = new Map();
+      fileSystemService.writeFile.mockImplementation(async (name, content) => { written.set(name, content); });
+      fileSystemService.fileExists.mockImplementation(async (name) => written.has(name));
+      const listener = vi.fn();
+      const unsubscribe = calendarService.addListener(listener);
+
+      await calendarService.writeEventFiles([
+        { title: 'Standup', startDate: '2026-01-15' },
+        { title: 'Standup', startDate: '2026-01-15' }
+      ]);
+
+      expect([...written.keys()]).toEqual(['2026-01-15-standup.md', '2026-01-15-standup-2.md']);
+      expect(calendarService.events.size).toBe(0);
+      expect(listener).not.toHaveBeenCalled();
+      unsubscribe();
+      fileSystemService.writeFile.mockImplementation(() => Promise.resolve());
+      fileSystemService.fileExists.mockImplementation(() => Promise.resolve(false));
+    });
+
+    it('should write nothing when any event is invalid', async () => {
+      const { fileSystemService } = await import('./FileSystemService.js');
+      fileSystemService.writeFile.mockClear();
+
+      await expect(calendarService.writeEventFiles([
+        { title: 'Standup', startDate: '2026-01-15' },
+        { title: 'Broken', startDate: 'soon' }
+      ])).rejects.toThrow('Invalid event');
+      expect(fileSystemService.writeFile).not.toHaveBeenCalled();
+    });
   });
 
   describe('Event type filtering', () => {
@@ -228,6 +907,83 @@ recurrenceInterval: 2
     });
   });
 
+  describe('Multiple calendars', () => {
+    const work = { id: 'cal-0000beef', name: 'Work', color: '#0ea5e9', available: true };
+
+    afterEach(() => {
+      calendarService.hiddenCalendars.clear();
+    });
+
+    it('should assign events to the calendar their file is in', async () => {
+      const { fileSystemService } = await import('./FileSystemService.js');
+      fileSystemService.getCalendar.mockImplementation(id => (id === work.id ? work : null));
+
+      const event = calendarService.indexEventFile('cal-0000beef:2026-01-15-review.md', '---\nid: r\ntitle: Review\nstartDate: 2026-01-15\n---\n');
+      expect(event.calendar).toBe(work.id);
+      expect(event.color).toBe('#0ea5e9');
+
+      const { event: own } = calendarService.parseEventFile('2026-01-15-dentist.md', '---\nid: d\ntitle: Dentist\nstartDate: 2026-01-15\n---\n');
+      expect(own.calendar).toBe('default');
+
+      fileSystemService.getCalendar.mockImplementation(() => null);
+    });
+
+    it('should write new events to the chosen calendar', async () => {
+      const event = await calendarService.createEvent({ title: 'Review', startDate: '2026-01-15', calendar: work.id });
+      expect(event._filename).toBe('cal-0000beef:2026-01-15-review.md');
+    });
+
+    it('should move the file when the calendar changes', async () => {
+      const { fileSystemService } = await import('./FileSystemService.js');
+      const event = await calendarService.createEvent({ title: 'Review', startDate: '2026-01-15' });
+      event._filename = 'meetings/2026-01-15-review.md';
+      delete event._contentHash;
+
+      fileSystemService.writeFile.mockClear();
+      fileSystemService.deleteFile.mockClear();
+      const moved = await calendarService.updateEvent(event.id, { calendar: work.id });
+
+      expect(moved._filename).toBe('cal-0000beef:2026-01-15-review.md');
+      expect(fileSystemService.deleteFile).toHaveBeenCalledWith('meetings/2026-01-15-review.md');
+    });
+
+    it('should hide events of calendars that are switched off', async () => {
+      const { fileSystemService } = await import('./FileSystemService.js');
+      fileSystemService.getCalendars.mockReturnValue([
+        { id: 'default', name: 'Events', color: null, available: true },
+        work
+      ]);
+      calendarService.events.set('a', { id: 'a', type: 'work', calendar: 'default' });
+      calendarService.events.set('b', { id: 'b', type: 'work', calendar: work.id });
+
+      calendarService.toggleCalendar(work.id);
+      expect(calendarService.getAllEvents().map(e => e.id)).toEqual(['a']);
+      expect(localStorage.setItem).toHaveBeenCalledWith('hiddenCalendars', JSON.stringify([work.id]));
+
+      calendarService.toggleCalendar(work.id);
+      expect(calendarService.getAllEvents()).toHaveLength(2);
+
+      // With a single calendar left there is no toggle, so nothing stays hidden
+      calendarService.toggleCalendar('default');
+      fileSystemService.getCalendars.mockReturnValue([{ id: 'default', name: 'Events', color: null, available: true }]);
+      expect(calendarService.getAllEvents()).toHaveLength(2);
+    });
+
+    it('should default new events to the first visible calendar', async () => {
+      const { fileSystemService } = await import('./FileSystemService.js');
+      fileSystemService.getCalendars.mockReturnValue([
+        { id: 'default', name: 'Events', color: null, available: true },
+        work
+      ]);
+
+      expect(calendarService.getDefaultCalendarId()).toBe('default');
+      calendarService.toggleCalendar('default');
+      expect(calendarService.getDefaultCalendarId()).toBe(work.id);
+
+      fileSystemService.getCalendars.mockReturnValue([{ id: 'default', name: 'Events', color: null, available: true }]);
+    });
+  });
+
   describe('Holiday events', () => {
     it('should return holidays when enabled', () => {
       const holidays = calendarService.getHolidayEvents('2026-01-01', '2026-01-31');
@@ -251,6 +1007,120 @@ recurrenceInterval: 2
     });
   });
 
+  describe('Overlay layers', () => {
+    afterEach(async () => {
+      const { overlayService } = await import('./OverlayService.js');
+      overlayService.layers = [];
+    });
+
+    it('should merge expanded .ics events into a range', async () => {
+      const { overlayService } = await import('./OverlayService.js');
+      overlayService.layers = [{
+        id: 'ics-1', name: 'School', color: '#f97316', enabled: true, available: true,
+        events: [{
+          uid: 'pe', title: 'PE', startDate: '2026-01-05', endDate: '2026-01-05', allDay: true,
+          startTime: null, endTime: null, rrule: 'FREQ=WEEKLY', exceptionDates: ['2026-01-12'], overrides: {}
+        }]
+      }];
+
+      const events = calendarService.getEventsForRange('2026-01-01', '2026-01-31')
+        .filter(e => e._isOverlay);
+      expect(events.map(e => e.startDate)).toEqual(['2026-01-05', '2026-01-19', '2026-01-26']);
+      expect(events[0]).toMatchObject({ title: 'PE', color: '#f97316', _overlayName: 'School' });
+
+      overlayService.layers[0].enabled = false;
+      expect(calendarService.getEventsForRange('2026-01-01', '2026-01-31').some(e => e._isOverlay)).toBe(false);
+    });
+  });
+
+  describe('Visible hours', () => {
+    afterEach(() => {
+      calendarService.setVisibleHours(6, 23);
+    });
+
+    it('should persist the hours the week view shows', () => {
+      const listener = vi.fn();
+      const unsubscribe = calendarService.addListener(listener);
+      calendarService.setVisibleHours(8, 18);
+      unsubscribe();
+
+      expect(calendarService.visibleHours).toEqual({ start: 8, end: 18 });
+      expect(localStorage.setItem).toHaveBeenCalledWith('visibleHours', JSON.stringify({ start: 8, end: 18 }));
+      expect(calendarService.loadVisibleHours()).toEqual({ start: 8, end: 18 });
+      expect(listener).toHaveBeenCalled();
+    });
+
+    it('should reject ranges outside a day', () => {
+      expect(() => calendarService.setVisibleHours(18, 8)).toThrow('Invalid visible hours: 18-8');
+      expect(() => calendarService.setVisibleHours(0, 25)).toThrow();
+      expect(() => calendarService.setVisibleHours(6.5, 20)).toThrow();
+      expect(calendarService.visibleHours).toEqual({ start: 6, end: 23 });
+    });
+  });
+
+  describe('Time zones', () => {
+    afterEach(() => {
+      calendarService.setDisplayTimezone(null);
+    });
+
+    it('should read and write event time zones', () => {
+      const { event, problems } = calendarService.parseEventFile('flight.md', `---
+id: "flight-1"
+title: "Flight"
+startDate: "2026-03-02"
+startTime: "10:00"
+endTime: "13:00"
+allDay: false
+timezone: "Europe/Stockholm"
+endTimezone: "America/New_York"
+---`);
+
+      expect(problems).toEqual([]);
+      expect(event).toMatchObject({ timezone: 'Europe/Stockholm', endTimezone: 'America/New_York' });
+      const content = calendarService.serializeEvent(event);
+      expect(content).toContain('timezone: "Europe/Stockholm"');
+      expect(content).toContain('endTimezone: "America/New_York"');
+    });
+
+    it('should warn about unknown zones', () => {
+      const { event, problems } = calendarService.parseEventFile('a.md',
+        '---\nid: a\nstartDate: "2026-03-02"\nstartTime: "10:00"\ntimezone: "Mars/Olympus"\n---');
+      expect(event.timezone).toBeNull();
+      expect(problems).toMatchObject([{ severity: 'warning' }]);
+      expect(calendarService.validateEvent({ title: 'A', startDate: '2026-03-02', allDay: false, timezone: 'Mars/Olympus' }))
+        .toEqual(['Unknown time zone "Mars/Olympus" (expected an IANA name such as Europe/Stockholm)']);
+    });
+
+    it('should show zoned events in the display zone', () => {
+      calendarService.setDisplayTimezone('America/New_York');
+      calendarService.events.set('flight-1', {
+        id: 'flight-1', title: 'Flight', startDate: '2026-03-02', endDate: '2026-03-02', allDay: false,
+        startTime: '10:00', endTime: '13:00', timezone: 'Europe/Stockholm', endTimezone: 'America/New_York',
+        type: 'other', recurrence: 'none'
+      });
+      calendarService.events.set('late-1', {
+        id: 'late-1', title: 'Late call', startDate: '2026-03-03', endDate: '2026-03-03', allDay: false,
+        startTime: '01:00', endTime: '02:00', timezone: 'Europe/London', type: 'work', recurrence: 'none'
+      });
+      calendarService.events.set('floating-1', {
+        id: 'floating-1', title: 'Lunch', startDate: '2026-03-02', endDate: '2026-03-02', allDay: false,
+        startTime: '12:00', endTime: '13:00', type: 'personal', recurrence: 'none'
+      });
+
+      const events = calendarService.getEventsForRange('2026-03-02', '2026-03-02');
+      const byId = Object.fromEntries(events.map(e => [e.id, e]));
+
+      expect(byId['flight-1']).toMatchObject({ startTime: '04:00', endTime: '13:00' });
+      expect(byId['flight-1']._zoneTimes).toMatchObject({ startTime: '10:00', startZone: 'Europe/Stockholm' });
+      // 01:00 in London is the evening before in New York
+      expect(byId['late-1']).toMatchObject({ startDate: '2026-03-02', startTime: '20:00' });
+      expect(byId['floating-1']).toMatchObject({ startTime: '12:00' });
+      expect(calendarService.getEventsForRange('2026-03-03', '2026-03-03').some(e => e.id === 'late-1')).toBe(false);
+      // Editing works on the event's own times
+      expect(calendarService.events.get('flight-1').startTime).toBe('10:00');
+    });
+  });
+
   describe('Recurrence expansion', () => {
     it('should expand daily recurring events', () => {
       const events = [{
@@ -295,6 +1165,23 @@ recurrenceInterval: 2
       expect(expanded.length).toBe(4); // Jan 5, Jan 19, Feb 2, Feb 16
     });
 
+    it('should show series that started long before the range', () => {
+      calendarService.events.set('standup', {
+        id: 'standup',
+        title: 'Standup',
+        startDate: '2024-01-08',
+        endDate: '2024-01-08',
+        allDay: false,
+        startTime: '09:00',
+        type: 'work',
+        recurrence: 'daily'
+      });
+      const events = calendarService.getEventsForRange('2026-01-05', '2026-01-11')
+        .filter(e => e._originalId === 'standup');
+      expect(events).toHaveLength(7);
+      expect(events[0].startDate).toBe('2026-01-05');
+    });
+
     it('should not expand non-recurring events', () => {
       const events = [{
         id: 'single-1',
@@ -310,6 +1197,269 @@ recurrenceInterval: 2
     });
   });
 
+  describe('Recurrence exceptions', () => {
+    const weekly = () => ({
+      id: 'series-1',
+      title: 'Weekly Sync',
+      startDate: '2026-01-05',
+      endDate: '2026-01-05',
+      allDay: false,
+      startTime: '09:00',
+      endTime: '10:00',
+      color: '#3b82f6',
+      type: 'work',
+      recurrence: 'weekly',
+      recurrenceEnd: '2026-01-26',
+      exceptionDates: [],
+      overrides: {},
+      _filename: '2026-01-05-weekly-sync.md'
+    });
+
+    it('should skip exception dates when expanding', () => {
+      const events = [{ ...weekly(), exceptionDates: ['2026-01-12'] }];
+      const expanded = calendarService.expandRecurringEvents(events, '2026-01-01', '2026-01-31');
+      expect(expanded.map(e => e.startDate)).toEqual(['2026-01-05', '2026-01-19', '2026-01-26']);
+    });
+
+    it('should apply overrides to a single occurrence', () => {
+      const events = [{ ...weekly(), overrides: { '2026-01-12': { startTime: '11:00', title: 'Moved Sync' } } }];
+      const expanded = calendarService.expandRecurringEvents(events, '2026-01-12', '2026-01-12');
+      expect(expanded).toHaveLength(1);
+      expect(expanded[0].startTime).toBe('11:00');
+      expect(expanded[0].title).toBe('Moved Sync');
+      expect(expanded[0].id).toBe('series-1_2026-01-12');
+    });
+
+    it('should include occurrences moved into the range from a later date', () => {
+      const events = [{ ...weekly(), overrides: { '2026-01-19': { startDate: '2026-01-15' } } }];
+      const expanded = calendarService.expandRecurringEvents(events, '2026-01-13', '2026-01-16');
+      expect(expanded).toHaveLength(1);
+      expect(expanded[0].startDate).toBe('2026-01-15');
+      expect(expanded[0].id).toBe('series-1_2026-01-19');
+    });
+
+    it('should include occurrences moved into the range from an earlier date', () => {
+      const events = [{ ...weekly(), overrides: { '2026-01-05': { startDate: '2026-03-17' } } }];
+      const expanded = calendarService.expandRecurringEvents(events, '2026-03-01', '2026-03-31');
+      expect(expanded).toHaveLength(1);
+      expect(expanded[0]).toMatchObject({ id: 'series-1_2026-01-05', startDate: '2026-03-17', endDate: '2026-03-17' });
+
+      const january = calendarService.expandRecurringEvents(events, '2026-01-01', '2026-01-31');
+      expect(january.map(e => e._occurrenceDate)).toEqual(['2026-01-12', '2026-01-19', '2026-01-26']);
+    });
+
+    it('should parse instance ids', () => {
+      expect(calendarService.parseInstanceId('abc-123_2026-01-12'))
+        .toEqual({ seriesId: 'abc-123', occurrenceDate: '2026-01-12' });
+      expect(calendarService.parseInstanceId('abc-123'))
+        .toEqual({ seriesId: 'abc-123', occurrenceDate: null });
+    });
+
+    it('should serialize and parse exceptions and overrides', () => {
+      const event = {
+        ...weekly(),
+        exceptionDates: ['2026-01-19', '2026-01-12'],
+        overrides: { '2026-01-26': { title: 'Retro "special"' } }
+      };
+      const { frontmatter } = calendarService.parseMarkdown(calendarService.serializeEvent(event));
+      expect(frontmatter.exceptionDates).toEqual(['2026-01-12', '2026-01-19']);
+      expect(calendarService.parseExceptionDates(frontmatter.exceptionDates))
+        .toEqual(['2026-01-12', '2026-01-19']);
+      expect(calendarService.parseOverrides(frontmatter.overrides))
+        .toEqual({ '2026-01-26': { title: 'Retro "special"' } });
+    });
+
+    it('should delete only one occurrence with scope "this"', async () => {
+      calendarService.events.set('series-1', weekly());
+      await calendarService.deleteEvent('series-1_2026-01-12', { scope: 'this' });
+      expect(calendarService.events.get('series-1').exceptionDates).toEqual(['2026-01-12']);
+    });
+
+    it('should end the series with scope "following" on delete', async () => {
+      calendarService.events.set('series-1', weekly());
+      await calendarService.deleteEvent('series-1_2026-01-19', { scope: 'following' });
+      expect(calendarService.events.get('series-1').recurrenceEnd).toBe('2026-01-18');
+    });
+
+    it('should store an override when updating with scope "this"', async () => {
+      calendarService.events.set('series-1', weekly());
+      await calendarService.updateEvent('series-1_2026-01-12', {
+        title: 'Weekly Sync',
+        startDate: '2026-01-12',
+        endDate: '2026-01-12',
+        startTime: '13:00',
+        endTime: '14:00',
+        allDay: false
+      }, { scope: 'this' });
+      const series = calendarService.events.get('series-1');
+      expect(series.overrides).toEqual({ '2026-01-12': { startTime: '13:00', endTime: '14:00' } });
+      expect(series.startTime).toBe('09:00');
+    });
+
+    it('should store time zone changes of a single occurrence', async () => {
+      calendarService.events.set('series-1', { ...weekly(), timezone: 'Europe/Stockholm' });
+      await calendarService.updateEvent('series-1_2026-01-12', {
+        startDate: '2026-01-12',
+        endDate: '2026-01-12',
+        startTime: '09:00',
+        endTime: '10:00',
+        timezone: 'America/New_York',
+        allDay: false
+      }, { scope: 'this' });
+
+      const series = calendarService.events.get('series-1');
+      expect(series.timezone).toBe('Europe/Stockholm');
+      expect(series.overrides).toEqual({ '2026-01-12': { timezone: 'America/New_York' } });
+      expect(calendarService.buildOccurrence(series, '2026-01-12').timezone).toBe('America/New_York');
+      expect(calendarService.buildOccurrence(series, '2026-01-19').timezone).toBe('Europe/Stockholm');
+
+      calendarService.events.set('series-1', { ...weekly(), timezone: 'Europe/Stockholm' });
+      await calendarService.updateEvent('series-1_2026-01-19', {
+        startDate: '2026-01-19',
+        endDate: '2026-01-19',
+        allDay: true
+      }, { scope: 'this' });
+      expect(calendarService.events.get('series-1').overrides['2026-01-19'])
+        .toEqual({ allDay: true, startTime: null, endTime: null, timezone: null, endTimezone: null });
+    });
+
+    it('should split the series with scope "following" on update', async () => {
+      calendarService.events.set('series-1', { ...weekly(), exceptionDates: ['2026-01-26'] });
+      const created = await calendarService.updateEvent('series-1_2026-01-19', {
+        title: 'Renamed Sync',
+        startDate: '2026-01-19',
+        endDate: '2026-01-19'
+      }, { scope: 'following' });
+
+      const original = calendarService.events.get('series-1');
+      expect(original.recurrenceEnd).toBe('2026-01-18');
+      expect(original.exceptionDates).toEqual([]);
+      expect(created.id).not.toBe('series-1');
+      expect(created.title).toBe('Renamed Sync');
+      expect(created.startDate).toBe('2026-01-19');
+      expect(created.recurrenceEnd).toBe('2026-01-26');
+      expect(created.exceptionDates).toEqual(['2026-01-26']);
+    });
+
+    it('should give the split-off series its own UID', async () => {
+      calendarService.events.set('series-1', { ...weekly(), uid: 'weekly-sync@example.com' });
+      const created = await calendarService.updateEvent('series-1_2026-01-19', {
+        title: 'Renamed Sync',
+        startDate: '2026-01-19',
+        endDate: '2026-01-19'
+      }, { scope: 'following' });
+
+      expect(calendarService.events.get('series-1').uid).toBe('weekly-sync@example.com');
+      expect(created.uid).toBeNull();
+      expect(calendarService.serializeEvent(created)).not.toContain('weekly-sync@example.com');
+    });
+
+    it('should shift the whole series when moving an occurrence with scope "all"', async () => {
+      calendarService.events.set('series-1', weekly());
+      await calendarService.updateEvent('series-1_2026-01-12', {
+        startDate: '2026-01-13',
+        endDate: '2026-01-13'
+      }, { scope: 'all' });
+      expect(calendarService.events.get('series-1').startDate).toBe('2026-01-06');
+    });
+  });
+
+  describe('Recurrence rules', () => {
+    it('should expand events with an rrule', () => {
+      const events = [{
+        id: 'tt-1',
+        title: 'Tue/Thu',
+        startDate: '2026-01-06',
+        endDate: '2026-01-06',
+        recurrence: 'weekly',
+        rrule: 'FREQ=WEEKLY;BYDAY=TU,TH;COUNT=4'
+      }];
+      const expanded = calendarService.expandRecurringEvents(events, '2026-01-01', '2026-01-31');
+      expect(expanded.map(e => e.startDate)).toEqual(['2026-01-06', '2026-01-08', '2026-01-13', '2026-01-15']);
+    });
+
+    it('should serialize rich rules as rrule and simple ones as plain fields', () => {
+      const base = { id: 'r-1', title: 'R', startDate: '2026-01-06', allDay: true, color: '#8b5cf6' };
+      const rich = calendarService.applyRecurrenceRule({ ...base, rrule: 'FREQ=MONTHLY;BYDAY=-1FR' });
+      const simple = calendarService.applyRecurrenceRule({ ...base, rrule: 'FREQ=WEEKLY;INTERVAL=2' });
+
+      expect(calendarService.serializeEvent(rich)).toContain('rrule: "FREQ=MONTHLY;BYDAY=-1FR"');
+      expect(rich.recurrence).toBe('monthly');
+      expect(simple.rrule).toBeNull();
+      expect(calendarService.serializeEvent(simple)).toContain('recurrence: "weekly"');
+      expect(calendarService.serializeEvent(simple)).toContain('recurrenceInterval: 2');
+    });
+
+    it('should load rrule fields from files', async () => {
+      const { fileSystemService } = await import('./FileSystemService.js');
+      fileSystemService.listFileStats.mockResolvedValueOnce(fileStats(['2026-01-06-tt.md']));
+      fileSystemService.readFile.mockResolvedValueOnce(`---
+id: "tt-1"
+title: "Tue/Thu"
+startDate: "2026-01-06"
+allDay: true
+rrule: "FREQ=WEEKLY;BYDAY=TU,TH;UNTIL=20260331"
+---`);
+      await calendarService.loadAllEvents();
+      const event = calendarService.events.get('tt-1');
+      expect(event.recurrence).toBe('weekly');
+      expect(event.recurrenceEnd).toBe('2026-03-31');
+      expect(event.rrule).toBe('FREQ=WEEKLY;BYDAY=TU,TH;UNTIL=20260331');
+    });
+
+    it('should keep monthly events on the 31st anchored to month end', () => {
+      const events = [{
+        id: 'm-31',
+        title: 'Invoice',
+        startDate: '2026-01-31',
+        endDate: '2026-01-31',
+        recurrence: 'monthly'
+      }];
+      const expanded = calendarService.expandRecurringEvents(events, '2026-01-01', '2026-04-30');
+      expect(expanded.map(e => e.startDate)).toEqual(['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']);
+    });
+
+    it('should only serialize a non-default month-end policy', () => {
+      const base = {
+        id: 'm-31', title: 'Invoice', startDate: '2026-01-31', allDay: true, color: '#8b5cf6', recurrence: 'monthly'
+      };
+      expect(calendarService.serializeEvent({ ...base, monthEndPolicy: 'skip' })).toContain('monthEndPolicy: "skip"');
+      expect(calendarService.serializeEvent({ ...base, monthEndPolicy: 'clamp' })).not.toContain('monthEndPolicy');
+    });
+
+    it('should reject invalid rules', () => {
+      const errors = calendarService.validateEvent({ title: 'Test', startDate: '2026-01-15', rrule: 'FREQ=SOMETIMES' });
+      expect(errors.some(e => e.startsWith('Invalid recurrence rule'))).toBe(true);
+    });
+
+    it('should carry the remaining COUNT over when splitting a series', async () => {
+      calendarService.events.set('count-1', {
+        id: 'count-1',
+        title: 'Ten times',
+        startDate: '2026-01-01',
+        endDate: '2026-01-01',
+        allDay: true,
+        color: '#8b5cf6',
+        type: 'personal',
+        recurrence: 'daily',
+        rrule: 'FREQ=DAILY;COUNT=10',
+        exceptionDates: [],
+        overrides: {}
+      });
+      const created = await calendarService.updateEvent('count-1_2026-01-04', {
+        title: 'Renamed',
+        startDate: '2026-01-04',
+        endDate: '2026-01-04',
+        rrule: 'FREQ=DAILY;COUNT=10'
+      }, { scope: 'following' });
+
+      // UNTIL alone fits the plain fields, so the rrule is dropped
+      expect(calendarService.events.get('count-1').rrule).toBeNull();
+      expect(calendarService.events.get('count-1').recurrenceEnd).toBe('2026-01-03');
+      expect(created.rrule).toBe('FREQ=DAILY;COUNT=7');
+    });
+  });
+
   describe('validateEvent', () => {
     it('should return empty array for valid event', () => {
       const errors = calendarService.validateEvent({
@@ -0,0 +1,69 @@
+/**
+ * CsvExport - Write events to a CSV file for spreadsheets
+ * One row per event; repeating events are one row with their rule in the Recurrence column.
+ * The columns match what CsvImport recognises, so an exported file can be imported again.
+ */
+
+import { calendarService } from './CalendarService.js';
+import { getEventRule, formatRRule, mayOccurBetween } from './Recurrence.js';
+import { formatCSV } from '../utils/csv.js';
+
+/**
+ * Column headers, in order
+ */
+export const CSV_COLUMNS = {
+  title: 'Title',
+  type: 'Type',
+  startDate: 'Start date',
+  startTime: 'Start time',
+  endDate: 'End date',
+  endTime: 'End time',
+  allDay: 'All day',
+  recurrence: 'Recurrence',
+  description: 'Description'
+};
+
+/**
+ * Get the values of one event's row
+ * @returns {Object<string, string>} Values keyed like CSV_COLUMNS
+ */
+function toRow(event) {
+  const rule = getEventRule(event);
+  return {
+    title: event.title,
+    type: event.type || 'personal',
+    startDate: event.startDate,
+    startTime: event.allDay ? '' : event.startTime || '',
+    endDate: event.endDate || event.startDate,
+    endTime: event.allDay ? '' : event.endTime || '',
+    allDay: event.allDay ? 'yes' : 'no',
+    recurrence: rule ? formatRRule(rule) : '',
+    description: event.description || ''
+  };
+}
+
+/**
+ * Write events as CSV
+ * @param {Object} [options]
+ * @param {string[]} [options.types] - Event types to include (default: all)
+ * @param {string} [options.startDate] - Leave out events that end before this date (YYYY-MM-DD)
+ * @param {string} [options.endDate] - Leave out events that start after this date (YYYY-MM-DD)
+ * @param {string} [options.separator] - Field separator (default: comma)
+ * @returns {{content: string, count: number}} File contents and number of events written
+ */
+export function exportCsv({ types = null, startDate = null, endDate = null, separator = ',' } = {}) {
+  const rows = [...calendarService.events.values()]
+    .filter(event => !types || types.includes(event.type || 'personal'))
+    .filter(event => mayOccurBetween(event, startDate, endDate))
+    .sort((a, b) => a.startDate.localeCompare(b.startDate) ||
+      (a.startTime || '').localeCompare(b.startTime || ''))
+    .map(toRow);
+
+  const fields = Object.keys(CSV_COLUMNS);
+  const content = formatCSV([
+    Object.values(CSV_COLUMNS),
+    ...rows.map(row => fields.map(field => row[field]))
+  ], { separator });
+
+  return { content, count: rows.length };
+}
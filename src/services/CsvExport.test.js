@@ -0,0 +1,66 @@
+/**
+ * Tests for CsvExport
+ * Covers columns, recurrence rules and filtering by type and date range
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// Mock FileSystemService
+vi.mock('./FileSystemService.js', () => ({
+  fileSystemService: {
+    hasAccess: vi.fn(() => true),
+    getCalendar: vi.fn(() => null),
+    getCalendars: vi.fn(() => [{ id: 'default', name: 'Events', color: null, available: true }]),
+    saveHandle: vi.fn(() => Promise.resolve()),
+    loadHandle: vi.fn(() => Promise.resolve(null)),
+  }
+}));
+
+const { calendarService } = await import('./CalendarService.js');
+const { exportCsv } = await import('./CsvExport.js');
+const { parseCSV } = await import('../utils/csv.js');
+
+const addEvent = (event) => calendarService.events.set(event.id, {
+  type: 'personal',
+  endDate: event.startDate,
+  allDay: true,
+  startTime: null,
+  endTime: null,
+  recurrence: 'none',
+  recurrenceInterval: 1,
+  recurrenceEnd: null,
+  rrule: null,
+  description: '',
+  ...event
+});
+
+describe('CsvExport', () => {
+  beforeEach(() => {
+    calendarService.events.clear();
+  });
+
+  it('should write a header and one row per event', () => {
+    addEvent({ id: 'a', title: 'Review, Q1', type: 'work', startDate: '2026-01-15', allDay: false, startTime: '10:00', endTime: '11:30' });
+    addEvent({ id: 'b', title: 'Gym', startDate: '2026-01-05', recurrence: 'weekly', recurrenceInterval: 2, description: 'Bring\nshoes' });
+
+    const { content, count } = exportCsv();
+
+    expect(count).toBe(2);
+    expect(parseCSV(content)).toEqual([
+      ['Title', 'Type', 'Start date', 'Start time', 'End date', 'End time', 'All day', 'Recurrence', 'Description'],
+      ['Gym', 'personal', '2026-01-05', '', '2026-01-05', '', 'yes', 'FREQ=WEEKLY;INTERVAL=2', 'Bring\nshoes'],
+      ['Review, Q1', 'work', '2026-01-15', '10:00', '2026-01-15', '11:30', 'no', '', '']
+    ]);
+  });
+
+  it('should filter by type and date range', () => {
+    addEvent({ id: 'a', title: 'January', type: 'work', startDate: '2026-01-15' });
+    addEvent({ id: 'b', title: 'March', type: 'work', startDate: '2026-03-15' });
+    addEvent({ id: 'c', title: 'Personal', startDate: '2026-01-16' });
+
+    const { content, count } = exportCsv({ types: ['work'], startDate: '2026-01-01', endDate: '2026-01-31', separator: ';' });
+
+    expect(count).toBe(1);
+    expect(content.split('\r\n')[1]).toBe('January;work;2026-01-15;;2026-01-15;;yes;;');
+  });
+});
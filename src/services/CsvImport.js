@@ -0,0 +1,185 @@
+/**
+ * CsvImport - Turn rows of a spreadsheet into markdown event files
+ * Columns are mapped to event fields (guessed from the headers, adjustable by the user),
+ * then every row is converted and checked with validateEvent before anything is written.
+ * Rows that pass are created with importEvents, like .ics imports.
+ */
+
+import { calendarService, EVENT_TYPES, RECURRENCE_PATTERNS } from './CalendarService.js';
+import { CSV_COLUMNS } from './CsvExport.js';
+import { isValidDate } from '../utils/dateUtils.js';
+
+// Header names recognised for each field (the fields of CSV_COLUMNS), lowercase
+const HEADER_ALIASES = {
+  title: ['title', 'subject', 'name', 'summary', 'event', 'titel', 'rubrik'],
+  type: ['type', 'category', 'kind', 'typ', 'kategori'],
+  startDate: ['start date', 'start', 'date', 'from', 'begins', 'startdatum', 'datum', 'från'],
+  startTime: ['start time', 'from time', 'time', 'starttid', 'tid'],
+  endDate: ['end date', 'end', 'to', 'until', 'ends', 'slutdatum', 'till'],
+  endTime: ['end time', 'to time', 'sluttid'],
+  allDay: ['all day', 'all-day', 'allday', 'all day event', 'heldag'],
+  recurrence: ['recurrence', 'repeat', 'repeats', 'rrule', 'upprepning'],
+  description: ['description', 'notes', 'note', 'details', 'comment', 'beskrivning', 'anteckningar']
+};
+
+const TRUE_VALUES = ['yes', 'y', 'true', '1', 'x', 'ja'];
+const FALSE_VALUES = ['no', 'n', 'false', '0', 'nej', ''];
+
+/**
+ * Guess which column holds each field from the header row
+ * @param {string[]} headers
+ * @returns {Object<string, number|null>} Column index per field, null if none matched
+ */
+export function guessMapping(headers) {
+  const normalized = headers.map(header => header.trim().toLowerCase().replace(/[_\s]+/g, ' '));
+  const used = new Set();
+  const mapping = {};
+
+  for (const [field, aliases] of Object.entries(HEADER_ALIASES)) {
+    const index = aliases
+      .map(alias => normalized.findIndex((header, i) => header === alias && !used.has(i)))
+      .find(i => i !== -1);
+    mapping[field] = index ?? null;
+    if (index !== undefined) used.add(index);
+  }
+
+  return mapping;
+}
+
+/**
+ * Read a date, optionally followed by a time
+ * @returns {{date: string, time: string|null}|null}
+ */
+function parseDateCell(value) {
+  const match = /^(\d{4})[-/.]?(\d{2})[-/.]?(\d{2})(?:[T\s]+(\d{1,2})[:.](\d{2})(?::\d{2})?)?$/.exec(value);
+  if (!match) return null;
+  const time = match[4] ? `${match[4].padStart(2, '0')}:${match[5]}` : null;
+  return { date: `${match[1]}-${match[2]}-${match[3]}`, time };
+}
+
+/**
+ * Read a time such as 9:30, 09.30 or 09:30:00
+ * @returns {string|null} HH:MM
+ */
+function parseTimeCell(value) {
+  const match = /^(\d{1,2})[:.](\d{2})(?::\d{2})?$/.exec(value);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return `${match[1].padStart(2, '0')}:${match[2]}`;
+}
+
+/**
+ * Read an event type by key or label
+ * @returns {string|null}
+ */
+function parseTypeCell(value) {
+  const lower = value.toLowerCase();
+  if (!lower) return 'personal';
+  const match = Object.entries(EVENT_TYPES).find(([key, { label }]) =>
+    key === lower || label.toLowerCase() === lower);
+  return match ? match[0] : null;
+}
+
+/**
+ * Read a recurrence: a pattern name (daily, weekly, ...) or an RRULE
+ * @returns {{recurrence?: string, rrule?: string}|null}
+ */
+function parseRecurrenceCell(value) {
+  const lower = value.toLowerCase();
+  if (!lower) return {};
+  const pattern = Object.entries(RECURRENCE_PATTERNS).find(([key, label]) =>
+    key === lower || label.toLowerCase() === lower);
+  if (pattern) return { recurrence: pattern[0] };
+  if (/^(rrule:)?freq=/.test(lower)) return { rrule: value.replace(/^RRULE:/i, '') };
+  return null;
+}
+
+/**
+ * Convert one row to event data
+ * @returns {{event: Object, errors: string[]}}
+ */
+function convertRow(row, mapping) {
+  const cell = (field) => (mapping[field] === null || mapping[field] === undefined
+    ? ''
+    : (row[mapping[field]] ?? '').trim());
+  const errors = [];
+
+  // Unreadable dates are kept as written for validateEvent to report
+  const start = parseDateCell(cell('startDate'));
+  const end = parseDateCell(cell('endDate'));
+  for (const [field, parsed] of [['startDate', start], ['endDate', end]]) {
+    if (parsed && !isValidDate(parsed.date)) {
+      errors.push(`${CSV_COLUMNS[field]} "${cell(field)}" does not exist`);
+    }
+  }
+
+  const readTime = (field, fallback) => {
+    if (!cell(field)) return fallback;
+    const time = parseTimeCell(cell(field));
+    if (!time) errors.push(`${CSV_COLUMNS[field]} "${cell(field)}" is not a time (HH:MM)`);
+    return time;
+  };
+  const startTime = readTime('startTime', start?.time ?? null);
+  const endTime = readTime('endTime', end?.time ?? null);
+
+  let allDay = !startTime;
+  if (cell('allDay')) {
+    const value = cell('allDay').toLowerCase();
+    if (TRUE_VALUES.includes(value)) allDay = true;
+    else if (FALSE_VALUES.includes(value)) allDay = false;
+    else errors.push(`All day "${cell('allDay')}" is not yes or no`);
+  }
+  if (!allDay && !startTime) {
+    errors.push('Start time is missing for an event that is not all day');
+  }
+
+  const type = parseTypeCell(cell('type'));
+  if (!type) {
+    errors.push(`Type "${cell('type')}" is not one of ${Object.keys(EVENT_TYPES).join(', ')}`);
+  }
+  const recurrence = parseRecurrenceCell(cell('recurrence'));
+  if (!recurrence) {
+    errors.push(`Recurrence "${cell('recurrence')}" is not a pattern (daily, weekly, ...) or an RRULE`);
+  }
+
+  const event = {
+    title: cell('title'),
+    type: type || 'personal',
+    startDate: start ? start.date : cell('startDate'),
+    endDate: end ? end.date : cell('endDate') || start?.date || '',
+    allDay,
+    startTime: allDay ? null : startTime,
+    endTime: allDay ? null : endTime,
+    ...recurrence,
+    description: cell('description')
+  };
+
+  return { event, errors };
+}
+
+/**
+ * Convert rows to events and check them, without writing anything
+ * @param {string[][]} rows - Parsed CSV, including the header row if there is one
+ * @param {Object<string, number|null>} mapping - Column index per field (see guessMapping)
+ * @param {Object} [options]
+ * @param {boolean} [options.hasHeader=true] - Skip the first row
+ * @returns {{valid: Array<{row: number, event: Object}>, invalid: Array<{row: number, event: Object, errors: string[]}>}}
+ *   Rows are numbered from 1 as in a spreadsheet; blank rows are skipped
+ */
+export function previewCsvImport(rows, mapping, { hasHeader = true } = {}) {
+  const preview = { valid: [], invalid: [] };
+
+  rows.forEach((row, index) => {
+    if ((hasHeader && index === 0) || row.every(value => value.trim() === '')) return;
+
+    const { event, errors } = convertRow(row, mapping);
+    const allErrors = [...errors, ...calendarService.validateEvent(event)];
+
+    if (allErrors.length > 0) {
+      preview.invalid.push({ row: index + 1, event, errors: allErrors });
+    } else {
+      preview.valid.push({ row: index + 1, event });
+    }
+  });
+
+  return preview;
+}
@@ -0,0 +1,99 @@
+/**
+ * Tests for CsvImport
+ * Covers guessing the column mapping, converting rows and row-level errors
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// Mock FileSystemService
+vi.mock('./FileSystemService.js', () => ({
+  fileSystemService: {
+    hasAccess: vi.fn(() => true),
+    writeFile: vi.fn(() => Promise.resolve()),
+    fileExists: vi.fn(() => Promise.resolve(false)),
+    getCalendar: vi.fn(() => null),
+    getCalendars: vi.fn(() => [{ id: 'default', name: 'Events', color: null, available: true }]),
+    saveHandle: vi.fn(() => Promise.resolve()),
+    loadHandle: vi.fn(() => Promise.resolve(null)),
+  }
+}));
+
+const { calendarService } = await import('./CalendarService.js');
+const { guessMapping, previewCsvImport } = await import('./CsvImport.js');
+const { exportCsv } = await import('./CsvExport.js');
+const { parseCSV } = await import('../utils/csv.js');
+
+describe('CsvImport', () => {
+  beforeEach(() => {
+    calendarService.events.clear();
+  });
+
+  it('should guess columns from common header names', () => {
+    expect(guessMapping(['Subject', 'Start Date', 'Start Time', 'End Date', 'End Time', 'All Day Event', 'Description', 'Location']))
+      .toEqual({
+        title: 0, type: null, startDate: 1, startTime: 2, endDate: 3, endTime: 4, allDay: 5, recurrence: null, description: 6
+      });
+    expect(guessMapping(['Rubrik', 'Datum', 'Tid'])).toMatchObject({ title: 0, startDate: 1, startTime: 2 });
+  });
+
+  it('should convert rows with the chosen mapping', () => {
+    const rows = [
+      ['Date', 'What', 'From', 'To', 'Kind', 'Repeat'],
+      ['2026-03-02', 'Planning', '9:00', '10.30', 'Work', 'weekly'],
+      ['2026/03/05 14:00', 'Dentist', '', '', '', ''],
+      ['20260310', 'Conference', '', '', 'work', 'FREQ=YEARLY;BYMONTH=3']
+    ];
+    const mapping = { title: 1, startDate: 0, startTime: 2, endTime: 3, type: 4, recurrence: 5 };
+
+    const { valid, invalid } = previewCsvImport(rows, mapping);
+
+    expect(invalid).toEqual([]);
+    expect(valid.map(v => v.row)).toEqual([2, 3, 4]);
+    expect(valid[0].event).toMatchObject({
+      title: 'Planning', type: 'work', startDate: '2026-03-02', allDay: false, startTime: '09:00', endTime: '10:30', recurrence: 'weekly'
+    });
+    expect(valid[1].event).toMatchObject({ startDate: '2026-03-05', allDay: false, startTime: '14:00', type: 'personal' });
+    expect(valid[2].event).toMatchObject({ startDate: '2026-03-10', allDay: true, rrule: 'FREQ=YEARLY;BYMONTH=3' });
+  });
+
+  it('should report errors per row, skipping blank rows', () => {
+    const rows = [
+      ['Title', 'Start date', 'End date', 'Start time', 'All day', 'Type'],
+      ['', '2026-03-02', '', '', '', ''],
+      ['Trip', '03/02/2026', '', '', '', ''],
+      [''],
+      ['Leap', '2026-02-29', '', '', '', 'meeting'],
+      ['Backwards', '2026-03-05', '2026-03-01', '25:00', 'maybe', '']
+    ];
+    const mapping = guessMapping(rows[0]);
+
+    const { valid, invalid } = previewCsvImport(rows, mapping);
+
+    expect(valid).toEqual([]);
+    expect(invalid.map(({ row, errors }) => [row, errors])).toEqual([
+      [2, ['Title is required']],
+      [3, ['Invalid start date format (expected YYYY-MM-DD)']],
+      [5, ['Start date "2026-02-29" does not exist', 'Type "meeting" is not one of personal, work, birthday, holiday, other']],
+      [6, [
+        'Start time "25:00" is not a time (HH:MM)',
+        'All day "maybe" is not yes or no',
+        'End date must be on or after start date'
+      ]]
+    ]);
+  });
+
+  it('should read back its own export', () => {
+    calendarService.events.set('a', {
+      id: 'a', title: 'Review', type: 'work', startDate: '2026-01-15', endDate: '2026-01-15',
+      allDay: false, startTime: '10:00', endTime: '11:30', recurrence: 'none', rrule: 'FREQ=MONTHLY;BYDAY=1MO', description: 'Notes'
+    });
+    const rows = parseCSV(exportCsv().content);
+
+    const { valid } = previewCsvImport(rows, guessMapping(rows[0]));
+
+    expect(valid[0].event).toEqual({
+      title: 'Review', type: 'work', startDate: '2026-01-15', endDate: '2026-01-15', allDay: false,
+      startTime: '10:00', endTime: '11:30', rrule: 'FREQ=MONTHLY;BYDAY=1MO', description: 'Notes'
+    });
+  });
+});
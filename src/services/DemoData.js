@@ -0,0 +1,165 @@
+/**
+ * DemoData - Sample events for trying the app without a folder
+ * Dates are generated relative to today so the calendar always looks lived-in.
+ */
+
+import { formatDate, addDays, getWeekStart } from '../utils/dateUtils.js';
+import { getWeekdayIndex } from './Recurrence.js';
+
+/**
+ * Find the last given weekday of a month
+ * @param {number} year
+ * @param {number} month - 0-based
+ * @param {number} weekday - Monday = 0
+ * @returns {Date}
+ */
+function lastWeekdayOfMonth(year, month, weekday) {
+  const date = new Date(year, month + 1, 0);
+  return addDays(date, -((getWeekdayIndex(date) - weekday + 7) % 7));
+}
+
+/**
+ * Move a date to another year, keeping month and day
+ * Birthday years are leap years so February 29 stays valid.
+ */
+function inYear(date, year) {
+  return `${year}${formatDate(date).slice(4)}`;
+}
+
+/**
+ * Create sample events around a date
+ * @param {Date} [today]
+ * @returns {Object[]} Event data as accepted by calendarService.createEvent
+ */
+export function createDemoEvents(today = new Date()) {
+  const day = (offset) => formatDate(addDays(today, offset));
+  const week = getWeekStart(today);
+  const weekDay = (offset) => formatDate(addDays(week, offset));
+  const bookClub = lastWeekdayOfMonth(today.getFullYear(), today.getMonth() - 1, 3);
+
+  return [
+    // Recurring meetings
+    {
+      title: 'Team standup',
+      type: 'work',
+      startDate: weekDay(-28),
+      allDay: false,
+      startTime: '09:00',
+      endTime: '09:15',
+      rrule: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR',
+      exceptionDates: [weekDay(9)],
+      description: 'Yesterday, today, blockers. Skipped on the team offsite day.'
+    },
+    {
+      title: '1:1 with Maria',
+      type: 'work',
+      startDate: weekDay(-11),
+      allDay: false,
+      startTime: '14:00',
+      endTime: '14:30',
+      recurrence: 'weekly',
+      recurrenceInterval: 2
+    },
+    {
+      title: 'Gym',
+      type: 'personal',
+      startDate: weekDay(-21),
+      allDay: false,
+      startTime: '18:00',
+      endTime: '19:00',
+      rrule: 'FREQ=WEEKLY;BYDAY=MO,TH',
+      overrides: {
+        [weekDay(3)]: { startTime: '07:00', endTime: '08:00', title: 'Gym (morning)' }
+      }
+    },
+    {
+      title: 'Book club',
+      type: 'personal',
+      startDate: formatDate(bookClub),
+      allDay: false,
+      startTime: '19:00',
+      endTime: '21:00',
+      rrule: 'FREQ=MONTHLY;BYDAY=-1TH',
+      description: 'Last Thursday of the month at the library café.'
+    },
+    {
+      title: 'Pay rent',
+      type: 'other',
+      startDate: formatDate(new Date(today.getFullYear(), today.getMonth() - 2, 25)),
+      allDay: true,
+      recurrence: 'monthly'
+    },
+
+    // Birthdays
+    {
+      title: "Mom's birthday",
+      type: 'birthday',
+      startDate: inYear(addDays(today, 6), 1960),
+      allDay: true,
+      recurrence: 'yearly'
+    },
+    {
+      title: "Alex's birthday",
+      type: 'birthday',
+      startDate: inYear(addDays(today, 19), 1988),
+      allDay: true,
+      recurrence: 'yearly'
+    },
+
+    // Multi-day trips
+    {
+      title: 'Weekend in Copenhagen',
+      type: 'personal',
+      startDate: weekDay(11),
+      endDate: weekDay(13),
+      allDay: true,
+      description: 'Train leaves 08:12. Hotel booking in the email from the travel agency.'
+    },
+    {
+      title: 'Frontend conference',
+      type: 'work',
+      startDate: weekDay(-12),
+      endDate: weekDay(-10),
+      allDay: true
+    },
+    {
+      title: 'Summer cottage',
+      type: 'personal',
+      startDate: day(30),
+      endDate: day(36),
+      allDay: true
+    },
+
+    // One-off events
+    {
+      title: 'Lunch with Sam',
+      type: 'personal',
+      startDate: day(0),
+      allDay: false,
+      startTime: '12:00',
+      endTime: '13:00'
+    },
+    {
+      title: 'Dentist',
+      type: 'personal',
+      startDate: day(2),
+      allDay: false,
+      startTime: '08:30',
+      endTime: '09:15'
+    },
+    {
+      title: 'Project deadline',
+      type: 'work',
+      startDate: day(9),
+      allDay: true
+    },
+    {
+      title: "Parents' evening",
+      type: 'other',
+      startDate: day(-3),
+      allDay: false,
+      startTime: '18:30',
+      endTime: '19:30'
+    }
+  ];
+}
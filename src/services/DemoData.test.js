@@ -0,0 +1,50 @@
+/**
+ * Tests for DemoData
+ * Covers that generated sample events are valid and placed around today
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createDemoEvents } from './DemoData.js';
+import { calendarService } from './CalendarService.js';
+import { getEventRule, expandRule } from './Recurrence.js';
+
+describe('DemoData', () => {
+  // A Wednesday in January, so the previous month is in the previous year
+  const today = new Date(2026, 0, 14);
+  const events = createDemoEvents(today);
+
+  it('should only generate valid events', () => {
+    for (const event of events) {
+      expect(calendarService.validateEvent(event), event.title).toEqual([]);
+    }
+  });
+
+  it('should include recurring meetings, birthdays and multi-day trips', () => {
+    expect(events.some(e => e.rrule || e.recurrence)).toBe(true);
+    expect(events.filter(e => e.type === 'birthday' && e.recurrence === 'yearly')).toHaveLength(2);
+    expect(events.some(e => e.endDate && e.endDate > e.startDate)).toBe(true);
+  });
+
+  it('should start recurring events on one of their own occurrences', () => {
+    for (const event of events.filter(e => e.rrule)) {
+      const rule = getEventRule(event);
+      expect(expandRule(rule, event.startDate, event.startDate, event.startDate), event.title)
+        .toEqual([event.startDate]);
+    }
+  });
+
+  it('should place exceptions and overrides on occurrences', () => {
+    for (const event of events.filter(e => e.exceptionDates || e.overrides)) {
+      const rule = getEventRule(event);
+      for (const date of [...(event.exceptionDates || []), ...Object.keys(event.overrides || {})]) {
+        expect(expandRule(rule, event.startDate, date, date), `${event.title} ${date}`).toEqual([date]);
+      }
+    }
+  });
+
+  it('should generate dates relative to today', () => {
+    expect(events.find(e => e.title === 'Lunch with Sam').startDate).toBe('2026-01-14');
+    expect(events.find(e => e.title === 'Book club').startDate).toBe('2025-12-25');
+    expect(events.find(e => e.title === 'Pay rent').startDate).toBe('2025-11-25');
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * DirectoryStorage - Storage adapter over a FileSystemDirectoryHandle
+ * Backs a folder picked with the File System Access API, the browser's
+ * Origin Private File System and the in-memory demo, which expose the same handle API.
+ */
+
+export class DirectoryStorage {
+  /**
+   * @param {FileSystemDirectoryHandle} rootHandle
+   * @param {Object} [options]
+   * @param {'folder'|'opfs'|'demo'} [options.kind='folder']
+   * @param {string} [options.name] - Display name, defaults to the folder name
+   */
+  constructor(rootHandle, { kind = 'folder', name = rootHandle.name } = {}) {
+    this.rootHandle = rootHandle;
+    this.kind = kind;
+    this.name = name;
+  }
+
+  /**
+   * Walk the folder and its subfolders, yielding files
+   * Hidden folders such as .git, .obsidian and .trash are skipped.
+   * @yields {{path: string, handle: FileSystemFileHandle}}
+   */
+  async *walk(dirHandle = this.rootHandle, prefix = '') {
+    for await (const entry of dirHandle.values()) {
+      const path = prefix + entry.name;
+      if (entry.kind === 'directory') {
+        if (!entry.name.startsWith('.')) {
+          yield* this.walk(entry, `${path}/`);
+        }
+      } else if (entry.kind === 'file') {
+        yield { path, handle: entry };
+      }
+    }
+  }
+
+  /**
+   * Split a relative path into its folder handle and file name
+   * @param {string} path - Relative path using "/" separators
+   * @param {Object} [options]
+   * @param {boolean} [options.create=false] - Create missing folders
+   * @returns {Promise<{dirHandle: FileSystemDirectoryHandle, name: string, parents: FileSystemDirectoryHandle[]}>}
+   */
+  async resolvePath(path, { create = false } = {}) {
+    const parts = path.split('/').filter(Boolean);
+    const name = parts.pop();
+    const parents = [];
+    let dirHandle = this.rootHandle;
+
+    for (const part of parts) {
+      parents.push(dirHandle);
+      dirHandle = await dirHandle.getDirectoryHandle(part, { create });
+    }
+
+    return { dirHandle, name, parents };
+  }
+
+  /**
+   * List files with their modification time and size
+   * @param {function(string): boolean} [filter] - Only stat paths this accepts
+   * @returns {Promise<Map<string, {lastModified: number, size: number}>>}
+   */
+  async list(filter = () => true) {
+    const stats = new Map();
+    for await (const { path, handle } of this.walk()) {
+      if (!filter(path)) continue;
+      const file = await handle.getFile();
+      stats.set(path, { lastModified: file.lastModified, size: file.size });
+    }
+    return stats;
+  }
+
+  /**
+   * Get modification time and size of a file
+   * @returns {Promise<{lastModified: number, size: number}|null>} Null if missing
+   */
+  async stat(path) {
+    try {
+      const { dirHandle, name } = await this.resolvePath(path);
+      const file = await (await dirHandle.getFileHandle(name)).getFile();
+      return { lastModified: file.lastModified, size: file.size };
+    } catch (err) {
+      if (err.name === 'NotFoundError' || err.name === 'TypeMismatchError') {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Read a file's content
+   * @returns {Promise<string|null>} Null if missing
+   */
+  async read(path) {
+    try {
+      const { dirHandle, name } = await this.resolvePath(path);
+      const file = await (await dirHandle.getFileHandle(name)).getFile();
+      return await file.text();
+    } catch (err) {
+      if (err.name === 'NotFoundError') {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Write a file, creating its folders if needed
+   * @returns {Promise<{lastModified: number, size: number}>} Stats after writing
+   */
+  async write(path, content) {
+    const { dirHandle, name } = await this.resolvePath(path, { create: true });
+    const fileHandle = await dirHandle.getFileHandle(name, { create: true });
+
+    const writable = await fileHandle.createWritable();
+    await writable.write(content);
+    await writable.close();
+
+    const file = await fileHandle.getFile();
+    return { lastModified: file.lastModified, size: file.size };
+  }
+
+  /**
+   * Delete a file
+   * Folders left empty by the delete are removed as well.
+   * @returns {Promise<boolean>} False if the file did not exist
+   */
+  async delete(path) {
+    try {
+      const { dirHandle, name, parents } = await this.resolvePath(path);
+      await dirHandle.removeEntry(name);
+      await this.removeEmptyFolders(path, dirHandle, parents);
+      return true;
+    } catch (err) {
+      if (err.name === 'NotFoundError') {
+        return false;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Remove the folders of a path from the innermost outwards while they are empty
+   */
+  async removeEmptyFolders(path, dirHandle, parents) {
+    const folders = path.split('/').slice(0, -1);
+
+    for (let i = folders.length - 1; i >= 0; i--) {
+      const { done: isEmpty } = await dirHandle.values().next();
+      if (!isEmpty) return;
+
+      await parents[i].removeEntry(folders[i]);
+      dirHandle = parents[i];
+    }
+  }
+
+  /**
+   * Get notified of changes using FileSystemObserver
+   * @param {function(): void} callback
+   * @returns {Promise<function(): void|null>} Function that stops observing, or null if unsupported
+   */
+  async observe(callback) {
+    // Only native handles can be observed
+    if (!('FileSystemObserver' in window) || !(this.rootHandle instanceof window.FileSystemHandle)) {
+      return null;
+    }
+
+    const observer = new window.FileSystemObserver(() => callback());
+    await observer.observe(this.rootHandle, { recursive: true });
+    return () => observer.disconnect();
+  }
+}
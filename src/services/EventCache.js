@@ -0,0 +1,79 @@
+/**
+ * EventCache - Parsed events persisted in IndexedDB for fast startup
+ * Entries are keyed by filename and only reused while the file's lastModified and size match.
+ */
+
+import { fileSystemService, CACHE_STORE_NAME } from './FileSystemService.js';
+import { logger } from '../utils/logger.js';
+
+// Bumped when event files are parsed differently, so entries parsed by older versions are dropped
+const CACHE_VERSION = 3;
+
+class EventCache {
+  /**
+   * Run a request against the cache store
+   * @param {'readonly'|'readwrite'} mode
+   * @param {function(IDBObjectStore): (IDBRequest|void)} operation
+   * @returns {Promise<*>} Result of the request, if one was returned
+   */
+  async run(mode, operation) {
+    const db = await fileSystemService.openDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(CACHE_STORE_NAME, mode);
+      const request = operation(tx.objectStore(CACHE_STORE_NAME));
+      tx.oncomplete = () => {
+        db.close();
+        resolve(request?.result);
+      };
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Load all cache entries
+   * @returns {Promise<Map<string, {lastModified: number, size: number, event: Object|null, problems: Object[]}>>}
+   *   Empty when IndexedDB is unavailable
+   */
+  async getAll() {
+    try {
+      const entries = await this.run('readonly', store => store.getAll());
+      return new Map((entries || [])
+        .filter(entry => entry.version === CACHE_VERSION)
+        .map(entry => [entry.filename, entry]));
+    } catch (err) {
+      logger.warn('Event cache unavailable', { error: err.message });
+      return new Map();
+    }
+  }
+
+  /**
+   * Store parsed results and drop entries for files that no longer exist
+   * @param {Array<{filename: string, lastModified: number, size: number, event: Object|null, problems: Object[]}>} entries
+   * @param {string[]} [removed] - Filenames to forget
+   */
+  async update(entries, removed = []) {
+    if (entries.length === 0 && removed.length === 0) return;
+    try {
+      await this.run('readwrite', store => {
+        entries.forEach(entry => store.put({ ...entry, version: CACHE_VERSION }, entry.filename));
+        removed.forEach(filename => store.delete(filename));
+      });
+    } catch (err) {
+      logger.warn('Could not update event cache', { error: err.message });
+    }
+  }
+
+  /**
+   * Forget everything, e.g. when switching to another folder
+   */
+  async clear() {
+    try {
+      await this.run('readwrite', store => store.clear());
+    } catch (err) {
+      logger.warn('Could not clear event cache', { error: err.message });
+    }
+  }
+}
+
+export const eventCache = new EventCache();
@@ -0,0 +1,165 @@
+/**
+ * FeedPublisher - Keep .ics subscription feeds up to date in the events folder
+ * After events change, calendar.ics (or one calendar-<type>.ics per event type) is rewritten
+ * in the root of the primary calendar, so a sync tool or local web server can serve it
+ * to other devices. Files are only written when their events actually changed.
+ */
+
+import { calendarService } from './CalendarService.js';
+import { fileSystemService } from './FileSystemService.js';
+import { exportCalendar } from './IcsExport.js';
+import { PRODUCT_ID } from '../utils/ics.js';
+import { logger } from '../utils/logger.js';
+import { EVENT_TYPES, FEED_MODES } from '../constants.js';
+
+const FEED_NAME = 'Nez Calendar';
+const PUBLISH_DELAY = 1000;
+
+/**
+ * Drop the time stamps that change on every export
+ */
+function withoutStamps(content) {
+  return content.replace(/^DTSTAMP:.*$/gm, '');
+}
+
+class FeedPublisher {
+  constructor() {
+    this.mode = FEED_MODES[localStorage.getItem('feedMode')] ? localStorage.getItem('feedMode') : 'off';
+    // Feed contents last written or found on disk, per storage, without time stamps
+    this.published = new Map();
+    this.publishedStorage = null;
+    this.timer = null;
+    this.pending = Promise.resolve();
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Get the feeds a mode publishes
+   * @param {string} [mode]
+   * @returns {Array<{filename: string, types: string[]|null, name: string}>}
+   */
+  getFeeds(mode = this.mode) {
+    if (mode === 'single') {
+      return [{ filename: 'calendar.ics', types: null, name: FEED_NAME }];
+    }
+    if (mode === 'perType') {
+      return Object.entries(EVENT_TYPES)
+        .filter(([type]) => type !== 'holiday')
+        .map(([type, { label }]) => ({ filename: `calendar-${type}.ics`, types: [type], name: `${FEED_NAME} – ${label}` }));
+    }
+    return [];
+  }
+
+  /**
+   * Change which feeds are published
+   * Feeds of the previous mode are deleted so subscribers don't keep reading stale files.
+   * @param {'off'|'single'|'perType'} mode
+   */
+  async setMode(mode) {
+    if (!FEED_MODES[mode]) {
+      throw new Error(`Unknown feed mode: ${mode}`);
+    }
+    if (mode === this.mode) return;
+
+    const previous = this.getFeeds();
+    this.mode = mode;
+    localStorage.setItem('feedMode', mode);
+
+    const kept = new Set(this.getFeeds().map(feed => feed.filename));
+    await this.enqueue(async () => {
+      for (const { filename } of previous.filter(feed => !kept.has(feed.filename))) {
+        await this.removeFeed(filename);
+      }
+    });
+    await this.publish();
+  }
+
+  /**
+   * Start republishing whenever events change
+   */
+  start() {
+    if (!this.unsubscribe) {
+      this.unsubscribe = calendarService.addListener(() => this.schedule());
+    }
+  }
+
+  /**
+   * Stop republishing
+   */
+  stop() {
+    clearTimeout(this.timer);
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+
+  /**
+   * Publish shortly, so a burst of changes (e.g. an import) writes the feeds once
+   */
+  schedule() {
+    if (this.mode === 'off') return;
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.publish(), PUBLISH_DELAY);
+  }
+
+  /**
+   * Run feed writes one at a time
+   */
+  enqueue(task) {
+    this.pending = this.pending.then(task).catch(err => {
+      logger.error('Error publishing calendar feed', { error: err.message });
+    });
+    return this.pending;
+  }
+
+  /**
+   * Write every feed whose events changed since it was last written
+   * @returns {Promise<string[]>} Filenames written
+   */
+  async publish() {
+    clearTimeout(this.timer);
+    const written = [];
+
+    await this.enqueue(async () => {
+      if (this.mode === 'off' || !fileSystemService.hasAccess()) return;
+
+      if (this.publishedStorage !== fileSystemService.storage) {
+        this.published.clear();
+        this.publishedStorage = fileSystemService.storage;
+      }
+
+      for (const { filename, types, name } of this.getFeeds()) {
+        const { content } = exportCalendar({ types, name });
+        const body = withoutStamps(content);
+
+        if (!this.published.has(filename)) {
+          const existing = await fileSystemService.readFile(filename);
+          this.published.set(filename, existing === null ? null : withoutStamps(existing));
+        }
+        if (this.published.get(filename) === body) continue;
+
+        await fileSystemService.writeFile(filename, content);
+        this.published.set(filename, body);
+        written.push(filename);
+      }
+    });
+
+    return written;
+  }
+
+  /**
+   * Delete a feed file, if it is one this app wrote
+   */
+  async removeFeed(filename) {
+    this.published.delete(filename);
+    if (!fileSystemService.hasAccess()) return;
+
+    const content = await fileSystemService.readFile(filename);
+    if (content !== null && content.includes(`PRODID:${PRODUCT_ID}`)) {
+      await fileSystemService.deleteFile(filename);
+    }
+  }
+}
+
+export const feedPublisher = new FeedPublisher();
@@ -0,0 +1,100 @@
+/**
+ * Tests for FeedPublisher
+ * Covers writing feeds after changes, skipping unchanged feeds and switching modes
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const files = new Map();
+
+// Mock FileSystemService with an in-memory folder
+vi.mock('./FileSystemService.js', () => ({
+  fileSystemService: {
+    storage: {},
+    hasAccess: vi.fn(() => true),
+    readFile: vi.fn(async (filename) => files.get(filename) ?? null),
+    writeFile: vi.fn(async (filename, content) => {
+      files.set(filename, content);
+    }),
+    deleteFile: vi.fn(async (filename) => files.delete(filename)),
+    fileExists: vi.fn(async (filename) => files.has(filename)),
+    getCalendar: vi.fn(() => null),
+    getCalendars: vi.fn(() => [{ id: 'default', name: 'Events', color: null, available: true }]),
+    saveHandle: vi.fn(() => Promise.resolve()),
+    loadHandle: vi.fn(() => Promise.resolve(null)),
+  }
+}));
+
+const { fileSystemService } = await import('./FileSystemService.js');
+const { calendarService } = await import('./CalendarService.js');
+const { feedPublisher } = await import('./FeedPublisher.js');
+const { parseICS } = await import('../utils/ics.js');
+
+const titles = (filename) => parseICS(files.get(filename)).events.map(e => e.title);
+
+describe('FeedPublisher', () => {
+  beforeEach(async () => {
+    files.clear();
+    calendarService.events.clear();
+    fileSystemService.writeFile.mockClear();
+    feedPublisher.mode = 'off';
+    feedPublisher.published.clear();
+    feedPublisher.publishedStorage = null;
+  });
+
+  afterEach(() => {
+    feedPublisher.stop();
+    vi.useRealTimers();
+  });
+
+  it('should rewrite calendar.ics after events are created, updated and deleted', async () => {
+    await feedPublisher.setMode('single');
+    expect(titles('calendar.ics')).toEqual([]);
+
+    vi.useFakeTimers();
+    feedPublisher.start();
+    const event = await calendarService.createEvent({ title: 'Dentist', startDate: '2026-03-02' });
+    await calendarService.createEvent({ title: 'Party', startDate: '2026-03-07', type: 'birthday' });
+    await vi.runAllTimersAsync();
+    expect(titles('calendar.ics')).toEqual(['Dentist', 'Party']);
+
+    await calendarService.updateEvent(event.id, { title: 'Dentist (moved)' });
+    await vi.runAllTimersAsync();
+    expect(titles('calendar.ics')).toEqual(['Dentist (moved)', 'Party']);
+
+    await calendarService.deleteEvent(event.id);
+    await vi.runAllTimersAsync();
+    expect(titles('calendar.ics')).toEqual(['Party']);
+  });
+
+  it('should leave feeds alone when only the time stamp would change', async () => {
+    await calendarService.createEvent({ title: 'Dentist', startDate: '2026-03-02' });
+    await feedPublisher.setMode('single');
+    fileSystemService.writeFile.mockClear();
+
+    expect(await feedPublisher.publish()).toEqual([]);
+
+    // An up-to-date feed already on disk is not rewritten after reopening
+    feedPublisher.published.clear();
+    expect(await feedPublisher.publish()).toEqual([]);
+    expect(fileSystemService.writeFile).not.toHaveBeenCalled();
+  });
+
+  it('should publish one feed per event type and remove feeds of the previous mode', async () => {
+    await calendarService.createEvent({ title: 'Review', startDate: '2026-03-02', type: 'work' });
+    await calendarService.createEvent({ title: 'Party', startDate: '2026-03-07', type: 'birthday' });
+    files.set('notes.ics', 'BEGIN:VCALENDAR\r\nPRODID:-//Other//EN\r\nEND:VCALENDAR\r\n');
+
+    await feedPublisher.setMode('single');
+    await feedPublisher.setMode('perType');
+
+    expect(files.has('calendar.ics')).toBe(false);
+    expect(titles('calendar-work.ics')).toEqual(['Review']);
+    expect(titles('calendar-birthday.ics')).toEqual(['Party']);
+    expect(titles('calendar-personal.ics')).toEqual([]);
+    expect(files.has('calendar-holiday.ics')).toBe(false);
+
+    await feedPublisher.setMode('off');
+    expect([...files.keys()].filter(f => f.endsWith('.ics'))).toEqual(['notes.ics']);
+  });
+});
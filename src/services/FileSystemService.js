@@ -1,16 +1,107 @@
 /**
- * FileSystemService - Browser File System Access API wrapper
- * Persists directory handle in IndexedDB for automatic reconnection
+ * FileSystemService - Event file storage
+ * Files live in a folder picked with the File System Access API, or in browser-private
+ * storage (Origin Private File System, else IndexedDB) where folders can't be opened.
+ * Each backend is a storage adapter; the chosen folder handle is persisted in IndexedDB
+ * for automatic reconnection.
+ * Files are addressed by paths relative to the storage root, e.g. "2025/03/2025-03-01-dentist.md".
+ * Further folders can be added as extra calendars; their paths carry the calendar id (see calendarPath.js).
+ */
+
+import { isPathIncluded } from '../utils/glob.js';
+import { createCalendarId, qualifyPath, splitPath } from '../utils/calendarPath.js';
+import { createZip } from '../utils/zip.js';
+import { logger } from '../utils/logger.js';
+import { DirectoryStorage } from './DirectoryStorage.js';
+import { IndexedDBStorage, FILES_STORE_NAME } from './IndexedDBStorage.js';
+import { MemoryDirectoryHandle } from './MemoryDirectoryHandle.js';
+import { PRIMARY_CALENDAR_ID, EVENT_COLORS } from '../constants.js';
+
+/**
+ * @typedef {Object} StorageAdapter
+ * @property {'folder'|'opfs'|'indexeddb'|'demo'} kind
+ * @property {string} name - Display name
+ * @property {function(function(string): boolean=): Promise<Map<string, {lastModified: number, size: number}>>} list
+ * @property {function(string): Promise<{lastModified: number, size: number}|null>} stat
+ * @property {function(string): Promise<string|null>} read
+ * @property {function(string, string): Promise<{lastModified: number, size: number}>} write
+ * @property {function(string): Promise<boolean>} delete
+ * @property {function(function(): void): Promise<function(): void|null>} [observe] - Native change notifications
+ */
+
+/**
+ * @typedef {Object} CalendarFolder
+ * @property {string} id
+ * @property {string} name
+ * @property {string|null} color - Default color for its events
+ * @property {FileSystemDirectoryHandle} handle
+ * @property {DirectoryStorage|null} storage - Null until read/write permission is granted
  */
 
 const DB_NAME = 'nez-calendar-db';
+const DB_VERSION = 3;
 const STORE_NAME = 'handles';
 const HANDLE_KEY = 'directoryHandle';
+const CALENDARS_KEY = 'calendars';
+
+// Parsed events keyed by filename, managed by EventCache
+export const CACHE_STORE_NAME = 'eventCache';
+
+// Which files in the folder are event files
+export const DEFAULT_INCLUDE_PATTERNS = ['*.md'];
+export const DEFAULT_EXCLUDE_PATTERNS = ['README.md'];
+const WATCH_INTERVAL = 5000;
+
+// Folder inside the Origin Private File System holding the events
+const OPFS_FOLDER = 'nez-calendar';
 
 class FileSystemService {
   constructor() {
-    this.directoryHandle = null;
-    this.eventsHandle = null;
+    /** @type {StorageAdapter|null} */
+    this.storage = null;
+    /** @type {CalendarFolder[]} */
+    this.calendars = [];
+    this.primaryCalendar = { name: null, color: null };
+    this.fileStats = new Map();
+    this.watcher = null;
+    this.includePatterns = this.loadPatterns('fileIncludePatterns', DEFAULT_INCLUDE_PATTERNS);
+    this.excludePatterns = this.loadPatterns('fileExcludePatterns', DEFAULT_EXCLUDE_PATTERNS);
+  }
+
+  /**
+   * Load a list of glob patterns from localStorage
+   */
+  loadPatterns(key, defaults) {
+    const stored = localStorage.getItem(key);
+    if (stored) {
+      try {
+        const patterns = JSON.parse(stored);
+        if (Array.isArray(patterns)) return patterns;
+      } catch {
+        // Fall through to defaults
+      }
+    }
+    return [...defaults];
+  }
+
+  /**
+   * Set which files count as event files
+   * @param {Object} patterns
+   * @param {string[]} [patterns.include] - Glob patterns a file must match
+   * @param {string[]} [patterns.exclude] - Glob patterns that exclude a file
+   */
+  setFilePatterns({ include = this.includePatterns, exclude = this.excludePatterns }) {
+    this.includePatterns = include.map(p => p.trim()).filter(Boolean);
+    this.excludePatterns = exclude.map(p => p.trim()).filter(Boolean);
+    localStorage.setItem('fileIncludePatterns', JSON.stringify(this.includePatterns));
+    localStorage.setItem('fileExcludePatterns', JSON.stringify(this.excludePatterns));
+  }
+
+  /**
+   * Check if a relative path is an event file under the current patterns
+   */
+  isEventFile(path) {
+    return isPathIncluded(path, this.includePatterns, this.excludePatterns);
   }
 
   /**
@@ -20,12 +111,31 @@ class FileSystemService {
     return "showDirectoryPicker" in window;
   }
 
+  /**
+   * Check if the Origin Private File System can be written from the page
+   */
+  isOPFSSupported() {
+    return !!navigator.storage?.getDirectory &&
+      'FileSystemFileHandle' in window &&
+      'createWritable' in window.FileSystemFileHandle.prototype;
+  }
+
+  /**
+   * Get the best browser-private backend available
+   * @returns {'opfs'|'indexeddb'|null}
+   */
+  getBrowserBackend() {
+    if (this.isOPFSSupported()) return 'opfs';
+    if ('indexedDB' in window) return 'indexeddb';
+    return null;
+  }
+
   /**
    * Open IndexedDB database
    */
   async openDB() {
     return new Promise((resolve, reject) => {
-      const request = indexedDB.open(DB_NAME, 1);
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
       request.onerror = () => reject(request.error);
       request.onsuccess = () => resolve(request.result);
       request.onupgradeneeded = (event) => {
@@ -33,19 +143,25 @@ class FileSystemService {
         if (!db.objectStoreNames.contains(STORE_NAME)) {
           db.createObjectStore(STORE_NAME);
         }
+        if (!db.objectStoreNames.contains(CACHE_STORE_NAME)) {
+          db.createObjectStore(CACHE_STORE_NAME);
+        }
+        if (!db.objectStoreNames.contains(FILES_STORE_NAME)) {
+          db.createObjectStore(FILES_STORE_NAME);
+        }
       };
     });
   }
 
   /**
-   * Save directory handle to IndexedDB
+   * Save directory handle (or records holding handles) to IndexedDB
    */
-  async saveHandle(handle) {
+  async saveHandle(handle, key = HANDLE_KEY) {
     const db = await this.openDB();
     return new Promise((resolve, reject) => {
       const tx = db.transaction(STORE_NAME, 'readwrite');
       const store = tx.objectStore(STORE_NAME);
-      const request = store.put(handle, HANDLE_KEY);
+      const request = store.put(handle, key);
       request.onerror = () => reject(request.error);
       request.onsuccess = () => resolve();
       tx.oncomplete = () => db.close();
@@ -53,15 +169,15 @@ class FileSystemService {
   }
 
   /**
-   * Load directory handle from IndexedDB
+   * Load directory handle (or records holding handles) from IndexedDB
    */
-  async loadHandle() {
+  async loadHandle(key = HANDLE_KEY) {
     try {
       const db = await this.openDB();
       return new Promise((resolve, reject) => {
         const tx = db.transaction(STORE_NAME, 'readonly');
         const store = tx.objectStore(STORE_NAME);
-        const request = store.get(HANDLE_KEY);
+        const request = store.get(key);
         request.onerror = () => reject(request.error);
         request.onsuccess = () => resolve(request.result);
         tx.oncomplete = () => db.close();
@@ -72,9 +188,95 @@ class FileSystemService {
   }
 
   /**
-   * Try to restore previous directory access
+   * Switch to a storage adapter and remember which kind is in use
+   * @param {StorageAdapter} storage
+   * @param {Object} [options]
+   * @param {boolean} [options.remember=true] - Restore this kind of storage on the next visit
+   */
+  setStorage(storage, { remember = true } = {}) {
+    this.unwatch();
+    this.storage = storage;
+    this.fileStats = new Map();
+    if (remember) {
+      localStorage.setItem('storageBackend', storage.kind);
+    }
+  }
+
+  /**
+   * Create the adapter for a browser-private backend
+   * @param {'opfs'|'indexeddb'} kind
+   * @returns {Promise<StorageAdapter>}
+   */
+  async openBrowserStorage(kind) {
+    if (kind === 'opfs') {
+      const root = await navigator.storage.getDirectory();
+      const handle = await root.getDirectoryHandle(OPFS_FOLDER, { create: true });
+      return new DirectoryStorage(handle, { kind, name: 'This browser' });
+    }
+    if (kind === 'indexeddb') {
+      return new IndexedDBStorage(() => this.openDB());
+    }
+    throw new Error(`Unknown storage backend: ${kind}`);
+  }
+
+  /**
+   * Keep events in browser-private storage instead of a folder
+   * @param {'opfs'|'indexeddb'} [kind] - Defaults to the best available backend
+   */
+  async useBrowserStorage(kind = this.getBrowserBackend()) {
+    if (!kind) {
+      throw new Error('This browser has no storage available for events');
+    }
+    this.setStorage(await this.openBrowserStorage(kind));
+
+    // Ask the browser not to evict the data under storage pressure
+    try {
+      await navigator.storage?.persist?.();
+    } catch {
+      // Best effort
+    }
+  }
+
+  /**
+   * Keep events in memory for trying the app; everything is discarded on reload
+   * The previously used folder or browser storage is restored on the next visit.
+   */
+  useDemoStorage() {
+    const handle = new MemoryDirectoryHandle('Demo');
+    this.setStorage(new DirectoryStorage(handle, { kind: 'demo' }), { remember: false });
+    this.calendars = [];
+    this.primaryCalendar = { name: null, color: null };
+  }
+
+  /**
+   * Check if events are kept in memory for a demo
+   */
+  isDemo() {
+    return this.hasAccess() && this.storage.kind === 'demo';
+  }
+
+  /**
+   * Try to restore previous directory access, including extra calendars
    */
   async tryRestoreAccess() {
+    await this.restoreCalendars();
+    return this.restorePrimaryStorage();
+  }
+
+  /**
+   * Reconnect to the folder or browser storage used last time
+   */
+  async restorePrimaryStorage() {
+    const backend = localStorage.getItem('storageBackend');
+    if (backend === 'opfs' || backend === 'indexeddb') {
+      try {
+        this.setStorage(await this.openBrowserStorage(backend));
+        return true;
+      } catch {
+        return false;
+      }
+    }
+
     if (!this.isSupported()) return false;
 
     try {
@@ -84,18 +286,14 @@ class FileSystemService {
       // Verify we still have permission
       const permission = await handle.queryPermission({ mode: 'readwrite' });
       if (permission === 'granted') {
-        this.directoryHandle = handle;
-        this.eventsHandle = handle;
-        this.directoryName = handle.name;
+        this.setStorage(new DirectoryStorage(handle));
         return true;
       }
 
       // Try to request permission again
       const newPermission = await handle.requestPermission({ mode: 'readwrite' });
       if (newPermission === 'granted') {
-        this.directoryHandle = handle;
-        this.eventsHandle = handle;
-        this.directoryName = handle.name;
+        this.setStorage(new DirectoryStorage(handle));
         return true;
       }
 
@@ -106,119 +304,287 @@ class FileSystemService {
   }
 
   /**
-   * Prompt user to select a directory for storing events
+   * Show the directory picker
+   * @returns {Promise<FileSystemDirectoryHandle|null>} Null if the user cancelled
    */
-  async requestDirectoryAccess() {
+  async pickDirectory() {
     if (!this.isSupported()) {
       throw new Error('File System Access API is not supported in this browser');
     }
 
     try {
-      this.directoryHandle = await window.showDirectoryPicker({
+      return await window.showDirectoryPicker({
         mode: 'readwrite',
         startIn: 'documents'
       });
-
-      this.eventsHandle = this.directoryHandle;
-      this.directoryName = this.directoryHandle.name;
-
-      // Save to IndexedDB for persistence
-      await this.saveHandle(this.directoryHandle);
-
-      return true;
     } catch (err) {
       if (err.name === 'AbortError') {
-        return false;
+        return null;
       }
       throw err;
     }
   }
 
+  /**
+   * Prompt user to select a directory for storing events
+   */
+  async requestDirectoryAccess() {
+    const handle = await this.pickDirectory();
+    if (!handle) return false;
+
+    this.setStorage(new DirectoryStorage(handle));
+
+    // Save to IndexedDB for persistence
+    await this.saveHandle(handle);
+
+    return true;
+  }
+
   /**
    * Check if we have directory access
    */
   hasAccess() {
-    return this.directoryHandle !== null && this.eventsHandle !== null;
+    return this.storage !== null;
+  }
+
+  /**
+   * Check if events are kept in browser-private storage
+   */
+  isBrowserStorage() {
+    return this.hasAccess() && (this.storage.kind === 'opfs' || this.storage.kind === 'indexeddb');
   }
 
   /**
    * Get directory name
    */
   getDirectoryName() {
-    return this.directoryName || "Not selected";
+    return this.storage ? this.storage.name : 'Not selected';
   }
 
   /**
-   * List all markdown files in the events directory
+   * Get all calendars, the primary one first
+   * @returns {Array<{id: string, name: string, color: string|null, available: boolean, error: string|null}>}
+   *   `error` tells why a calendar that was connected could not be read
    */
-  async listFiles() {
-    if (!this.hasAccess()) {
-      throw new Error("No directory access");
+  getCalendars() {
+    return [
+      {
+        id: PRIMARY_CALENDAR_ID,
+        name: this.primaryCalendar.name || this.getDirectoryName(),
+        color: this.primaryCalendar.color,
+        available: this.hasAccess(),
+        error: null
+      },
+      ...this.calendars.map(({ id, name, color, storage, error }) => ({
+        id, name, color, available: storage !== null, error: error || null
+      }))
+    ];
+  }
+
+  /**
+   * Get a calendar by id
+   * @returns {{id: string, name: string, color: string|null, available: boolean, error: string|null}|null}
+   */
+  getCalendar(id) {
+    return this.getCalendars().find(calendar => calendar.id === id) || null;
+  }
+
+  /**
+   * Register another folder as a calendar
+   * @returns {Promise<Object|null>} The new calendar, or null if no folder was chosen
+   */
+  async addCalendar() {
+    const handle = await this.pickDirectory();
+    if (!handle) return null;
+
+    if (this.storage?.kind === 'folder' && await this.storage.rootHandle.isSameEntry(handle)) {
+      throw new Error(`"${handle.name}" is already the main calendar`);
+    }
+    for (const calendar of this.calendars) {
+      if (await calendar.handle.isSameEntry(handle)) {
+        throw new Error(`"${handle.name}" is already added as ${calendar.name}`);
+      }
     }
 
-    const files = [];
-    for await (const entry of this.eventsHandle.values()) {
-      if (entry.kind === "file" && entry.name.endsWith(".md")) {
-        files.push(entry.name);
+    const usedColors = this.getCalendars().map(calendar => calendar.color);
+    const calendar = {
+      id: createCalendarId(),
+      name: handle.name,
+      color: EVENT_COLORS.find(color => !usedColors.includes(color)) || EVENT_COLORS[0],
+      handle,
+      storage: new DirectoryStorage(handle)
+    };
+    this.calendars.push(calendar);
+    await this.saveCalendars();
+    return this.getCalendar(calendar.id);
+  }
+
+  /**
+   * Rename a calendar or change its default color
+   * An empty name falls back to the folder name.
+   * @param {string} id
+   * @param {{name?: string, color?: string|null}} changes
+   */
+  async updateCalendar(id, { name, color } = {}) {
+    const calendar = id === PRIMARY_CALENDAR_ID
+      ? this.primaryCalendar
+      : this.calendars.find(c => c.id === id);
+    if (!calendar) {
+      throw new Error(`Unknown calendar: ${id}`);
+    }
+
+    if (name !== undefined) {
+      calendar.name = name.trim() || calendar.handle?.name || null;
+    }
+    if (color !== undefined) {
+      calendar.color = color;
+    }
+    await this.saveCalendars();
+  }
+
+  /**
+   * Stop showing a calendar; its files are left untouched
+   * @param {string} id
+   */
+  async removeCalendar(id) {
+    if (id === PRIMARY_CALENDAR_ID) {
+      throw new Error("The main calendar can't be removed");
+    }
+    this.calendars = this.calendars.filter(calendar => calendar.id !== id);
+    await this.saveCalendars();
+  }
+
+  /**
+   * Ask again for access to a calendar's folder; must be called from a user gesture
+   * @param {string} id
+   * @returns {Promise<boolean>} True if access was granted
+   */
+  async reconnectCalendar(id) {
+    const calendar = this.calendars.find(c => c.id === id);
+    if (!calendar) return false;
+
+    const permission = await calendar.handle.requestPermission({ mode: 'readwrite' });
+    if (permission !== 'granted') return false;
+
+    calendar.storage = new DirectoryStorage(calendar.handle);
+    calendar.error = null;
+    return true;
+  }
+
+  /**
+   * Persist calendar names, colors and folder handles
+   */
+  async saveCalendars() {
+    await this.saveHandle({
+      primary: this.primaryCalendar,
+      calendars: this.calendars.map(({ id, name, color, handle }) => ({ id, name, color, handle }))
+    }, CALENDARS_KEY);
+  }
+
+  /**
+   * Load saved calendars, connecting to those whose folders we still have access to
+   * Access can't be requested here (that needs a user gesture); see reconnectCalendar.
+   */
+  async restoreCalendars() {
+    const saved = await this.loadHandle(CALENDARS_KEY);
+    this.primaryCalendar = { name: null, color: null, ...saved?.primary };
+    this.calendars = [];
+
+    for (const record of saved?.calendars || []) {
+      let storage = null;
+      try {
+        if (await record.handle.queryPermission({ mode: 'readwrite' }) === 'granted') {
+          storage = new DirectoryStorage(record.handle);
+        }
+      } catch {
+        // Folder moved or deleted; it can be reconnected or removed
       }
+      this.calendars.push({ ...record, storage });
     }
-    return files;
+  }
+
+  /**
+   * Find the storage holding a file
+   * @param {string} filename - Path, qualified with a calendar id for extra calendars
+   * @returns {{storage: StorageAdapter, path: string}} Storage and the path within it
+   */
+  resolveStorage(filename) {
+    const { calendarId, path } = splitPath(filename);
+    if (calendarId === PRIMARY_CALENDAR_ID) {
+      return { storage: this.storage, path };
+    }
+
+    const calendar = this.calendars.find(c => c.id === calendarId);
+    if (!calendar?.storage) {
+      throw new Error(`The calendar holding ${path} is not available`);
+    }
+    return { storage: calendar.storage, path };
+  }
+
+  /**
+   * Describe a file for display, naming its calendar unless it's the primary one
+   * The root of an extra calendar is described by the calendar's name alone.
+   */
+  describePath(filename) {
+    const { calendarId, path } = splitPath(filename);
+    if (calendarId === PRIMARY_CALENDAR_ID) return path;
+
+    const calendar = this.calendars.find(c => c.id === calendarId);
+    const name = calendar ? calendar.name : calendarId;
+    return path ? `${name} › ${path}` : name;
+  }
+
+  /**
+   * List all event files, including those in subfolders and other calendars
+   * @returns {Promise<string[]>} Relative paths, qualified for extra calendars
+   */
+  async listFiles() {
+    return [...(await this.listFileStats()).keys()];
   }
 
   /**
    * Read a markdown file's content
+   * @returns {Promise<string|null>} Null if the file does not exist
    */
   async readFile(filename) {
     if (!this.hasAccess()) {
       throw new Error("No directory access");
     }
-
-    try {
-      const fileHandle = await this.eventsHandle.getFileHandle(filename);
-      const file = await fileHandle.getFile();
-      return await file.text();
-    } catch (err) {
-      if (err.name === "NotFoundError") {
-        return null;
-      }
-      throw err;
-    }
+    const { storage, path } = this.resolveStorage(filename);
+    return storage.read(path);
   }
 
   /**
-   * Write content to a markdown file
+   * Write content to a file, creating its folders if needed
    */
   async writeFile(filename, content) {
     if (!this.hasAccess()) {
       throw new Error("No directory access");
     }
 
-    const fileHandle = await this.eventsHandle.getFileHandle(filename, {
-      create: true,
-    });
+    const { storage, path } = this.resolveStorage(filename);
+    const stats = await storage.write(path, content);
 
-    const writable = await fileHandle.createWritable();
-    await writable.write(content);
-    await writable.close();
+    // Our own writes are not external changes; other files (e.g. .ics feeds) are not watched
+    if (this.isEventFile(path)) {
+      this.fileStats.set(filename, stats);
+    }
   }
 
   /**
    * Delete a markdown file
+   * Folders left empty by the delete are removed as well.
+   * @returns {Promise<boolean>} False if the file did not exist
    */
   async deleteFile(filename) {
     if (!this.hasAccess()) {
       throw new Error("No directory access");
     }
 
-    try {
-      await this.eventsHandle.removeEntry(filename);
-      return true;
-    } catch (err) {
-      if (err.name === "NotFoundError") {
-        return false;
-      }
-      throw err;
-    }
+    const { storage, path } = this.resolveStorage(filename);
+    const deleted = await storage.delete(path);
+    this.fileStats.delete(filename);
+    return deleted;
   }
 
   /**
@@ -230,12 +596,217 @@ class FileSystemService {
     }
 
     try {
-      await this.eventsHandle.getFileHandle(filename);
-      return true;
+      const { storage, path } = this.resolveStorage(filename);
+      return (await storage.stat(path)) !== null;
     } catch {
       return false;
     }
   }
+
+  /**
+   * Get modification time and size of every event file without reading contents
+   * Calendars whose folders can't be accessed are left out; a calendar whose folder fails to list
+   * becomes unavailable, with the failure as its `error`, and the others are still listed.
+   * @returns {Promise<Map<string, {lastModified: number, size: number}>>}
+   */
+  async listFileStats() {
+    if (!this.hasAccess()) {
+      throw new Error("No directory access");
+    }
+
+    const isEventFile = (path) => this.isEventFile(path);
+    const stats = await this.storage.list(isEventFile);
+    for (const calendar of this.calendars) {
+      if (!calendar.storage) continue;
+      try {
+        for (const [path, fileStats] of await calendar.storage.list(isEventFile)) {
+          stats.set(qualifyPath(calendar.id, path), fileStats);
+        }
+      } catch (err) {
+        logger.warn(`Could not list calendar ${calendar.name}`, { error: err.message });
+        calendar.storage = null;
+        calendar.error = err.message;
+      }
+    }
+    return stats;
+  }
+
+  /**
+   * Read every event file in the primary calendar, e.g. to back them up
+   * @returns {Promise<Array<{path: string, content: string}>>}
+   */
+  async exportFiles() {
+    const files = [];
+    for (const path of (await this.storage.list(p => this.isEventFile(p))).keys()) {
+      const content = await this.storage.read(path);
+      if (content !== null) {
+        files.push({ path, content });
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Pack every event file into a zip archive, keeping subfolders
+   * @returns {Promise<Uint8Array>}
+   */
+  async exportArchive() {
+    return createZip(await this.exportFiles());
+  }
+
+  /**
+   * Write files into the primary calendar, e.g. from a backup
+   * Hidden, unsafe and non-event paths are skipped, as are existing files unless overwriting.
+   * @param {Array<{path: string, content: string}>} files
+   * @param {Object} [options]
+   * @param {boolean} [options.overwrite=false] - Replace files that already exist
+   * @returns {Promise<{written: string[], skipped: string[]}>}
+   */
+  async importFiles(files, { overwrite = false } = {}) {
+    const result = { written: [], skipped: [] };
+
+    for (const file of files) {
+      const path = file.path.replace(/\\/g, '/').replace(/^\/+/, '');
+      const parts = path.split('/');
+      const unsafe = parts.some(part =>
+        part === '..' || part.startsWith('.') || part === '__MACOSX' || part.includes(':'));
+
+      if (unsafe || !this.isEventFile(path) || (!overwrite && await this.fileExists(path))) {
+        result.skipped.push(file.path);
+        continue;
+      }
+
+      await this.writeFile(path, file.content);
+      result.written.push(path);
+    }
+
+    return result;
+  }
+
+  /**
+   * Copy every event file from browser storage into a folder on disk and switch to it
+   * Files already in the folder are kept. The browser copy is left untouched.
+   * @returns {Promise<{written: string[], skipped: string[]}|null>} Null if no folder was chosen
+   */
+  async moveToFolder() {
+    const files = await this.exportFiles();
+    const handle = await this.pickDirectory();
+    if (!handle) return null;
+
+    const previous = this.storage;
+    this.setStorage(new DirectoryStorage(handle));
+    try {
+      const result = await this.importFiles(files);
+      await this.saveHandle(handle);
+      return result;
+    } catch (err) {
+      this.setStorage(previous);
+      throw err;
+    }
+  }
+
+  /**
+   * Compare the folder with the last snapshot and return what changed since then
+   * @returns {Promise<{added: string[], changed: string[], removed: string[]}>}
+   */
+  async scanChanges() {
+    const current = await this.listFileStats();
+    const changes = { added: [], changed: [], removed: [] };
+
+    for (const [filename, stats] of current) {
+      const previous = this.fileStats.get(filename);
+      if (!previous) {
+        changes.added.push(filename);
+      } else if (previous.lastModified !== stats.lastModified || previous.size !== stats.size) {
+        changes.changed.push(filename);
+      }
+    }
+    for (const filename of this.fileStats.keys()) {
+      if (!current.has(filename)) {
+        changes.removed.push(filename);
+      }
+    }
+
+    this.fileStats = current;
+    return changes;
+  }
+
+  /**
+   * Watch the events folder for changes made outside the app
+   * Uses FileSystemObserver where available and falls back to polling.
+   * Either way only file metadata is compared; contents are not read.
+   * @param {function({added: string[], changed: string[], removed: string[]}): void} callback
+   * @param {Object} [options]
+   * @param {number} [options.interval=5000] - Polling interval in ms
+   * @returns {Promise<function(): void>} Function that stops watching
+   */
+  async watch(callback, { interval = WATCH_INTERVAL } = {}) {
+    this.unwatch();
+
+    // Baseline: files present now are not reported as added
+    this.fileStats = await this.listFileStats();
+
+    let scanning = false;
+    let failing = false;
+    const check = async () => {
+      if (scanning || !this.hasAccess() || document.hidden) return;
+      scanning = true;
+      try {
+        const changes = await this.scanChanges();
+        failing = false;
+        if (changes.added.length || changes.changed.length || changes.removed.length) {
+          callback(changes);
+        }
+      } catch (err) {
+        // Reported once until a scan succeeds again, not on every poll
+        if (!failing) {
+          logger.warn('Could not scan the events folder for changes', { error: err.message });
+        }
+        failing = true;
+      } finally {
+        scanning = false;
+      }
+    };
+
+    const onVisible = () => {
+      if (!document.hidden) check();
+    };
+    document.addEventListener('visibilitychange', onVisible);
+
+    // Observe every folder natively where possible; poll if any can't be observed
+    const stops = [];
+    let poll = false;
+    const storages = [this.storage, ...this.calendars.map(c => c.storage).filter(Boolean)];
+    for (const storage of storages) {
+      const stopObserving = storage.observe ? await storage.observe(() => check()) : null;
+      if (stopObserving) {
+        stops.push(stopObserving);
+      } else {
+        poll = true;
+      }
+    }
+    if (poll) {
+      const timer = setInterval(check, interval);
+      stops.push(() => clearInterval(timer));
+    }
+    const stop = () => stops.forEach(fn => fn());
+
+    this.watcher = () => {
+      stop();
+      document.removeEventListener('visibilitychange', onVisible);
+    };
+    return () => this.unwatch();
+  }
+
+  /**
+   * Stop watching the events folder
+   */
+  unwatch() {
+    if (this.watcher) {
+      this.watcher();
+      this.watcher = null;
+    }
+  }
 }
 
 export const fileSystemService = new FileSystemService();
@@ -0,0 +1,385 @@
+/**
+ * Tests for FileSystemService
+ * Covers folder change detection, export and import against an in-memory directory handle
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { fileSystemService } from './FileSystemService.js';
+import { DirectoryStorage } from './DirectoryStorage.js';
+import { readZip } from '../utils/zip.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Minimal stand-in for a FileSystemDirectoryHandle
+ * Entries with a `content` key are files; any other object is a subfolder.
+ */
+function createDirectory(files) {
+  const isFile = (node) => 'content' in node;
+  const notFound = () => Object.assign(new Error('Not found'), { name: 'NotFoundError' });
+
+  const fileHandle = (name) => ({
+    kind: 'file',
+    name,
+    getFile: async () => ({ ...files[name], text: async () => files[name].content }),
+    createWritable: async () => ({
+      write: async (content) => {
+        files[name] = { content, size: content.length, lastModified: Date.now() };
+      },
+      close: async () => {}
+    })
+  });
+
+  return {
+    kind: 'directory',
+    files,
+    async isSameEntry(other) {
+      return other.files === files;
+    },
+    async *values() {
+      for (const name of Object.keys(files)) {
+        yield isFile(files[name]) ? fileHandle(name) : { ...createDirectory(files[name]), name };
+      }
+    },
+    async getFileHandle(name, { create } = {}) {
+      if (!files[name]) {
+        if (!create) throw notFound();
+        files[name] = { content: '', size: 0, lastModified: 0 };
+      }
+      return fileHandle(name);
+    },
+    async getDirectoryHandle(name, { create } = {}) {
+      if (!files[name]) {
+        if (!create) throw notFound();
+        files[name] = {};
+      }
+      return createDirectory(files[name]);
+    },
+    async removeEntry(name) {
+      if (!files[name]) throw notFound();
+      delete files[name];
+    }
+  };
+}
+
+describe('FileSystemService', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = createDirectory({
+      'a.md': { content: 'a', size: 1, lastModified: 100 },
+      'b.md': { content: 'b', size: 1, lastModified: 100 },
+      'notes.txt': { content: 'x', size: 1, lastModified: 100 }
+    });
+    fileSystemService.storage = new DirectoryStorage(directory);
+    fileSystemService.calendars = [];
+    fileSystemService.fileStats = new Map();
+  });
+
+  afterEach(() => {
+    fileSystemService.unwatch();
+    vi.useRealTimers();
+  });
+
+  describe('scanChanges', () => {
+    it('should report markdown files as added on the first scan', async () => {
+      const changes = await fileSystemService.scanChanges();
+      expect(changes).toEqual({ added: ['a.md', 'b.md'], changed: [], removed: [] });
+    });
+
+    it('should detect changed and removed files', async () => {
+      await fileSystemService.scanChanges();
+      directory.files['a.md'] = { content: 'a2', size: 2, lastModified: 200 };
+      delete directory.files['b.md'];
+      directory.files['c.md'] = { content: 'c', size: 1, lastModified: 200 };
+
+      const changes = await fileSystemService.scanChanges();
+      expect(changes).toEqual({ added: ['c.md'], changed: ['a.md'], removed: ['b.md'] });
+      expect(await fileSystemService.scanChanges()).toEqual({ added: [], changed: [], removed: [] });
+    });
+
+    it('should not report the app\'s own writes and deletes', async () => {
+      await fileSystemService.scanChanges();
+      await fileSystemService.writeFile('a.md', 'updated');
+      await fileSystemService.writeFile('new.md', 'new');
+      await fileSystemService.deleteFile('b.md');
+
+      expect(await fileSystemService.scanChanges()).toEqual({ added: [], changed: [], removed: [] });
+    });
+  });
+
+  describe('subfolders', () => {
+    beforeEach(() => {
+      directory.files['2025'] = {
+        '03': {
+          'dentist.md': { content: 'd', size: 1, lastModified: 100 },
+          'README.md': { content: 'r', size: 1, lastModified: 100 }
+        }
+      };
+      directory.files['.obsidian'] = { 'workspace.md': { content: 'w', size: 1, lastModified: 100 } };
+      directory.files['templates'] = { 'meeting.md': { content: 't', size: 1, lastModified: 100 } };
+    });
+
+    afterEach(() => {
+      fileSystemService.setFilePatterns({ include: ['*.md'], exclude: ['README.md'] });
+    });
+
+    it('should list event files recursively, skipping hidden folders and READMEs', async () => {
+      expect((await fileSystemService.listFiles()).sort())
+        .toEqual(['2025/03/dentist.md', 'a.md', 'b.md', 'templates/meeting.md']);
+    });
+
+    it('should apply exclude patterns to paths', async () => {
+      fileSystemService.setFilePatterns({ exclude: ['README.md', 'templates/**'] });
+      expect((await fileSystemService.listFiles()).sort()).toEqual(['2025/03/dentist.md', 'a.md', 'b.md']);
+    });
+
+    it('should read files by relative path', async () => {
+      expect(await fileSystemService.readFile('2025/03/dentist.md')).toBe('d');
+      expect(await fileSystemService.readFile('2025/04/missing.md')).toBeNull();
+      expect(await fileSystemService.fileExists('2025/03/dentist.md')).toBe(true);
+      expect(await fileSystemService.fileExists('2025/04/missing.md')).toBe(false);
+    });
+
+    it('should create folders when writing', async () => {
+      await fileSystemService.writeFile('2026/01/new.md', 'new');
+      expect(directory.files['2026']['01']['new.md'].content).toBe('new');
+    });
+
+    it('should remove folders left empty by a delete', async () => {
+      await fileSystemService.writeFile('2026/01/new.md', 'new');
+      await fileSystemService.deleteFile('2026/01/new.md');
+      expect(directory.files['2026']).toBeUndefined();
+
+      await fileSystemService.deleteFile('2025/03/dentist.md');
+      expect(directory.files['2025']['03']['README.md']).toBeDefined();
+    });
+  });
+
+  describe('export and import', () => {
+    afterEach(() => {
+      delete window.showDirectoryPicker;
+      vi.restoreAllMocks();
+    });
+
+    it('should export event files as a zip archive', async () => {
+      directory.files['2025'] = { 'dentist.md': { content: 'd', size: 1, lastModified: 100 } };
+
+      const files = await readZip(await fileSystemService.exportArchive());
+      expect(files.sort((a, b) => a.path.localeCompare(b.path))).toEqual([
+        { path: '2025/dentist.md', content: 'd' },
+        { path: 'a.md', content: 'a' },
+        { path: 'b.md', content: 'b' }
+      ]);
+    });
+
+    it('should import files, keeping existing ones unless overwriting', async () => {
+      const files = [
+        { path: 'a.md', content: 'imported a' },
+        { path: '2026/01/c.md', content: 'c' }
+      ];
+
+      expect(await fileSystemService.importFiles(files))
+        .toEqual({ written: ['2026/01/c.md'], skipped: ['a.md'] });
+      expect(directory.files['a.md'].content).toBe('a');
+
+      await fileSystemService.importFiles(files, { overwrite: true });
+      expect(directory.files['a.md'].content).toBe('imported a');
+    });
+
+    it('should skip unsafe, hidden and non-event paths on import', async () => {
+      const result = await fileSystemService.importFiles([
+        { path: '../outside.md', content: 'x' },
+        { path: '__MACOSX/._a.md', content: 'x' },
+        { path: '.obsidian/workspace.md', content: 'x' },
+        { path: 'image.png', content: 'x' },
+        { path: '/rooted.md', content: 'r' }
+      ]);
+      expect(result.written).toEqual(['rooted.md']);
+      expect(result.skipped).toHaveLength(4);
+    });
+
+    it('should copy files into a chosen folder and switch to it', async () => {
+      const target = createDirectory({ 'b.md': { content: 'kept', size: 4, lastModified: 100 } });
+      window.showDirectoryPicker = vi.fn(async () => target);
+      vi.spyOn(fileSystemService, 'saveHandle').mockResolvedValue();
+
+      const result = await fileSystemService.moveToFolder();
+
+      expect(result).toEqual({ written: ['a.md'], skipped: ['b.md'] });
+      expect(target.files['a.md'].content).toBe('a');
+      expect(target.files['b.md'].content).toBe('kept');
+      expect(fileSystemService.storage.rootHandle).toBe(target);
+      expect(directory.files['a.md']).toBeDefined();
+    });
+
+    it('should stay on the current storage when no folder is chosen', async () => {
+      window.showDirectoryPicker = vi.fn(async () => {
+        throw Object.assign(new Error('Aborted'), { name: 'AbortError' });
+      });
+      const storage = fileSystemService.storage;
+
+      expect(await fileSystemService.moveToFolder()).toBeNull();
+      expect(fileSystemService.storage).toBe(storage);
+    });
+  });
+
+  describe('demo storage', () => {
+    afterEach(() => {
+      localStorage.removeItem('storageBackend');
+    });
+
+    it('should keep files in memory, including subfolders', async () => {
+      fileSystemService.useDemoStorage();
+      expect(fileSystemService.isDemo()).toBe(true);
+      expect(await fileSystemService.listFiles()).toEqual([]);
+
+      await fileSystemService.writeFile('2026/01/standup.md', 'standup');
+      await fileSystemService.writeFile('lunch.md', 'lunch');
+      expect((await fileSystemService.listFiles()).sort()).toEqual(['2026/01/standup.md', 'lunch.md']);
+      expect(await fileSystemService.readFile('2026/01/standup.md')).toBe('standup');
+
+      await fileSystemService.deleteFile('2026/01/standup.md');
+      expect(await fileSystemService.listFiles()).toEqual(['lunch.md']);
+      expect(await fileSystemService.readFile('2026/01/standup.md')).toBeNull();
+    });
+
+    it('should report every write as a change', async () => {
+      fileSystemService.useDemoStorage();
+      await fileSystemService.writeFile('a.md', 'one');
+      await fileSystemService.scanChanges();
+
+      const { rootHandle } = fileSystemService.storage;
+      const writable = await (await rootHandle.getFileHandle('a.md')).createWritable();
+      await writable.write('two');
+      await writable.close();
+
+      expect((await fileSystemService.scanChanges()).changed).toEqual(['a.md']);
+    });
+
+    it('should not be restored on the next visit', async () => {
+      localStorage.setItem('storageBackend', 'indexeddb');
+      fileSystemService.useDemoStorage();
+      expect(localStorage.getItem('storageBackend')).toBe('indexeddb');
+    });
+  });
+
+  describe('calendars', () => {
+    let work;
+
+    beforeEach(async () => {
+      work = createDirectory({ 'review.md': { content: 'review', size: 6, lastModified: 100 } });
+      window.showDirectoryPicker = vi.fn(async () => Object.assign(work, { name: 'Work' }));
+      vi.spyOn(fileSystemService, 'saveHandle').mockResolvedValue();
+    });
+
+    it('should add a folder as a calendar with its own color', async () => {
+      const calendar = await fileSystemService.addCalendar();
+
+      expect(calendar).toMatchObject({ name: 'Work', available: true });
+      expect(calendar.id).toMatch(/^cal-[0-9a-f]{8}$/);
+      expect(calendar.color).not.toBe(fileSystemService.getCalendars()[0].color);
+      expect(fileSystemService.getCalendars().map(c => c.id)).toEqual(['default', calendar.id]);
+      await expect(fileSystemService.addCalendar()).rejects.toThrow('already added');
+    });
+
+    it('should list, read and write files of every calendar', async () => {
+      const { id } = await fileSystemService.addCalendar();
+
+      expect(await fileSystemService.listFiles()).toEqual(['a.md', 'b.md', `${id}:review.md`]);
+      expect(await fileSystemService.readFile(`${id}:review.md`)).toBe('review');
+
+      await fileSystemService.writeFile(`${id}:2026/standup.md`, 'standup');
+      expect(work.files['2026']['standup.md'].content).toBe('standup');
+      expect(directory.files['2026']).toBeUndefined();
+
+      await fileSystemService.deleteFile(`${id}:review.md`);
+      expect(work.files['review.md']).toBeUndefined();
+      expect(fileSystemService.describePath(`${id}:2026/standup.md`)).toBe('Work › 2026/standup.md');
+    });
+
+    it('should leave out calendars without access and keep files of removed ones', async () => {
+      const { id } = await fileSystemService.addCalendar();
+      fileSystemService.calendars[0].storage = null;
+
+      expect(fileSystemService.getCalendar(id).available).toBe(false);
+      expect(await fileSystemService.listFiles()).toEqual(['a.md', 'b.md']);
+      await expect(fileSystemService.readFile(`${id}:review.md`)).rejects.toThrow('not available');
+
+      await fileSystemService.removeCalendar(id);
+      expect(fileSystemService.getCalendars()).toHaveLength(1);
+      expect(work.files['review.md']).toBeDefined();
+    });
+
+    it('should mark a calendar whose folder fails to list as unavailable and list the others', async () => {
+      const { id } = await fileSystemService.addCalendar();
+      work.values = async function* () {
+        throw new Error('Folder was moved');
+      };
+      const warn = vi.spyOn(logger, 'warn').mockImplementation(() => {});
+
+      expect(await fileSystemService.listFiles()).toEqual(['a.md', 'b.md']);
+      expect(fileSystemService.getCalendar(id)).toMatchObject({ available: false, error: 'Folder was moved' });
+      expect(warn).toHaveBeenCalledWith('Could not list calendar Work', { error: 'Folder was moved' });
+      expect(fileSystemService.describePath(`${id}:`)).toBe('Work');
+      warn.mockRestore();
+    });
+
+    it('should rename calendars, falling back to the folder name', async () => {
+      const { id } = await fileSystemService.addCalendar();
+
+      await fileSystemService.updateCalendar(id, { name: 'Job', color: '#ef4444' });
+      expect(fileSystemService.getCalendar(id)).toMatchObject({ name: 'Job', color: '#ef4444' });
+      await fileSystemService.updateCalendar(id, { name: '  ' });
+      expect(fileSystemService.getCalendar(id).name).toBe('Work');
+      expect(fileSystemService.saveHandle).toHaveBeenLastCalledWith(
+        expect.objectContaining({ calendars: [expect.objectContaining({ id, name: 'Work', handle: work })] }),
+        'calendars'
+      );
+    });
+  });
+
+  describe('watch', () => {
+    it('should poll and report external changes', async () => {
+      vi.useFakeTimers();
+      const callback = vi.fn();
+      await fileSystemService.watch(callback, { interval: 1000 });
+
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(callback).not.toHaveBeenCalled();
+
+      directory.files['a.md'] = { content: 'edited', size: 6, lastModified: 300 };
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(callback).toHaveBeenCalledWith({ added: [], changed: ['a.md'], removed: [] });
+    });
+
+    it('should report a failing scan once until it works again', async () => {
+      vi.useFakeTimers();
+      const warn = vi.spyOn(logger, 'warn').mockImplementation(() => {});
+      const scan = vi.spyOn(fileSystemService, 'scanChanges').mockRejectedValue(new Error('Folder gone'));
+      try {
+        await fileSystemService.watch(vi.fn(), { interval: 1000 });
+        await vi.advanceTimersByTimeAsync(3000);
+        expect(warn).toHaveBeenCalledTimes(1);
+        expect(warn).toHaveBeenCalledWith('Could not scan the events folder for changes', { error: 'Folder gone' });
+
+        scan.mockResolvedValueOnce({ added: [], changed: [], removed: [] });
+        await vi.advanceTimersByTimeAsync(2000);
+        expect(warn).toHaveBeenCalledTimes(2);
+      } finally {
+        scan.mockRestore();
+        warn.mockRestore();
+      }
+    });
+
+    it('should stop polling when unwatched', async () => {
+      vi.useFakeTimers();
+      const callback = vi.fn();
+      const stop = await fileSystemService.watch(callback, { interval: 1000 });
+      stop();
+
+      directory.files['c.md'] = { content: 'c', size: 1, lastModified: 300 };
+      await vi.advanceTimersByTimeAsync(5000);
+      expect(callback).not.toHaveBeenCalled();
+    });
+  });
+});
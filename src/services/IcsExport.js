@@ -0,0 +1,137 @@
+/**
+ * IcsExport - Write markdown events to an iCalendar (.ics) file
+ * Events keep a stable UID: the one they were imported with, or one derived from the event id.
+ * Recurrence, excluded dates and changed occurrences are exported, so other apps
+ * show the same occurrences as this one.
+ */
+
+import { calendarService } from './CalendarService.js';
+import { getEventRule, formatRRule, mayOccurBetween } from './Recurrence.js';
+import { getSwedishHolidays } from './SwedishHolidays.js';
+import { formatICS } from '../utils/ics.js';
+import { parseDate } from '../utils/dateUtils.js';
+
+const UID_DOMAIN = 'nez-calendar';
+
+/**
+ * Get the UID an event is exported with
+ * @param {Object} event
+ * @returns {string}
+ */
+export function getEventUid(event) {
+  return event.uid || `${event.id}@${UID_DOMAIN}`;
+}
+
+/**
+ * Get the RRULE of an event as other apps should read it
+ * RRULE has no month-end policy and skips missing days; a series on the 29th-31st that
+ * moves to the last day of shorter months is written as "the last of the 28th..31st".
+ * @returns {string|null}
+ */
+function exportRule(event) {
+  const rule = getEventRule(event);
+  if (!rule) return null;
+
+  const day = parseDate(event.startDate).getDate();
+  const clampsMonthEnd = rule.monthEnd === 'clamp' && day > 28 &&
+    !rule.byDay.length && !rule.byMonthDay.length && !rule.bySetPos.length &&
+    (rule.freq === 'MONTHLY' || (rule.freq === 'YEARLY' && !rule.byMonth.length));
+  if (!clampsMonthEnd) return formatRRule(rule);
+
+  return formatRRule({
+    ...rule,
+    byMonth: rule.freq === 'YEARLY' ? [parseDate(event.startDate).getMonth() + 1] : rule.byMonth,
+    byMonthDay: Array.from({ length: day - 27 }, (_, i) => 28 + i),
+    bySetPos: [-1]
+  });
+}
+
+/**
+ * Convert an event to the shape formatICS writes
+ */
+function toIcsEvent(event) {
+  const rrule = exportRule(event);
+  const overrides = {};
+  if (rrule) {
+    for (const date of Object.keys(event.overrides || {})) {
+      overrides[date] = calendarService.buildOccurrence(event, date);
+    }
+  }
+
+  return {
+    uid: getEventUid(event),
+    title: event.title,
+    description: event.description || '',
+    startDate: event.startDate,
+    endDate: event.endDate || event.startDate,
+    allDay: event.allDay,
+    startTime: event.startTime,
+    endTime: event.endTime,
+    timezone: event.timezone,
+    endTimezone: event.endTimezone,
+    rrule,
+    exceptionDates: rrule ? event.exceptionDates || [] : [],
+    overrides
+  };
+}
+
+/**
+ * Get the Swedish public holidays in a range as whole-day events
+ * Without a range, the holidays of this year and next year are exported.
+ */
+function getHolidays(startDate, endDate) {
+  const thisYear = new Date().getFullYear();
+  const firstYear = startDate ? parseInt(startDate.substring(0, 4)) : thisYear;
+  const lastYear = endDate ? parseInt(endDate.substring(0, 4)) : Math.max(firstYear, thisYear) + 1;
+  const holidays = [];
+
+  for (let year = firstYear; year <= lastYear; year++) {
+    for (const holiday of getSwedishHolidays(year)) {
+      if ((!startDate || holiday.date >= startDate) && (!endDate || holiday.date <= endDate)) {
+        holidays.push({
+          uid: `holiday-${holiday.date}@${UID_DOMAIN}`,
+          title: holiday.nameSv,
+          description: holiday.name,
+          startDate: holiday.date,
+          endDate: holiday.date,
+          allDay: true,
+          rrule: null
+        });
+      }
+    }
+  }
+
+  return holidays;
+}
+
+/**
+ * Write events as an iCalendar file
+ * @param {Object} [options]
+ * @param {string[]} [options.types] - Event types to include (default: all)
+ * @param {string} [options.startDate] - Leave out events that end before this date (YYYY-MM-DD)
+ * @param {string} [options.endDate] - Leave out events that start after this date (YYYY-MM-DD)
+ * @param {boolean} [options.includeHolidays] - Add the Swedish public holidays in the range
+ * @param {string} [options.name] - Calendar name shown by other apps
+ * @param {Date} [options.now] - Time stamp written into the file
+ * @returns {{content: string, count: number}} File contents and number of events written
+ */
+export function exportCalendar({
+  types = null,
+  startDate = null,
+  endDate = null,
+  includeHolidays = false,
+  name = 'Nez Calendar',
+  now = new Date()
+} = {}) {
+  const events = [...calendarService.events.values()]
+    .filter(event => !types || types.includes(event.type || 'personal'))
+    .filter(event => mayOccurBetween(event, startDate, endDate))
+    .sort((a, b) => a.startDate.localeCompare(b.startDate))
+    .map(toIcsEvent);
+
+  if (includeHolidays) {
+    events.push(...getHolidays(startDate, endDate));
+  }
+
+  return { content: formatICS({ name, events }, { now }), count: events.length };
+}
@@ -0,0 +1,108 @@
+/**
+ * Tests for IcsExport
+ * Covers UIDs, recurrence, filtering by type and date range, and holidays
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// Mock FileSystemService
+vi.mock('./FileSystemService.js', () => ({
+  fileSystemService: {
+    hasAccess: vi.fn(() => true),
+    getCalendar: vi.fn(() => null),
+    getCalendars: vi.fn(() => [{ id: 'default', name: 'Events', color: null, available: true }]),
+    saveHandle: vi.fn(() => Promise.resolve()),
+    loadHandle: vi.fn(() => Promise.resolve(null)),
+  }
+}));
+
+const { calendarService } = await import('./CalendarService.js');
+const { exportCalendar } = await import('./IcsExport.js');
+const { parseICS } = await import('../utils/ics.js');
+
+const addEvent = (event) => calendarService.events.set(event.id, {
+  type: 'personal',
+  endDate: event.startDate,
+  allDay: true,
+  startTime: null,
+  endTime: null,
+  recurrence: 'none',
+  recurrenceEnd: null,
+  recurrenceInterval: 1,
+  rrule: null,
+  monthEndPolicy: 'clamp',
+  exceptionDates: [],
+  overrides: {},
+  description: '',
+  ...event
+});
+
+describe('IcsExport', () => {
+  beforeEach(() => {
+    calendarService.events.clear();
+  });
+
+  it('should give events stable UIDs, keeping imported ones', () => {
+    addEvent({ id: 'abc123', title: 'Dentist', startDate: '2026-03-02' });
+    addEvent({ id: 'def456', title: 'Imported', startDate: '2026-03-03', uid: 'original@example.com' });
+
+    const { content, count } = exportCalendar();
+    const { events } = parseICS(content);
+
+    expect(count).toBe(2);
+    expect(events.map(e => e.uid)).toEqual(['abc123@nez-calendar', 'original@example.com']);
+
+    // Exporting again gives the same file apart from the time stamp
+    const withoutStamp = (text) => text.replace(/DTSTAMP:\S+/g, '');
+    expect(withoutStamp(exportCalendar({ now: new Date(0) }).content)).toBe(withoutStamp(content));
+  });
+
+  it('should export plain recurrence fields as RRULE with exceptions and changed occurrences', () => {
+    addEvent({
+      id: 'gym', title: 'Gym', startDate: '2026-01-06', allDay: false, startTime: '18:00', endTime: '19:00',
+      recurrence: 'weekly', recurrenceInterval: 2, recurrenceEnd: '2026-03-31',
+      exceptionDates: ['2026-01-20'], overrides: { '2026-02-03': { startTime: '17:00' } }
+    });
+
+    const [event] = parseICS(exportCalendar().content).events;
+
+    expect(event).toMatchObject({
+      startDate: '2026-01-06', startTime: '18:00', endTime: '19:00',
+      rrule: 'FREQ=WEEKLY;INTERVAL=2;UNTIL=20260331T235959',
+      exceptionDates: ['2026-01-20']
+    });
+    expect(event.overrides['2026-02-03']).toMatchObject({ title: 'Gym', startTime: '17:00', endTime: '19:00' });
+  });
+
+  it('should keep month-end series on the last day of shorter months', () => {
+    addEvent({ id: 'rent', title: 'Rent', startDate: '2026-01-31', recurrence: 'monthly' });
+    addEvent({ id: 'skip', title: 'Skip', startDate: '2026-01-31', recurrence: 'monthly', monthEndPolicy: 'skip' });
+
+    const [rent, skip] = parseICS(exportCalendar().content).events;
+
+    expect(rent.rrule).toBe('FREQ=MONTHLY;BYMONTHDAY=28,29,30,31;BYSETPOS=-1');
+    expect(skip.rrule).toBe('FREQ=MONTHLY');
+  });
+
+  it('should filter by type and date range', () => {
+    addEvent({ id: 'a', title: 'Work trip', type: 'work', startDate: '2026-05-04', endDate: '2026-05-06' });
+    addEvent({ id: 'b', title: 'Party', startDate: '2026-05-10' });
+    addEvent({ id: 'c', title: 'Old', type: 'work', startDate: '2025-01-01' });
+    addEvent({ id: 'd', title: 'Weekly', type: 'work', startDate: '2025-01-06', recurrence: 'weekly' });
+
+    const { content } = exportCalendar({ types: ['work'], startDate: '2026-05-01', endDate: '2026-05-31' });
+
+    expect(parseICS(content).events.map(e => e.title)).toEqual(['Weekly', 'Work trip']);
+  });
+
+  it('should add Swedish holidays in the range when asked', () => {
+    const { content, count } = exportCalendar({ startDate: '2026-12-24', endDate: '2026-12-31', includeHolidays: true });
+    const { events } = parseICS(content);
+
+    expect(count).toBe(events.length);
+    expect(events).toContainEqual(expect.objectContaining({
+      uid: 'holiday-2026-12-25@nez-calendar', title: 'Juldagen', startDate: '2026-12-25', endDate: '2026-12-25', allDay: true
+    }));
+    expect(exportCalendar({ startDate: '2026-12-24', endDate: '2026-12-31' }).count).toBe(0);
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * IcsImport - Convert iCalendar (.ics) files into markdown event files
+ * Works in two steps: previewImport works out what would be created, skipped and simplified
+ * without writing anything; importEvents then creates the files with calendarService.createEvent.
+ * Imported events keep their UID, so importing the same file again skips them.
+ */
+
+import { calendarService } from './CalendarService.js';
+import { parseRRule, formatRRule } from './Recurrence.js';
+import { parseICS } from '../utils/ics.js';
+
+// RRULE parts Recurrence understands; WKST is accepted but weeks always start on Monday
+const SUPPORTED_RULE_PARTS = ['FREQ', 'INTERVAL', 'UNTIL', 'COUNT', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'BYSETPOS', 'WKST'];
+
+// Override fields compared with the series to drop values that don't change anything
+const OVERRIDE_FIELDS = ['title', 'description', 'allDay', 'startTime', 'endTime', 'timezone', 'endTimezone'];
+
+/**
+ * Convert an RRULE to one Recurrence can expand, noting anything dropped
+ * @returns {string|null} Rule, or null if the event can't repeat
+ */
+function convertRule(rrule, problems) {
+  if (!rrule) return null;
+
+  const rule = parseRRule(rrule);
+  if (!rule) {
+    problems.push(`Repeat rule "${rrule}" is not supported; imported as a single event`);
+    return null;
+  }
+
+  const ignored = rrule.split(';')
+    .map(part => part.split('=')[0].trim().toUpperCase())
+    .filter(key => key && !SUPPORTED_RULE_PARTS.includes(key));
+  if (ignored.length > 0) {
+    problems.push(`Ignored ${ignored.join(', ')} in the repeat rule`);
+  }
+  return formatRRule(rule);
+}
+
+/**
+ * Keep only the fields of each modified occurrence that differ from the series
+ */
+function trimOverrides(event) {
+  const duration = calendarService.daysBetween(event.startDate, event.endDate);
+  const overrides = {};
+
+  for (const [date, override] of Object.entries(event.overrides)) {
+    const trimmed = {};
+    for (const field of OVERRIDE_FIELDS) {
+      if ((override[field] ?? null) !== (event[field] ?? null)) {
+        trimmed[field] = override[field];
+      }
+    }
+    if (override.startDate !== date) {
+      trimmed.startDate = override.startDate;
+    }
+    if (override.endDate !== calendarService.shiftDate(override.startDate, duration)) {
+      trimmed.endDate = override.endDate;
+    }
+    if (Object.keys(trimmed).length > 0) {
+      overrides[date] = trimmed;
+    }
+  }
+
+  return overrides;
+}
+
+/**
+ * Convert a parsed VEVENT to data for createEvent
+ * @returns {{event: Object, problems: string[]}}
+ */
+function toEventData(parsed) {
+  const problems = [...parsed.problems];
+  const rrule = convertRule(parsed.rrule, problems);
+  if (!rrule && Object.keys(parsed.overrides).length > 0) {
+    problems.push('Changed occurrences were dropped');
+  }
+
+  const description = parsed.location
+    ? `Location: ${parsed.location}\n\n${parsed.description}`.trim()
+    : parsed.description;
+
+  const event = {
+    title: parsed.title.trim() || 'Untitled',
+    type: 'personal',
+    uid: parsed.uid,
+    startDate: parsed.startDate,
+    endDate: parsed.endDate,
+    allDay: parsed.allDay,
+    startTime: parsed.startTime,
+    endTime: parsed.endTime,
+    timezone: parsed.timezone,
+    endTimezone: parsed.endTimezone,
+    rrule,
+    // RRULE skips days missing from a month rather than moving them to the month end
+    monthEndPolicy: 'skip',
+    exceptionDates: rrule ? parsed.exceptionDates : [],
+    overrides: rrule ? trimOverrides(parsed) : {},
+    description
+  };
+
+  return { event, problems };
+}
+
+/**
+ * Work out what importing an iCalendar file would do, without writing anything
+ * @param {string} text - Contents of a .ics file
+ * @returns {{name: string|null, create: Array<{event: Object, problems: string[]}>,
+ *   duplicates: Object[], failed: Array<{event: Object, problems: string[]}>}}
+ *   Events to create (with what was simplified), events already imported, and events that can't be imported
+ * @throws {Error} If the text is not an iCalendar file
+ */
+export function previewImport(text) {
+  const { name, events } = parseICS(text);
+  const knownUids = new Set([...calendarService.events.values()].map(e => e.uid).filter(Boolean));
+  const preview = { name, create: [], duplicates: [], failed: [] };
+
+  for (const parsed of events) {
+    const { event, problems } = toEventData(parsed);
+
+    if (event.uid && knownUids.has(event.uid)) {
+      preview.duplicates.push(event);
+      continue;
+    }
+
+    const errors = calendarService.validateEvent(event);
+    if (errors.length > 0) {
+      preview.failed.push({ event, problems: [...problems, ...errors] });
+      continue;
+    }
+
+    if (event.uid) {
+      knownUids.add(event.uid);
+    }
+    preview.create.push({ event, problems });
+  }
+
+  return preview;
+}
+
+/**
+ * Create event files for previewed events
+ * @param {Array<{event: Object}>} items - The `create` list of a preview
+ * @param {Object} [options]
+ * @param {string} [options.calendar] - Calendar to create the events in
+ * @param {function({done: number, total: number}): void} [options.onProgress]
+ * @returns {Promise<{created: Object[], errors: Array<{event: Object, message: string}>}>}
+ */
+export async function importEvents(items, { calendar, onProgress = () => {} } = {}) {
+  const created = [];
+  const errors = [];
+
+  for (const { event } of items) {
+    try {
+      created.push(await calendarService.createEvent(calendar ? { ...event, calendar } : event));
+    } catch (err) {
+      errors.push({ event, message: err.message });
+    }
+    onProgress({ done: created.length + errors.length, total: items.length });
+  }
+
+  return { created, errors };
+}
@@ -0,0 +1,125 @@
+/**
+ * Tests for IcsImport
+ * Covers converting VEVENTs to events, duplicate detection and the problem report
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// Mock FileSystemService
+vi.mock('./FileSystemService.js', () => ({
+  fileSystemService: {
+    hasAccess: vi.fn(() => true),
+    writeFile: vi.fn(() => Promise.resolve()),
+    fileExists: vi.fn(() => Promise.resolve(false)),
+    getCalendar: vi.fn(() => null),
+    getCalendars: vi.fn(() => [{ id: 'default', name: 'Events', color: null, available: true }]),
+    saveHandle: vi.fn(() => Promise.resolve()),
+    loadHandle: vi.fn(() => Promise.resolve(null)),
+  }
+}));
+
+const { fileSystemService } = await import('./FileSystemService.js');
+const { calendarService } = await import('./CalendarService.js');
+const { previewImport, importEvents } = await import('./IcsImport.js');
+
+const ics = (...events) => ['BEGIN:VCALENDAR', 'X-WR-CALNAME:Work', ...events.flat(), 'END:VCALENDAR'].join('\r\n');
+const vevent = (...lines) => ['BEGIN:VEVENT', ...lines, 'END:VEVENT'];
+
+describe('IcsImport', () => {
+  beforeEach(() => {
+    calendarService.events.clear();
+    fileSystemService.writeFile.mockClear();
+  });
+
+  it('should convert all-day, timed and multi-day events', () => {
+    const { name, create } = previewImport(ics(
+      vevent('UID:a', 'SUMMARY:Holiday', 'DTSTART;VALUE=DATE:20260701', 'DTEND;VALUE=DATE:20260711'),
+      vevent('UID:b', 'SUMMARY:Review', 'DTSTART:20260115T100000', 'DTEND:20260115T113000', 'LOCATION:Room 4', 'DESCRIPTION:Bring notes')
+    ));
+
+    expect(name).toBe('Work');
+    expect(create.map(c => c.event)).toEqual([
+      expect.objectContaining({ uid: 'a', startDate: '2026-07-01', endDate: '2026-07-10', allDay: true }),
+      expect.objectContaining({
+        uid: 'b', allDay: false, startTime: '10:00', endTime: '11:30', description: 'Location: Room 4\n\nBring notes'
+      })
+    ]);
+  });
+
+  it('should keep the time zones of events and occurrences', () => {
+    const { create } = previewImport(ics(
+      vevent('UID:z', 'SUMMARY:Sync', 'DTSTART;TZID=Europe/Stockholm:20260105T100000',
+        'DTEND;TZID=America/New_York:20260105T130000', 'RRULE:FREQ=WEEKLY'),
+      vevent('UID:z', 'RECURRENCE-ID;TZID=Europe/Stockholm:20260112T100000', 'SUMMARY:Sync',
+        'DTSTART;TZID=Asia/Kolkata:20260112T150000', 'DTEND;TZID=America/New_York:20260112T130000')
+    ));
+
+    expect(create[0].problems).toEqual([]);
+    expect(create[0].event).toMatchObject({
+      startTime: '10:00', endTime: '13:00', timezone: 'Europe/Stockholm', endTimezone: 'America/New_York',
+      overrides: { '2026-01-12': { startTime: '15:00', timezone: 'Asia/Kolkata' } }
+    });
+    expect(create[0].event.overrides['2026-01-12']).not.toHaveProperty('endTimezone');
+  });
+
+  it('should keep recurrence with exceptions and only the changed fields of occurrences', () => {
+    const { create } = previewImport(ics(
+      vevent('UID:s', 'SUMMARY:Standup', 'DTSTART:20260105T090000', 'DTEND:20260105T091500',
+        'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;WKST=MO', 'EXDATE:20260107T090000'),
+      vevent('UID:s', 'RECURRENCE-ID:20260112T090000', 'SUMMARY:Standup', 'DTSTART:20260112T100000', 'DTEND:20260112T101500')
+    ));
+
+    expect(create).toHaveLength(1);
+    expect(create[0].problems).toEqual([]);
+    expect(create[0].event).toMatchObject({
+      rrule: 'FREQ=WEEKLY;BYDAY=MO,WE',
+      monthEndPolicy: 'skip',
+      exceptionDates: ['2026-01-07'],
+      overrides: { '2026-01-12': { startTime: '10:00', endTime: '10:15' } }
+    });
+  });
+
+  it('should report what could not be represented', () => {
+    const { create } = previewImport(ics(
+      vevent('UID:h', 'SUMMARY:Check', 'DTSTART:20260105T090000', 'RRULE:FREQ=HOURLY;COUNT=3'),
+      vevent('UID:w', 'SUMMARY:Sprint', 'DTSTART;VALUE=DATE:20260105', 'RRULE:FREQ=YEARLY;BYWEEKNO=1', 'ATTENDEE:mailto:a@example.com',
+        'BEGIN:VALARM', 'TRIGGER:-PT15M', 'END:VALARM'),
+      vevent('UID:x', 'SUMMARY:Backwards', 'DTSTART;VALUE=DATE:20260105', 'DTEND;VALUE=DATE:20260101')
+    ));
+
+    expect(create[0].event.rrule).toBeNull();
+    expect(create[0].problems[0]).toContain('not supported');
+    expect(create[1].problems).toEqual([
+      'Reminders are not imported',
+      'Attendees are not imported',
+      'Ignored BYWEEKNO in the repeat rule'
+    ]);
+    expect(create[2].event.endDate).toBe('2026-01-05');
+    expect(create[2].problems).toEqual(['Ends before it starts; the end was moved to the start date']);
+  });
+
+  it('should skip events that were already imported', async () => {
+    const text = ics(vevent('UID:a', 'SUMMARY:Dentist', 'DTSTART;VALUE=DATE:20260110'));
+    const first = previewImport(text);
+    await importEvents(first.create);
+
+    const second = previewImport(text);
+    expect(second.create).toEqual([]);
+    expect(second.duplicates).toEqual([expect.objectContaining({ uid: 'a', title: 'Dentist' })]);
+  });
+
+  it('should create event files with their UID and report progress', async () => {
+    const { create } = previewImport(ics(
+      vevent('UID:a', 'SUMMARY:One', 'DTSTART;VALUE=DATE:20260110'),
+      vevent('UID:b', 'SUMMARY:Two', 'DTSTART;VALUE=DATE:20260111')
+    ));
+    const onProgress = vi.fn();
+
+    const { created, errors } = await importEvents(create, { calendar: 'default', onProgress });
+
+    expect(errors).toEqual([]);
+    expect(created.map(e => e.uid)).toEqual(['a', 'b']);
+    expect(fileSystemService.writeFile).toHaveBeenCalledWith('2026-01-10-one.md', expect.stringContaining('uid: "a"'));
+    expect(onProgress).toHaveBeenLastCalledWith({ done: 2, total: 2 });
+  });
+});
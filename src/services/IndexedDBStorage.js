@@ -0,0 +1,99 @@
+/**
+ * IndexedDBStorage - Storage adapter keeping files as records in IndexedDB
+ * Last-resort backend for browsers without folder access or a writable
+ * Origin Private File System. Records are keyed by relative path.
+ */
+
+export const FILES_STORE_NAME = 'files';
+
+export class IndexedDBStorage {
+  /**
+   * @param {function(): Promise<IDBDatabase>} openDB - Opens the app database
+   */
+  constructor(openDB) {
+    this.openDB = openDB;
+    this.kind = 'indexeddb';
+    this.name = 'IndexedDB';
+  }
+
+  /**
+   * Run a request against the files store
+   * @param {'readonly'|'readwrite'} mode
+   * @param {function(IDBObjectStore): (IDBRequest|void)} operation
+   * @returns {Promise<*>} Result of the request, if one was returned
+   */
+  async run(mode, operation) {
+    const db = await this.openDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(FILES_STORE_NAME, mode);
+      const request = operation(tx.objectStore(FILES_STORE_NAME));
+      tx.oncomplete = () => {
+        db.close();
+        resolve(request?.result);
+      };
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * List files with their modification time and size
+   * @param {function(string): boolean} [filter] - Only include paths this accepts
+   * @returns {Promise<Map<string, {lastModified: number, size: number}>>}
+   */
+  async list(filter = () => true) {
+    const records = await this.run('readonly', store => store.getAll());
+    const stats = new Map();
+    for (const { path, lastModified, size } of records || []) {
+      if (filter(path)) {
+        stats.set(path, { lastModified, size });
+      }
+    }
+    return stats;
+  }
+
+  /**
+   * Get modification time and size of a file
+   * @returns {Promise<{lastModified: number, size: number}|null>} Null if missing
+   */
+  async stat(path) {
+    const record = await this.run('readonly', store => store.get(path));
+    return record ? { lastModified: record.lastModified, size: record.size } : null;
+  }
+
+  /**
+   * Read a file's content
+   * @returns {Promise<string|null>} Null if missing
+   */
+  async read(path) {
+    const record = await this.run('readonly', store => store.get(path));
+    return record ? record.content : null;
+  }
+
+  /**
+   * Write a file
+   * @returns {Promise<{lastModified: number, size: number}>} Stats after writing
+   */
+  async write(path, content) {
+    const record = {
+      path,
+      content,
+      lastModified: Date.now(),
+      size: new TextEncoder().encode(content).length
+    };
+    await this.run('readwrite', store => store.put(record, path));
+    return { lastModified: record.lastModified, size: record.size };
+  }
+
+  /**
+   * Delete a file
+   * @returns {Promise<boolean>} False if the file did not exist
+   */
+  async delete(path) {
+    const key = await this.run('readonly', store => store.getKey(path));
+    if (key === undefined) return false;
+
+    await this.run('readwrite', store => store.delete(path));
+    return true;
+  }
+}
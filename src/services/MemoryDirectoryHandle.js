@@ -0,0 +1,129 @@
+/**
+ * MemoryDirectoryHandle - In-memory implementation of the directory handle API
+ * Implements the subset of FileSystemDirectoryHandle and FileSystemFileHandle used by
+ * DirectoryStorage, so the app can run without any folder, e.g. in demo mode.
+ * Contents live only as long as the page.
+ */
+
+/**
+ * Create the DOMException the real API throws for a missing entry
+ */
+function notFound(name) {
+  return new DOMException(`"${name}" was not found`, 'NotFoundError');
+}
+
+/**
+ * Create the DOMException the real API throws for an entry of the wrong kind
+ */
+function typeMismatch(name) {
+  return new DOMException(`"${name}" is not of the requested kind`, 'TypeMismatchError');
+}
+
+export class MemoryFileHandle {
+  constructor(name) {
+    this.kind = 'file';
+    this.name = name;
+    this.content = '';
+    this.lastModified = Date.now();
+  }
+
+  /**
+   * Get a snapshot of the file
+   * @returns {Promise<{name: string, size: number, lastModified: number, type: string, text: function(): Promise<string>}>}
+   */
+  async getFile() {
+    const { name, content, lastModified } = this;
+    return {
+      name,
+      size: new TextEncoder().encode(content).length,
+      lastModified,
+      type: '',
+      text: async () => content
+    };
+  }
+
+  /**
+   * Open a writer; like the real API, content is replaced when the writer is closed
+   */
+  async createWritable() {
+    let buffer = '';
+    return {
+      write: async (data) => {
+        buffer += data;
+      },
+      close: async () => {
+        this.content = buffer;
+        // Keep modification times distinct so change detection sees every write
+        this.lastModified = Math.max(Date.now(), this.lastModified + 1);
+      }
+    };
+  }
+}
+
+export class MemoryDirectoryHandle {
+  constructor(name = '') {
+    this.kind = 'directory';
+    this.name = name;
+    this.children = new Map();
+  }
+
+  /**
+   * Iterate the handles of all entries
+   */
+  async *values() {
+    yield* [...this.children.values()];
+  }
+
+  /**
+   * Get or create a file in this directory
+   * @param {string} name
+   * @param {Object} [options]
+   * @param {boolean} [options.create=false]
+   * @returns {Promise<MemoryFileHandle>}
+   */
+  async getFileHandle(name, { create = false } = {}) {
+    const entry = this.children.get(name);
+    if (entry) {
+      if (entry.kind !== 'file') throw typeMismatch(name);
+      return entry;
+    }
+    if (!create) throw notFound(name);
+
+    const handle = new MemoryFileHandle(name);
+    this.children.set(name, handle);
+    return handle;
+  }
+
+  /**
+   * Get or create a subdirectory
+   * @param {string} name
+   * @param {Object} [options]
+   * @param {boolean} [options.create=false]
+   * @returns {Promise<MemoryDirectoryHandle>}
+   */
+  async getDirectoryHandle(name, { create = false } = {}) {
+    const entry = this.children.get(name);
+    if (entry) {
+      if (entry.kind !== 'directory') throw typeMismatch(name);
+      return entry;
+    }
+    if (!create) throw notFound(name);
+
+    const handle = new MemoryDirectoryHandle(name);
+    this.children.set(name, handle);
+    return handle;
+  }
+
+  /**
+   * Remove an entry; directories must be empty
+   * @param {string} name
+   */
+  async removeEntry(name) {
+    const entry = this.children.get(name);
+    if (!entry) throw notFound(name);
+    if (entry.kind === 'directory' && entry.children.size > 0) {
+      throw new DOMException(`"${name}" is not empty`, 'InvalidModificationError');
+    }
+    this.children.delete(name);
+  }
+}
@@ -0,0 +1,341 @@
+/**
+ * NoteFormats - Frontmatter dialects event files can be written in
+ * Each format maps its own frontmatter to the app's native fields (those written by
+ * CalendarService.serializeEvent) and back, so the rest of the app only sees one schema.
+ * Files are read in the format they are detected as and written back in the same one;
+ * new files use the format chosen in settings.
+ *
+ * Obsidian Full Calendar notes use `date`/`endDate` for single events, `type: recurring` with
+ * `daysOfWeek`/`startRecur`/`endRecur` for weekly ones and `type: rrule` with `startDate`/`rrule`/
+ * `skipDates` for anything else. They carry no id, so one is derived from the file path and
+ * written to an id key the first time the app saves the note, so it survives renames.
+ * Fields Full Calendar has no place for (event type, color, time zones, changed occurrences) are kept
+ * under extra keys it ignores.
+ *
+ * On top of either format, a field mapping set in settings renames frontmatter keys, e.g.
+ * `startDate: start`, for vaults whose notes use their own names. Files are read and written
+ * through it, so the formats themselves only deal with their standard key names.
+ */
+
+import { getEventRule, formatRRule, createRule } from './Recurrence.js';
+import { hashString } from '../utils/hash.js';
+import { getDayOfWeek } from '../utils/dateUtils.js';
+import { EVENT_TYPES } from '../constants.js';
+
+// Frontmatter keys of the native format; any other key in a file is preserved as-is
+const NATIVE_FIELDS = [
+  'id', 'title', 'startDate', 'endDate', 'allDay', 'startTime', 'endTime', 'timezone', 'endTimezone',
+  'color', 'type', 'uid', 'recurrence', 'recurrenceEnd', 'recurrenceInterval', 'rrule', 'monthEndPolicy', 'exceptionDates', 'overrides'
+];
+
+// Frontmatter keys of Full Calendar notes, plus the extra keys used for app-only fields
+const FULL_CALENDAR_FIELDS = [
+  'id', 'title', 'allDay', 'startTime', 'endTime', 'timezone', 'endTimezone', 'type', 'date', 'endDate',
+  'daysOfWeek', 'startRecur', 'endRecur', 'startDate', 'rrule', 'skipDates',
+  'eventType', 'color', 'uid', 'monthEndPolicy', 'overrides'
+];
+
+const FULL_CALENDAR_TYPES = ['single', 'recurring', 'rrule'];
+
+// Full Calendar's daysOfWeek letters, Monday first like WEEKDAY_CODES
+const FULL_CALENDAR_DAYS = ['M', 'T', 'W', 'R', 'F', 'S', 'U'];
+
+// Prefix of ids derived from the file path of notes without one
+const DERIVED_ID_PREFIX = 'fc-';
+
+// Start of recurring notes without startRecur, which repeat indefinitely into the past
+const OPEN_START_DATE = '2000-01-01';
+
+/**
+ * Get the standard key names a field mapping may rename
+ * @returns {string[]}
+ */
+export function getMappableFields() {
+  return [...new Set([...NATIVE_FIELDS, ...FULL_CALENDAR_FIELDS])];
+}
+
+/**
+ * Check a field mapping and drop entries that rename nothing
+ * @param {Object<string, string>} mapping - Standard key name -> key used in files
+ * @returns {Object<string, string>}
+ * @throws {Error} If a key is unknown, or two fields would share a name in files
+ */
+export function normalizeFieldMapping(mapping) {
+  const fields = getMappableFields();
+  const normalized = {};
+  for (const [field, value] of Object.entries(mapping || {})) {
+    const name = String(value ?? '').trim();
+    if (!fields.includes(field)) {
+      throw new Error(`Unknown field in mapping: ${field}`);
+    }
+    if (name && name !== field) {
+      normalized[field] = name;
+    }
+  }
+
+  const used = new Map();
+  for (const field of fields) {
+    const name = normalized[field] || field;
+    if (used.has(name)) {
+      throw new Error(`Fields ${used.get(name)} and ${field} would both be written as "${name}"`);
+    }
+    used.set(name, field);
+  }
+  return normalized;
+}
+
+/**
+ * Read a field mapping written one "field: name" pair per line
+ * @param {string} text
+ * @returns {Object<string, string>}
+ * @throws {Error} If a line is not a pair or the mapping is invalid
+ */
+export function parseFieldMapping(text) {
+  const mapping = {};
+  for (const line of String(text).split(/\r?\n/).map(l => l.trim()).filter(Boolean)) {
+    const match = /^([^:\s]+)\s*:\s*(\S+)$/.exec(line);
+    if (!match) {
+      throw new Error(`Expected "field: name" in field mapping, got "${line}"`);
+    }
+    mapping[match[1]] = match[2];
+  }
+  return normalizeFieldMapping(mapping);
+}
+
+/**
+ * Write a field mapping one "field: name" pair per line
+ * @param {Object<string, string>} mapping
+ * @returns {string}
+ */
+export function formatFieldMapping(mapping) {
+  return Object.entries(mapping || {}).map(([field, name]) => `${field}: ${name}`).join('\n');
+}
+
+/**
+ * Rename the keys of frontmatter in files to standard names
+ * Standard names that are mapped to something else are left out, as they are not the field.
+ */
+function unmapKeys(frontmatter, mapping) {
+  const fields = Object.fromEntries(Object.entries(mapping).map(([field, name]) => [name, field]));
+  const result = {};
+  for (const [key, value] of Object.entries(frontmatter)) {
+    if (key in fields) {
+      result[fields[key]] = value;
+    } else if (!(key in mapping)) {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Rename standard keys to the names used in files
+ */
+function mapKeys(frontmatter, mapping) {
+  return Object.fromEntries(Object.entries(frontmatter).map(([key, value]) => [mapping[key] || key, value]));
+}
+
+/**
+ * Normalise a time such as "9:00", "09:00:00" or "9:00 pm" to HH:MM
+ * @returns {string|null} Null if missing; unreadable values are returned as-is
+ */
+function readTime(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const text = String(value).trim();
+  const match = /^(\d{1,2}):(\d{2})(?::\d{2})?\s*([ap]\.?m\.?)?$/i.exec(text);
+  if (!match) return text;
+
+  let hours = Number(match[1]);
+  if (match[3]) {
+    hours = hours % 12 + (match[3].toLowerCase().startsWith('p') ? 12 : 0);
+  }
+  return `${String(hours).padStart(2, '0')}:${match[2]}`;
+}
+
+/**
+ * Get the RRULE of a Full Calendar rrule string, which may include a DTSTART line
+ */
+function readRRule(value) {
+  const lines = String(value).split(/\r?\n/).map(line => line.trim());
+  return lines.find(line => /^RRULE:/i.test(line)) || lines.find(line => /^FREQ=/i.test(line)) || lines[0];
+}
+
+/**
+ * Check if frontmatter is a Full Calendar note
+ * @param {Object} frontmatter
+ * @returns {boolean}
+ */
+function isFullCalendarNote(frontmatter) {
+  return FULL_CALENDAR_TYPES.includes(frontmatter.type) ||
+    ('date' in frontmatter && !('startDate' in frontmatter));
+}
+
+/**
+ * Translate a Full Calendar note to native fields
+ */
+function readFullCalendar(frontmatter, filename) {
+  const data = {
+    id: frontmatter.id ? String(frontmatter.id) : `${DERIVED_ID_PREFIX}${hashString(filename)}`,
+    title: frontmatter.title,
+    allDay: frontmatter.allDay,
+    startTime: readTime(frontmatter.startTime),
+    endTime: readTime(frontmatter.endTime),
+    timezone: frontmatter.timezone,
+    endTimezone: frontmatter.endTimezone,
+    type: frontmatter.eventType,
+    // Full Calendar colors whole calendars, so the type's color stands in for a missing one
+    color: frontmatter.color || (EVENT_TYPES[frontmatter.eventType] || EVENT_TYPES.personal).color,
+    uid: frontmatter.uid,
+    // Full Calendar expands rules like RFC 5545, dropping days a month does not have
+    monthEndPolicy: frontmatter.monthEndPolicy || 'skip',
+    overrides: frontmatter.overrides
+  };
+
+  if (frontmatter.type === 'recurring') {
+    const days = (Array.isArray(frontmatter.daysOfWeek) ? frontmatter.daysOfWeek : [])
+      .map(day => FULL_CALENDAR_DAYS.indexOf(String(day).trim().toUpperCase()))
+      .filter(index => index !== -1);
+    data.startDate = frontmatter.startRecur ? String(frontmatter.startRecur) : OPEN_START_DATE;
+    data.rrule = formatRRule({
+      ...createRule('WEEKLY'),
+      byDay: [...new Set(days)].sort().map(weekday => ({ weekday, n: 0 })),
+      until: frontmatter.endRecur ? String(frontmatter.endRecur) : null
+    });
+  } else if (frontmatter.type === 'rrule') {
+    data.startDate = frontmatter.startDate;
+    data.rrule = frontmatter.rrule ? readRRule(frontmatter.rrule) : null;
+    data.exceptionDates = frontmatter.skipDates;
+  } else {
+    data.startDate = frontmatter.date;
+    data.endDate = frontmatter.endDate;
+  }
+
+  return data;
+}
+
+/**
+ * Get the daysOfWeek letters of a rule Full Calendar can repeat natively
+ * @returns {string[]|null} Null if the rule needs `type: rrule`
+ */
+function toDaysOfWeek(rule, event) {
+  const plain = rule.interval === 1 && !rule.count && !rule.byMonth.length &&
+    !rule.byMonthDay.length && !rule.bySetPos.length && rule.byDay.every(day => day.n === 0);
+  if (!plain || !(rule.freq === 'WEEKLY' || (rule.freq === 'DAILY' && !rule.byDay.length))) {
+    return null;
+  }
+  if (event.exceptionDates?.length) return null;
+
+  let weekdays;
+  if (rule.freq === 'DAILY') {
+    weekdays = [0, 1, 2, 3, 4, 5, 6];
+  } else if (rule.byDay.length) {
+    weekdays = rule.byDay.map(day => day.weekday);
+  } else {
+    weekdays = [getDayOfWeek(event.startDate)];
+  }
+  return [...new Set(weekdays)].sort().map(index => FULL_CALENDAR_DAYS[index]);
+}
+
+/**
+ * Translate native fields to a Full Calendar note
+ */
+function writeFullCalendar(data, event, original) {
+  // Ids derived from the path are kept from here on, since saving may move the note
+  const frontmatter = { id: data.id };
+  frontmatter.title = data.title;
+  frontmatter.allDay = data.allDay;
+  if (data.startTime) {
+    frontmatter.startTime = data.startTime;
+    if (data.endTime) frontmatter.endTime = data.endTime;
+    if (data.timezone) frontmatter.timezone = data.timezone;
+    if (data.endTimezone) frontmatter.endTimezone = data.endTimezone;
+  }
+
+  const rule = getEventRule(event);
+  const daysOfWeek = rule && toDaysOfWeek(rule, event);
+  if (!rule) {
+    frontmatter.type = 'single';
+    frontmatter.date = data.startDate;
+    if (data.endDate) frontmatter.endDate = data.endDate;
+  } else if (daysOfWeek) {
+    frontmatter.type = 'recurring';
+    frontmatter.daysOfWeek = daysOfWeek;
+    if (data.startDate !== OPEN_START_DATE) frontmatter.startRecur = data.startDate;
+    if (rule.until) frontmatter.endRecur = rule.until;
+  } else {
+    frontmatter.type = 'rrule';
+    frontmatter.startDate = data.startDate;
+    frontmatter.rrule = formatRRule(rule);
+    frontmatter.skipDates = data.exceptionDates || [];
+  }
+
+  const type = data.type || 'personal';
+  if (type !== 'personal') frontmatter.eventType = type;
+  if ('color' in original || data.color !== (EVENT_TYPES[type] || EVENT_TYPES.personal).color) {
+    frontmatter.color = data.color;
+  }
+  if (data.uid) frontmatter.uid = data.uid;
+  if (rule && ['MONTHLY', 'YEARLY'].includes(rule.freq) && event.monthEndPolicy !== 'skip') {
+    frontmatter.monthEndPolicy = event.monthEndPolicy;
+  }
+  if (data.overrides) frontmatter.overrides = data.overrides;
+
+  return frontmatter;
+}
+
+/**
+ * Make a note name the way Full Calendar does: "YYYY-MM-DD Title.md", or
+ * "(Every M,W) Title.md" for weekly notes
+ * @param {Object} event
+ * @returns {string} File name without folder
+ */
+export function getFullCalendarFilename(event) {
+  const title = String(event.title || 'Untitled')
+    .replace(/[\\/:*?"<>|#^[\]]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .substring(0, 100) || 'Untitled';
+
+  const rule = getEventRule(event);
+  const daysOfWeek = rule && toDaysOfWeek(rule, event);
+  return daysOfWeek ? `(Every ${daysOfWeek.join(',')}) ${title}.md` : `${event.startDate} ${title}.md`;
+}
+
+/**
+ * Read frontmatter in whichever format it is written in
+ * @param {Object} frontmatter - Parsed frontmatter of an event file
+ * @param {string} filename - Used for ids of formats that have none
+ * @param {Object<string, string>} [mapping] - Field mapping the file is written with
+ * @returns {{format: string, data: Object}} Detected format and the native fields
+ */
+export function readNote(frontmatter, filename, mapping = {}) {
+  const standard = unmapKeys(frontmatter, mapping);
+  if (isFullCalendarNote(standard)) {
+    return { format: 'fullCalendar', data: readFullCalendar(standard, filename) };
+  }
+  return { format: 'native', data: standard };
+}
+
+/**
+ * Translate native fields to the frontmatter of a format
+ * @param {string} format
+ * @param {Object} data - Fields as built by serializeEvent
+ * @param {Object} event - The event being written
+ * @param {Object<string, string>} [mapping] - Field mapping to write with
+ * @returns {Object}
+ */
+export function writeNote(format, data, event, mapping = {}) {
+  const original = unmapKeys(event._frontmatter?.data || {}, mapping);
+  const frontmatter = format === 'fullCalendar' ? writeFullCalendar(data, event, original) : data;
+  return mapKeys(frontmatter, mapping);
+}
+
+/**
+ * Get the frontmatter keys a format writes; other keys are kept from the original file
+ * @param {string} format
+ * @param {Object<string, string>} [mapping] - Field mapping to write with
+ * @returns {string[]}
+ */
+export function getNoteFields(format, mapping = {}) {
+  return (format === 'fullCalendar' ? FULL_CALENDAR_FIELDS : NATIVE_FIELDS).map(field => mapping[field] || field);
+}
@@ -0,0 +1,148 @@
+/**
+ * Tests for NoteFormats
+ * Covers detecting Obsidian Full Calendar notes, translating them to native fields and back,
+ * Full Calendar style file names and renaming keys with a field mapping
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  readNote, writeNote, getNoteFields, getFullCalendarFilename, normalizeFieldMapping, parseFieldMapping, formatFieldMapping
+} from './NoteFormats.js';
+
+describe('NoteFormats', () => {
+  describe('readNote', () => {
+    it('should leave native frontmatter as it is', () => {
+      const frontmatter = { id: 'a', title: 'Native', startDate: '2026-03-02', type: 'work' };
+      expect(readNote(frontmatter, 'a.md')).toEqual({ format: 'native', data: frontmatter });
+    });
+
+    it('should read single Full Calendar events', () => {
+      const { format, data } = readNote({
+        title: 'Dentist',
+        allDay: false,
+        startTime: '9:00',
+        endTime: '10:30 pm',
+        date: '2026-03-02',
+        completed: null
+      }, 'dentist.md');
+
+      expect(format).toBe('fullCalendar');
+      expect(data).toMatchObject({
+        title: 'Dentist',
+        startDate: '2026-03-02',
+        startTime: '09:00',
+        endTime: '22:30'
+      });
+      expect(data.id).toMatch(/^fc-/);
+      expect(readNote({ date: '2026-03-02' }, 'dentist.md').data.id).toBe(data.id);
+      expect(readNote({ date: '2026-03-02' }, 'other.md').data.id).not.toBe(data.id);
+    });
+
+    it('should read weekly notes as a BYDAY rule ending on endRecur', () => {
+      const { data } = readNote({
+        type: 'recurring',
+        title: 'Standup',
+        daysOfWeek: ['M', 'W', 'R'],
+        startRecur: '2026-03-02',
+        endRecur: '2026-06-30'
+      }, 'standup.md');
+
+      expect(data.startDate).toBe('2026-03-02');
+      expect(data.rrule).toBe('FREQ=WEEKLY;BYDAY=MO,WE,TH;UNTIL=20260630');
+    });
+
+    it('should read rrule notes with their skipped dates', () => {
+      const { data } = readNote({
+        type: 'rrule',
+        title: 'Rent',
+        startDate: '2026-01-31',
+        rrule: 'DTSTART:20260131\nRRULE:FREQ=MONTHLY',
+        skipDates: ['2026-04-30']
+      }, 'rent.md');
+
+      expect(data.rrule).toBe('RRULE:FREQ=MONTHLY');
+      expect(data.exceptionDates).toEqual(['2026-04-30']);
+      expect(data.monthEndPolicy).toBe('skip');
+    });
+  });
+
+  describe('writeNote', () => {
+    const native = { id: 'fc-1', title: 'Standup', startDate: '2026-03-02', allDay: false, startTime: '09:00', endTime: '09:15', color: '#3b82f6', type: 'work' };
+
+    it('should write weekly rules as daysOfWeek', () => {
+      const event = { ...native, recurrence: 'weekly', rrule: 'FREQ=WEEKLY;BYDAY=MO,FR', _frontmatter: { data: {} } };
+      expect(writeNote('fullCalendar', native, event)).toEqual({
+        id: 'fc-1',
+        title: 'Standup',
+        allDay: false,
+        startTime: '09:00',
+        endTime: '09:15',
+        type: 'recurring',
+        daysOfWeek: ['M', 'F'],
+        startRecur: '2026-03-02',
+        eventType: 'work'
+      });
+    });
+
+    it('should fall back to rrule notes for rules daysOfWeek cannot express', () => {
+      const event = { ...native, recurrence: 'weekly', recurrenceInterval: 2, exceptionDates: ['2026-03-16'] };
+      const frontmatter = writeNote('fullCalendar', { ...native, exceptionDates: ['2026-03-16'] }, event);
+
+      expect(frontmatter).toMatchObject({
+        type: 'rrule',
+        startDate: '2026-03-02',
+        rrule: 'FREQ=WEEKLY;INTERVAL=2',
+        skipDates: ['2026-03-16']
+      });
+      expect(frontmatter.id).toBe('fc-1');
+    });
+
+    it('should keep ids of notes created in the app', () => {
+      const event = { ...native, id: 'b8f1' };
+      expect(writeNote('fullCalendar', { ...native, id: 'b8f1' }, event)).toMatchObject({ id: 'b8f1', type: 'single', date: '2026-03-02' });
+    });
+  });
+
+  describe('getFullCalendarFilename', () => {
+    it('should name notes like Full Calendar does', () => {
+      expect(getFullCalendarFilename({ title: 'Lunch: Anna/Bo', startDate: '2026-03-02' })).toBe('2026-03-02 Lunch AnnaBo.md');
+      expect(getFullCalendarFilename({ title: 'Gym', startDate: '2026-03-02', recurrence: 'daily' }))
+        .toBe('(Every M,T,W,R,F,S,U) Gym.md');
+    });
+  });
+
+  describe('field mapping', () => {
+    const mapping = { title: 'name', startDate: 'start', date: 'day' };
+
+    it('should read renamed keys as their fields', () => {
+      const { format, data } = readNote({ id: 'a', name: 'Dentist', start: '2026-03-02', startDate: 'kept aside' }, 'a.md', mapping);
+      expect(format).toBe('native');
+      expect(data).toEqual({ id: 'a', title: 'Dentist', startDate: '2026-03-02' });
+
+      const fullCalendar = readNote({ name: 'Lunch', day: '2026-03-04' }, 'lunch.md', mapping);
+      expect(fullCalendar.format).toBe('fullCalendar');
+      expect(fullCalendar.data).toMatchObject({ title: 'Lunch', startDate: '2026-03-04' });
+    });
+
+    it('should write fields under their mapped keys', () => {
+      const data = { id: 'a', title: 'Dentist', startDate: '2026-03-02', allDay: true };
+      expect(writeNote('native', data, data, mapping)).toEqual({ id: 'a', name: 'Dentist', start: '2026-03-02', allDay: true });
+      expect(writeNote('fullCalendar', data, data, mapping)).toMatchObject({ name: 'Dentist', day: '2026-03-02', type: 'single' });
+      expect(getNoteFields('native', mapping)).toContain('start');
+      expect(getNoteFields('native', mapping)).not.toContain('startDate');
+    });
+
+    it('should read and write mappings as text', () => {
+      expect(parseFieldMapping('title: name\n\n startDate : start \nid: id')).toEqual({ title: 'name', startDate: 'start' });
+      expect(formatFieldMapping({ title: 'name', startDate: 'start' })).toBe('title: name\nstartDate: start');
+      expect(() => parseFieldMapping('title name')).toThrow('Expected "field: name"');
+    });
+
+    it('should reject unknown fields and clashing names', () => {
+      expect(() => normalizeFieldMapping({ location: 'where' })).toThrow('Unknown field in mapping: location');
+      expect(() => normalizeFieldMapping({ title: 'color' })).toThrow('would both be written as "color"');
+      expect(() => normalizeFieldMapping({ title: 'name', color: 'name' })).toThrow();
+      expect(normalizeFieldMapping({ title: 'color', color: 'colour' })).toEqual({ title: 'color', color: 'colour' });
+    });
+  });
+});
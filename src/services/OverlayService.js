@@ -0,0 +1,295 @@
+/**
+ * OverlayService - Read-only calendar layers from iCalendar (.ics) files
+ * Layers are shown alongside the user's own events but never written to.
+ * Files picked with showOpenFilePicker are re-read whenever they change on disk;
+ * files chosen with a plain file input are kept as the snapshot that was picked.
+ */
+
+import { fileSystemService } from './FileSystemService.js';
+import { parseICS } from '../utils/ics.js';
+import { EVENT_COLORS } from '../constants.js';
+
+const OVERLAYS_KEY = 'overlays';
+const WATCH_INTERVAL = 5000;
+
+/**
+ * @typedef {Object} OverlayLayer
+ * @property {string} id
+ * @property {string} name
+ * @property {string} color - Color of all its events
+ * @property {boolean} enabled - Shown in the calendar
+ * @property {FileSystemFileHandle|File} source
+ * @property {boolean} available - False until read permission is granted
+ * @property {Object[]} events - Parsed event data
+ * @property {string|null} calendarName - Name given inside the file (X-WR-CALNAME)
+ * @property {string|null} error - Why the file could not be read, if it couldn't
+ * @property {number|null} lastModified
+ * @property {number|null} size
+ */
+
+class OverlayService {
+  constructor() {
+    /** @type {OverlayLayer[]} */
+    this.layers = [];
+    this.watcher = null;
+  }
+
+  /**
+   * Check if files can be picked with a handle that allows re-reading them later
+   */
+  isPickerSupported() {
+    return 'showOpenFilePicker' in window;
+  }
+
+  /**
+   * Let the user pick an .ics file
+   * @returns {Promise<FileSystemFileHandle|null>} Null if cancelled
+   */
+  async pickFile() {
+    try {
+      const [handle] = await window.showOpenFilePicker({
+        types: [{ description: 'iCalendar', accept: { 'text/calendar': ['.ics'] } }]
+      });
+      return handle;
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Get all layers for display
+   * @returns {Array<{id: string, name: string, color: string, enabled: boolean, available: boolean, error: string|null}>}
+   */
+  getLayers() {
+    return this.layers.map(({ id, name, color, enabled, available, error }) => ({
+      id, name, color, enabled, available, error
+    }));
+  }
+
+  /**
+   * Attach an .ics file as a layer
+   * @param {FileSystemFileHandle|File} source
+   * @returns {Promise<Object>} The new layer
+   * @throws {Error} If the file is not an iCalendar file
+   */
+  async add(source) {
+    const usedColors = this.layers.map(layer => layer.color);
+    const layer = {
+      id: `ics-${Math.random().toString(16).slice(2, 10).padEnd(8, '0')}`,
+      name: source.name.replace(/\.ics$/i, ''),
+      color: EVENT_COLORS.find(color => !usedColors.includes(color)) || EVENT_COLORS[0],
+      enabled: true,
+      source,
+      available: true
+    };
+
+    await this.readLayer(layer);
+    if (layer.error) {
+      throw new Error(layer.error);
+    }
+    if (layer.calendarName) {
+      layer.name = layer.calendarName;
+    }
+
+    this.layers.push(layer);
+    await this.save();
+    return this.getLayers().find(l => l.id === layer.id);
+  }
+
+  /**
+   * Detach a layer; the file itself is left untouched
+   */
+  async remove(id) {
+    this.layers = this.layers.filter(layer => layer.id !== id);
+    await this.save();
+  }
+
+  /**
+   * Show or hide a layer's events
+   */
+  async toggle(id) {
+    const layer = this.layers.find(l => l.id === id);
+    if (!layer) return;
+
+    layer.enabled = !layer.enabled;
+    await this.save();
+  }
+
+  /**
+   * Change the color of a layer's events
+   */
+  async setColor(id, color) {
+    const layer = this.layers.find(l => l.id === id);
+    if (!layer) return;
+
+    layer.color = color;
+    await this.save();
+  }
+
+  /**
+   * Ask again for access to a layer's file; must be called from a user gesture
+   * @returns {Promise<boolean>} True if access was granted
+   */
+  async reconnect(id) {
+    const layer = this.layers.find(l => l.id === id);
+    if (!layer || !layer.source.requestPermission) return false;
+
+    if (await layer.source.requestPermission({ mode: 'read' }) !== 'granted') {
+      return false;
+    }
+    layer.available = true;
+    await this.readLayer(layer);
+    return true;
+  }
+
+  /**
+   * Persist layers, including their file handles
+   */
+  async save() {
+    await fileSystemService.saveHandle(
+      this.layers.map(({ id, name, color, enabled, source }) => ({ id, name, color, enabled, source })),
+      OVERLAYS_KEY
+    );
+  }
+
+  /**
+   * Load saved layers and read the files we still have access to
+   * Access can't be requested here (that needs a user gesture); see reconnect.
+   */
+  async restore() {
+    const records = (await fileSystemService.loadHandle(OVERLAYS_KEY)) || [];
+    this.layers = [];
+
+    for (const record of records) {
+      let available = true;
+      try {
+        if (record.source.queryPermission) {
+          available = await record.source.queryPermission({ mode: 'read' }) === 'granted';
+        }
+      } catch {
+        available = false;
+      }
+
+      const layer = { ...record, available };
+      if (available) {
+        await this.readLayer(layer);
+      } else {
+        Object.assign(layer, { events: [], error: null, lastModified: null, size: null });
+      }
+      this.layers.push(layer);
+    }
+  }
+
+  /**
+   * Read and parse a layer's file
+   * Errors are recorded on the layer rather than thrown, so one bad file doesn't hide the others.
+   */
+  async readLayer(layer) {
+    try {
+      const file = layer.source.getFile ? await layer.source.getFile() : layer.source;
+      const { name, events } = parseICS(await file.text());
+      Object.assign(layer, {
+        events,
+        calendarName: name,
+        error: null,
+        lastModified: file.lastModified,
+        size: file.size
+      });
+    } catch (err) {
+      Object.assign(layer, { events: [], error: err.message, lastModified: null, size: null });
+    }
+  }
+
+  /**
+   * Re-read layers whose file changed since it was last read
+   * @returns {Promise<boolean>} True if any layer changed
+   */
+  async refresh() {
+    let changed = false;
+
+    for (const layer of this.layers) {
+      if (!layer.available || !layer.source.getFile) continue;
+      try {
+        const file = await layer.source.getFile();
+        if (file.lastModified === layer.lastModified && file.size === layer.size) continue;
+      } catch {
+        // Missing file; readLayer records the error
+      }
+      const previousError = layer.error;
+      await this.readLayer(layer);
+      if (layer.error === null || layer.error !== previousError) {
+        changed = true;
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * Get the events of every shown layer, colored and marked read-only
+   * @returns {Object[]} Events with recurrence not yet expanded
+   */
+  getEvents() {
+    return this.layers
+      .filter(layer => layer.enabled && layer.available)
+      .flatMap(layer => layer.events.map((event, index) => ({
+        ...event,
+        id: `overlay-${layer.id}-${index}`,
+        color: layer.color,
+        type: 'other',
+        monthEndPolicy: 'skip',
+        _isOverlay: true,
+        _overlayId: layer.id,
+        _overlayName: layer.name
+      })));
+  }
+
+  /**
+   * Re-read layer files when they change
+   * @param {function(): void} callback - Called after any layer was re-read
+   * @param {Object} [options]
+   * @param {number} [options.interval=5000] - Polling interval in milliseconds
+   */
+  watch(callback, { interval = WATCH_INTERVAL } = {}) {
+    this.unwatch();
+
+    let checking = false;
+    const check = async () => {
+      if (checking || document.hidden) return;
+      checking = true;
+      try {
+        if (await this.refresh()) {
+          callback();
+        }
+      } finally {
+        checking = false;
+      }
+    };
+
+    const onVisible = () => {
+      if (!document.hidden) check();
+    };
+    document.addEventListener('visibilitychange', onVisible);
+    const timer = setInterval(check, interval);
+
+    this.watcher = () => {
+      clearInterval(timer);
+      document.removeEventListener('visibilitychange', onVisible);
+    };
+  }
+
+  /**
+   * Stop watching layer files
+   */
+  unwatch() {
+    if (this.watcher) {
+      this.watcher();
+      this.watcher = null;
+    }
+  }
+}
+
+export const overlayService = new OverlayService();
@@ -0,0 +1,101 @@
+/**
+ * Tests for OverlayService
+ * Covers attaching .ics files as read-only layers, toggling and re-reading them
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { overlayService } from './OverlayService.js';
+import { fileSystemService } from './FileSystemService.js';
+
+const ics = (...lines) => ['BEGIN:VCALENDAR', ...lines, 'END:VCALENDAR'].join('\r\n');
+const fixture = (title, date) =>
+  ['BEGIN:VEVENT', `UID:${title}`, `SUMMARY:${title}`, `DTSTART;VALUE=DATE:${date}`, 'END:VEVENT'];
+
+/**
+ * Minimal stand-in for a FileSystemFileHandle whose content can be changed
+ */
+function createFileHandle(name, content, permission = 'granted') {
+  const handle = {
+    kind: 'file',
+    name,
+    content,
+    lastModified: 1,
+    getFile: vi.fn(async () => ({
+      name,
+      size: handle.content.length,
+      lastModified: handle.lastModified,
+      text: async () => handle.content
+    })),
+    queryPermission: vi.fn(async () => permission),
+    requestPermission: vi.fn(async () => 'granted')
+  };
+  return handle;
+}
+
+describe('OverlayService', () => {
+  let saved;
+
+  beforeEach(() => {
+    overlayService.layers = [];
+    saved = null;
+    vi.spyOn(fileSystemService, 'saveHandle').mockImplementation(async (records) => {
+      saved = records;
+    });
+    vi.spyOn(fileSystemService, 'loadHandle').mockImplementation(async () => saved);
+  });
+
+  it('should attach a file as a named, colored layer', async () => {
+    const handle = createFileHandle('fixtures.ics', ics('X-WR-CALNAME:Football', ...fixture('Derby', '20260412')));
+
+    const layer = await overlayService.add(handle);
+
+    expect(layer).toMatchObject({ name: 'Football', enabled: true, available: true, error: null });
+    expect(saved).toEqual([expect.objectContaining({ id: layer.id, name: 'Football', source: handle })]);
+
+    const second = await overlayService.add(createFileHandle('school.ics', ics(...fixture('Exam', '20260501'))));
+    expect(second.name).toBe('school');
+    expect(second.color).not.toBe(layer.color);
+  });
+
+  it('should reject files that are not iCalendar files', async () => {
+    await expect(overlayService.add(createFileHandle('notes.ics', 'hello'))).rejects.toThrow('Not an iCalendar file');
+    expect(overlayService.getLayers()).toEqual([]);
+  });
+
+  it('should return events of shown layers only, marked read-only', async () => {
+    const layer = await overlayService.add(createFileHandle('a.ics', ics(...fixture('Derby', '20260412'))));
+
+    expect(overlayService.getEvents()).toEqual([expect.objectContaining({
+      title: 'Derby', startDate: '2026-04-12', color: layer.color, _isOverlay: true, _overlayId: layer.id
+    })]);
+
+    await overlayService.toggle(layer.id);
+    expect(overlayService.getEvents()).toEqual([]);
+    expect(saved[0].enabled).toBe(false);
+  });
+
+  it('should re-read a file only when it changed', async () => {
+    const handle = createFileHandle('a.ics', ics(...fixture('Derby', '20260412')));
+    await overlayService.add(handle);
+
+    expect(await overlayService.refresh()).toBe(false);
+
+    handle.content = ics(...fixture('Derby', '20260412'), ...fixture('Final', '20260530'));
+    handle.lastModified = 2;
+    expect(await overlayService.refresh()).toBe(true);
+    expect(overlayService.getEvents().map(e => e.title)).toEqual(['Derby', 'Final']);
+  });
+
+  it('should restore layers, leaving those without permission until reconnected', async () => {
+    await overlayService.add(createFileHandle('a.ics', ics(...fixture('Derby', '20260412'))));
+    const locked = createFileHandle('b.ics', ics(...fixture('Exam', '20260501')), 'prompt');
+    const { id } = await overlayService.add(locked);
+
+    await overlayService.restore();
+    expect(overlayService.getLayers().map(l => l.available)).toEqual([true, false]);
+    expect(overlayService.getEvents().map(e => e.title)).toEqual(['Derby']);
+
+    expect(await overlayService.reconnect(id)).toBe(true);
+    expect(overlayService.getEvents().map(e => e.title)).toEqual(['Derby', 'Exam']);
+  });
+});
@@ -0,0 +1,470 @@
+/**
+ * Recurrence - RFC 5545 recurrence rule parsing, formatting and expansion
+ * Supports FREQ, INTERVAL, UNTIL, COUNT, BYDAY, BYMONTHDAY, BYMONTH and BYSETPOS
+ * on whole dates; the time of day is carried by the event itself
+ *
+ * Every period is computed from the series anchor, so month lengths never cause drift.
+ * Days missing from a month (the 31st, Feb 29) follow the rule's monthEnd policy:
+ * 'clamp' moves them to the last day of the month, 'skip' (RFC 5545 behavior) drops them.
+ */
+
+import { shiftDate, daysBetween, eachDate, getDayOfWeek } from '../utils/dateUtils.js';
+import { DEFAULT_MONTH_END_POLICY } from '../constants.js';
+
+/**
+ * Weekday codes (Monday first, matching DAYS)
+ */
+export const WEEKDAY_CODES = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+/**
+ * Create an empty rule
+ * @param {string} [freq]
+ * @returns {Object}
+ */
+export function createRule(freq = null) {
+  return {
+    freq,
+    interval: 1,
+    until: null,
+    count: null,
+    byDay: [],
+    byMonthDay: [],
+    byMonth: [],
+    bySetPos: [],
+    monthEnd: DEFAULT_MONTH_END_POLICY
+  };
+}
+
+/**
+ * Weekday index of a date (Monday = 0, Sunday = 6)
+ * @param {Date} date
+ * @returns {number}
+ */
+export function getWeekdayIndex(date) {
+  return (date.getDay() + 6) % 7;
+}
+
+/**
+ * Number of days in a month
+ * @param {number} year
+ * @param {number} month - 0-based
+ * @returns {number}
+ */
+function daysInMonth(year, month) {
+  if (month === 1) {
+    return year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0) ? 29 : 28;
+  }
+  return [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][month];
+}
+
+/**
+ * Build a YYYY-MM-DD date
+ * @param {number} year
+ * @param {number} month - 0-based
+ * @param {number} day
+ * @returns {string}
+ */
+function toDateString(year, month, day) {
+  return `${String(year).padStart(4, '0')}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Split a YYYY-MM-DD date into its parts
+ * @returns {{year: number, month: number, day: number}} Month 0-based
+ */
+function toDateParts(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return { year, month: month - 1, day };
+}
+
+/**
+ * Parse a comma-separated list of non-zero integers within ±max
+ */
+function parseIntList(value, max) {
+  return value.split(',')
+    .map(v => parseInt(v, 10))
+    .filter(n => Number.isInteger(n) && n !== 0 && Math.abs(n) <= max);
+}
+
+/**
+ * Parse a BYDAY entry such as "TU", "2MO" or "-1FR"
+ * @returns {{weekday: number, n: number}|null}
+ */
+function parseByDay(value) {
+  const match = /^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/.exec(value.trim());
+  if (!match) return null;
+  return { weekday: WEEKDAY_CODES.indexOf(match[2]), n: match[1] ? parseInt(match[1], 10) : 0 };
+}
+
+/**
+ * Parse an UNTIL value (DATE or DATE-TIME) to YYYY-MM-DD
+ */
+function parseUntil(value) {
+  const match = /^(\d{4})-?(\d{2})-?(\d{2})/.exec(value);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+/**
+ * Parse an RRULE string, with or without the "RRULE:" prefix
+ * @param {string} value - e.g. "FREQ=WEEKLY;BYDAY=TU,TH;COUNT=10"
+ * @returns {Object|null} Rule, or null if the string has no valid FREQ
+ */
+export function parseRRule(value) {
+  if (!value || typeof value !== 'string') return null;
+
+  const rule = createRule();
+  const body = value.trim().replace(/^RRULE:/i, '');
+
+  for (const part of body.split(';')) {
+    const [rawKey, rawValue = ''] = part.split('=');
+    const key = rawKey.trim().toUpperCase();
+    const val = rawValue.trim().toUpperCase();
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(val)) return null;
+        rule.freq = val;
+        break;
+      case 'INTERVAL':
+        rule.interval = Math.max(1, parseInt(val, 10) || 1);
+        break;
+      case 'COUNT':
+        rule.count = parseInt(val, 10) > 0 ? parseInt(val, 10) : null;
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(val);
+        break;
+      case 'BYDAY':
+        rule.byDay = val.split(',').map(parseByDay).filter(Boolean);
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = parseIntList(val, 31);
+        break;
+      case 'BYMONTH':
+        rule.byMonth = parseIntList(val, 12).filter(n => n > 0);
+        break;
+      case 'BYSETPOS':
+        rule.bySetPos = parseIntList(val, 366);
+        break;
+      default:
+        // WKST and unsupported parts are ignored (weeks always start on Monday)
+        break;
+    }
+  }
+
+  return rule.freq ? rule : null;
+}
+
+/**
+ * Format a rule as an RRULE string (without the "RRULE:" prefix)
+ * @param {Object} rule
+ * @returns {string}
+ */
+export function formatRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byMonth.length) parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+  if (rule.byDay.length) {
+    parts.push(`BYDAY=${rule.byDay.map(d => `${d.n || ''}${WEEKDAY_CODES[d.weekday]}`).join(',')}`);
+  }
+  if (rule.byMonthDay.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.bySetPos.length) parts.push(`BYSETPOS=${rule.bySetPos.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+
+  return parts.join(';');
+}
+
+/**
+ * Check if a rule can be stored with the plain recurrence/recurrenceInterval/recurrenceEnd fields
+ * @param {Object} rule
+ * @returns {boolean}
+ */
+export function isSimpleRule(rule) {
+  return !rule.count && !rule.byDay.length && !rule.byMonthDay.length &&
+         !rule.byMonth.length && !rule.bySetPos.length;
+}
+
+/**
+ * Get the recurrence rule of an event
+ * An `rrule` field takes precedence over the plain recurrence fields
+ * @param {Object} event
+ * @returns {Object|null} Rule, or null if the event does not repeat
+ */
+export function getEventRule(event) {
+  if (event.rrule) {
+    const rule = parseRRule(event.rrule);
+    return rule && { ...rule, monthEnd: event.monthEndPolicy || DEFAULT_MONTH_END_POLICY };
+  }
+  if (!event.recurrence || event.recurrence === 'none') {
+    return null;
+  }
+
+  const freq = event.recurrence.toUpperCase();
+  if (!FREQUENCIES.includes(freq)) return null;
+
+  return {
+    ...createRule(freq),
+    interval: Math.max(1, event.recurrenceInterval || 1),
+    until: event.recurrenceEnd || null,
+    monthEnd: event.monthEndPolicy || DEFAULT_MONTH_END_POLICY
+  };
+}
+
+/**
+ * Check if a day matches the BYDAY entries, with ordinals counted within a span
+ * (a month, or a year for yearly rules without BYMONTH)
+ * @param {Array<{weekday: number, n: number}>} byDay
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} dayInSpan - 1-based position of the date within the span
+ * @param {number} spanLength - Number of days in the span
+ */
+function matchesByDay(byDay, date, dayInSpan, spanLength) {
+  const weekday = getDayOfWeek(date);
+  return byDay.some(({ weekday: wd, n }) => {
+    if (wd !== weekday) return false;
+    if (n > 0) return Math.ceil(dayInSpan / 7) === n;
+    if (n < 0) return Math.ceil((spanLength - dayInSpan + 1) / 7) === -n;
+    return true;
+  });
+}
+
+/**
+ * Candidate days within one month
+ * @param {string} anchor - Series start (YYYY-MM-DD)
+ * @returns {string[]} YYYY-MM-DD
+ */
+function getMonthCandidates(rule, anchor, year, month) {
+  const length = daysInMonth(year, month);
+  const fitMonth = (day) => (day > length && rule.monthEnd === 'clamp' ? length : day);
+  let days;
+
+  if (rule.byMonthDay.length) {
+    days = rule.byMonthDay.map(d => (d > 0 ? fitMonth(d) : length + d + 1));
+  } else if (rule.byDay.length) {
+    days = Array.from({ length }, (_, i) => i + 1);
+  } else {
+    days = [fitMonth(toDateParts(anchor).day)];
+  }
+
+  days = [...new Set(days)]
+    .filter(d => d >= 1 && d <= length)
+    .sort((a, b) => a - b);
+
+  if (rule.byDay.length) {
+    days = days.filter(d => matchesByDay(rule.byDay, toDateString(year, month, d), d, length));
+  }
+  return days.map(d => toDateString(year, month, d));
+}
+
+/**
+ * Candidate days within one year for yearly rules with BYDAY but no BYMONTH/BYMONTHDAY
+ * @returns {string[]} YYYY-MM-DD
+ */
+function getYearWeekdayCandidates(rule, year) {
+  const days = eachDate(toDateString(year, 0, 1), toDateString(year, 11, 31));
+  return days.filter((date, i) => matchesByDay(rule.byDay, date, i + 1, days.length));
+}
+
+/**
+ * Get the first day and the candidate occurrence days of the nth period of a rule
+ * @param {Object} rule
+ * @param {string} anchor - Series start (YYYY-MM-DD)
+ * @param {number} period - Period index (0 = the period containing the anchor)
+ * @returns {{periodStart: string, candidates: string[]}}
+ */
+function getPeriod(rule, anchor, period) {
+  const step = period * rule.interval;
+  let periodStart;
+  let dates;
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const day = shiftDate(anchor, step);
+      const { year, month, day: dayOfMonth } = toDateParts(day);
+      periodStart = day;
+      const monthLength = daysInMonth(year, month);
+      const matches =
+        (!rule.byMonth.length || rule.byMonth.includes(month + 1)) &&
+        (!rule.byMonthDay.length || rule.byMonthDay.some(d =>
+          (d > 0 ? d : monthLength + d + 1) === dayOfMonth)) &&
+        (!rule.byDay.length || rule.byDay.some(d => d.weekday === getDayOfWeek(day)));
+      dates = matches ? [day] : [];
+      break;
+    }
+    case 'WEEKLY': {
+      periodStart = shiftDate(anchor, step * 7 - getDayOfWeek(anchor));
+      const weekdays = rule.byDay.length
+        ? [...new Set(rule.byDay.map(d => d.weekday))].sort((a, b) => a - b)
+        : [getDayOfWeek(anchor)];
+      dates = weekdays
+        .map(wd => shiftDate(periodStart, wd))
+        .filter(d => !rule.byMonth.length || rule.byMonth.includes(toDateParts(d).month + 1));
+      break;
+    }
+    case 'MONTHLY': {
+      const start = toDateParts(anchor);
+      const monthIndex = start.month + step;
+      const year = start.year + Math.floor(monthIndex / 12);
+      const month = ((monthIndex % 12) + 12) % 12;
+      periodStart = toDateString(year, month, 1);
+      dates = !rule.byMonth.length || rule.byMonth.includes(month + 1)
+        ? getMonthCandidates(rule, anchor, year, month)
+        : [];
+      break;
+    }
+    case 'YEARLY':
+    default: {
+      const start = toDateParts(anchor);
+      const year = start.year + step;
+      periodStart = toDateString(year, 0, 1);
+      if (rule.byDay.length && !rule.byMonth.length && !rule.byMonthDay.length) {
+        dates = getYearWeekdayCandidates(rule, year);
+      } else {
+        const months = rule.byMonth.length ? rule.byMonth.map(m => m - 1) : [start.month];
+        dates = [...new Set(months)]
+          .sort((a, b) => a - b)
+          .flatMap(month => getMonthCandidates(rule, anchor, year, month));
+      }
+      break;
+    }
+  }
+
+  let candidates = dates;
+  if (rule.bySetPos.length) {
+    candidates = [...new Set(rule.bySetPos
+      .map(pos => (pos > 0 ? candidates[pos - 1] : candidates[candidates.length + pos]))
+      .filter(Boolean))]
+      .sort();
+  }
+
+  return { periodStart, candidates };
+}
+
+/**
+ * Index of the first period that can contain occurrences on or after a date.
+ * Computed arithmetically so series of any age expand in constant time.
+ * @param {Object} rule
+ * @param {string} anchor - Series start (YYYY-MM-DD)
+ * @param {string} from - YYYY-MM-DD
+ * @returns {number}
+ */
+function getFirstPeriod(rule, anchor, from) {
+  const start = toDateParts(anchor);
+  const target = toDateParts(from);
+  let elapsed;
+
+  switch (rule.freq) {
+    case 'DAILY':
+      elapsed = daysBetween(anchor, from);
+      break;
+    case 'WEEKLY': {
+      const anchorWeek = shiftDate(anchor, -getDayOfWeek(anchor));
+      const fromWeek = shiftDate(from, -getDayOfWeek(from));
+      elapsed = daysBetween(anchorWeek, fromWeek) / 7;
+      break;
+    }
+    case 'MONTHLY':
+      elapsed = (target.year - start.year) * 12 + target.month - start.month;
+      break;
+    case 'YEARLY':
+    default:
+      elapsed = target.year - start.year;
+      break;
+  }
+
+  return Math.max(0, Math.floor(elapsed / rule.interval));
+}
+
+/**
+ * Iterate the occurrence dates of a rule in order, honoring COUNT and UNTIL
+ * Occurrences before the series start are never produced
+ * @param {Object} rule
+ * @param {string} startDate - Series start (YYYY-MM-DD)
+ * @param {string} limitDate - Stop after this date (YYYY-MM-DD)
+ * @param {string} [fromDate] - Skip ahead to this date (YYYY-MM-DD); earlier occurrences
+ *   may still be produced when COUNT requires counting from the start
+ * @yields {string} Occurrence date (YYYY-MM-DD)
+ */
+export function* iterateOccurrences(rule, startDate, limitDate, fromDate = startDate) {
+  const last = rule.until && rule.until < limitDate ? rule.until : limitDate;
+  let generated = 0;
+
+  // COUNT can only be honored by walking from the first occurrence
+  const firstPeriod = rule.count || fromDate <= startDate
+    ? 0
+    : getFirstPeriod(rule, startDate, fromDate);
+
+  for (let period = firstPeriod; ; period++) {
+    const { periodStart, candidates } = getPeriod(rule, startDate, period);
+    if (periodStart > last) return;
+
+    for (const date of candidates) {
+      if (date < startDate) continue;
+      if (date > last) return;
+      yield date;
+      generated++;
+      if (rule.count && generated >= rule.count) return;
+    }
+  }
+}
+
+/**
+ * Expand a rule into the occurrence dates that fall inside a range
+ * @param {Object} rule
+ * @param {string} startDate - Series start (YYYY-MM-DD)
+ * @param {string} rangeStart - YYYY-MM-DD
+ * @param {string} rangeEnd - YYYY-MM-DD
+ * @returns {string[]} Occurrence dates (YYYY-MM-DD)
+ */
+export function expandRule(rule, startDate, rangeStart, rangeEnd) {
+  const dates = [];
+  for (const date of iterateOccurrences(rule, startDate, rangeEnd, rangeStart)) {
+    if (date >= rangeStart) {
+      dates.push(date);
+    }
+  }
+  return dates;
+}
+
+/**
+ * Get the next occurrences of a rule on or after a date (for previews)
+ * @param {Object} rule
+ * @param {string} startDate - Series start (YYYY-MM-DD)
+ * @param {string} fromDate - YYYY-MM-DD
+ * @param {number} [limit=5]
+ * @returns {string[]} Occurrence dates (YYYY-MM-DD)
+ */
+export function getNextOccurrences(rule, startDate, fromDate, limit = 5) {
+  const horizon = shiftDate(fromDate, 366 * 10);
+  const dates = [];
+  for (const date of iterateOccurrences(rule, startDate, horizon, fromDate)) {
+    if (date >= fromDate) {
+      dates.push(date);
+      if (dates.length >= limit) break;
+    }
+  }
+  return dates;
+}
+
+/**
+ * Check whether an event, or any occurrence of a series, can fall in a date range
+ * Series are judged by their start and UNTIL only, so one may match without an
+ * occurrence in the range. Either bound may be left out.
+ * @param {Object} event
+ * @param {string|null} startDate - YYYY-MM-DD
+ * @param {string|null} endDate - YYYY-MM-DD
+ * @returns {boolean}
+ */
+export function mayOccurBetween(event, startDate, endDate) {
+  if (endDate && event.startDate > endDate) return false;
+  if (!startDate) return true;
+
+  const rule = getEventRule(event);
+  if (!rule) return (event.endDate || event.startDate) >= startDate;
+  const movedLater = Object.values(event.overrides || {}).some(o => (o.endDate || o.startDate) >= startDate);
+  return !rule.until || rule.until >= startDate || movedLater;
+}
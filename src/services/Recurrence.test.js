@@ -0,0 +1,253 @@
+/**
+ * Tests for Recurrence
+ * Covers RRULE parsing/formatting and expansion of BYDAY, BYMONTHDAY, BYSETPOS and COUNT
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import {
+  parseRRule,
+  formatRRule,
+  getEventRule,
+  isSimpleRule,
+  expandRule,
+  getNextOccurrences
+} from './Recurrence.js';
+
+describe('Recurrence', () => {
+  describe('parseRRule', () => {
+    it('should parse frequency, interval and weekdays', () => {
+      const rule = parseRRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH');
+      expect(rule.freq).toBe('WEEKLY');
+      expect(rule.interval).toBe(2);
+      expect(rule.byDay).toEqual([{ weekday: 1, n: 0 }, { weekday: 3, n: 0 }]);
+    });
+
+    it('should parse ordinal weekdays and negative month days', () => {
+      const rule = parseRRule('RRULE:FREQ=MONTHLY;BYDAY=-1FR;BYMONTHDAY=-1');
+      expect(rule.byDay).toEqual([{ weekday: 4, n: -1 }]);
+      expect(rule.byMonthDay).toEqual([-1]);
+    });
+
+    it('should parse UNTIL as date or date-time', () => {
+      expect(parseRRule('FREQ=DAILY;UNTIL=20260131').until).toBe('2026-01-31');
+      expect(parseRRule('FREQ=DAILY;UNTIL=20260131T235959Z').until).toBe('2026-01-31');
+    });
+
+    it('should reject rules without a valid FREQ', () => {
+      expect(parseRRule('BYDAY=MO')).toBeNull();
+      expect(parseRRule('FREQ=HOURLY')).toBeNull();
+      expect(parseRRule('')).toBeNull();
+    });
+  });
+
+  describe('formatRRule', () => {
+    it('should round-trip a rule', () => {
+      const text = 'FREQ=MONTHLY;INTERVAL=2;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1;COUNT=10';
+      expect(formatRRule(parseRRule(text))).toBe(text);
+    });
+
+    it('should format UNTIL as a DATE value', () => {
+      expect(formatRRule(parseRRule('FREQ=YEARLY;UNTIL=2030-06-01'))).toBe('FREQ=YEARLY;UNTIL=20300601');
+    });
+  });
+
+  describe('getEventRule', () => {
+    it('should build a rule from plain recurrence fields', () => {
+      const rule = getEventRule({ recurrence: 'weekly', recurrenceInterval: 2, recurrenceEnd: '2026-03-01' });
+      expect(rule.freq).toBe('WEEKLY');
+      expect(rule.interval).toBe(2);
+      expect(rule.until).toBe('2026-03-01');
+      expect(isSimpleRule(rule)).toBe(true);
+    });
+
+    it('should prefer the rrule field', () => {
+      const rule = getEventRule({ recurrence: 'daily', rrule: 'FREQ=WEEKLY;BYDAY=MO' });
+      expect(rule.freq).toBe('WEEKLY');
+      expect(isSimpleRule(rule)).toBe(false);
+    });
+
+    it('should return null for non-recurring events', () => {
+      expect(getEventRule({ recurrence: 'none' })).toBeNull();
+    });
+  });
+
+  describe('expandRule', () => {
+    it('should expand every Tuesday and Thursday', () => {
+      const rule = parseRRule('FREQ=WEEKLY;BYDAY=TU,TH');
+      // Jan 6, 2026 is a Tuesday
+      expect(expandRule(rule, '2026-01-06', '2026-01-01', '2026-01-16'))
+        .toEqual(['2026-01-06', '2026-01-08', '2026-01-13', '2026-01-15']);
+    });
+
+    it('should never produce occurrences before the series start', () => {
+      const rule = parseRRule('FREQ=WEEKLY;BYDAY=MO,FR');
+      // Jan 7, 2026 is a Wednesday
+      expect(expandRule(rule, '2026-01-07', '2026-01-01', '2026-01-12'))
+        .toEqual(['2026-01-09', '2026-01-12']);
+    });
+
+    it('should expand the last Friday of the month', () => {
+      const rule = parseRRule('FREQ=MONTHLY;BYDAY=-1FR');
+      expect(expandRule(rule, '2026-01-30', '2026-01-01', '2026-04-30'))
+        .toEqual(['2026-01-30', '2026-02-27', '2026-03-27', '2026-04-24']);
+    });
+
+    it('should expand the second Monday of the month', () => {
+      const rule = parseRRule('FREQ=MONTHLY;BYDAY=2MO');
+      expect(expandRule(rule, '2026-01-12', '2026-01-01', '2026-03-31'))
+        .toEqual(['2026-01-12', '2026-02-09', '2026-03-09']);
+    });
+
+    it('should expand BYMONTHDAY including negative days', () => {
+      const rule = parseRRule('FREQ=MONTHLY;BYMONTHDAY=1,-1');
+      expect(expandRule(rule, '2026-01-01', '2026-01-01', '2026-02-28'))
+        .toEqual(['2026-01-01', '2026-01-31', '2026-02-01', '2026-02-28']);
+    });
+
+    it('should select with BYSETPOS', () => {
+      // Last weekday of the month
+      const rule = parseRRule('FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1');
+      expect(expandRule(rule, '2026-01-30', '2026-01-01', '2026-05-31'))
+        .toEqual(['2026-01-30', '2026-02-27', '2026-03-31', '2026-04-30', '2026-05-29']);
+    });
+
+    it('should stop after COUNT occurrences', () => {
+      const rule = parseRRule('FREQ=WEEKLY;BYDAY=TU,TH;COUNT=3');
+      expect(expandRule(rule, '2026-01-06', '2026-01-01', '2026-12-31'))
+        .toEqual(['2026-01-06', '2026-01-08', '2026-01-13']);
+    });
+
+    it('should count occurrences before the range', () => {
+      const rule = parseRRule('FREQ=DAILY;COUNT=10');
+      expect(expandRule(rule, '2026-01-01', '2026-01-08', '2026-01-31'))
+        .toEqual(['2026-01-08', '2026-01-09', '2026-01-10']);
+    });
+
+    it('should stop at UNTIL', () => {
+      const rule = parseRRule('FREQ=DAILY;INTERVAL=3;UNTIL=20260110');
+      expect(expandRule(rule, '2026-01-01', '2026-01-01', '2026-01-31'))
+        .toEqual(['2026-01-01', '2026-01-04', '2026-01-07', '2026-01-10']);
+    });
+
+    it('should expand yearly rules with BYMONTH and BYDAY', () => {
+      // US Thanksgiving: fourth Thursday of November
+      const rule = parseRRule('FREQ=YEARLY;BYMONTH=11;BYDAY=4TH');
+      expect(expandRule(rule, '2025-11-27', '2025-01-01', '2027-12-31'))
+        .toEqual(['2025-11-27', '2026-11-26', '2027-11-25']);
+    });
+  });
+
+  describe('long-running series', () => {
+    it('should expand a daily series that started years ago', () => {
+      const rule = parseRRule('FREQ=DAILY');
+      expect(expandRule(rule, '2020-01-01', '2026-01-05', '2026-01-11')).toHaveLength(7);
+    });
+
+    it('should keep the interval phase when jumping ahead', () => {
+      // Biweekly from Monday Jan 6, 2020: 2026-01-05 is 313 weeks later (odd), 2026-01-12 is even
+      const rule = parseRRule('FREQ=WEEKLY;INTERVAL=2');
+      expect(expandRule(rule, '2020-01-06', '2026-01-01', '2026-01-31'))
+        .toEqual(['2026-01-12', '2026-01-26']);
+    });
+
+    it('should keep weekday sets when jumping ahead', () => {
+      const rule = parseRRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE');
+      expect(expandRule(rule, '2020-01-06', '2026-01-05', '2026-01-18'))
+        .toEqual(['2026-01-12', '2026-01-14']);
+    });
+
+    it('should keep the monthly phase when jumping ahead', () => {
+      const rule = parseRRule('FREQ=MONTHLY;INTERVAL=3');
+      expect(expandRule(rule, '2001-01-15', '2026-01-01', '2026-12-31'))
+        .toEqual(['2026-01-15', '2026-04-15', '2026-07-15', '2026-10-15']);
+    });
+
+    it('should keep the yearly phase when jumping ahead', () => {
+      const rule = parseRRule('FREQ=YEARLY;INTERVAL=4');
+      expect(expandRule(rule, '1996-07-19', '2020-01-01', '2029-12-31'))
+        .toEqual(['2020-07-19', '2024-07-19', '2028-07-19']);
+    });
+
+    it('should not cap the number of occurrences', () => {
+      const rule = parseRRule('FREQ=DAILY');
+      expect(expandRule(rule, '2026-01-01', '2026-01-01', '2027-12-31')).toHaveLength(730);
+    });
+
+    it('should still honor COUNT for old series', () => {
+      // The 400th day from Jan 1, 2025 is Feb 4, 2026
+      const rule = parseRRule('FREQ=DAILY;COUNT=400');
+      expect(expandRule(rule, '2025-01-01', '2026-02-01', '2026-02-28'))
+        .toEqual(['2026-02-01', '2026-02-02', '2026-02-03', '2026-02-04']);
+    });
+  });
+
+  describe('month-end policy', () => {
+    it('should clamp the 31st to the last day of shorter months', () => {
+      const rule = { ...parseRRule('FREQ=MONTHLY'), monthEnd: 'clamp' };
+      expect(expandRule(rule, '2026-01-31', '2026-01-01', '2026-05-31'))
+        .toEqual(['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30', '2026-05-31']);
+    });
+
+    it('should skip months without the day', () => {
+      const rule = { ...parseRRule('FREQ=MONTHLY'), monthEnd: 'skip' };
+      expect(expandRule(rule, '2026-01-31', '2026-01-01', '2026-05-31'))
+        .toEqual(['2026-01-31', '2026-03-31', '2026-05-31']);
+    });
+
+    it('should return to Feb 29 in leap years when clamping', () => {
+      const rule = getEventRule({ recurrence: 'yearly', monthEndPolicy: 'clamp' });
+      expect(expandRule(rule, '2024-02-29', '2024-01-01', '2028-12-31'))
+        .toEqual(['2024-02-29', '2025-02-28', '2026-02-28', '2027-02-28', '2028-02-29']);
+    });
+
+    it('should only occur in leap years when skipping', () => {
+      const rule = getEventRule({ recurrence: 'yearly', monthEndPolicy: 'skip' });
+      expect(expandRule(rule, '2024-02-29', '2024-01-01', '2032-12-31'))
+        .toEqual(['2024-02-29', '2028-02-29', '2032-02-29']);
+    });
+
+    it('should not drift across intervals', () => {
+      const rule = getEventRule({ recurrence: 'monthly', recurrenceInterval: 3 });
+      expect(expandRule(rule, '2025-11-30', '2025-01-01', '2026-08-31'))
+        .toEqual(['2025-11-30', '2026-02-28', '2026-05-30', '2026-08-30']);
+    });
+
+    it('should apply the policy to explicit BYMONTHDAY values', () => {
+      const rule = { ...parseRRule('FREQ=MONTHLY;BYMONTHDAY=30'), monthEnd: 'clamp' };
+      expect(expandRule(rule, '2026-01-30', '2026-02-01', '2026-02-28')).toEqual(['2026-02-28']);
+    });
+  });
+
+  describe('getNextOccurrences', () => {
+    it('should return a limited number of upcoming dates', () => {
+      const rule = parseRRule('FREQ=WEEKLY;BYDAY=MO');
+      expect(getNextOccurrences(rule, '2026-01-05', '2026-02-01', 3))
+        .toEqual(['2026-02-02', '2026-02-09', '2026-02-16']);
+    });
+
+    it('should return an empty list when the series has ended', () => {
+      const rule = parseRRule('FREQ=DAILY;COUNT=2');
+      expect(getNextOccurrences(rule, '2026-01-01', '2026-02-01')).toEqual([]);
+    });
+  });
+
+  describe('time zone of the device', () => {
+    // West of UTC, with a daylight saving change on 2026-03-08
+    const originalTimeZone = process.env.TZ;
+    beforeAll(() => {
+      process.env.TZ = 'America/Los_Angeles';
+    });
+    afterAll(() => {
+      process.env.TZ = originalTimeZone;
+    });
+
+    it('should expand on the same dates across daylight saving changes', () => {
+      expect(expandRule(parseRRule('FREQ=WEEKLY;BYDAY=SU,MO'), '2026-03-01', '2026-03-01', '2026-03-09'))
+        .toEqual(['2026-03-01', '2026-03-02', '2026-03-08', '2026-03-09']);
+      expect(expandRule(parseRRule('FREQ=MONTHLY;BYDAY=-1SU'), '2026-01-25', '2026-01-01', '2026-04-30'))
+        .toEqual(['2026-01-25', '2026-02-22', '2026-03-29', '2026-04-26']);
+      expect(expandRule(parseRRule('FREQ=YEARLY;BYDAY=20MO'), '2026-01-01', '2026-01-01', '2027-12-31'))
+        .toEqual(['2026-05-18', '2027-05-17']);
+    });
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Calendar Paths - Addressing files across several calendars
+ * Files in the primary calendar keep plain relative paths ("2025/03/dentist.md");
+ * files in other calendars are prefixed with the calendar id ("cal-1a2b3c4d:standup.md").
+ * Colons can't appear in file names on every platform, so the prefix is unambiguous.
+ */
+
+import { PRIMARY_CALENDAR_ID } from '../constants.js';
+
+const QUALIFIED_PATH = /^(cal-[0-9a-f]{8}):(.*)$/;
+
+/**
+ * Generate an id for a new calendar
+ * @returns {string}
+ */
+export function createCalendarId() {
+  const hex = Array.from({ length: 8 }, () => Math.floor(Math.random() * 16).toString(16)).join('');
+  return `cal-${hex}`;
+}
+
+/**
+ * Build the path of a file in a calendar
+ * @param {string} calendarId
+ * @param {string} path - Path relative to the calendar's folder
+ * @returns {string}
+ */
+export function qualifyPath(calendarId, path) {
+  return !calendarId || calendarId === PRIMARY_CALENDAR_ID ? path : `${calendarId}:${path}`;
+}
+
+/**
+ * Split a path into its calendar and the path within that calendar's folder
+ * @param {string} path
+ * @returns {{calendarId: string, path: string}}
+ */
+export function splitPath(path) {
+  const match = QUALIFIED_PATH.exec(path);
+  return match
+    ? { calendarId: match[1], path: match[2] }
+    : { calendarId: PRIMARY_CALENDAR_ID, path };
+}
+
+/**
+ * Get the calendar a path belongs to
+ * @param {string} path
+ * @returns {string}
+ */
+export function getCalendarId(path) {
+  return splitPath(path).calendarId;
+}
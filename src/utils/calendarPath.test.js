@@ -0,0 +1,29 @@
+/**
+ * Tests for Calendar Paths
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createCalendarId, qualifyPath, splitPath, getCalendarId } from './calendarPath.js';
+import { PRIMARY_CALENDAR_ID } from '../constants.js';
+
+describe('calendarPath', () => {
+  it('should keep primary calendar paths unqualified', () => {
+    expect(qualifyPath(PRIMARY_CALENDAR_ID, '2025/03/dentist.md')).toBe('2025/03/dentist.md');
+    expect(splitPath('2025/03/dentist.md')).toEqual({ calendarId: PRIMARY_CALENDAR_ID, path: '2025/03/dentist.md' });
+  });
+
+  it('should round-trip paths in other calendars', () => {
+    const id = createCalendarId();
+    expect(id).toMatch(/^cal-[0-9a-f]{8}$/);
+
+    const path = qualifyPath(id, '2026/01/standup.md');
+    expect(path).toBe(`${id}:2026/01/standup.md`);
+    expect(splitPath(path)).toEqual({ calendarId: id, path: '2026/01/standup.md' });
+    expect(getCalendarId(path)).toBe(id);
+  });
+
+  it('should not treat other colons as calendar prefixes', () => {
+    expect(getCalendarId('notes: draft.md')).toBe(PRIMARY_CALENDAR_ID);
+    expect(getCalendarId('cal-xyz:event.md')).toBe(PRIMARY_CALENDAR_ID);
+  });
+});
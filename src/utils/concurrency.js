@@ -0,0 +1,27 @@
+/**
+ * Concurrency - Helpers for running async work in parallel
+ */
+
+/**
+ * Map items through an async function with at most `limit` calls in flight
+ * Results keep the order of the input.
+ * @param {Array} items
+ * @param {number} limit
+ * @param {function(*, number): Promise<*>} fn
+ * @returns {Promise<Array>}
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
@@ -0,0 +1,32 @@
+/**
+ * Tests for Concurrency
+ */
+
+import { describe, it, expect } from 'vitest';
+import { mapWithConcurrency } from './concurrency.js';
+
+describe('mapWithConcurrency', () => {
+  it('should keep input order', async () => {
+    const delays = [30, 10, 20, 0];
+    const results = await mapWithConcurrency(delays, 2, (ms, i) =>
+      new Promise(resolve => setTimeout(() => resolve(i), ms))
+    );
+    expect(results).toEqual([0, 1, 2, 3]);
+  });
+
+  it('should not exceed the limit', async () => {
+    let active = 0;
+    let peak = 0;
+    await mapWithConcurrency(Array.from({ length: 10 }), 3, async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, 1));
+      active--;
+    });
+    expect(peak).toBe(3);
+  });
+
+  it('should handle empty input', async () => {
+    expect(await mapWithConcurrency([], 4, async () => 1)).toEqual([]);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * CSV - Reading and writing comma-separated values (RFC 4180)
+ * Quoted fields may contain separators, quotes ("") and line breaks.
+ * Spreadsheets in many locales use semicolons, so the separator is detected when reading.
+ */
+
+const SEPARATORS = [',', ';', '\t'];
+
+/**
+ * Guess the separator from the first line, ignoring quoted text
+ * @param {string} text
+ * @returns {string}
+ */
+export function detectSeparator(text) {
+  const firstLine = text.replace(/"[^"]*"/g, '').split(/\r?\n/)[0];
+  let best = ',';
+  let bestCount = 0;
+  for (const separator of SEPARATORS) {
+    const count = firstLine.split(separator).length - 1;
+    if (count > bestCount) {
+      best = separator;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Parse CSV text into rows of fields
+ * Blank lines are kept as rows so row numbers match the file; a final line break adds no row.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.separator] - Detected from the first line if not given
+ * @returns {string[][]}
+ */
+export function parseCSV(text, { separator = detectSeparator(text) } = {}) {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Quote a field if it contains a separator, quote or line break
+ */
+function formatField(value, separator) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return text.includes(separator) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write rows of fields as CSV, with CRLF line endings
+ * @param {Array<Array<string|number|boolean|null>>} rows
+ * @param {Object} [options]
+ * @param {string} [options.separator]
+ * @returns {string}
+ */
+export function formatCSV(rows, { separator = ',' } = {}) {
+  return rows.map(row => row.map(value => formatField(value, separator)).join(separator)).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,39 @@
+/**
+ * Tests for CSV reading and writing
+ * Covers quoting, line breaks inside fields and separator detection
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseCSV, formatCSV, detectSeparator } from './csv.js';
+
+describe('csv', () => {
+  it('should read quoted fields with separators, quotes and line breaks', () => {
+    const text = 'Title,Description\r\n"Lunch, team","Say ""hi""\nand bring cake"\r\nReview,\r\n';
+
+    expect(parseCSV(text)).toEqual([
+      ['Title', 'Description'],
+      ['Lunch, team', 'Say "hi"\nand bring cake'],
+      ['Review', '']
+    ]);
+  });
+
+  it('should keep blank lines so row numbers match the file', () => {
+    expect(parseCSV('a,b\n\n1,2')).toEqual([['a', 'b'], [''], ['1', '2']]);
+  });
+
+  it('should detect semicolon and tab separators and skip a byte order mark', () => {
+    expect(detectSeparator('Titel;Datum;Beskrivning\nMöte;2026-01-05;"a, b"')).toBe(';');
+    expect(detectSeparator('Title\tDate')).toBe('\t');
+    expect(detectSeparator('Title')).toBe(',');
+    expect(parseCSV('\uFEFFTitel;Datum\nMöte;2026-01-05')).toEqual([['Titel', 'Datum'], ['Möte', '2026-01-05']]);
+  });
+
+  it('should write fields that read back unchanged', () => {
+    const rows = [['Title', 'Notes'], ['Lunch, team', 'Say "hi"\nlater'], ['Plain', null]];
+    const text = formatCSV(rows);
+
+    expect(text).toBe('Title,Notes\r\n"Lunch, team","Say ""hi""\nlater"\r\nPlain,\r\n');
+    expect(parseCSV(text)).toEqual([['Title', 'Notes'], ['Lunch, team', 'Say "hi"\nlater'], ['Plain', '']]);
+    expect(formatCSV([['a;b', 'c']], { separator: ';' })).toBe('"a;b";c\r\n');
+  });
+});
@@ -17,24 +17,20 @@ export function formatDate(date) {
 
 /**
  * Check if a date is today
- * @param {Date} date
+ * @param {Date|string} date - Local Date or YYYY-MM-DD
  * @returns {boolean}
  */
 export function isToday(date) {
-  const today = new Date();
-  return date.getFullYear() === today.getFullYear() &&
-         date.getMonth() === today.getMonth() &&
-         date.getDate() === today.getDate();
+  return toPlainDate(date) === formatDate(new Date());
 }
 
 /**
  * Check if a date is a weekend (Saturday or Sunday)
- * @param {Date} date
+ * @param {Date|string} date - Local Date or YYYY-MM-DD
  * @returns {boolean}
  */
 export function isWeekend(date) {
-  const day = date.getDay();
-  return day === 0 || day === 6;
+  return getDayOfWeek(toPlainDate(date)) >= 5;
 }
 
 /**
@@ -111,3 +107,126 @@ export function parseDate(dateStr) {
   const [year, month, day] = dateStr.split('-').map(Number);
   return new Date(year, month - 1, day);
 }
+
+/**
+ * Check if a string is a real calendar date in YYYY-MM-DD format
+ * @param {string} dateStr
+ * @returns {boolean}
+ */
+export function isValidDate(dateStr) {
+  if (typeof dateStr !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
+    return false;
+  }
+  return formatDate(parseDate(dateStr)) === dateStr;
+}
+
+/*
+ * Plain dates and times
+ * Event dates are YYYY-MM-DD strings and times HH:MM strings with no time zone. The helpers
+ * below work on them as day numbers, never as instants, so a date can't move to another day
+ * in time zones west of UTC or across a daylight saving change.
+ */
+
+const MS_PER_DAY = 86400000;
+
+/**
+ * Days since 1970-01-01 of a YYYY-MM-DD date
+ */
+function toDayNumber(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return Date.UTC(year, month - 1, day) / MS_PER_DAY;
+}
+
+/**
+ * YYYY-MM-DD date of a day number
+ */
+function fromDayNumber(dayNumber) {
+  const date = new Date(dayNumber * MS_PER_DAY);
+  const year = String(date.getUTCFullYear()).padStart(4, '0');
+  const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+  const day = String(date.getUTCDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Get the plain date of a local Date, or of a YYYY-MM-DD string (returned as-is)
+ * @param {Date|string|number} value
+ * @returns {string} YYYY-MM-DD
+ */
+export function toPlainDate(value) {
+  if (typeof value === 'string') return value;
+  return formatDate(value instanceof Date ? value : new Date(value));
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} dateStr
+ * @param {number} days - May be negative
+ * @returns {string}
+ */
+export function shiftDate(dateStr, days) {
+  return fromDayNumber(toDayNumber(dateStr) + days);
+}
+
+/**
+ * Number of days from one YYYY-MM-DD date to another
+ * @param {string} fromDateStr
+ * @param {string} toDateStr
+ * @returns {number} Negative if toDateStr is earlier
+ */
+export function daysBetween(fromDateStr, toDateStr) {
+  return toDayNumber(toDateStr) - toDayNumber(fromDateStr);
+}
+
+/**
+ * List the dates from start to end, both included
+ * @param {string} startDateStr
+ * @param {string} endDateStr
+ * @returns {string[]} Empty if end is before start
+ */
+export function eachDate(startDateStr, endDateStr) {
+  const first = toDayNumber(startDateStr);
+  const count = toDayNumber(endDateStr) - first + 1;
+  return Array.from({ length: Math.max(0, count) }, (_, i) => fromDayNumber(first + i));
+}
+
+/**
+ * List the dates of a month
+ * @param {number} year
+ * @param {number} month - 0-based
+ * @returns {string[]} YYYY-MM-DD
+ */
+export function eachDateOfMonth(year, month) {
+  const first = Date.UTC(year, month, 1) / MS_PER_DAY;
+  const count = Date.UTC(year, month + 1, 1) / MS_PER_DAY - first;
+  return Array.from({ length: count }, (_, i) => fromDayNumber(first + i));
+}
+
+/**
+ * Weekday of a YYYY-MM-DD date (Monday = 0, Sunday = 6)
+ * @param {string} dateStr
+ * @returns {number}
+ */
+export function getDayOfWeek(dateStr) {
+  // 1970-01-01 was a Thursday
+  return (((toDayNumber(dateStr) + 3) % 7) + 7) % 7;
+}
+
+/**
+ * Convert an HH:MM time to minutes from midnight
+ * @param {string} timeStr
+ * @returns {number}
+ */
+export function timeToMinutes(timeStr) {
+  const [hours, minutes] = timeStr.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Convert minutes from midnight to an HH:MM time
+ * @param {number} minutes - 0 to 1439
+ * @returns {string}
+ */
+export function minutesToTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
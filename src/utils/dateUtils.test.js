@@ -2,7 +2,7 @@
  * Tests for Date Utilities
  */
 
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
 import {
   formatDate,
   isToday,
@@ -12,7 +12,16 @@ import {
   getWeekEnd,
   getWeekNumber,
   isSameDay,
-  parseDate
+  parseDate,
+  isValidDate,
+  toPlainDate,
+  shiftDate,
+  daysBetween,
+  eachDate,
+  eachDateOfMonth,
+  getDayOfWeek,
+  timeToMinutes,
+  minutesToTime
 } from './dateUtils.js';
 
 describe('dateUtils', () => {
@@ -49,6 +58,11 @@ describe('dateUtils', () => {
       tomorrow.setDate(tomorrow.getDate() + 1);
       expect(isToday(tomorrow)).toBe(false);
     });
+
+    it('should accept plain dates', () => {
+      expect(isToday(formatDate(new Date()))).toBe(true);
+      expect(isToday('2000-01-01')).toBe(false);
+    });
   });
 
   describe('isWeekend', () => {
@@ -69,6 +83,11 @@ describe('dateUtils', () => {
       const friday = new Date(2026, 0, 9); // Jan 9, 2026 is Friday
       expect(isWeekend(friday)).toBe(false);
     });
+
+    it('should accept plain dates', () => {
+      expect(isWeekend('2026-01-10')).toBe(true);
+      expect(isWeekend('2026-01-09')).toBe(false);
+    });
   });
 
   describe('addDays', () => {
@@ -168,4 +187,74 @@ describe('dateUtils', () => {
       expect(date.getMonth()).toBe(11); // December
     });
   });
+
+  describe('isValidDate', () => {
+    it('should accept real dates', () => {
+      expect(isValidDate('2026-01-15')).toBe(true);
+      expect(isValidDate('2024-02-29')).toBe(true);
+    });
+
+    it('should reject malformed or impossible dates', () => {
+      expect(isValidDate('2026-1-15')).toBe(false);
+      expect(isValidDate('2026-02-30')).toBe(false);
+      expect(isValidDate('2026-13-01')).toBe(false);
+      expect(isValidDate('')).toBe(false);
+      expect(isValidDate(undefined)).toBe(false);
+    });
+  });
+
+  describe('plain dates', () => {
+    // West of UTC, with a daylight saving change on 2026-03-08
+    const originalTimeZone = process.env.TZ;
+    beforeAll(() => {
+      process.env.TZ = 'America/Los_Angeles';
+    });
+    afterAll(() => {
+      process.env.TZ = originalTimeZone;
+    });
+
+    it('should shift dates across daylight saving changes and month ends', () => {
+      expect(shiftDate('2026-03-07', 1)).toBe('2026-03-08');
+      expect(shiftDate('2026-03-08', 1)).toBe('2026-03-09');
+      expect(shiftDate('2026-11-01', -1)).toBe('2026-10-31');
+      expect(shiftDate('2024-02-28', 1)).toBe('2024-02-29');
+      expect(shiftDate('2026-12-31', 1)).toBe('2027-01-01');
+    });
+
+    it('should count days between dates', () => {
+      expect(daysBetween('2026-03-01', '2026-03-31')).toBe(30);
+      expect(daysBetween('2026-03-31', '2026-03-01')).toBe(-30);
+      expect(daysBetween('2026-01-01', '2027-01-01')).toBe(365);
+    });
+
+    it('should list each date of a range', () => {
+      expect(eachDate('2026-03-07', '2026-03-09')).toEqual(['2026-03-07', '2026-03-08', '2026-03-09']);
+      expect(eachDate('2026-03-09', '2026-03-07')).toEqual([]);
+    });
+
+    it('should list each date of a month', () => {
+      expect(eachDateOfMonth(2024, 1)).toHaveLength(29);
+      expect(eachDateOfMonth(2026, 1).at(-1)).toBe('2026-02-28');
+      expect(eachDateOfMonth(2026, 11)[0]).toBe('2026-12-01');
+      expect(eachDateOfMonth(2026, 11).at(-1)).toBe('2026-12-31');
+    });
+
+    it('should give weekdays with Monday first', () => {
+      expect(getDayOfWeek('2026-03-09')).toBe(0);
+      expect(getDayOfWeek('2026-03-08')).toBe(6);
+      expect(getDayOfWeek('1969-12-31')).toBe(2);
+    });
+
+    it('should keep the local day when converting dates', () => {
+      expect(toPlainDate('2026-03-01')).toBe('2026-03-01');
+      expect(toPlainDate(new Date(2026, 2, 1))).toBe('2026-03-01');
+      expect(toPlainDate(new Date(2026, 2, 1, 23, 30))).toBe('2026-03-01');
+    });
+
+    it('should convert times to and from minutes', () => {
+      expect(timeToMinutes('09:30')).toBe(570);
+      expect(minutesToTime(570)).toBe('09:30');
+      expect(minutesToTime(0)).toBe('00:00');
+    });
+  });
 });
@@ -0,0 +1,129 @@
+/**
+ * Event layout - Placing overlapping timed events side by side in a day column
+ * Events that overlap, directly or through others, form a cluster that shares the column width.
+ * Each event takes the leftmost free column of its cluster and widens into any columns to its
+ * right that stay free for its whole duration.
+ * The grid itself shows a chosen range of hours, widened to fit events outside it.
+ * Timed events that run past midnight are drawn as one segment per day they touch.
+ */
+
+import { timeToMinutes, eachDate } from './dateUtils.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Get the minutes an event covers in its day column
+ * Events without an end run to midnight; short events are stretched to the minimum duration
+ * so that events drawn over each other are also laid out next to each other.
+ */
+function toInterval(event, minDuration) {
+  const start = timeToMinutes(event.startTime || '00:00');
+  const end = event.endTime ? timeToMinutes(event.endTime) : MINUTES_PER_DAY;
+  return { start, end: Math.max(end, start + minDuration) };
+}
+
+/**
+ * Check if an event has times, as opposed to filling whole days
+ * @param {Object} event
+ * @returns {boolean}
+ */
+export function isTimedEvent(event) {
+  return !event.allDay && !!event.startTime;
+}
+
+/**
+ * Split a timed event into the parts that fall on each day
+ * An event ending at 00:00 does not reach into its end date; days it runs through entirely
+ * go from 00:00 to 24:00.
+ * @param {Object} event - Timed event with startDate, endDate, startTime and endTime
+ * @returns {{date: string, startTime: string, endTime: string|null, continuesBefore: boolean, continuesAfter: boolean}[]}
+ */
+export function getDaySegments(event) {
+  const dates = eachDate(event.startDate, event.endDate || event.startDate);
+  const endsAtMidnight = dates.length > 1 && event.endTime === '00:00';
+  if (endsAtMidnight) dates.pop();
+
+  return dates.map((date, i) => {
+    const isLast = i === dates.length - 1;
+    return {
+      date,
+      startTime: i === 0 ? event.startTime : '00:00',
+      endTime: isLast && !endsAtMidnight ? event.endTime : '24:00',
+      continuesBefore: i > 0,
+      continuesAfter: !isLast
+    };
+  });
+}
+
+/**
+ * Lay out timed events of one day
+ * @param {Object[]} events - Events with HH:MM startTime and endTime
+ * @param {Object} [options]
+ * @param {number} [options.minDuration=30] - Minutes the shortest events are drawn as
+ * @returns {{event: Object, column: number, span: number, columns: number}[]} In start order; the
+ *   event covers columns `column` to `column + span - 1` of the `columns` its cluster is split into
+ */
+export function layoutTimedEvents(events, { minDuration = 30 } = {}) {
+  const items = events
+    .map(event => ({ event, ...toInterval(event, minDuration) }))
+    // Earlier first, then longer first so long events get the leftmost columns
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+
+  const clusters = [];
+  let cluster = null;
+  for (const item of items) {
+    if (!cluster || item.start >= cluster.end) {
+      cluster = { items: [], columnEnds: [], end: item.end };
+      clusters.push(cluster);
+    }
+
+    let column = cluster.columnEnds.findIndex(end => end <= item.start);
+    if (column === -1) column = cluster.columnEnds.length;
+    cluster.columnEnds[column] = item.end;
+    item.column = column;
+    cluster.items.push(item);
+    cluster.end = Math.max(cluster.end, item.end);
+  }
+
+  const layout = [];
+  for (const { items: members, columnEnds } of clusters) {
+    const columns = columnEnds.length;
+    for (const item of members) {
+      let span = 1;
+      while (item.column + span < columns && !members.some(other =>
+        other.column === item.column + span && other.start < item.end && other.end > item.start)) {
+        span++;
+      }
+      layout.push({ event: item.event, column: item.column, span, columns });
+    }
+  }
+  return layout;
+}
+
+/**
+ * Get the hours a day grid needs to show a set of timed events
+ * Only the real start and end of events count: where a day segment continues from or into another
+ * day, the range just has to show enough of it from its other edge.
+ * @param {Object[]} events - Events with HH:MM startTime and endTime, and `_segment` for day segments
+ * @param {number} startHour - First hour shown when all events fit
+ * @param {number} endHour - Hour the grid ends at when all events fit
+ * @param {Object} [options]
+ * @param {number} [options.minDuration=30] - Minutes the shortest events are drawn as
+ * @returns {{startHour: number, endHour: number}} The range, widened to whole hours around events outside it
+ */
+export function getHourRange(events, startHour, endHour, { minDuration = 30 } = {}) {
+  let start = startHour * 60;
+  let end = endHour * 60;
+  for (const event of events) {
+    const interval = toInterval(event, minDuration);
+    if (!event._segment?.continuesBefore) {
+      start = Math.min(start, interval.start);
+      end = Math.max(end, interval.start + minDuration);
+    }
+    if (!event._segment?.continuesAfter) {
+      start = Math.min(start, interval.end - minDuration);
+      end = Math.max(end, interval.end);
+    }
+  }
+  return { startHour: Math.floor(start / 60), endHour: Math.min(Math.ceil(end / 60), 24) };
+}
@@ -0,0 +1,118 @@
+/**
+ * Tests for event layout
+ * Covers clustering overlapping events, column assignment and widening into free columns,
+ * the hours a grid shows and splitting events that run past midnight into days
+ */
+
+import { describe, it, expect } from 'vitest';
+import { layoutTimedEvents, getHourRange, getDaySegments, isTimedEvent } from './eventLayout.js';
+
+const event = (id, startTime, endTime) => ({ id, startTime, endTime });
+
+/**
+ * Summarise a layout as id -> [column, span, columns]
+ */
+function summarise(layout) {
+  return Object.fromEntries(layout.map(({ event, column, span, columns }) => [event.id, [column, span, columns]]));
+}
+
+describe('layoutTimedEvents', () => {
+  it('should give separate events the full width', () => {
+    const layout = layoutTimedEvents([event('a', '09:00', '10:00'), event('b', '10:00', '11:00')]);
+    expect(summarise(layout)).toEqual({ a: [0, 1, 1], b: [0, 1, 1] });
+  });
+
+  it('should put overlapping events side by side', () => {
+    const layout = layoutTimedEvents([
+      event('b', '09:30', '10:30'),
+      event('a', '09:00', '10:00'),
+      event('c', '09:45', '10:15')
+    ]);
+    expect(layout.map(item => item.event.id)).toEqual(['a', 'b', 'c']);
+    expect(summarise(layout)).toEqual({ a: [0, 1, 3], b: [1, 1, 3], c: [2, 1, 3] });
+  });
+
+  it('should reuse columns that have come free', () => {
+    const layout = layoutTimedEvents([
+      event('long', '09:00', '12:00'),
+      event('first', '09:00', '10:00'),
+      event('second', '10:00', '11:00')
+    ]);
+    expect(summarise(layout)).toEqual({ long: [0, 1, 2], first: [1, 1, 2], second: [1, 1, 2] });
+  });
+
+  it('should widen events into columns that stay free', () => {
+    const layout = layoutTimedEvents([
+      event('a', '09:00', '11:00'),
+      event('b', '09:00', '10:00'),
+      event('c', '09:30', '10:00'),
+      event('d', '10:00', '11:00')
+    ]);
+    // d starts once b and c have ended, so it can take both their columns
+    expect(summarise(layout)).toEqual({ a: [0, 1, 3], b: [1, 1, 3], c: [2, 1, 3], d: [1, 2, 3] });
+  });
+
+  it('should lay out short events by their drawn height', () => {
+    const layout = layoutTimedEvents([event('a', '09:00', '09:05'), event('b', '09:15', '09:30')]);
+    expect(summarise(layout)).toEqual({ a: [0, 1, 2], b: [1, 1, 2] });
+    expect(summarise(layoutTimedEvents([event('a', '09:00', '09:05'), event('b', '09:15', '09:30')], { minDuration: 5 })))
+      .toEqual({ a: [0, 1, 1], b: [0, 1, 1] });
+  });
+
+  it('should run events without an end to midnight', () => {
+    const layout = layoutTimedEvents([event('open', '20:00', null), event('late', '23:00', '23:30')]);
+    expect(summarise(layout)).toEqual({ open: [0, 1, 2], late: [1, 1, 2] });
+  });
+});
+
+describe('getHourRange', () => {
+  it('should keep the hours when every event fits', () => {
+    expect(getHourRange([event('a', '09:00', '17:00')], 6, 23)).toEqual({ startHour: 6, endHour: 23 });
+    expect(getHourRange([], 8, 18)).toEqual({ startHour: 8, endHour: 18 });
+  });
+
+  it('should widen to whole hours around early and late events', () => {
+    expect(getHourRange([event('a', '04:30', '05:00'), event('b', '23:15', '23:40')], 6, 23))
+      .toEqual({ startHour: 4, endHour: 24 });
+    expect(getHourRange([event('a', '18:00', '19:05')], 8, 18)).toEqual({ startHour: 8, endHour: 20 });
+  });
+
+  it('should only widen for the start and end of events continuing on other days', () => {
+    const segment = (startTime, endTime, continuesBefore, continuesAfter) =>
+      ({ ...event('n', startTime, endTime), _segment: { continuesBefore, continuesAfter } });
+
+    expect(getHourRange([segment('18:00', '24:00', false, true), segment('00:00', '24:00', true, true)], 6, 20))
+      .toEqual({ startHour: 6, endHour: 20 });
+    expect(getHourRange([segment('00:00', '08:00', true, false)], 6, 20)).toEqual({ startHour: 6, endHour: 20 });
+    // Enough of a late start or early end to see and click
+    expect(getHourRange([segment('22:00', '24:00', false, true), segment('00:00', '02:00', true, false)], 6, 20))
+      .toEqual({ startHour: 1, endHour: 23 });
+  });
+});
+
+describe('getDaySegments', () => {
+  it('should split a night shift at midnight', () => {
+    expect(getDaySegments({ startDate: '2026-03-06', endDate: '2026-03-07', startTime: '22:00', endTime: '02:00' })).toEqual([
+      { date: '2026-03-06', startTime: '22:00', endTime: '24:00', continuesBefore: false, continuesAfter: true },
+      { date: '2026-03-07', startTime: '00:00', endTime: '02:00', continuesBefore: true, continuesAfter: false }
+    ]);
+  });
+
+  it('should fill the days an event runs through', () => {
+    const segments = getDaySegments({ startDate: '2026-03-06', endDate: '2026-03-08', startTime: '18:00', endTime: '20:00' });
+    expect(segments.map(segment => [segment.date, segment.startTime, segment.endTime]))
+      .toEqual([['2026-03-06', '18:00', '24:00'], ['2026-03-07', '00:00', '24:00'], ['2026-03-08', '00:00', '20:00']]);
+  });
+
+  it('should not reach into the end date of events ending at midnight', () => {
+    expect(getDaySegments({ startDate: '2026-03-06', endDate: '2026-03-07', startTime: '20:00', endTime: '00:00' })).toEqual([
+      { date: '2026-03-06', startTime: '20:00', endTime: '24:00', continuesBefore: false, continuesAfter: false }
+    ]);
+  });
+
+  it('should tell timed events from all-day ones', () => {
+    expect(isTimedEvent({ allDay: false, startTime: '09:00' })).toBe(true);
+    expect(isTimedEvent({ allDay: true, startTime: '09:00' })).toBe(false);
+    expect(isTimedEvent({ allDay: false, startTime: null })).toBe(false);
+  });
+});
@@ -0,0 +1,646 @@
+/**
+ * Frontmatter - YAML subset parser and emitter for markdown frontmatter
+ * Supports block and flow maps/lists, quoted and multi-line strings, block scalars and comments.
+ * Rewriting a parsed document keeps unknown keys, key order, comments and the original
+ * formatting of every value that did not change.
+ */
+
+const KEY_PATTERN = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"{[\]},&*!|>%@`-][^#]*?|-[^\s#][^#]*?)\s*:(?:\s+|$)/;
+const PLAIN_KEY_PATTERN = /^[A-Za-z0-9_][\w.-]*$/;
+
+/**
+ * Number of leading spaces
+ */
+function indentOf(line) {
+  return line.length - line.trimStart().length;
+}
+
+/**
+ * Check if a line is blank or a comment
+ */
+function isIgnorable(line) {
+  const trimmed = line.trim();
+  return trimmed === '' || trimmed.startsWith('#');
+}
+
+/**
+ * Check if content starts a block sequence item
+ */
+function isSequenceItem(content) {
+  return content === '-' || content.startsWith('- ');
+}
+
+/**
+ * Remove a trailing " # comment" that is outside of quotes
+ */
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote === '"' && char === '\\') {
+      i++;
+    } else if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+  return text.trimEnd();
+}
+
+/**
+ * Decode the body of a double-quoted string
+ */
+function unescapeDoubleQuoted(text) {
+  const escapes = { n: '\n', t: '\t', r: '\r', 0: '\0', '"': '"', '\\': '\\', '/': '/', ' ': ' ', b: '\b', f: '\f' };
+  return text.replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|.)/g, (_, seq) => {
+    if (seq.length > 1) {
+      return String.fromCharCode(parseInt(seq.slice(1), 16));
+    }
+    return escapes[seq] ?? seq;
+  });
+}
+
+/**
+ * Find the index of the quote closing a quoted scalar that opens at `start`
+ * @returns {number} Index of the closing quote, or -1
+ */
+function findClosingQuote(text, start) {
+  const quote = text[start];
+  for (let i = start + 1; i < text.length; i++) {
+    if (quote === '"' && text[i] === '\\') {
+      i++;
+    } else if (text[i] === quote) {
+      if (quote === "'" && text[i + 1] === "'") {
+        i++;
+      } else {
+        return i;
+      }
+    }
+  }
+  return -1;
+}
+
+/**
+ * Decode a complete quoted scalar, including its quotes
+ */
+function parseQuoted(text) {
+  const body = text.slice(1, -1);
+  return text[0] === '"' ? unescapeDoubleQuoted(body) : body.replace(/''/g, "'");
+}
+
+/**
+ * Type a plain (unquoted) scalar
+ * Dates and times stay strings; only null, booleans and numbers are converted
+ */
+function parsePlainScalar(text) {
+  if (text === '' || text === '~' || /^(null|Null|NULL)$/.test(text)) return null;
+  if (/^(true|True|TRUE)$/.test(text)) return true;
+  if (/^(false|False|FALSE)$/.test(text)) return false;
+  if (/^[-+]?\d+$/.test(text)) {
+    const number = parseInt(text, 10);
+    return Number.isSafeInteger(number) ? number : text;
+  }
+  if (/^[-+]?(\d+\.\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return parseFloat(text);
+  return text;
+}
+
+/**
+ * Parse a key, unquoting it if needed
+ */
+function parseKey(raw) {
+  return raw.startsWith('"') || raw.startsWith("'") ? parseQuoted(raw) : raw;
+}
+
+/**
+ * Parse a flow collection or scalar such as `[a, "b", {c: 1}]`
+ * @param {string} text
+ * @returns {*}
+ */
+function parseFlow(text) {
+  let pos = 0;
+
+  const skipSpace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+
+  const parseValue = () => {
+    skipSpace();
+    const char = text[pos];
+
+    if (char === '[') {
+      pos++;
+      const items = [];
+      skipSpace();
+      while (text[pos] !== ']') {
+        if (pos >= text.length) throw new Error(`Unterminated flow sequence: ${text}`);
+        items.push(parseValue());
+        skipSpace();
+        if (text[pos] === ',') pos++;
+        skipSpace();
+      }
+      pos++;
+      return items;
+    }
+
+    if (char === '{') {
+      pos++;
+      const map = {};
+      skipSpace();
+      while (text[pos] !== '}') {
+        if (pos >= text.length) throw new Error(`Unterminated flow mapping: ${text}`);
+        const key = parseValue();
+        skipSpace();
+        let value = null;
+        if (text[pos] === ':') {
+          pos++;
+          value = parseValue();
+        }
+        map[String(key)] = value;
+        skipSpace();
+        if (text[pos] === ',') pos++;
+        skipSpace();
+      }
+      pos++;
+      return map;
+    }
+
+    if (char === '"' || char === "'") {
+      const end = findClosingQuote(text, pos);
+      if (end === -1) throw new Error(`Unterminated quoted string: ${text}`);
+      const value = parseQuoted(text.slice(pos, end + 1));
+      pos = end + 1;
+      return value;
+    }
+
+    const start = pos;
+    while (pos < text.length && !/[,\]}]/.test(text[pos]) &&
+           !(text[pos] === ':' && /[\s,\]}]/.test(text[pos + 1] ?? ' '))) {
+      pos++;
+    }
+    return parsePlainScalar(text.slice(start, pos).trim());
+  };
+
+  const value = parseValue();
+  skipSpace();
+  if (pos < text.length) {
+    throw new Error(`Unexpected content after flow value: ${text}`);
+  }
+  return value;
+}
+
+/**
+ * Parse a block scalar (| or >) whose header has already been read
+ * @param {Object} state - Parser state {lines, pos}
+ * @param {string} header - e.g. "|", ">-", "|+"
+ * @param {number} parentIndent
+ */
+function parseBlockScalar(state, header, parentIndent) {
+  const folded = header[0] === '>';
+  const chomping = header.includes('-') ? 'strip' : header.includes('+') ? 'keep' : 'clip';
+  const explicitIndent = parseInt(header.replace(/[^1-9]/g, ''), 10);
+  const raw = [];
+
+  while (state.pos < state.lines.length) {
+    const line = state.lines[state.pos];
+    if (line.trim() !== '' && indentOf(line) <= parentIndent) break;
+    raw.push(line);
+    state.pos++;
+  }
+
+  const firstContent = raw.find(line => line.trim() !== '');
+  const blockIndent = explicitIndent
+    ? parentIndent + explicitIndent
+    : firstContent ? indentOf(firstContent) : parentIndent + 1;
+  const lines = raw.map(line => line.slice(blockIndent));
+
+  // Trailing blank lines belong to the block only when chomping keeps them
+  let trailing = 0;
+  while (lines.length > 0 && lines[lines.length - 1].trim() === '') {
+    lines.pop();
+    trailing++;
+  }
+  if (trailing > 0 && chomping !== 'keep') {
+    state.pos -= trailing;
+  }
+
+  let text;
+  if (folded) {
+    text = '';
+    lines.forEach((line, i) => {
+      if (i === 0) {
+        text = line;
+      } else if (line === '') {
+        text += '\n';
+      } else if (lines[i - 1] === '') {
+        text += line;
+      } else if (/^\s/.test(line) || /^\s/.test(lines[i - 1])) {
+        text += `\n${line}`;
+      } else {
+        text += ` ${line}`;
+      }
+    });
+  } else {
+    text = lines.join('\n');
+  }
+
+  if (chomping === 'strip' || lines.length === 0) return text;
+  if (chomping === 'keep') return text + '\n'.repeat(trailing + 1);
+  return `${text}\n`;
+}
+
+/**
+ * Parse the value that follows a "key:" or "- " indicator
+ * @param {Object} state - Parser state {lines, pos}
+ * @param {string} rest - Text after the indicator on the same line
+ * @param {number} indent - Indentation of the line holding the indicator
+ * @param {boolean} inMapping - Whether the indicator is a mapping key
+ */
+function parseInlineValue(state, rest, indent, inMapping) {
+  const text = stripComment(rest.trim());
+
+  if (text === '') {
+    // A mapping value may be a sequence at the same indentation as its key
+    let next = state.pos;
+    while (next < state.lines.length && isIgnorable(state.lines[next])) next++;
+    const nextLine = state.lines[next];
+    if (inMapping && nextLine !== undefined && indentOf(nextLine) === indent &&
+        isSequenceItem(nextLine.trim())) {
+      state.pos = next;
+      return parseSequence(state, indent);
+    }
+    return parseNode(state, indent);
+  }
+
+  if (/^[|>][-+1-9]*$/.test(text)) {
+    return parseBlockScalar(state, text, indent);
+  }
+
+  if (text.startsWith('[') || text.startsWith('{')) {
+    let flow = text;
+    while (!isFlowComplete(flow)) {
+      if (state.pos >= state.lines.length) {
+        throw new Error(`Unterminated flow collection: ${text}`);
+      }
+      flow += ` ${stripComment(state.lines[state.pos].trim())}`;
+      state.pos++;
+    }
+    return parseFlow(flow);
+  }
+
+  if (text.startsWith('"') || text.startsWith("'")) {
+    let quoted = rest.trim();
+    while (findClosingQuote(quoted, 0) === -1) {
+      if (state.pos >= state.lines.length) {
+        throw new Error(`Unterminated quoted string: ${rest.trim()}`);
+      }
+      const line = state.lines[state.pos].trim();
+      quoted += line === '' ? '\n' : (quoted.endsWith('\n') ? line : ` ${line}`);
+      state.pos++;
+    }
+    const end = findClosingQuote(quoted, 0);
+    if (stripComment(quoted.slice(end + 1)).trim() !== '') {
+      throw new Error(`Unexpected content after quoted string: ${quoted}`);
+    }
+    return parseQuoted(quoted.slice(0, end + 1));
+  }
+
+  // Plain scalars may continue on more-indented lines
+  let plain = text;
+  while (state.pos < state.lines.length) {
+    const line = state.lines[state.pos];
+    if (isIgnorable(line) || indentOf(line) <= indent) break;
+    plain += ` ${stripComment(line.trim())}`;
+    state.pos++;
+  }
+  return parsePlainScalar(plain);
+}
+
+/**
+ * Check if brackets in a flow collection are balanced (outside of quotes)
+ */
+function isFlowComplete(text) {
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"' || char === "'") {
+      const end = findClosingQuote(text, i);
+      if (end === -1) return false;
+      i = end;
+    } else if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+    }
+  }
+  return depth <= 0;
+}
+
+/**
+ * Parse a block mapping at the given indentation
+ */
+function parseMapping(state, indent) {
+  const map = {};
+
+  while (state.pos < state.lines.length) {
+    const line = state.lines[state.pos];
+    if (isIgnorable(line)) {
+      state.pos++;
+      continue;
+    }
+    if (indentOf(line) !== indent) break;
+
+    const content = line.slice(indent);
+    const match = KEY_PATTERN.exec(content);
+    if (!match) break;
+
+    state.pos++;
+    map[parseKey(match[1])] = parseInlineValue(state, content.slice(match[0].length), indent, true);
+  }
+
+  return map;
+}
+
+/**
+ * Parse a block sequence at the given indentation
+ */
+function parseSequence(state, indent) {
+  const items = [];
+
+  while (state.pos < state.lines.length) {
+    const line = state.lines[state.pos];
+    if (isIgnorable(line)) {
+      state.pos++;
+      continue;
+    }
+    const content = line.slice(indent);
+    if (indentOf(line) !== indent || !isSequenceItem(content)) break;
+
+    const rest = content.slice(1).trimStart();
+    if (rest !== '' && (KEY_PATTERN.test(rest) || isSequenceItem(rest))) {
+      // "- key: value" or "- - item": re-read the rest as a nested node at its own column
+      const itemIndent = indent + content.length - rest.length;
+      state.lines[state.pos] = ' '.repeat(itemIndent) + rest;
+      items.push(parseNode(state, indent));
+    } else {
+      state.pos++;
+      items.push(parseInlineValue(state, rest, indent, false));
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Parse whatever node starts on the next meaningful line deeper than parentIndent
+ */
+function parseNode(state, parentIndent) {
+  while (state.pos < state.lines.length && isIgnorable(state.lines[state.pos])) {
+    state.pos++;
+  }
+  if (state.pos >= state.lines.length) return null;
+
+  const line = state.lines[state.pos];
+  const indent = indentOf(line);
+  if (indent <= parentIndent) return null;
+
+  const content = line.slice(indent);
+  if (isSequenceItem(content)) return parseSequence(state, indent);
+  if (KEY_PATTERN.test(content)) return parseMapping(state, indent);
+
+  state.pos++;
+  return parseInlineValue(state, content, parentIndent, false);
+}
+
+/**
+ * Parse a YAML document
+ * @param {string} text
+ * @returns {Object} Top-level mapping
+ * @throws {Error} If the text is not valid in the supported YAML subset
+ */
+export function parseYaml(text) {
+  return parseDocument(text).data;
+}
+
+/**
+ * Parse a YAML document into top-level entries that keep their source lines
+ * @param {string} text
+ * @returns {{data: Object, entries: Array<{key: string, value: *, lines: string[], leading: string[]}>, trailing: string[]}}
+ * @throws {Error} If the text is not valid in the supported YAML subset
+ */
+export function parseDocument(text) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n')
+    .map(line => line.replace(/^\t+/, tabs => '  '.repeat(tabs.length)));
+  const entries = [];
+  let pending = [];
+  let current = null;
+
+  for (const line of lines) {
+    const trimmed = line.trim();
+    if (trimmed === '' || (trimmed.startsWith('#') && indentOf(line) === 0)) {
+      pending.push(line);
+    } else if (indentOf(line) === 0 && !isSequenceItem(trimmed)) {
+      current = { lines: [line], leading: pending };
+      entries.push(current);
+      pending = [];
+    } else if (current) {
+      // Blank lines inside a block scalar or nested collection belong to the entry
+      current.lines.push(...pending, line);
+      pending = [];
+    } else {
+      throw new Error(`Unexpected indented line: ${trimmed}`);
+    }
+  }
+
+  const data = {};
+  for (const entry of entries) {
+    const state = { lines: [...entry.lines], pos: 0 };
+    const map = parseMapping(state, 0);
+    const keys = Object.keys(map);
+    if (keys.length !== 1 || state.pos < state.lines.length) {
+      throw new Error(`Invalid frontmatter line: ${entry.lines[Math.min(state.pos, entry.lines.length - 1)].trim()}`);
+    }
+    entry.key = keys[0];
+    entry.value = map[entry.key];
+    data[entry.key] = entry.value;
+  }
+
+  return { data, entries, trailing: pending };
+}
+
+/**
+ * Format a scalar value
+ */
+function emitScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'boolean' || typeof value === 'number') return String(value);
+  const escaped = String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\t/g, '\\t')
+    .replace(/[\x00-\x08\x0b-\x1f]/g, c => `\\x${c.charCodeAt(0).toString(16).padStart(2, '0')}`);
+  return `"${escaped}"`;
+}
+
+/**
+ * Format a mapping key
+ */
+function emitKey(key) {
+  return PLAIN_KEY_PATTERN.test(key) ? key : emitScalar(key);
+}
+
+/**
+ * Check if a value is a plain object
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Emit the lines of a value placed after "prefix" (a "key:" or "-")
+ * @param {string} prefix
+ * @param {*} value
+ * @param {number} indent - Indentation of the prefix
+ * @returns {string[]}
+ */
+function emitValue(prefix, value, indent) {
+  const pad = ' '.repeat(indent);
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return [`${pad}${prefix} []`];
+    return [`${pad}${prefix}`, ...value.flatMap(item => emitValue('-', item, indent + 2))];
+  }
+
+  if (isObject(value)) {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined);
+    if (keys.length === 0) return [`${pad}${prefix} {}`];
+    const lines = keys.flatMap(key => emitValue(`${emitKey(key)}:`, value[key], indent + 2));
+    if (prefix === '-') {
+      // Start a mapping inside a sequence on the item line: "- key: value"
+      lines[0] = `${pad}- ${lines[0].slice(indent + 2)}`;
+      return lines;
+    }
+    return [`${pad}${prefix}`, ...lines];
+  }
+
+  // Multi-line strings become literal block scalars when they can be written back exactly
+  if (typeof value === 'string' && value.includes('\n') && !/^[ \n]/.test(value) && !/[\t\r]/.test(value)) {
+    const keepNewline = value.endsWith('\n') && !value.endsWith('\n\n');
+    const body = keepNewline ? value.slice(0, -1) : value;
+    if (!body.endsWith('\n')) {
+      const childPad = ' '.repeat(indent + 2);
+      return [
+        `${pad}${prefix} ${keepNewline ? '|' : '|-'}`,
+        ...body.split('\n').map(line => (line === '' ? '' : childPad + line))
+      ];
+    }
+  }
+
+  return [`${pad}${prefix} ${emitScalar(value)}`];
+}
+
+/**
+ * Emit a YAML document
+ * @param {Object} data - Top-level mapping; undefined values are skipped
+ * @returns {string}
+ */
+export function stringifyYaml(data) {
+  return Object.keys(data)
+    .filter(key => data[key] !== undefined)
+    .flatMap(key => emitValue(`${emitKey(key)}:`, data[key], 0))
+    .join('\n');
+}
+
+/**
+ * Deep equality for parsed YAML values
+ */
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => isEqual(item, b[i]));
+  }
+  if (isObject(a) && isObject(b)) {
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length && keysA.every((key, i) => key === keysB[i] && isEqual(a[key], b[key]));
+  }
+  return false;
+}
+
+/**
+ * Emit a YAML document, reusing the lines of an existing document where possible.
+ * Keys keep their original order and formatting unless their value changed;
+ * keys missing from data are removed and new keys are appended.
+ * @param {Object} data
+ * @param {Object} [document] - Result of parseDocument
+ * @returns {string}
+ */
+export function updateYaml(data, document = null) {
+  if (!document) return stringifyYaml(data);
+
+  const lines = [];
+  const written = new Set();
+
+  for (const entry of document.entries) {
+    if (written.has(entry.key) || data[entry.key] === undefined) continue;
+    written.add(entry.key);
+    lines.push(...entry.leading);
+    if (isEqual(entry.value, data[entry.key])) {
+      lines.push(...entry.lines);
+    } else {
+      lines.push(...emitValue(`${emitKey(entry.key)}:`, data[entry.key], 0));
+    }
+  }
+
+  for (const key of Object.keys(data)) {
+    if (!written.has(key) && data[key] !== undefined) {
+      lines.push(...emitValue(`${emitKey(key)}:`, data[key], 0));
+    }
+  }
+
+  lines.push(...document.trailing);
+  while (lines.length > 0 && lines[lines.length - 1].trim() === '') {
+    lines.pop();
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Split markdown content into parsed frontmatter and body
+ * @param {string} content
+ * @returns {{data: Object, body: string, document: Object|null, newline: string}}
+ * @throws {Error} If the frontmatter is not valid YAML
+ */
+export function parseFrontmatter(content) {
+  const newline = content.includes('\r\n') ? '\r\n' : '\n';
+  const normalized = content.replace(/^﻿/, '').replace(/\r\n?/g, '\n');
+  const match = /^---[ \t]*\n(?:([\s\S]*?)\n)?---[ \t]*(?:\n([\s\S]*))?$/.exec(normalized);
+
+  if (!match) {
+    return { data: {}, body: content, document: null, newline };
+  }
+
+  const document = parseDocument(match[1] || '');
+  return { data: document.data, body: (match[2] || '').trim(), document, newline };
+}
+
+/**
+ * Build markdown content from frontmatter data and body
+ * @param {Object} data
+ * @param {string} [body]
+ * @param {Object} [options]
+ * @param {Object} [options.document] - Original document to preserve formatting from
+ * @param {string} [options.newline='\n'] - Line ending to write
+ * @returns {string}
+ */
+export function stringifyFrontmatter(data, body = '', { document = null, newline = '\n' } = {}) {
+  const yaml = updateYaml(data, document);
+  const lines = ['---', ...(yaml ? yaml.split('\n') : []), '---', ''];
+  if (body) {
+    lines.push(body);
+  }
+  return lines.join('\n').replace(/\n/g, newline);
+}
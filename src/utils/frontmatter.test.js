@@ -0,0 +1,230 @@
+/**
+ * Tests for Frontmatter
+ * Covers the YAML subset parser, emitter and lossless rewriting of existing documents
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseYaml,
+  parseDocument,
+  stringifyYaml,
+  updateYaml,
+  parseFrontmatter,
+  stringifyFrontmatter
+} from './frontmatter.js';
+
+describe('frontmatter', () => {
+  describe('parseYaml', () => {
+    it('should parse scalars', () => {
+      const data = parseYaml([
+        'title: Plain title',
+        'quoted: "Say \\"hi\\"\\nthere"',
+        "single: 'It''s here'",
+        'count: 3',
+        'ratio: 1.5',
+        'done: false',
+        'empty:',
+        'tilde: ~',
+        'date: 2026-01-15',
+        'time: 09:00'
+      ].join('\n'));
+
+      expect(data).toEqual({
+        title: 'Plain title',
+        quoted: 'Say "hi"\nthere',
+        single: "It's here",
+        count: 3,
+        ratio: 1.5,
+        done: false,
+        empty: null,
+        tilde: null,
+        date: '2026-01-15',
+        time: '09:00'
+      });
+    });
+
+    it('should ignore comments outside of quotes', () => {
+      const data = parseYaml([
+        '# leading comment',
+        'color: "#8b5cf6" # purple',
+        'note: issue#12 # trailing'
+      ].join('\n'));
+      expect(data).toEqual({ color: '#8b5cf6', note: 'issue#12' });
+    });
+
+    it('should parse block and flow sequences', () => {
+      const data = parseYaml([
+        'tags:',
+        '  - work',
+        '  - "team sync"',
+        'dates:',
+        '- 2026-01-12',
+        '- 2026-01-19',
+        'flow: [a, "b, c", 3]'
+      ].join('\n'));
+      expect(data.tags).toEqual(['work', 'team sync']);
+      expect(data.dates).toEqual(['2026-01-12', '2026-01-19']);
+      expect(data.flow).toEqual(['a', 'b, c', 3]);
+    });
+
+    it('should parse nested maps and maps inside sequences', () => {
+      const data = parseYaml([
+        'overrides:',
+        '  2026-01-12:',
+        '    startTime: "10:00"',
+        '    title: Moved',
+        'people:',
+        '  - name: Ada',
+        '    role: host',
+        '  - name: Linus',
+        'inline: {a: 1, b: [x, y]}'
+      ].join('\n'));
+      expect(data.overrides).toEqual({ '2026-01-12': { startTime: '10:00', title: 'Moved' } });
+      expect(data.people).toEqual([{ name: 'Ada', role: 'host' }, { name: 'Linus' }]);
+      expect(data.inline).toEqual({ a: 1, b: ['x', 'y'] });
+    });
+
+    it('should parse block scalars', () => {
+      const data = parseYaml([
+        'literal: |',
+        '  line one',
+        '',
+        '  line three',
+        'folded: >-',
+        '  folded',
+        '  text',
+        'after: yes'
+      ].join('\n'));
+      expect(data.literal).toBe('line one\n\nline three\n');
+      expect(data.folded).toBe('folded text');
+      expect(data.after).toBe('yes');
+    });
+
+    it('should parse multi-line plain and quoted strings', () => {
+      const data = parseYaml([
+        'plain: first',
+        '  second',
+        'quoted: "first',
+        '  second"'
+      ].join('\n'));
+      expect(data.plain).toBe('first second');
+      expect(data.quoted).toBe('first second');
+    });
+
+    it('should keep values containing colons', () => {
+      const data = parseYaml('title: "Meeting: planning"\nurl: https://example.com/a');
+      expect(data.title).toBe('Meeting: planning');
+      expect(data.url).toBe('https://example.com/a');
+    });
+
+    it('should throw on unterminated strings', () => {
+      expect(() => parseYaml('title: "never closed')).toThrow();
+    });
+
+    it('should throw on lines that are not key/value pairs', () => {
+      expect(() => parseYaml('title: ok\njust some text')).toThrow();
+    });
+  });
+
+  describe('stringifyYaml', () => {
+    it('should round-trip nested data', () => {
+      const data = {
+        title: 'Quote " and \\ backslash',
+        allDay: true,
+        interval: 2,
+        exceptionDates: ['2026-01-12', '2026-01-19'],
+        overrides: { '2026-01-26': { title: 'Retro', startTime: '10:00' } },
+        people: [{ name: 'Ada', role: 'host' }],
+        empty: [],
+        notes: 'line one\nline two\n'
+      };
+      expect(parseYaml(stringifyYaml(data))).toEqual(data);
+    });
+
+    it('should quote strings and keep booleans and numbers bare', () => {
+      expect(stringifyYaml({ id: 'abc', allDay: false, n: 3 })).toBe('id: "abc"\nallDay: false\nn: 3');
+    });
+
+    it('should quote keys that are not plain', () => {
+      expect(stringifyYaml({ 'my key': 1 })).toBe('"my key": 1');
+    });
+  });
+
+  describe('updateYaml', () => {
+    const original = [
+      '# Event file',
+      'title: Standup   # daily',
+      'tags: [work, team]',
+      '',
+      '# Obsidian properties',
+      'aliases:',
+      '  - sync',
+      'startDate: 2026-01-15'
+    ].join('\n');
+
+    it('should keep unchanged entries byte for byte', () => {
+      const document = parseDocument(original);
+      expect(updateYaml(document.data, document)).toBe(original);
+    });
+
+    it('should rewrite only changed entries, keeping order and comments', () => {
+      const document = parseDocument(original);
+      const result = updateYaml({ ...document.data, startDate: '2026-01-16' }, document);
+      expect(result).toBe(original.replace('startDate: 2026-01-15', 'startDate: "2026-01-16"'));
+    });
+
+    it('should drop removed keys and append new ones', () => {
+      const document = parseDocument(original);
+      const { tags, ...rest } = document.data;
+      const result = updateYaml({ ...rest, color: '#3b82f6' }, document);
+      expect(result).not.toContain('tags');
+      expect(result.endsWith('color: "#3b82f6"')).toBe(true);
+      expect(result).toContain('# Obsidian properties');
+      void tags;
+    });
+  });
+
+  describe('parseFrontmatter', () => {
+    it('should split frontmatter and body', () => {
+      const { data, body } = parseFrontmatter('---\ntitle: Test\n---\n\nBody text\n');
+      expect(data).toEqual({ title: 'Test' });
+      expect(body).toBe('Body text');
+    });
+
+    it('should handle CRLF line endings', () => {
+      const result = parseFrontmatter('---\r\ntitle: Test\r\nallDay: true\r\n---\r\n\r\nBody');
+      expect(result.data).toEqual({ title: 'Test', allDay: true });
+      expect(result.body).toBe('Body');
+      expect(result.newline).toBe('\r\n');
+    });
+
+    it('should handle empty frontmatter and missing body', () => {
+      expect(parseFrontmatter('---\n---\n').data).toEqual({});
+      expect(parseFrontmatter('---\ntitle: x\n---').data).toEqual({ title: 'x' });
+    });
+
+    it('should return content without frontmatter as body', () => {
+      const result = parseFrontmatter('No frontmatter here');
+      expect(result.data).toEqual({});
+      expect(result.body).toBe('No frontmatter here');
+    });
+
+    it('should not end the frontmatter at dashes inside a value', () => {
+      const { data } = parseFrontmatter('---\ntitle: a---\nid: 1\n---\n');
+      expect(data).toEqual({ title: 'a---', id: 1 });
+    });
+  });
+
+  describe('stringifyFrontmatter', () => {
+    it('should write frontmatter followed by the body', () => {
+      expect(stringifyFrontmatter({ title: 'Test' }, 'Body')).toBe('---\ntitle: "Test"\n---\n\nBody');
+      expect(stringifyFrontmatter({ title: 'Test' })).toBe('---\ntitle: "Test"\n---\n');
+    });
+
+    it('should preserve the original line endings', () => {
+      const content = '---\r\ntitle: Test\r\n---\r\n\r\nBody';
+      const { data, body, document, newline } = parseFrontmatter(content);
+      expect(stringifyFrontmatter(data, body, { document, newline })).toBe(content);
+    });
+  });
+});
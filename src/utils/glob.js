@@ -0,0 +1,83 @@
+/**
+ * Glob - Match relative file paths against glob patterns
+ * Supports `*`, `**`, `?`, `[abc]` and `{a,b}`. Patterns without a slash match the file name
+ * in any folder (like .gitignore); patterns with a slash match the whole relative path.
+ */
+
+/**
+ * Convert a glob pattern to a regular expression
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+  let braceDepth = 0;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" matches zero or more folders; a bare "**" matches anything
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        const set = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+        source += set.startsWith('!') ? `[^/${set.slice(1)}]` : `[${set}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      braceDepth++;
+      source += '(?:';
+    } else if (char === '}' && braceDepth > 0) {
+      braceDepth--;
+      source += ')';
+    } else if (char === ',' && braceDepth > 0) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check if a relative path matches a glob pattern
+ * @param {string} path - e.g. "2025/03/2025-03-01-dentist.md"
+ * @param {string} pattern - e.g. "*.md", "archive/**", "**\/README.md"
+ * @returns {boolean}
+ */
+export function matchesGlob(path, pattern) {
+  const trimmed = pattern.trim().replace(/^\.?\//, '');
+  if (!trimmed) return false;
+
+  const target = trimmed.includes('/') ? path : path.split('/').pop();
+  return globToRegExp(trimmed).test(target);
+}
+
+/**
+ * Check if a path is included by any include pattern and not excluded by any exclude pattern
+ * @param {string} path
+ * @param {string[]} include
+ * @param {string[]} [exclude]
+ * @returns {boolean}
+ */
+export function isPathIncluded(path, include, exclude = []) {
+  return include.some(pattern => matchesGlob(path, pattern)) &&
+    !exclude.some(pattern => matchesGlob(path, pattern));
+}
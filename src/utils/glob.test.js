@@ -0,0 +1,57 @@
+/**
+ * Tests for Glob
+ */
+
+import { describe, it, expect } from 'vitest';
+import { matchesGlob, isPathIncluded } from './glob.js';
+
+describe('glob', () => {
+  describe('matchesGlob', () => {
+    it('should match file names in any folder when the pattern has no slash', () => {
+      expect(matchesGlob('event.md', '*.md')).toBe(true);
+      expect(matchesGlob('2025/03/event.md', '*.md')).toBe(true);
+      expect(matchesGlob('2025/03/README.md', 'README.md')).toBe(true);
+      expect(matchesGlob('notes.txt', '*.md')).toBe(false);
+    });
+
+    it('should match whole paths when the pattern has a slash', () => {
+      expect(matchesGlob('archive/2020/old.md', 'archive/**')).toBe(true);
+      expect(matchesGlob('2025/archive/old.md', 'archive/**')).toBe(false);
+      expect(matchesGlob('2025/03/event.md', '*/*/*.md')).toBe(true);
+      expect(matchesGlob('2025/event.md', '*/*/*.md')).toBe(false);
+    });
+
+    it('should let **/ match zero or more folders', () => {
+      expect(matchesGlob('templates/a.md', '**/templates/*.md')).toBe(true);
+      expect(matchesGlob('x/y/templates/a.md', '**/templates/*.md')).toBe(true);
+    });
+
+    it('should support ?, character sets and braces', () => {
+      expect(matchesGlob('2025/03/a.md', '202?/**')).toBe(true);
+      expect(matchesGlob('b.md', '[abc].md')).toBe(true);
+      expect(matchesGlob('d.md', '[!abc].md')).toBe(true);
+      expect(matchesGlob('a.md', '[!abc].md')).toBe(false);
+      expect(matchesGlob('README.markdown', 'README.{md,markdown}')).toBe(true);
+    });
+
+    it('should treat dots literally', () => {
+      expect(matchesGlob('eventxmd', '*.md')).toBe(false);
+    });
+
+    it('should ignore empty patterns and leading ./', () => {
+      expect(matchesGlob('a.md', '  ')).toBe(false);
+      expect(matchesGlob('drafts/a.md', './drafts/*')).toBe(true);
+    });
+  });
+
+  describe('isPathIncluded', () => {
+    it('should apply include and exclude patterns', () => {
+      const include = ['*.md'];
+      const exclude = ['README.md', 'templates/**'];
+      expect(isPathIncluded('2025/03/event.md', include, exclude)).toBe(true);
+      expect(isPathIncluded('README.md', include, exclude)).toBe(false);
+      expect(isPathIncluded('templates/meeting.md', include, exclude)).toBe(false);
+      expect(isPathIncluded('notes.txt', include, exclude)).toBe(false);
+    });
+  });
+});
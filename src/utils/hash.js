@@ -0,0 +1,18 @@
+/**
+ * Hash - Fast non-cryptographic string hashing
+ */
+
+/**
+ * Hash a string with 32-bit FNV-1a
+ * Used to notice when a file changed, not for security.
+ * @param {string} text
+ * @returns {string} 8-digit hex hash
+ */
+export function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
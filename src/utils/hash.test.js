@@ -0,0 +1,17 @@
+/**
+ * Tests for Hash
+ */
+
+import { describe, it, expect } from 'vitest';
+import { hashString } from './hash.js';
+
+describe('hashString', () => {
+  it('should match known FNV-1a values', () => {
+    expect(hashString('')).toBe('811c9dc5');
+    expect(hashString('a')).toBe('e40c292c');
+  });
+
+  it('should differ for small edits', () => {
+    expect(hashString('title: "Standup"')).not.toBe(hashString('title: "Standup!"'));
+  });
+});
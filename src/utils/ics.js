@@ -0,0 +1,513 @@
+/**
+ * iCalendar - Parser and writer for RFC 5545 .ics files
+ * Turns VEVENT components into event data shaped like this app's events: dates as YYYY-MM-DD,
+ * times as HH:MM, RRULE kept as a string and EXDATE/RECURRENCE-ID mapped to exceptionDates and
+ * overrides. Times with a known TZID keep their wall-clock time, with the zone as `timezone` and
+ * `endTimezone`; times in UTC are converted to local time, and unknown TZIDs (e.g. Windows zone
+ * names) are read as local wall-clock time.
+ * Anything that can't be represented is listed in each event's `problems`.
+ * formatICS writes the same shape back, with times as floating local time or, for events with a
+ * `timezone`, with its IANA name as TZID and a VTIMEZONE listing the zone's offset changes as
+ * Intl reports them for the years the events cover.
+ */
+
+import { formatDate, parseDate, addDays } from './dateUtils.js';
+import { isValidTimeZone, getLocalTimeZone, fromZonedTime, toZonedTime, convertTime, getZoneTransitions } from './timezone.js';
+
+const DATE_VALUE = /^(\d{4})(\d{2})(\d{2})$/;
+const DATE_TIME_VALUE = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/;
+export const PRODUCT_ID = '-//Nez Calendar//EN';
+const MAX_LINE_OCTETS = 75;
+// Years of offset changes written for recurring events without an end
+const RECURRENCE_YEARS = 10;
+const DURATION_VALUE = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/;
+
+/**
+ * Join folded lines (continuations start with a space or tab)
+ * @param {string} text
+ * @returns {string[]}
+ */
+function unfoldLines(text) {
+  return text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(line => line.trim() !== '');
+}
+
+/**
+ * Split a content line into name, parameters and value
+ * Colons and semicolons inside quoted parameter values are not separators.
+ * @returns {{name: string, params: Object<string, string>, value: string}|null}
+ */
+function parseLine(line) {
+  let quoted = false;
+  let valueStart = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    if (line[i] === ':' && !quoted) {
+      valueStart = i;
+      break;
+    }
+  }
+  if (valueStart === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, valueStart).match(/(?:[^;"]|"[^"]*")+/g) || [''];
+  const params = {};
+  for (const param of rawParams) {
+    const eq = param.indexOf('=');
+    if (eq !== -1) {
+      params[param.slice(0, eq).toUpperCase()] = param.slice(eq + 1).replace(/^"|"$/g, '');
+    }
+  }
+
+  return { name: name.toUpperCase(), params, value: line.slice(valueStart + 1) };
+}
+
+/**
+ * Decode an escaped TEXT value
+ */
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Parse a DATE or DATE-TIME value
+ * @param {string} value
+ * @param {Object} params - Property parameters (VALUE, TZID)
+ * @returns {{date: string, time: string|null, timeZone?: string|null, unknownZone?: string|null}|null}
+ *   Date and HH:MM time (null for whole days), in `timeZone` if the TZID was recognised and local
+ *   time otherwise, plus the TZID if it was not recognised
+ */
+function parseDateValue(value, params = {}) {
+  const dateMatch = DATE_VALUE.exec(value);
+  if (dateMatch || params.VALUE === 'DATE') {
+    if (!dateMatch) return null;
+    return { date: `${dateMatch[1]}-${dateMatch[2]}-${dateMatch[3]}`, time: null };
+  }
+
+  const match = DATE_TIME_VALUE.exec(value);
+  if (!match) return null;
+  const [year, month, day, hour, minute, second] = match.slice(1, 7).map(Number);
+
+  if (match[7] !== 'Z' && params.TZID && isValidTimeZone(params.TZID)) {
+    return { date: `${match[1]}-${match[2]}-${match[3]}`, time: `${match[4]}:${match[5]}`, timeZone: params.TZID };
+  }
+
+  const local = match[7] === 'Z'
+    ? new Date(Date.UTC(year, month - 1, day, hour, minute, second))
+    // Floating time, or a zone we don't know: use the wall-clock time as is
+    : new Date(year, month - 1, day, hour, minute, second);
+  const unknownZone = match[7] !== 'Z' && params.TZID ? params.TZID : null;
+
+  const time = `${String(local.getHours()).padStart(2, '0')}:${String(local.getMinutes()).padStart(2, '0')}`;
+  return { date: formatDate(local), time, timeZone: null, unknownZone };
+}
+
+/**
+ * Parse a DURATION value
+ * @returns {number|null} Length in minutes
+ */
+function parseDuration(value) {
+  const match = DURATION_VALUE.exec(value);
+  if (!match) return null;
+  const [weeks, days, hours, minutes, seconds] = match.slice(2).map(n => Number(n) || 0);
+  const total = ((weeks * 7 + days) * 24 + hours) * 60 + minutes + Math.floor(seconds / 60);
+  return match[1] === '-' ? -total : total;
+}
+
+/**
+ * Add minutes to a date and time, in its time zone or local time
+ * @returns {{date: string, time: string, timeZone: string|null}}
+ */
+function addMinutes({ date, time, timeZone = null }, minutes) {
+  const [hours, mins] = time.split(':').map(Number);
+  if (timeZone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const moment = fromZonedTime(year, month, day, hours, mins, 0, timeZone);
+    return { ...toZonedTime(new Date(moment.getTime() + minutes * 60000), timeZone), timeZone };
+  }
+  const result = parseDate(date);
+  result.setHours(hours, mins + minutes);
+  const resultTime = `${String(result.getHours()).padStart(2, '0')}:${String(result.getMinutes()).padStart(2, '0')}`;
+  return { date: formatDate(result), time: resultTime, timeZone: null };
+}
+
+/**
+ * Group the lines of a calendar into its properties and VEVENT components
+ * Other components (VTIMEZONE, VTODO, ...) are skipped; components nested in an event
+ * (VALARM) are recorded as a BEGIN property so they can be reported.
+ * @returns {{properties: Object[], events: Object[][]}}
+ */
+function collectComponents(lines) {
+  const properties = [];
+  const events = [];
+  const stack = [];
+  let current = null;
+
+  for (const line of lines) {
+    const prop = parseLine(line);
+    if (!prop) continue;
+
+    if (prop.name === 'BEGIN') {
+      stack.push(prop.value.toUpperCase());
+      if (stack.length === 2 && stack[1] === 'VEVENT') {
+        current = [];
+      } else if (stack.length === 3 && current) {
+        current.push({ ...prop, value: stack[2] });
+      }
+    } else if (prop.name === 'END') {
+      if (stack.length === 2 && current) {
+        events.push(current);
+        current = null;
+      }
+      stack.pop();
+    } else if (stack.length === 2 && current) {
+      current.push(prop);
+    } else if (stack.length === 1) {
+      properties.push(prop);
+    }
+  }
+
+  return { properties, events };
+}
+
+/**
+ * Convert the properties of one VEVENT to event data
+ * @returns {Object|null} Null if the event has no usable start
+ */
+function convertEvent(props) {
+  const get = (name) => props.find(p => p.name === name);
+  const start = get('DTSTART') && parseDateValue(get('DTSTART').value, get('DTSTART').params);
+  if (!start) return null;
+
+  const allDay = start.time === null;
+  let end = get('DTEND') && parseDateValue(get('DTEND').value, get('DTEND').params);
+  if (!end && get('DURATION')) {
+    const minutes = parseDuration(get('DURATION').value);
+    if (minutes !== null) {
+      end = allDay
+        ? { date: formatDate(addDays(parseDate(start.date), Math.round(minutes / 1440))), time: null }
+        : addMinutes(start, minutes);
+    }
+  }
+
+  if (end && !allDay && !start.timeZone && end.timeZone) {
+    // A zoned end of a floating start is shown in local time, like the start
+    end = { ...convertTime(end.date, end.time, end.timeZone, getLocalTimeZone()), timeZone: null };
+  } else if (end && !allDay && start.timeZone && get('DTEND')?.value.endsWith('Z')) {
+    // A UTC end of a zoned start ends in the start's zone
+    end = { ...convertTime(end.date, end.time, getLocalTimeZone(), start.timeZone), timeZone: start.timeZone };
+  }
+
+  // DTEND of a whole-day event is exclusive
+  let endDate = end ? end.date : start.date;
+  if (allDay && end && end.date > start.date) {
+    endDate = formatDate(addDays(parseDate(end.date), -1));
+  }
+
+  const exceptionDates = props
+    .filter(p => p.name === 'EXDATE')
+    .flatMap(p => p.value.split(',').map(v => parseDateValue(v, p.params)?.date))
+    .filter(Boolean);
+  const recurrenceId = get('RECURRENCE-ID');
+
+  const problems = [];
+  const zone = [start, end].find(value => value?.unknownZone)?.unknownZone;
+  if (zone) {
+    problems.push(`Time zone "${zone}" is not known; times are read as local time`);
+  }
+  if (get('RDATE')) {
+    problems.push('Extra dates (RDATE) are not supported');
+  }
+  if (props.some(p => p.name === 'BEGIN' && p.value === 'VALARM')) {
+    problems.push('Reminders are not imported');
+  }
+  if (get('ATTENDEE') || get('ORGANIZER')) {
+    problems.push('Attendees are not imported');
+  }
+  if (get('ATTACH')) {
+    problems.push('Attachments are not imported');
+  }
+  if (endDate < start.date) {
+    problems.push('Ends before it starts; the end was moved to the start date');
+    endDate = start.date;
+  }
+
+  return {
+    uid: get('UID') ? get('UID').value : null,
+    title: get('SUMMARY') ? unescapeText(get('SUMMARY').value) : 'Untitled',
+    description: get('DESCRIPTION') ? unescapeText(get('DESCRIPTION').value) : '',
+    location: get('LOCATION') ? unescapeText(get('LOCATION').value) : '',
+    startDate: start.date,
+    endDate,
+    allDay,
+    startTime: start.time,
+    endTime: allDay ? null : (end ? end.time : start.time),
+    timezone: allDay ? null : start.timeZone || null,
+    endTimezone: !allDay && end?.timeZone && end.timeZone !== start.timeZone ? end.timeZone : null,
+    rrule: get('RRULE') ? get('RRULE').value : null,
+    exceptionDates: [...new Set(exceptionDates)],
+    overrides: {},
+    problems,
+    cancelled: get('STATUS')?.value.toUpperCase() === 'CANCELLED',
+    recurrenceId: recurrenceId ? parseDateValue(recurrenceId.value, recurrenceId.params)?.date || null : null
+  };
+}
+
+/**
+ * Parse an iCalendar file
+ * Modified or cancelled occurrences (VEVENTs with RECURRENCE-ID) are folded into their
+ * series as overrides and exception dates.
+ * @param {string} text - Contents of a .ics file
+ * @returns {{name: string|null, events: Object[]}} Calendar name (X-WR-CALNAME) and events
+ * @throws {Error} If the text is not an iCalendar file
+ */
+export function parseICS(text) {
+  const lines = unfoldLines(text);
+  if (!lines.length || lines[0].trim().toUpperCase() !== 'BEGIN:VCALENDAR') {
+    throw new Error('Not an iCalendar file (expected BEGIN:VCALENDAR)');
+  }
+
+  const { properties, events: components } = collectComponents(lines);
+  const nameProp = properties.find(p => p.name === 'X-WR-CALNAME');
+  const converted = components.map(convertEvent).filter(Boolean);
+
+  const series = new Map();
+  const events = [];
+  for (const event of converted.filter(e => !e.recurrenceId)) {
+    if (event.uid) series.set(event.uid, event);
+    events.push(event);
+  }
+
+  for (const occurrence of converted.filter(e => e.recurrenceId)) {
+    const master = series.get(occurrence.uid);
+    if (!master) {
+      // Modified occurrence without its series: show it as a one-off event
+      events.push({ ...occurrence, recurrenceId: null });
+    } else if (occurrence.cancelled) {
+      master.exceptionDates = [...new Set([...master.exceptionDates, occurrence.recurrenceId])];
+    } else {
+      const { title, description, startDate, endDate, allDay, startTime, endTime, timezone, endTimezone } = occurrence;
+      master.overrides[occurrence.recurrenceId] = {
+        title, description, startDate, endDate, allDay, startTime, endTime, timezone, endTimezone
+      };
+      master.problems = [...new Set([...master.problems, ...occurrence.problems])];
+    }
+  }
+
+  return {
+    name: nameProp ? unescapeText(nameProp.value) : null,
+    events: events
+      .filter(event => !event.cancelled)
+      .map(({ cancelled, recurrenceId, ...event }) => event)
+  };
+}
+
+/**
+ * Encode a TEXT value
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Split a content line into lines of at most 75 octets, continuations starting with a space
+ * @param {string} line
+ * @returns {string[]}
+ */
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const lines = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    const limit = lines.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      lines.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  lines.push(current);
+
+  return lines.map((part, i) => (i === 0 ? part : ` ${part}`));
+}
+
+/**
+ * Format a date, and optionally a time, as a DATE or floating DATE-TIME value
+ * @param {string} date - YYYY-MM-DD
+ * @param {string|null} [time] - HH:MM
+ */
+function formatDateValue(date, time = null) {
+  const value = date.replace(/-/g, '');
+  return time ? `${value}T${time.replace(':', '')}00` : value;
+}
+
+/**
+ * Format a moment as a UTC DATE-TIME value
+ * @param {Date} date
+ */
+function formatUtcValue(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Format a date property, marking whole days with VALUE=DATE and zoned times with TZID
+ */
+function formatDateProperty(name, date, time, timeZone = null) {
+  if (!time) return `${name};VALUE=DATE:${formatDateValue(date)}`;
+  return timeZone ? `${name};TZID=${timeZone}:${formatDateValue(date, time)}` : `${name}:${formatDateValue(date, time)}`;
+}
+
+/**
+ * Write the start, end and text properties of an event or occurrence
+ * @returns {string[]}
+ */
+function formatEventTimes(event) {
+  const timed = !event.allDay && Boolean(event.startTime);
+  const endDate = event.endDate || event.startDate;
+  const lines = [formatDateProperty('DTSTART', event.startDate, timed ? event.startTime : null, event.timezone)];
+
+  if (!timed) {
+    // DTEND of a whole-day event is exclusive
+    lines.push(formatDateProperty('DTEND', formatDate(addDays(parseDate(endDate), 1))));
+  } else if (event.endTime || endDate !== event.startDate) {
+    lines.push(formatDateProperty('DTEND', endDate, event.endTime || event.startTime, event.endTimezone || event.timezone));
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.title || 'Untitled')}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  return lines;
+}
+
+/**
+ * Format a UTC offset in minutes as a UTC-OFFSET value, e.g. +0100
+ */
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const hours = String(Math.floor(Math.abs(minutes) / 60)).padStart(2, '0');
+  return `${sign}${hours}${String(Math.abs(minutes) % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Collect the time zones used by timed events and their occurrences, with the years they cover
+ * @returns {Map<string, {from: number, to: number}>}
+ */
+function collectTimeZones(events, now) {
+  const zones = new Map();
+  const add = (zone, year) => {
+    if (!zone) return;
+    const range = zones.get(zone);
+    if (!range) zones.set(zone, { from: year, to: year });
+    else zones.set(zone, { from: Math.min(range.from, year), to: Math.max(range.to, year) });
+  };
+  const addItem = (item) => {
+    if (item.allDay || !item.startTime) return;
+    const startYear = Number(item.startDate.slice(0, 4));
+    const endYear = Number((item.endDate || item.startDate).slice(0, 4));
+    add(item.timezone, startYear);
+    add(item.timezone, endYear);
+    add(item.endTimezone, endYear);
+  };
+
+  for (const event of events) {
+    addItem(event);
+    if (!event.rrule) continue;
+    const until = event.rrule.match(/UNTIL=(\d{4})/);
+    const lastYear = until
+      ? Number(until[1])
+      : Math.max(Number(event.startDate.slice(0, 4)), now.getUTCFullYear()) + RECURRENCE_YEARS;
+    if (!event.allDay && event.startTime) add(event.timezone, lastYear);
+    Object.values(event.overrides || {}).forEach(addItem);
+  }
+  return zones;
+}
+
+/**
+ * Write a VTIMEZONE for a zone from the offset changes Intl reports
+ * Changes between the same two offsets share one observance, with the later ones as RDATEs.
+ * The observance starting the first year also makes zones without changes valid.
+ * @returns {string[]}
+ */
+function formatTimeZone(timeZone, fromYear, toYear) {
+  const { offset, transitions } = getZoneTransitions(timeZone, fromYear, toYear);
+  const observances = new Map([[`${offset}/${offset}`, { offsetFrom: offset, offsetTo: offset, starts: [`${fromYear}0101T000000`] }]]);
+  for (const { moment, offsetFrom, offsetTo } of transitions) {
+    // Observance starts are local times in the offset before the change
+    const start = formatUtcValue(new Date(moment.getTime() + offsetFrom * 60000)).slice(0, -1);
+    const key = `${offsetFrom}/${offsetTo}`;
+    if (!observances.has(key)) observances.set(key, { offsetFrom, offsetTo, starts: [] });
+    observances.get(key).starts.push(start);
+  }
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+  for (const { offsetFrom, offsetTo, starts: [first, ...rest] } of observances.values()) {
+    const kind = offsetTo > offsetFrom ? 'DAYLIGHT' : 'STANDARD';
+    lines.push(`BEGIN:${kind}`, `DTSTART:${first}`);
+    if (rest.length) lines.push(`RDATE:${rest.join(',')}`);
+    lines.push(`TZOFFSETFROM:${formatOffset(offsetFrom)}`, `TZOFFSETTO:${formatOffset(offsetTo)}`, `END:${kind}`);
+  }
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+/**
+ * Write an iCalendar file
+ * Modified occurrences in `overrides` are written as extra VEVENTs with a RECURRENCE-ID, and every
+ * time zone used gets a VTIMEZONE.
+ * @param {{name?: string|null, events: Object[]}} calendar - Events shaped like parseICS output;
+ *   each needs a `uid`, and overrides hold the full occurrence (title, dates and times)
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Time stamp written as DTSTAMP
+ * @returns {string} Contents of a .ics file, with CRLF line endings
+ */
+export function formatICS({ name = null, events }, { now = new Date() } = {}) {
+  const stamp = `DTSTAMP:${formatUtcValue(now)}`;
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODUCT_ID}`, 'CALSCALE:GREGORIAN'];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  for (const [zone, { from, to }] of collectTimeZones(events, now)) {
+    lines.push(...formatTimeZone(zone, from, to));
+  }
+
+  for (const event of events) {
+    const timed = !event.allDay && Boolean(event.startTime);
+    lines.push('BEGIN:VEVENT', `UID:${event.uid}`, stamp, ...formatEventTimes(event));
+
+    const zone = timed ? event.timezone || null : null;
+    if (event.rrule) {
+      // UNTIL must have the same value type as DTSTART, and be in UTC when DTSTART has a zone
+      const rrule = timed
+        ? event.rrule.replace(/UNTIL=(\d{4})(\d{2})(\d{2})(?!T)/, (match, year, month, day) => (zone
+          ? `UNTIL=${formatUtcValue(fromZonedTime(+year, +month, +day, 23, 59, 59, zone))}`
+          : `UNTIL=${year}${month}${day}T235959`))
+        : event.rrule;
+      lines.push(`RRULE:${rrule}`);
+      if (event.exceptionDates?.length) {
+        const values = event.exceptionDates.map(date => formatDateValue(date, timed ? event.startTime : null));
+        const params = timed ? (zone ? `;TZID=${zone}` : '') : ';VALUE=DATE';
+        lines.push(`EXDATE${params}:${values.join(',')}`);
+      }
+    }
+    lines.push('END:VEVENT');
+
+    for (const [date, occurrence] of Object.entries(event.rrule ? event.overrides || {} : {})) {
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        stamp,
+        formatDateProperty('RECURRENCE-ID', date, timed ? event.startTime : null, zone),
+        ...formatEventTimes(occurrence),
+        'END:VEVENT'
+      );
+    }
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.flatMap(foldLine).join('\r\n') + '\r\n';
+}
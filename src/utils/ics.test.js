@@ -0,0 +1,274 @@
+/**
+ * Tests for the iCalendar parser and writer
+ * Covers dates and times, recurrence, modified occurrences, time zone definitions and line folding
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseICS, formatICS } from './ics.js';
+import { formatDate } from './dateUtils.js';
+
+const calendar = (...lines) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+const vevent = (...lines) => ['BEGIN:VEVENT', ...lines, 'END:VEVENT'];
+
+// Local date and time of a UTC moment, as the parser should report it
+const local = (date) => ({
+  date: formatDate(date),
+  time: `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`
+});
+
+describe('parseICS', () => {
+  it('should read whole-day events with an exclusive end date', () => {
+    const { name, events } = parseICS(calendar(
+      'X-WR-CALNAME:School\\, term 1',
+      ...vevent('UID:1', 'SUMMARY:Sports day', 'DTSTART;VALUE=DATE:20260415', 'DTEND;VALUE=DATE:20260417')
+    ));
+
+    expect(name).toBe('School, term 1');
+    expect(events).toEqual([expect.objectContaining({
+      uid: '1', title: 'Sports day', startDate: '2026-04-15', endDate: '2026-04-16', allDay: true, startTime: null
+    })]);
+  });
+
+  it('should convert UTC times to local time and keep known zones', () => {
+    const { events } = parseICS(calendar(
+      ...vevent('UID:utc', 'DTSTART:20260115T083000Z', 'DTEND:20260115T093000Z'),
+      ...vevent('UID:zoned', 'DTSTART;TZID=Europe/Stockholm:20260715T090000', 'DURATION:PT1H30M'),
+      ...vevent('UID:windows', 'DTSTART;TZID="W. Europe Standard Time":20260115T140000', 'DTEND;TZID="W. Europe Standard Time":20260115T150000')
+    ));
+
+    const start = local(new Date(Date.UTC(2026, 0, 15, 8, 30)));
+    expect(events[0]).toMatchObject({ startDate: start.date, startTime: start.time, allDay: false });
+    expect(events[0].endTime).toBe(local(new Date(Date.UTC(2026, 0, 15, 9, 30))).time);
+
+    expect(events[0].timezone).toBeNull();
+
+    expect(events[1]).toMatchObject({
+      startDate: '2026-07-15', startTime: '09:00', endTime: '10:30', timezone: 'Europe/Stockholm', endTimezone: null
+    });
+
+    // Unknown zones are read as wall-clock time
+    expect(events[2]).toMatchObject({ startDate: '2026-01-15', startTime: '14:00', endTime: '15:00', timezone: null });
+  });
+
+  it('should keep the zones of the start, end and modified occurrences', () => {
+    const { events } = parseICS(calendar(
+      ...vevent('UID:flight', 'DTSTART;TZID=Europe/Stockholm:20260329T013000', 'DURATION:PT1H'),
+      ...vevent('UID:s', 'DTSTART;TZID=Europe/Stockholm:20260105T100000', 'DTEND;TZID=America/New_York:20260105T130000',
+        'RRULE:FREQ=WEEKLY', 'EXDATE;TZID=Europe/Stockholm:20260112T100000'),
+      ...vevent('UID:s', 'RECURRENCE-ID;TZID=Europe/Stockholm:20260119T100000',
+        'DTSTART;TZID=Asia/Kolkata:20260119T150000', 'DTEND;TZID=Asia/Kolkata:20260119T160000'),
+      ...vevent('UID:utc-end', 'DTSTART;TZID=Europe/Stockholm:20260715T090000', 'DTEND:20260715T083000Z')
+    ));
+
+    // An hour after 01:30 is 03:30 on the night clocks go forward
+    expect(events[0]).toMatchObject({ startTime: '01:30', endTime: '03:30', timezone: 'Europe/Stockholm' });
+    expect(events[1]).toMatchObject({
+      startTime: '10:00', endTime: '13:00', timezone: 'Europe/Stockholm', endTimezone: 'America/New_York',
+      exceptionDates: ['2026-01-12']
+    });
+    expect(events[1].overrides['2026-01-19']).toMatchObject({
+      startDate: '2026-01-19', startTime: '15:00', endTime: '16:00', timezone: 'Asia/Kolkata', endTimezone: null
+    });
+    expect(events[2]).toMatchObject({ startTime: '09:00', endTime: '10:30', timezone: 'Europe/Stockholm', endTimezone: null });
+  });
+
+  it('should keep recurrence rules and excluded dates', () => {
+    const { events } = parseICS(calendar(
+      ...vevent(
+        'UID:standup', 'SUMMARY:Standup',
+        'DTSTART;VALUE=DATE:20260105', 'RRULE:FREQ=WEEKLY;BYDAY=MO,WE',
+        'EXDATE;VALUE=DATE:20260107,20260112', 'EXDATE;VALUE=DATE:20260114'
+      )
+    ));
+
+    expect(events[0].rrule).toBe('FREQ=WEEKLY;BYDAY=MO,WE');
+    expect(events[0].exceptionDates).toEqual(['2026-01-07', '2026-01-12', '2026-01-14']);
+  });
+
+  it('should fold modified and cancelled occurrences into their series', () => {
+    const { events } = parseICS(calendar(
+      ...vevent('UID:s', 'SUMMARY:Training', 'DTSTART:20260105T180000', 'DTEND:20260105T190000', 'RRULE:FREQ=WEEKLY'),
+      ...vevent('UID:s', 'RECURRENCE-ID:20260112T180000', 'SUMMARY:Training (moved)', 'DTSTART:20260113T170000', 'DTEND:20260113T180000'),
+      ...vevent('UID:s', 'RECURRENCE-ID:20260119T180000', 'STATUS:CANCELLED', 'DTSTART:20260119T180000'),
+      ...vevent('UID:orphan', 'RECURRENCE-ID:20260101', 'SUMMARY:Orphan', 'DTSTART;VALUE=DATE:20260101')
+    ));
+
+    expect(events).toHaveLength(2);
+    expect(events[0].overrides['2026-01-12']).toMatchObject({
+      title: 'Training (moved)', startDate: '2026-01-13', startTime: '17:00', endTime: '18:00'
+    });
+    expect(events[0].exceptionDates).toEqual(['2026-01-19']);
+    expect(events[1]).toMatchObject({ title: 'Orphan', startDate: '2026-01-01' });
+  });
+
+  it('should unfold long lines and unescape text', () => {
+    const [event] = parseICS(calendar(
+      ...vevent('UID:1', 'DTSTART;VALUE=DATE:20260101', 'SUMMARY:New ', ' Year', 'DESCRIPTION:Line one\\nLine two\\; with\\, punctuation')
+    )).events;
+    expect(event.title).toBe('New Year');
+    expect(event.description).toBe('Line one\nLine two; with, punctuation');
+  });
+
+  it('should skip other components and reject other files', () => {
+    const { events } = parseICS(calendar(
+      'BEGIN:VTIMEZONE', 'TZID:Europe/Stockholm', 'BEGIN:STANDARD', 'DTSTART:19701025T030000', 'END:STANDARD', 'END:VTIMEZONE',
+      'BEGIN:VTODO', 'DTSTART:20260101T090000', 'END:VTODO',
+      ...vevent('UID:1', 'DTSTART;VALUE=DATE:20260101', 'BEGIN:VALARM', 'TRIGGER:-PT15M', 'END:VALARM')
+    ));
+
+    expect(events).toHaveLength(1);
+    expect(() => parseICS('id: 1\ntitle: Not a calendar')).toThrow('Not an iCalendar file');
+  });
+});
+
+describe('formatICS', () => {
+  const now = new Date(Date.UTC(2026, 0, 1, 12, 0, 0));
+  const series = {
+    uid: 'standup@test',
+    title: 'Standup',
+    description: '',
+    startDate: '2026-01-05',
+    endDate: '2026-01-05',
+    allDay: false,
+    startTime: '09:00',
+    endTime: '09:15',
+    rrule: 'FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20260131',
+    exceptionDates: ['2026-01-07'],
+    overrides: {
+      '2026-01-12': {
+        title: 'Standup (late)', description: '', startDate: '2026-01-12', endDate: '2026-01-12',
+        allDay: false, startTime: '10:00', endTime: '10:15'
+      }
+    }
+  };
+
+  it('should write a calendar with required properties and CRLF line endings', () => {
+    const text = formatICS({ name: 'Team', events: [series] }, { now });
+    const lines = text.split('\r\n');
+
+    expect(lines.slice(0, 5)).toEqual([
+      'BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Nez Calendar//EN', 'CALSCALE:GREGORIAN', 'X-WR-CALNAME:Team'
+    ]);
+    expect(lines).toContain('DTSTAMP:20260101T120000Z');
+    expect(lines).toContain('DTSTART:20260105T090000');
+    expect(lines).toContain('RRULE:FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20260131T235959');
+    expect(lines).toContain('EXDATE:20260107T090000');
+    expect(lines).toContain('RECURRENCE-ID:20260112T090000');
+    expect(text.endsWith('END:VCALENDAR\r\n')).toBe(true);
+  });
+
+  it('should write whole-day events with an exclusive end date', () => {
+    const text = formatICS({ events: [{
+      uid: 'trip', title: 'Trip', startDate: '2026-07-30', endDate: '2026-08-02', allDay: true, rrule: null
+    }] }, { now });
+
+    expect(text).toContain('DTSTART;VALUE=DATE:20260730\r\nDTEND;VALUE=DATE:20260803\r\n');
+  });
+
+  it('should escape text and fold long lines', () => {
+    const description = 'Agenda; budget, hiring\nÅtgärder: ' + 'x'.repeat(120);
+    const text = formatICS({ events: [{
+      uid: '1', title: 'Review', description, startDate: '2026-01-05', endDate: '2026-01-05', allDay: true, rrule: null
+    }] }, { now });
+
+    const encoder = new TextEncoder();
+    expect(text.split('\r\n').every(line => encoder.encode(line).length <= 75)).toBe(true);
+    expect(text).toContain('DESCRIPTION:Agenda\\; budget\\, hiring\\nÅtgärder');
+    expect(parseICS(text).events[0].description).toBe(description);
+  });
+
+  it('should write zoned times with TZID and a UTC UNTIL', () => {
+    const flight = {
+      ...series,
+      timezone: 'Europe/Stockholm',
+      endTimezone: 'America/New_York',
+      startTime: '10:00',
+      endTime: '13:00',
+      exceptionDates: [],
+      overrides: {}
+    };
+    const lines = formatICS({ events: [flight] }, { now }).split('\r\n');
+
+    expect(lines).toContain('DTSTART;TZID=Europe/Stockholm:20260105T100000');
+    expect(lines).toContain('DTEND;TZID=America/New_York:20260105T130000');
+    expect(lines).toContain('RRULE:FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20260131T225959Z');
+  });
+
+  it('should define every time zone it refers to', () => {
+    const flight = {
+      ...series,
+      timezone: 'Europe/Stockholm',
+      endTimezone: 'America/New_York',
+      rrule: 'FREQ=WEEKLY',
+      exceptionDates: [],
+      overrides: {
+        '2026-01-12': { ...series.overrides['2026-01-12'], timezone: 'Asia/Kolkata' }
+      }
+    };
+    const text = formatICS({ events: [flight] }, { now });
+    const lines = text.split('\r\n');
+
+    // Each VTIMEZONE has a TZID and observances with a start and both offsets
+    const defined = new Map();
+    let zone = null;
+    let observance = null;
+    for (const line of lines) {
+      if (line === 'BEGIN:VTIMEZONE') zone = { observances: [] };
+      else if (line === 'END:VTIMEZONE') { defined.set(zone.tzid, zone); zone = null; }
+      else if (zone && /^BEGIN:(STANDARD|DAYLIGHT)$/.test(line)) observance = {};
+      else if (zone && /^END:(STANDARD|DAYLIGHT)$/.test(line)) { zone.observances.push(observance); observance = null; }
+      else if (observance) observance[line.split(':')[0]] = line.slice(line.indexOf(':') + 1);
+      else if (zone && line.startsWith('TZID:')) zone.tzid = line.slice(5);
+    }
+
+    const used = new Set(lines.flatMap(line => line.match(/;TZID=([^:;]+)/)?.slice(1) || []));
+    expect([...used].sort()).toEqual(['America/New_York', 'Asia/Kolkata', 'Europe/Stockholm']);
+    expect([...defined.keys()].sort()).toEqual([...used].sort());
+    for (const { observances } of defined.values()) {
+      expect(observances.length).toBeGreaterThan(0);
+      for (const observance of observances) {
+        expect(observance.DTSTART).toMatch(/^\d{8}T\d{6}$/);
+        expect(observance.TZOFFSETFROM).toMatch(/^[+-]\d{4}$/);
+        expect(observance.TZOFFSETTO).toMatch(/^[+-]\d{4}$/);
+      }
+    }
+    expect(lines.indexOf('BEGIN:VTIMEZONE')).toBeLessThan(lines.indexOf('BEGIN:VEVENT'));
+
+    const stockholm = defined.get('Europe/Stockholm').observances;
+    expect(stockholm).toContainEqual(expect.objectContaining({ TZOFFSETFROM: '+0100', TZOFFSETTO: '+0200' }));
+    expect(stockholm.find(o => o.TZOFFSETTO === '+0200').DTSTART).toBe('20260329T020000');
+    expect(stockholm.find(o => o.TZOFFSETFROM === '+0200').DTSTART).toBe('20261025T030000');
+    // Open-ended series get offset changes for years ahead
+    expect(text).toContain('20361026T030000');
+    expect(defined.get('Asia/Kolkata').observances).toEqual([
+      { DTSTART: '20260101T000000', TZOFFSETFROM: '+0530', TZOFFSETTO: '+0530' }
+    ]);
+
+    expect(parseICS(text).events).toHaveLength(1);
+  });
+
+  it('should read back the zones it writes', () => {
+    const flight = {
+      ...series, timezone: 'Europe/Stockholm', endTimezone: 'America/New_York', startTime: '10:00', endTime: '13:00', overrides: {}
+    };
+    const [event] = parseICS(formatICS({ events: [flight] }, { now })).events;
+
+    expect(event).toMatchObject({
+      startDate: '2026-01-05', startTime: '10:00', endTime: '13:00', timezone: 'Europe/Stockholm', endTimezone: 'America/New_York'
+    });
+  });
+
+  it('should read back what it writes', () => {
+    const [event] = parseICS(formatICS({ events: [series] }, { now })).events;
+
+    expect(event).toMatchObject({
+      uid: 'standup@test',
+      title: 'Standup',
+      startTime: '09:00',
+      endTime: '09:15',
+      rrule: 'FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20260131T235959',
+      exceptionDates: ['2026-01-07']
+    });
+    expect(event.overrides['2026-01-12']).toMatchObject({ title: 'Standup (late)', startTime: '10:00' });
+  });
+});
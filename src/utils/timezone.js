@@ -0,0 +1,158 @@
+/**
+ * Time zones - Converting plain dates and times between IANA time zones with Intl
+ * Events without a zone are floating: they keep their wall-clock time wherever they are shown.
+ */
+
+import { formatDate } from './dateUtils.js';
+
+/**
+ * Get the time zone of this device
+ * @returns {string} IANA name, e.g. "Europe/Stockholm"
+ */
+export function getLocalTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * Check if a string is a time zone Intl knows
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * List the time zones offered for events and display
+ * @returns {string[]}
+ */
+export function listTimeZones() {
+  if (typeof Intl.supportedValuesOf === 'function') {
+    return Intl.supportedValuesOf('timeZone');
+  }
+  return ['UTC', 'Europe/London', 'Europe/Stockholm', 'America/New_York', getLocalTimeZone()]
+    .filter((zone, i, zones) => zones.indexOf(zone) === i);
+}
+
+/**
+ * Get the offset of a time zone from UTC at a moment, in minutes
+ * @param {string} timeZone
+ * @param {number} utcMillis
+ * @returns {number}
+ * @throws {RangeError} If the time zone is unknown
+ */
+export function getZoneOffset(timeZone, utcMillis) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(new Date(utcMillis));
+  const get = (type) => Number(parts.find(p => p.type === type).value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return (asUtc - utcMillis) / 60000;
+}
+
+/**
+ * Find the moments a time zone changes its offset, e.g. for daylight saving time
+ * Scans a week at a time, so zones changing twice within a week only report the net change.
+ * @param {string} timeZone - IANA name
+ * @param {number} fromYear - First year to scan
+ * @param {number} toYear - Last year to scan
+ * @returns {{offset: number, transitions: {moment: Date, offsetFrom: number, offsetTo: number}[]}}
+ *   The offset in minutes at the start of fromYear, and each change after it, in order
+ */
+export function getZoneTransitions(timeZone, fromYear, toYear) {
+  const WEEK = 7 * 24 * 60 * 60000;
+  const end = Date.UTC(toYear + 1, 0, 1);
+  let time = Date.UTC(fromYear, 0, 1);
+  let offset = getZoneOffset(timeZone, time);
+  const initialOffset = offset;
+  const transitions = [];
+
+  while (time < end) {
+    const next = Math.min(time + WEEK, end);
+    const nextOffset = getZoneOffset(timeZone, next);
+    if (nextOffset !== offset) {
+      // Narrow the change down to the minute
+      let low = time;
+      let high = next;
+      while (high - low > 60000) {
+        const middle = low + Math.floor((high - low) / 120000) * 60000;
+        if (getZoneOffset(timeZone, middle) === offset) low = middle;
+        else high = middle;
+      }
+      transitions.push({ moment: new Date(high), offsetFrom: offset, offsetTo: nextOffset });
+      offset = nextOffset;
+    }
+    time = next;
+  }
+
+  return { offset: initialOffset, transitions };
+}
+
+/**
+ * Convert a wall-clock time in a time zone to a Date
+ * @returns {Date|null} Null if the time zone is unknown
+ */
+export function fromZonedTime(year, month, day, hour, minute, second, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  try {
+    // Two passes settle the offset around DST transitions
+    let utc = wallClock - getZoneOffset(timeZone, wallClock) * 60000;
+    utc = wallClock - getZoneOffset(timeZone, utc) * 60000;
+    return new Date(utc);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the wall-clock date and time of a moment in a time zone
+ * @param {Date} moment
+ * @param {string} timeZone
+ * @returns {{date: string, time: string}} YYYY-MM-DD and HH:MM
+ */
+export function toZonedTime(moment, timeZone) {
+  const shifted = new Date(moment.getTime() + getZoneOffset(timeZone, moment.getTime()) * 60000);
+  const iso = shifted.toISOString();
+  return { date: iso.slice(0, 10), time: iso.slice(11, 16) };
+}
+
+/**
+ * Convert a plain date and time from one time zone to another
+ * A missing zone on either side leaves the time as it is (floating).
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @param {string|null} fromZone
+ * @param {string|null} toZone
+ * @returns {{date: string, time: string}}
+ */
+export function convertTime(date, time, fromZone, toZone) {
+  if (!fromZone || !toZone || fromZone === toZone) {
+    return { date, time };
+  }
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const moment = fromZonedTime(year, month, day, hour, minute, 0, fromZone);
+  return moment && isValidTimeZone(toZone) ? toZonedTime(moment, toZone) : { date, time };
+}
+
+/**
+ * Get a short label for a time zone on a date, such as "CET", "EDT" or "GMT+1"
+ * @param {string} timeZone
+ * @param {string} [date] - YYYY-MM-DD; defaults to today, since labels change with daylight saving
+ * @returns {string}
+ */
+export function getTimeZoneLabel(timeZone, date = formatDate(new Date())) {
+  const [year, month, day] = date.split('-').map(Number);
+  const parts = new Intl.DateTimeFormat('en-GB', { timeZone, timeZoneName: 'short' })
+    .formatToParts(new Date(Date.UTC(year, month - 1, day, 12)));
+  return parts.find(part => part.type === 'timeZoneName')?.value || timeZone;
+}
@@ -0,0 +1,70 @@
+/**
+ * Tests for time zone conversion
+ * Covers zone validation, conversion across zones and daylight saving, offset changes and zone labels
+ */
+
+import { describe, it, expect } from 'vitest';
+import { isValidTimeZone, convertTime, toZonedTime, fromZonedTime, getTimeZoneLabel, getZoneTransitions } from './timezone.js';
+
+describe('timezone', () => {
+  describe('isValidTimeZone', () => {
+    it('should accept IANA names and reject anything else', () => {
+      expect(isValidTimeZone('Europe/Stockholm')).toBe(true);
+      expect(isValidTimeZone('UTC')).toBe(true);
+      expect(isValidTimeZone('W. Europe Standard Time')).toBe(false);
+      expect(isValidTimeZone('')).toBe(false);
+      expect(isValidTimeZone(null)).toBe(false);
+    });
+  });
+
+  describe('convertTime', () => {
+    it('should convert between zones', () => {
+      expect(convertTime('2026-01-15', '09:00', 'America/New_York', 'Europe/Stockholm'))
+        .toEqual({ date: '2026-01-15', time: '15:00' });
+      expect(convertTime('2026-01-15', '20:00', 'America/New_York', 'Europe/London'))
+        .toEqual({ date: '2026-01-16', time: '01:00' });
+    });
+
+    it('should follow each zone\'s daylight saving dates', () => {
+      // The US switches on 2026-03-08, Europe on 2026-03-29
+      expect(convertTime('2026-03-16', '09:00', 'America/New_York', 'Europe/Stockholm').time).toBe('14:00');
+      expect(convertTime('2026-04-06', '09:00', 'America/New_York', 'Europe/Stockholm').time).toBe('15:00');
+    });
+
+    it('should leave floating times alone', () => {
+      expect(convertTime('2026-01-15', '09:00', null, 'Europe/Stockholm')).toEqual({ date: '2026-01-15', time: '09:00' });
+      expect(convertTime('2026-01-15', '09:00', 'Europe/Stockholm', null)).toEqual({ date: '2026-01-15', time: '09:00' });
+    });
+  });
+
+  describe('toZonedTime', () => {
+    it('should give the wall-clock time of a moment', () => {
+      const moment = fromZonedTime(2026, 7, 1, 12, 0, 0, 'Europe/Stockholm');
+      expect(moment.toISOString()).toBe('2026-07-01T10:00:00.000Z');
+      expect(toZonedTime(moment, 'America/New_York')).toEqual({ date: '2026-07-01', time: '06:00' });
+    });
+  });
+
+  describe('getZoneTransitions', () => {
+    it('should find daylight saving changes to the minute', () => {
+      expect(getZoneTransitions('Europe/Stockholm', 2026, 2026)).toEqual({
+        offset: 60,
+        transitions: [
+          { moment: new Date('2026-03-29T01:00:00Z'), offsetFrom: 60, offsetTo: 120 },
+          { moment: new Date('2026-10-25T01:00:00Z'), offsetFrom: 120, offsetTo: 60 }
+        ]
+      });
+    });
+
+    it('should report no changes for zones without daylight saving', () => {
+      expect(getZoneTransitions('Asia/Kolkata', 2025, 2027)).toEqual({ offset: 330, transitions: [] });
+    });
+  });
+
+  describe('getTimeZoneLabel', () => {
+    it('should name zones briefly', () => {
+      expect(getTimeZoneLabel('UTC', '2026-01-15')).toBe('UTC');
+      expect(getTimeZoneLabel('Europe/London', '2026-07-01')).toBe('BST');
+    });
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Tests for Zip
+ */
+
+import { describe, it, expect } from 'vitest';
+import { deflateRawSync } from 'node:zlib';
+import { crc32, createZip, readZip } from './zip.js';
+
+/**
+ * Build a single-entry archive with a deflated entry, as other zip tools write them
+ */
+function deflatedZip(path, content) {
+  const name = new TextEncoder().encode(path);
+  const raw = new TextEncoder().encode(content);
+  const data = new Uint8Array(deflateRawSync(raw));
+  const bytes = new Uint8Array(30 + name.length + data.length + 46 + name.length + 22);
+  const view = new DataView(bytes.buffer);
+
+  view.setUint32(0, 0x04034b50, true);
+  view.setUint16(8, 8, true);
+  view.setUint32(18, data.length, true);
+  view.setUint32(22, raw.length, true);
+  view.setUint16(26, name.length, true);
+  bytes.set(name, 30);
+  bytes.set(data, 30 + name.length);
+
+  const central = 30 + name.length + data.length;
+  view.setUint32(central, 0x02014b50, true);
+  view.setUint16(central + 10, 8, true);
+  view.setUint32(central + 20, data.length, true);
+  view.setUint32(central + 24, raw.length, true);
+  view.setUint16(central + 28, name.length, true);
+  bytes.set(name, central + 46);
+
+  const end = central + 46 + name.length;
+  view.setUint32(end, 0x06054b50, true);
+  view.setUint16(end + 8, 1, true);
+  view.setUint16(end + 10, 1, true);
+  view.setUint32(end + 12, 46 + name.length, true);
+  view.setUint32(end + 16, central, true);
+  return bytes;
+}
+
+describe('zip', () => {
+  it('should compute CRC-32', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+    expect(crc32(new Uint8Array())).toBe(0);
+  });
+
+  it('should round-trip files with folders and non-ASCII content', async () => {
+    const files = [
+      { path: '2026/01/2026-01-15-mote.md', content: '---\ntitle: "Møte"\n---\n' },
+      { path: 'readme.txt', content: '' }
+    ];
+    expect(await readZip(createZip(files))).toEqual(files);
+  });
+
+  it('should read deflated entries', async () => {
+    const content = 'repeated line\n'.repeat(50);
+    expect(await readZip(deflatedZip('notes.md', content))).toEqual([{ path: 'notes.md', content }]);
+  });
+
+  it('should reject files that are not zip archives', async () => {
+    await expect(readZip(new TextEncoder().encode('not a zip file at all, just text'))).rejects.toThrow('Not a zip file');
+  });
+});